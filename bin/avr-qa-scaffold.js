@@ -9,7 +9,7 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-09
- * @lastModified 2025-05-09
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
@@ -17,80 +17,363 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { VERSION } from '../lib/utils.js';
-import { setup, init } from '../lib/index.js';
+import { VERSION } from '../src/utils.js';
+import { setup, init, wizard, add, remove, upgrade, rollback, doctor, list } from '../src/index.js';
 
 // Get package directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Collect the values of an option given several times
+ * @param {string} value - Value of this occurrence
+ * @param {string[]} [previous=[]] - Values collected so far
+ * @returns {string[]} Collected values
+ */
+const collect = (value, previous = []) => [...previous, value];
+
+/**
+ * Collect comma separated values of an option, which can also be given several times
+ * @param {string} value - Values of this occurrence, e.g. "eslint,husky"
+ * @param {string[]} [previous=[]] - Values collected so far
+ * @returns {string[]} Collected values
+ */
+const collectList = (value, previous = []) => [
+  ...previous,
+  ...value.split(',').map((item) => item.trim()).filter(Boolean)
+];
+
+/**
+ * Options of add and remove, from the options of the command line
+ * @param {Object} options - Options parsed by commander
+ * @returns {Object} Options for add() and remove()
+ */
+const getToolChangeOptions = (options) => ({
+  skipInstall: options.skipInstall,
+  packageManager: options.pm,
+  templateSource: options.templates,
+  plugins: options.plugin,
+  // --no-interactive shares the key of -i, which is undefined when neither is given
+  interactive: options.interactive === true,
+  onConflict: options.onConflict,
+  dryRun: options.dryRun,
+  format: options.json ? 'json' : 'text',
+  yes: options.yes,
+  nonInteractive: options.interactive === false,
+  answers: options.answer,
+  answersFile: options.answers,
+  verbose: options.verbose
+});
+
 // Create program
 const program = new Command();
 
 program
   .name('avr-qa-scaffold')
   .description('Quickly set up code quality tools for Node.js, React, or Next.js projects')
-  .version(VERSION);
+  .version(VERSION)
+  // Options after a subcommand belong to it, e.g. init --type or list --plugin
+  .enablePositionalOptions();
 
 // Default command: set up quality tools in current project
+// Options without a default fall back to the project configuration (.avrqarc.json)
 program
-  .option('-t, --type <type>', 'Project type (node, react, next)', 'node')
+  .option('-t, --type <type>', 'Project type (node, react, next or a plugin type), auto-detected when omitted')
   .option('-f, --force', 'Override existing configurations', false)
+  .option('-i, --interactive', 'Show a diff for each existing file and choose keep, overwrite, merge or .new')
+  .option('--on-conflict <action>', 'Resolve every existing file with keep, overwrite, merge or new')
+  .option('--merge', 'Merge existing .eslintrc.json, .prettierrc.json and .lintstagedrc.json with the templates', false)
   .option('-s, --skip-install', 'Skip installing npm dependencies', false)
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--legacy-eslint', 'Generate .eslintrc.json for ESLint 8 instead of eslint.config.js')
+  .option('--typescript', 'Set up the TypeScript variant (tsconfig.json, typed linting, ts-jest)')
+  .option('--test-runner <runner>', 'Test runner (jest, vitest, node), detected from the project when omitted')
+  .option('--module-system <system>', 'Module system ESLint parses the project files with (esm, commonjs)')
+  .option('--strictness <level>', 'Strictness level of the ESLint rules (relaxed, recommended, strict)')
+  .option('--only <tools>', 'Set up only these tools, comma separated (eslint, prettier, jest, husky, lint-staged, commitlint, commitizen)', collectList)
+  .option('--skip <tools>', 'Do not set up these tools, comma separated', collectList)
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('--workspace <name>', 'Set up a single package of a workspace, by name or directory')
+  .option('--dry-run', 'Print every planned change without touching disk', false)
+  .option('--json', 'Print the dry-run plan as JSON', false)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
   .option('-v, --verbose', 'Show detailed output during setup', false)
   .action(async (options) => {
-    console.log(chalk.blue.bold('AVR Quality System Scaffold'));
-    console.log(chalk.dim('Setting up quality tools for your project...\n'));
+    // Keep stdout for the JSON plan
+    const header = options.dryRun && options.json ? console.error : console.log;
+    header(chalk.blue.bold('AVR Quality System Scaffold'));
+    header(chalk.dim(options.dryRun
+      ? 'Planning quality tools for your project (dry run)...\n'
+      : 'Setting up quality tools for your project...\n'));
     
-    await setup({
+    const completed = await setup({
       projectType: options.type,
       force: options.force,
       skipInstall: options.skipInstall,
+      eslintConfig: options.legacyEslint ? 'legacy' : undefined,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      moduleSystem: options.moduleSystem,
+      strictness: options.strictness,
+      only: options.only,
+      skip: options.skip,
+      packageManager: options.pm,
+      templateSource: options.templates,
+      plugins: options.plugin,
+      workspace: options.workspace,
+      // --no-interactive shares the key of -i, which is undefined when neither is given
+      interactive: options.interactive === true,
+      onConflict: options.onConflict,
+      merge: options.merge,
+      dryRun: options.dryRun,
+      format: options.json ? 'json' : 'text',
+      yes: options.yes,
+      nonInteractive: options.interactive === false,
+      answers: options.answer,
+      answersFile: options.answers,
       verbose: options.verbose
     });
+    
+    process.exitCode = completed ? 0 : 1;
   });
 
 // Init command: create a new project with quality tools
 program
   .command('init [directory]')
   .description('Initialize a new project with quality tools')
-  .option('-t, --type <type>', 'Project type (node, react, next)', 'node')
+  .option('-t, --type <type>', 'Project type (node, react, next or a plugin type), auto-detected when omitted')
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--legacy-eslint', 'Generate .eslintrc.json for ESLint 8 instead of eslint.config.js')
+  .option('--typescript', 'Create the TypeScript variant (tsconfig.json, typed linting, ts-jest)')
+  .option('--test-runner <runner>', 'Test runner (jest, vitest, node), detected from an existing directory when omitted')
+  .option('--only <tools>', 'Set up only these tools, comma separated (eslint, prettier, jest, husky, lint-staged, commitlint, commitizen)', collectList)
+  .option('--skip <tools>', 'Do not set up these tools, comma separated', collectList)
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
   .option('-v, --verbose', 'Show detailed output during initialization', false)
   .action(async (directory, options) => {
     console.log(chalk.blue.bold('AVR Quality System Scaffold - Project Initialization'));
     
-    await init({
+    const initialized = await init({
       projectType: options.type,
       directory: directory || '.',
+      eslintConfig: options.legacyEslint ? 'legacy' : undefined,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      only: options.only,
+      skip: options.skip,
+      packageManager: options.pm,
+      templateSource: options.templates,
+      plugins: options.plugin,
+      yes: options.yes,
+      nonInteractive: options.interactive === false,
+      answers: options.answer,
+      answersFile: options.answers,
       verbose: options.verbose
     });
+    
+    process.exitCode = initialized ? 0 : 1;
+  });
+
+// Wizard command: choose the tools and options of the setup interactively
+program
+  .command('wizard')
+  .description('Choose the project type, tools, test runner, module system, strictness and Git hooks, then set them up')
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--legacy-eslint', 'Generate .eslintrc.json for ESLint 8 instead of eslint.config.js')
+  .option('--typescript', 'Set up the TypeScript variant (tsconfig.json, typed linting, ts-jest)')
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('-f, --force', 'Override existing configurations', false)
+  .option('-s, --skip-install', 'Skip installing npm dependencies', false)
+  .option('--dry-run', 'Print every planned change without touching disk', false)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
+  .option('-v, --verbose', 'Show detailed output during setup', false)
+  .action(async (options) => {
+    console.log(chalk.blue.bold('AVR Quality System Scaffold - Setup Wizard'));
+    
+    const completed = await wizard({
+      packageManager: options.pm,
+      eslintConfig: options.legacyEslint ? 'legacy' : undefined,
+      typescript: options.typescript,
+      templateSource: options.templates,
+      plugins: options.plugin,
+      force: options.force,
+      skipInstall: options.skipInstall,
+      dryRun: options.dryRun,
+      yes: options.yes,
+      nonInteractive: options.interactive === false,
+      answers: options.answer,
+      answersFile: options.answers,
+      verbose: options.verbose
+    });
+    
+    process.exitCode = completed ? 0 : 1;
+  });
+
+// Add command: set up one more tool in a project already set up
+program
+  .command('add <tool>')
+  .description('Set up one more tool (eslint, prettier, jest, husky, lint-staged, commitlint, commitizen): its dependencies, configs, Git hook and scripts')
+  .option('-s, --skip-install', 'Skip installing npm dependencies', false)
+  .option('-i, --interactive', 'Show a diff for each file changed since the setup and choose keep, overwrite, merge or .new')
+  .option('--on-conflict <action>', 'Resolve every file changed since the setup with keep, overwrite, merge or new')
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('--dry-run', 'Print every planned change without touching disk', false)
+  .option('--json', 'Print the dry-run plan as JSON', false)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
+  .option('-v, --verbose', 'Show detailed output', false)
+  .action(async (tool, options) => {
+    const header = options.dryRun && options.json ? console.error : console.log;
+    header(chalk.blue.bold('AVR Quality System Scaffold - Add Tool'));
+    
+    const added = await add({ tool, ...getToolChangeOptions(options) });
+    
+    process.exitCode = added ? 0 : 1;
+  });
+
+// Remove command: remove a tool and what the setup generated for it
+program
+  .command('remove <tool>')
+  .description('Remove a tool: its dependencies, and the configs, Git hook and scripts not changed since the setup')
+  .option('-s, --skip-install', 'Skip removing npm dependencies', false)
+  .option('-i, --interactive', 'Show a diff for each file changed since the setup and choose keep, overwrite, merge or .new')
+  .option('--on-conflict <action>', 'Resolve every file changed since the setup with keep, overwrite, merge or new')
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('--dry-run', 'Print every planned change without touching disk', false)
+  .option('--json', 'Print the dry-run plan as JSON', false)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
+  .option('-v, --verbose', 'Show detailed output', false)
+  .action(async (tool, options) => {
+    const header = options.dryRun && options.json ? console.error : console.log;
+    header(chalk.blue.bold('AVR Quality System Scaffold - Remove Tool'));
+    
+    const removed = await remove({ tool, ...getToolChangeOptions(options) });
+    
+    process.exitCode = removed ? 0 : 1;
+  });
+
+// Upgrade command: move a project set up with an older version to this one
+program
+  .command('upgrade')
+  .description('Upgrade a project to this version: run the migrations and merge the new templates and scripts into the files as the project changed them')
+  .option('-s, --skip-install', 'Skip installing and removing npm dependencies', false)
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('--dry-run', 'Print every planned change, with the diff of each merged file, without touching disk', false)
+  .option('--json', 'Print the dry-run plan as JSON', false)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
+  .option('-v, --verbose', 'Show detailed output', false)
+  .action(async (options) => {
+    const header = options.dryRun && options.json ? console.error : console.log;
+    header(chalk.blue.bold('AVR Quality System Scaffold - Upgrade'));
+    
+    const upgraded = await upgrade({
+      skipInstall: options.skipInstall,
+      packageManager: options.pm,
+      templateSource: options.templates,
+      plugins: options.plugin,
+      dryRun: options.dryRun,
+      format: options.json ? 'json' : 'text',
+      yes: options.yes,
+      nonInteractive: options.interactive === false,
+      answers: options.answer,
+      answersFile: options.answers,
+      verbose: options.verbose
+    });
+    
+    process.exitCode = upgraded ? 0 : 1;
+  });
+
+// Doctor command: audit an already scaffolded project
+program
+  .command('doctor')
+  .description('Check the project against what the setup would produce')
+  .option('-t, --type <type>', 'Project type (node, react, next or a plugin type), auto-detected when omitted')
+  .option('--pm <manager>', 'Package manager (npm, pnpm, yarn, bun), auto-detected when omitted')
+  .option('--legacy-eslint', 'Check against .eslintrc.json (default: detected from the config file)')
+  .option('--typescript', 'Check against the TypeScript variant (default: detected from tsconfig.json)')
+  .option('--test-runner <runner>', 'Check against a test runner (default: detected from the project)')
+  .option('--templates <source>', 'Custom templates from a local directory, git URL or npm package')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('--fix', 'Repair the failing checks', false)
+  .option('-y, --yes', 'Take the default answer of every question without a preset answer', false)
+  .option('--no-interactive', 'Never prompt, fail on a question without a preset answer')
+  .option('--answer <id=value>', 'Preset the answer of a prompt by its ID, repeatable', collect)
+  .option('--answers <file>', 'JSON file of preset answers by prompt ID')
+  .option('-v, --verbose', 'Also list the checks that passed', false)
+  .action(async (options) => {
+    console.log(chalk.blue.bold('AVR Quality System Scaffold - Doctor'));
+    
+    const healthy = await doctor({
+      projectType: options.type,
+      packageManager: options.pm,
+      eslintConfig: options.legacyEslint ? 'legacy' : undefined,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      templateSource: options.templates,
+      plugins: options.plugin,
+      fix: options.fix,
+      yes: options.yes,
+      nonInteractive: options.interactive === false,
+      answers: options.answer,
+      answersFile: options.answers,
+      verbose: options.verbose
+    });
+    
+    process.exitCode = healthy ? 0 : 1;
+  });
+
+// Rollback command: undo the last setup run
+program
+  .command('rollback')
+  .description('Undo the files, directories and package.json changes of the last setup run')
+  .option('-v, --verbose', 'Show every restored or removed path', false)
+  .action(async (options) => {
+    console.log(chalk.blue.bold('AVR Quality System Scaffold - Rollback'));
+    
+    const rolledBack = await rollback({ verbose: options.verbose });
+    
+    process.exitCode = rolledBack ? 0 : 1;
   });
 
 // List command: show available project types and templates
 program
   .command('list')
-  .description('List available project types and templates')
-  .action(() => {
+  .description('List available project types, including the ones added by plugins, and templates')
+  .option('--plugin <name>', 'Plugin adding project types (package name or local path), repeatable', collect)
+  .option('-v, --verbose', 'Show detailed output', false)
+  .action(async (options) => {
     console.log(chalk.blue.bold('AVR Quality System Scaffold - Available Options'));
     
-    console.log(chalk.yellow.bold('\nProject Types:'));
-    console.log(` - ${chalk.green('node')}:  Node.js applications or libraries`);
-    console.log(` - ${chalk.green('react')}: React applications`);
-    console.log(` - ${chalk.green('next')}:  Next.js applications`);
-    
-    console.log(chalk.yellow.bold('\nFeatures included:'));
-    console.log(` - ${chalk.green('✓')} ESLint with Airbnb config variations & other plugins`);
-    console.log(` - ${chalk.green('✓')} Prettier for consistent formatting`);
-    console.log(` - ${chalk.green('✓')} Husky for Git hooks`);
-    console.log(` - ${chalk.green('✓')} lint-staged for efficient linting`);
-    console.log(` - ${chalk.green('✓')} Commitizen & commitlint for standardized commits`);
-    console.log(` - ${chalk.green('✓')} Jest for testing`);
-    
-    console.log(chalk.yellow.bold('\nUsage examples:'));
-    console.log(` - ${chalk.cyan('npx avr-qa-scaffold')} - Set up quality tools in current Node.js project`);
-    console.log(` - ${chalk.cyan('npx avr-qa-scaffold --type react')} - Set up for React project`);
-    console.log(` - ${chalk.cyan('npx avr-qa-scaffold init my-project')} - Create new Node.js project`);
-    console.log(` - ${chalk.cyan('npx avr-qa-scaffold init my-app --type next')} - Create new Next.js project`);
+    const listed = await list({ plugins: options.plugin, verbose: options.verbose });
+    
+    process.exitCode = listed ? 0 : 1;
   });
 
 // Parse command line arguments
@@ -4,15 +4,15 @@
  * @author Alejandro Valencia <dev@alejandrovr.com>
  * @description
  * Generates configuration files for the quality system
- * Handles creation of ESLint, Prettier, Jest, and other configuration files
+ * Creates the files declared in the template.json manifests (ESLint, Prettier, Jest, Git hooks...)
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-12
- * @lastModified 2025-05-12
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, existsSync } from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
@@ -27,36 +27,207 @@ import {
   fileExists,
   formatPath
 } from './utils.js';
-import { getProjectTypeConfig, getProjectDirectories } from './project-types.js';
-import { processTemplate } from './templates-loader.js';
+import {
+  getProjectTypeConfig,
+  getProjectDirectories,
+  ESLINT_CONFIG_FORMATS,
+  DEFAULT_ESLINT_CONFIG,
+  DEFAULT_TEST_RUNNER,
+  DEFAULT_MODULE_SYSTEM,
+  DEFAULT_STRICTNESS,
+  QUALITY_TOOLS
+} from './project-types.js';
+import { processTemplate, getPartials } from './templates-loader.js';
+import { getPackageManager } from './package-manager.js';
+import { recordChange } from './dry-run.js';
+import { createConflictState, resolveFileConflict } from './file-conflicts.js';
+import { mergeJsonConfig, MERGEABLE_CONFIGS, DEFAULT_MERGE_SCHEMA } from './config-merger.js';
+import { getTemplateManifest, selectManifestFiles } from './template-manifest.js';
+import { trackFile, trackDirectory } from './journal.js';
+import { createUnifiedDiff, mergeThreeWay } from './file-diff.js';
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
- * Map of standard files to create with their template filenames
- * @constant {Object}
+ * Git hooks a template manifest can generate in .husky, the names disabledHooks accepts
+ * @constant {string[]}
  */
-const STANDARD_CONFIG_FILES = {
-  // ESLint configuration
-  '.eslintrc.json': 'eslintrc.json',
-  
-  // Prettier configuration
-  '.prettierrc.json': 'prettierrc.json',
+export const GIT_HOOKS = [
+  'applypatch-msg',
+  'pre-applypatch',
+  'post-applypatch',
+  'pre-commit',
+  'pre-merge-commit',
+  'prepare-commit-msg',
+  'commit-msg',
+  'post-commit',
+  'pre-rebase',
+  'post-checkout',
+  'post-merge',
+  'pre-push',
+  'post-rewrite'
+];
+
+/**
+ * Vite config files, in the order Vite looks them up
+ * @constant {string[]}
+ */
+const VITE_CONFIG_FILES = ['vite.config.js', 'vite.config.mjs', 'vite.config.ts', 'vite.config.mts'];
+
+/**
+ * Next.js config files, in the order Next.js looks them up
+ * @constant {string[]}
+ */
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.ts', 'next.config.mts', 'next.config.cjs'];
+
+/**
+ * Where the files of a workspace are generated
+ * @typedef {Object} WorkspaceTarget
+ * @property {string} role - root for the shared tooling, package for a package extending it
+ * @property {string[]} patterns - Package patterns of the workspace
+ * @property {string[]|null} [jestProjects] - Package directories the root Jest config runs, from
+ * getWorkspaceJestProjects, the package patterns when null
+ */
+
+/**
+ * Variables available to the templates
+ * @param {Object} projectConfig - Project type configuration
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @param {Object} options - Options
+ * @param {string} options.eslintConfig - ESLint configuration format (flat, legacy)
+ * @param {boolean} options.typescript - Whether the TypeScript variant is generated
+ * @param {string|null} options.testRunner - Test runner (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, all of them by default
+ * @param {string} [options.directory='.'] - Directory the files are generated in
+ * @param {WorkspaceTarget} [options.workspace] - Workspace root or package the files are generated for
+ * @param {Object} [options.variables={}] - Variables from the project configuration, with the moduleSystem
+ * and strictness of the setup, they take precedence
+ * @returns {Object} Template variables
+ */
+function getTemplateVariables(projectConfig, packageManager, options) {
+  const { eslintConfig, typescript, testRunner, tools = QUALITY_TOOLS, directory = '.', workspace = null, variables = {} } = options;
+  const workspacePatterns = workspace ? workspace.patterns.filter((pattern) => !pattern.startsWith('!')) : [];
   
-  // Jest configuration
-  'jest.config.js': 'jest.config.js',
+  return {
+    projectName: path.basename(path.resolve(directory)),
+    projectType: projectConfig.id,
+    eslintConfig,
+    typescript,
+    testRunner,
+    // Whether each tool is set up, e.g. {{#if tools.prettier}}
+    tools: Object.fromEntries(QUALITY_TOOLS.map((tool) => [tool, tools.includes(tool)])),
+    // The setup passes its own in options.variables
+    moduleSystem: DEFAULT_MODULE_SYSTEM,
+    strictness: DEFAULT_STRICTNESS,
+    // The Vite config of the project, shared by vitest.config.js, or null
+    viteConfig: VITE_CONFIG_FILES.find((file) => existsSync(path.join(directory, file))) || null,
+    // The Next.js config of the project, whatever its extension, or null when next.config.js can be generated
+    nextConfig: NEXT_CONFIG_FILES.find((file) => existsSync(path.join(directory, file))) || null,
+    // root or package in a workspace, null otherwise
+    workspace: workspace ? workspace.role : null,
+    // Path from the package to the workspace root, e.g. "../.." to import the root configs
+    workspaceRoot: workspace ? path.posix.relative(directory, '.') || '.' : null,
+    // Package patterns of the workspace, without the excluding ones
+    workspacePatterns,
+    // Projects of the root jest.config.js, only the Jest packages when others use another runner
+    jestProjects: (workspace && workspace.jestProjects) || workspacePatterns,
+    year: new Date().getFullYear(),
+    nodeVersion: process.version,
+    packageManager: packageManager.id,
+    // Runners used by hooks, e.g. "{{exec}} lint-staged" or "{{run}} test:ci"
+    exec: packageManager.exec,
+    run: packageManager.run,
+    ...variables
+  };
+}
+
+/**
+ * Render a template by name, with the partials loaded alongside it
+ * @param {Object} templates - Templates loaded from template loader
+ * @param {string} templateName - Template to render
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered content
+ */
+function renderNamedTemplate(templates, templateName, variables) {
+  return processTemplate(templates[templateName], variables, { name: templateName, partials: getPartials(templates) });
+}
+
+/**
+ * Files to generate for a setup, from the manifest of the loaded templates
+ * @param {Object} templates - Templates loaded from template loader
+ * @param {Object} variables - Template variables, used by the manifest conditions
+ * @param {string[]} disabledHooks - Git hooks not to generate
+ * @param {string} directory - Directory the files are generated in
+ * @returns {Object[]} Files as { path, template, mode, merge, hook }
+ */
+function getManifestFiles(templates, variables, disabledHooks, directory) {
+  return selectManifestFiles(getTemplateManifest(templates), variables, { disabledHooks })
+    .map((file) => ({ ...file, path: path.join(directory, file.path) }));
+}
+
+/**
+ * Resolve the variables of a setup and the files its template manifest declares
+ * @param {Object} options - Options, see getGeneratedFiles
+ * @returns {Object} { files, variables }
+ */
+function resolveGeneratedFiles(options) {
+  const {
+    projectType = 'node',
+    templates,
+    eslintConfig = DEFAULT_ESLINT_CONFIG,
+    typescript = false,
+    testRunner = DEFAULT_TEST_RUNNER,
+    tools = QUALITY_TOOLS,
+    packageManager = getPackageManager(),
+    directory = '.',
+    workspace = null,
+    disabledHooks = [],
+    variables = {}
+  } = options;
   
-  // Lint-staged configuration
-  '.lintstagedrc.json': 'lintstagedrc.json',
+  const projectConfig = getProjectTypeConfig(projectType);
+  if (!projectConfig) {
+    throw new Error(`Invalid project type: ${projectType}`);
+  }
   
-  // Commitlint configuration
-  'commitlint.config.js': 'commitlint.config.js',
+  const templateVariables = getTemplateVariables(projectConfig, packageManager, { eslintConfig, typescript, testRunner, tools, directory, workspace, variables });
+  return { files: getManifestFiles(templates, templateVariables, disabledHooks, directory), variables: templateVariables };
+}
+
+/**
+ * List the files a setup would generate, as declared in the template manifest
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {Object} options.templates - Templates loaded from template loader
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether to include the TypeScript configuration
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, the files of the other ones are left out (all of them by default)
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {string} [options.directory='.'] - Directory the files are generated in, e.g. a workspace package
+ * @param {WorkspaceTarget} [options.workspace] - Workspace root or package the files are generated for
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to generate
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @returns {Object[]} Files as { path, template, mode, merge, hook }
+ */
+export function getGeneratedFiles(options) {
+  return resolveGeneratedFiles(options).files;
+}
+
+/**
+ * List the configuration files and hooks a setup would generate, with their processed content
+ * @param {Object} options - Options, the same as getGeneratedFiles
+ * @returns {Object[]} Files as { path, template, mode, merge, hook, content }, content is null when the template is missing
+ */
+export function getExpectedFiles(options) {
+  const { templates } = options;
+  const { files, variables } = resolveGeneratedFiles(options);
+  const render = (template) => (templates[template] ? renderNamedTemplate(templates, template, variables) : null);
   
-  // Git ignore file
-  '.gitignore': 'gitignore'
-};
+  return files.map((file) => ({ ...file, content: render(file.template) }));
+}
 
 /**
  * Create all configuration files for the project
@@ -64,6 +235,20 @@ const STANDARD_CONFIG_FILES = {
  * @param {string} options.projectType - Type of project (node, react, next)
  * @param {Object} options.templates - Templates loaded from template loader
  * @param {boolean} options.force - Whether to override existing configurations
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether to generate the TypeScript configuration
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, the files of the other ones are left out (all of them by default)
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.interactive=false] - Show a diff and ask what to do with each existing file
+ * @param {string} [options.onConflict] - Resolve every existing file with this action (keep, overwrite, merge, new)
+ * @param {boolean} [options.merge=false] - Merge existing JSON configs with the templates key by key
+ * @param {string} [options.directory='.'] - Directory the files are generated in, e.g. a workspace package
+ * @param {WorkspaceTarget} [options.workspace] - Workspace root or package the files are generated for
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to generate
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {Object} [options.plan] - Dry-run plan from createPlan, changes are recorded instead of applied
+ * @param {Object} [options.journal] - Journal recording the original state of everything written
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<boolean>} Whether configuration was successful
  */
@@ -72,6 +257,20 @@ export async function createConfigFiles(options) {
     projectType = 'node',
     templates,
     force = false,
+    eslintConfig = DEFAULT_ESLINT_CONFIG,
+    typescript = false,
+    testRunner = DEFAULT_TEST_RUNNER,
+    tools = QUALITY_TOOLS,
+    packageManager = getPackageManager(),
+    interactive = false,
+    onConflict = null,
+    merge = false,
+    directory = '.',
+    workspace = null,
+    disabledHooks = [],
+    variables = {},
+    plan = null,
+    journal = null,
     verbose = false
   } = options;
   
@@ -79,54 +278,354 @@ export async function createConfigFiles(options) {
     throw new Error('No templates provided. Make sure to load templates first.');
   }
   
+  if (!ESLINT_CONFIG_FORMATS.includes(eslintConfig)) {
+    throw new Error(`Invalid ESLint config format: ${eslintConfig}`);
+  }
+  
   // Get project configuration
   const projectConfig = getProjectTypeConfig(projectType);
   if (!projectConfig) {
     throw new Error(`Invalid project type: ${projectType}`);
   }
   
-  const templateVariables = {
-    projectName: path.basename(process.cwd()),
-    projectType: projectConfig.id,
-    year: new Date().getFullYear(),
-    nodeVersion: process.version
-  };
+  const templateVariables = getTemplateVariables(projectConfig, packageManager, { eslintConfig, typescript, testRunner, tools, directory, workspace, variables });
+  
+  // Existing files are resolved one by one in interactive mode, or all with the same action
+  const conflicts = interactive || onConflict ? createConflictState({ applyToAll: onConflict }) : null;
+  
+  // Create every file the template manifest declares, hooks included
+  const files = getManifestFiles(templates, templateVariables, disabledHooks, directory);
+  await createParentDirectories(files, { plan, journal });
+  
+  for (const file of files) {
+    await createGeneratedFile(file, templates, templateVariables, { force, conflicts, merge, plan, journal, verbose });
+  }
+  
+  // Create directory structure, the root of a workspace holds no sources of its own
+  if (!workspace || workspace.role !== 'root') {
+    await createProjectStructure(projectType, { directory, plan, journal, verbose });
+  }
+  
+  return true;
+}
+
+/**
+ * Update the configuration files and hooks of a setup after a change of tools.
+ * Files of an added tool are created and files of a removed tool deleted; files both setups
+ * generate (ESLint config, lint-staged config, Git hooks) are rewritten with the new template.
+ * Files changed since the setup are kept, or resolved through the diff prompt in conflict mode.
+ * @param {Object} options - Options, the same as createConfigFiles
+ * @param {string[]} options.previousTools - Tools set up before the change
+ * @param {string[]} options.tools - Tools set up after the change
+ * @returns {Promise<boolean>} Whether configuration was successful
+ */
+export async function updateConfigFiles(options) {
+  const {
+    templates,
+    previousTools,
+    interactive = false,
+    onConflict = null,
+    plan = null,
+    journal = null,
+    verbose = false
+  } = options;
   
-  // Create standard configuration files
-  for (const [filename, templateName] of Object.entries(STANDARD_CONFIG_FILES)) {
-    await createConfigFile(filename, templateName, templates, templateVariables, { force, verbose });
+  if (!templates) {
+    throw new Error('No templates provided. Make sure to load templates first.');
   }
   
-  // Create Husky hooks
-  await createHuskyHooks(templates, { force, verbose });
+  // The previous setup is rendered again to tell generated files from files changed since
+  const previousFiles = new Map(getExpectedFiles({ ...options, tools: previousTools }).map((file) => [file.path, file]));
+  const { files, variables } = resolveGeneratedFiles(options);
+  const conflicts = interactive || onConflict ? createConflictState({ applyToAll: onConflict }) : null;
   
-  // Create directory structure
-  await createProjectStructure(projectType, { verbose });
+  await createParentDirectories(files.filter((file) => !previousFiles.has(file.path)), { plan, journal });
   
-  // Create sample test files
-  await createSampleTestFiles(projectType, templates, { force, verbose });
+  for (const file of files) {
+    const previous = previousFiles.get(file.path);
+    if (!previous) {
+      await createGeneratedFile(file, templates, variables, { conflicts, plan, journal, verbose });
+      continue;
+    }
+    
+    const content = templates[file.template] ? renderNamedTemplate(templates, file.template, variables) : null;
+    if (content === previous.content || file.merge === 'keep') {
+      continue;
+    }
+    
+    const existing = await readExistingFile(file.path);
+    if (existing === null || existing === previous.content) {
+      await createGeneratedFile(file, templates, variables, { force: true, plan, journal, verbose });
+    } else if (conflicts) {
+      await createGeneratedFile(file, templates, variables, { conflicts, plan, journal, verbose });
+    } else {
+      if (plan) {
+        recordChange(plan, { type: 'file', action: 'skip', path: file.path, reason: 'changed since the setup' });
+      }
+      logWarning(`${chalk.cyan(formatPath(file.path))} was changed since the setup, update it by hand or run with --interactive.`);
+    }
+  }
+  
+  const paths = new Set(files.map((file) => file.path));
+  for (const previous of previousFiles.values()) {
+    if (!paths.has(previous.path)) {
+      await removeGeneratedFile(previous, { plan, journal, verbose });
+    }
+  }
   
   return true;
 }
 
 /**
- * Create a single configuration file
- * @param {string} filename - Output filename
- * @param {string} templateName - Template name to use
+ * Bring the configuration files and hooks of a setup to the current templates.
+ * Each file is merged three ways: the content it was generated with (the base), the file as the
+ * project has it now and the new template. Changes on one side are applied, the same lines changed
+ * on both sides are written with Git style conflict markers. Files the project deleted stay deleted,
+ * files no longer generated are removed while unchanged.
+ * @param {Object} options - Options, the same as createConfigFiles
+ * @param {Object[]} options.baseFiles - Files as { path, content } the way they were generated, from the stamp
+ * @returns {Promise<string[]>} Paths of the files left with conflict markers
+ */
+export async function upgradeConfigFiles(options) {
+  const {
+    templates,
+    baseFiles,
+    plan = null,
+    journal = null,
+    verbose = false
+  } = options;
+  
+  if (!templates) {
+    throw new Error('No templates provided. Make sure to load templates first.');
+  }
+  
+  const bases = new Map(baseFiles.map((file) => [file.path, file.content]));
+  const { files, variables } = resolveGeneratedFiles(options);
+  const conflicted = [];
+  
+  await createParentDirectories(files.filter((file) => !bases.has(file.path)), { plan, journal });
+  
+  for (const file of files) {
+    const base = bases.get(file.path);
+    
+    // Files the project owns once created, and files never generated before, are created as in a setup
+    if (file.merge === 'keep' || !templates[file.template] || base === undefined) {
+      await createGeneratedFile(file, templates, variables, { plan, journal, verbose });
+      continue;
+    }
+    
+    const incoming = renderNamedTemplate(templates, file.template, variables);
+    const existing = await readExistingFile(file.path);
+    
+    if (existing === null) {
+      if (plan) {
+        recordChange(plan, { type: 'file', action: 'skip', path: file.path, reason: 'deleted since the setup' });
+      }
+      if (verbose) {
+        logInfo(`${chalk.cyan(formatPath(file.path))} was deleted since the setup, not creating it again.`);
+      }
+      continue;
+    }
+    
+    // Nothing new in the template, or the project already has it
+    if (existing === incoming || base === incoming) {
+      if (plan) {
+        recordChange(plan, { type: 'file', action: 'unchanged', path: file.path });
+      }
+      continue;
+    }
+    
+    const { content, conflicts } = mergeThreeWay(base, existing, incoming);
+    const action = conflicts > 0 ? 'conflict' : (existing === base ? 'update' : 'merge');
+    
+    if (plan) {
+      const diff = createUnifiedDiff(existing, content, { fromFile: file.path, toFile: `${file.path} (upgraded)` });
+      recordChange(plan, { type: 'file', action, path: file.path, diff });
+    } else {
+      await trackFile(journal, file.path);
+      await fs.writeFile(file.path, content);
+    }
+    
+    if (conflicts > 0) {
+      conflicted.push(file.path);
+      logWarning(`${chalk.cyan(formatPath(file.path))} has ${conflicts} conflict(s) with the new template, resolve the conflict markers.`);
+    } else if (!plan) {
+      logSuccess(`${action === 'update' ? 'Updated' : 'Merged the template changes into'} ${chalk.cyan(formatPath(file.path))}`);
+    }
+  }
+  
+  const paths = new Set(files.map((file) => file.path));
+  for (const [filePath, content] of bases) {
+    if (!paths.has(filePath)) {
+      await removeGeneratedFile({ path: filePath, content }, { plan, journal, verbose });
+    }
+  }
+  
+  return conflicted;
+}
+
+/**
+ * Merge JSON generated from a template into the existing content, with the schema of the file
+ * or a deep merge for the files the manifest marks as mergeable
+ * @param {string} filePath - Path of the configuration file
+ * @param {string} existing - Current content
+ * @param {string} incoming - Content generated from the template
+ * @returns {string} Merged content
+ */
+function mergeGeneratedJson(filePath, existing, incoming) {
+  const schema = MERGEABLE_CONFIGS[path.basename(filePath)] || DEFAULT_MERGE_SCHEMA;
+  return mergeJsonConfig(filePath, existing, incoming, schema);
+}
+
+/**
+ * Decide where generated content is written when the target may already exist.
+ * In conflict mode existing files go through the diff prompt, otherwise they are overwritten.
+ * @param {string} filePath - Target path
+ * @param {string} content - Generated content
+ * @param {Object} options - Options
+ * @param {boolean} options.exists - Whether the target already exists
+ * @param {Object} [options.conflicts] - Conflict state, null when existing files are overwritten
+ * @param {boolean} [options.mergeable=false] - Whether the prompt offers a key by key merge
+ * @returns {Promise<Object|null>} { path, content } to write, or null to leave the file as it is
+ */
+async function resolveGeneratedFile(filePath, content, { exists, conflicts = null, mergeable = false }) {
+  if (!exists || !conflicts) {
+    return { path: filePath, content };
+  }
+  
+  const existing = await fs.readFile(filePath, 'utf8');
+  const merge = mergeable
+    ? (current, incoming) => mergeGeneratedJson(filePath, current, incoming)
+    : null;
+  
+  return resolveFileConflict({ filePath, existing, incoming: content, state: conflicts, merge });
+}
+
+/**
+ * Merge the template into an existing JSON configuration file, key by key
+ * @param {string} filename - Existing configuration file
+ * @param {string} content - Content generated from the template
+ * @param {Object} options - Options
+ * @param {Object} [options.plan] - Dry-run plan, the merge is recorded instead of written
+ * @param {Object} [options.journal] - Journal recording the original state of everything written
+ * @returns {Promise<boolean>} Whether the file was changed
+ */
+async function mergeConfigFile(filename, content, { plan = null, journal = null }) {
+  const existing = await fs.readFile(filename, 'utf8');
+  
+  let merged;
+  try {
+    merged = mergeGeneratedJson(filename, existing, content);
+  } catch (error) {
+    if (plan) {
+      recordChange(plan, { type: 'file', action: 'skip', path: filename, reason: error.message });
+    }
+    logWarning(`${error.message}, keeping it as it is.`);
+    return false;
+  }
+  
+  const diff = createUnifiedDiff(existing, merged, { fromFile: filename, toFile: `${filename} (merged)` });
+  
+  if (plan) {
+    recordChange(plan, diff
+      ? { type: 'file', action: 'merge', path: filename, diff }
+      : { type: 'file', action: 'unchanged', path: filename });
+    return Boolean(diff);
+  }
+  
+  if (!diff) {
+    logInfo(`${chalk.cyan(formatPath(filename))} already includes the template settings.`);
+    return false;
+  }
+  
+  await trackFile(journal, filename);
+  await fs.writeFile(filename, merged);
+  logSuccess(`Merged template settings into ${chalk.cyan(formatPath(filename))}`);
+  return true;
+}
+
+/**
+ * Record a file in the dry-run plan, with the diff against the existing file in conflict mode
+ * @param {Object} plan - Dry-run plan
+ * @param {string} filePath - Target path
+ * @param {string} content - Generated content
+ * @param {Object} options - Options
+ * @param {boolean} options.exists - Whether the target already exists
+ * @param {Object} [options.conflicts] - Conflict state, null when existing files are overwritten
+ * @returns {Promise<void>}
+ */
+async function recordGeneratedFile(plan, filePath, content, { exists, conflicts = null }) {
+  if (!exists) {
+    recordChange(plan, { type: 'file', action: 'create', path: filePath });
+  } else if (!conflicts) {
+    recordChange(plan, { type: 'file', action: 'overwrite', path: filePath });
+  } else {
+    const existing = await fs.readFile(filePath, 'utf8');
+    const diff = createUnifiedDiff(existing, content, { fromFile: filePath, toFile: `${filePath} (template)` });
+    
+    recordChange(plan, diff
+      ? { type: 'file', action: 'conflict', path: filePath, diff }
+      : { type: 'file', action: 'unchanged', path: filePath });
+  }
+}
+
+/**
+ * Create the directories holding the generated files, such as .husky
+ * @param {Object[]} files - Files from the template manifest
+ * @param {Object} options - Options
+ * @param {Object} [options.plan] - Dry-run plan, missing directories are recorded instead of created
+ * @param {Object} [options.journal] - Journal recording the original state of everything written
+ * @returns {Promise<void>}
+ */
+async function createParentDirectories(files, { plan = null, journal = null }) {
+  const directories = [...new Set(files.map(({ path: filePath }) => dirname(filePath)))]
+    .filter((dir) => dir !== '.');
+  
+  for (const dir of directories) {
+    if (plan) {
+      if (!await fileExists(dir)) {
+        recordChange(plan, { type: 'directory', action: 'create', path: dir });
+      }
+      continue;
+    }
+    
+    await trackDirectory(journal, dir);
+    await createDirIfNotExists(dir);
+  }
+}
+
+/**
+ * Create a single file declared in the template manifest
+ * @param {Object} file - File from the template manifest
+ * @param {string} file.path - Output path
+ * @param {string} file.template - Template name to use
+ * @param {number|null} file.mode - File mode, null to keep the default
+ * @param {string} file.merge - Merge strategy (overwrite, json, keep)
+ * @param {boolean} file.hook - Whether the file is a Git hook
  * @param {Object} templates - Templates loaded from template loader
  * @param {Object} variables - Variables to replace in the template
  * @param {Object} options - Options
  * @param {boolean} options.force - Whether to override existing file
+ * @param {Object} [options.conflicts] - Conflict state, existing files are resolved through the diff prompt
+ * @param {boolean} [options.merge=false] - Merge an existing JSON config with the template
+ * @param {Object} [options.plan] - Dry-run plan, the file is recorded instead of written
+ * @param {Object} [options.journal] - Journal recording the original state of everything written
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<boolean>} Whether file was created
  */
-async function createConfigFile(filename, templateName, templates, variables, options) {
-  const { force = false, verbose = false } = options;
+async function createGeneratedFile(file, templates, variables, options) {
+  const { force = false, conflicts = null, merge = false, plan = null, journal = null, verbose = false } = options;
+  const { path: filename, template: templateName, mode, hook } = file;
+  const label = hook ? 'hook ' : '';
   
-  // Check if file already exists
+  // Check if file already exists, files the manifest keeps belong to the project once created
   const exists = await fileExists(filename);
+  const mergeExisting = merge && exists && file.merge === 'json';
   
-  if (exists && !force) {
+  if (exists && (file.merge === 'keep' || (!force && !conflicts && !mergeExisting))) {
+    if (plan) {
+      recordChange(plan, { type: 'file', action: 'skip', path: filename, reason: 'already exists' });
+    }
     if (verbose) {
       logInfo(`File ${chalk.cyan(formatPath(filename))} already exists, skipping.`);
     }
@@ -137,105 +636,132 @@ async function createConfigFile(filename, templateName, templates, variables, op
   const templateContent = templates[templateName];
   
   if (!templateContent) {
-    logWarning(`Template ${chalk.yellow(templateName)} not found, skipping ${chalk.cyan(formatPath(filename))}.`);
+    if (plan) {
+      recordChange(plan, { type: 'file', action: 'skip', path: filename, reason: `template ${templateName} not found` });
+    }
+    logWarning(`Template ${chalk.yellow(templateName)} not found, skipping ${label}${chalk.cyan(formatPath(filename))}.`);
     return false;
   }
   
   try {
     // Process template with variables
-    const processedContent = processTemplate(templateContent, variables);
+    const processedContent = renderNamedTemplate(templates, templateName, variables);
     
-    // Write the file
-    await fs.writeFile(filename, processedContent);
+    if (mergeExisting) {
+      return await mergeConfigFile(filename, processedContent, { plan, journal });
+    }
+    
+    if (plan) {
+      await recordGeneratedFile(plan, filename, processedContent, { exists, conflicts });
+      return true;
+    }
+    
+    const target = await resolveGeneratedFile(filename, processedContent, {
+      exists,
+      conflicts,
+      mergeable: file.merge === 'json'
+    });
+    if (!target) {
+      return false;
+    }
+    
+    // Write the file, with the mode the manifest asks for (hooks are executable)
+    await trackFile(journal, target.path);
+    await fs.writeFile(target.path, target.content);
+    if (mode !== null) {
+      await fs.chmod(target.path, mode);
+    }
     
-    logSuccess(`Created ${chalk.cyan(formatPath(filename))}`);
+    logSuccess(`${exists && target.path === filename ? 'Updated' : 'Created'} ${label}${chalk.cyan(formatPath(target.path))}`);
     return true;
   } catch (error) {
-    logError(`Failed to create ${chalk.cyan(formatPath(filename))}: ${error.message}`);
+    logError(`Failed to create ${label}${chalk.cyan(formatPath(filename))}: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Create Husky hooks
- * @param {Object} templates - Templates loaded from template loader
+ * Read a file that may not exist
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string|null>} Content, null when the file does not exist
+ */
+async function readExistingFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Delete a file a setup generated, unless it was changed since
+ * @param {Object} file - File from getExpectedFiles, with the content it was generated with
  * @param {Object} options - Options
- * @param {boolean} options.force - Whether to override existing hooks
+ * @param {Object} [options.plan] - Dry-run plan, the removal is recorded instead of done
+ * @param {Object} [options.journal] - Journal recording the original state of everything written
  * @param {boolean} options.verbose - Whether to show verbose output
- * @returns {Promise<boolean>} Whether hooks were created
+ * @returns {Promise<boolean>} Whether the file was removed
  */
-async function createHuskyHooks(templates, options) {
-  const { force = false, verbose = false } = options;
-  
-  // Make sure .husky directory exists
-  await createDirIfNotExists('.husky');
+async function removeGeneratedFile(file, { plan = null, journal = null, verbose = false }) {
+  const { path: filename, hook } = file;
+  const label = hook ? 'hook ' : '';
+  const existing = await readExistingFile(filename);
   
-  // Create hooks from templates
-  const hooks = [
-    { file: 'pre-commit', template: 'husky/pre-commit' },
-    { file: 'commit-msg', template: 'husky/commit-msg' },
-    { file: 'prepare-commit-msg', template: 'husky/prepare-commit-msg' },
-    { file: 'pre-push', template: 'husky/pre-push' }
-  ];
-  
-  let successful = true;
-  
-  // Create each hook
-  for (const { file, template } of hooks) {
-    const filePath = path.join('.husky', file);
-    const templateContent = templates[template];
-    
-    if (!templateContent) {
-      logWarning(`Template ${chalk.yellow(template)} not found, skipping hook ${chalk.cyan(file)}.`);
-      successful = false;
-      continue;
-    }
-    
-    // Check if hook already exists
-    const exists = await fileExists(filePath);
-    
-    if (exists && !force) {
-      if (verbose) {
-        logInfo(`Hook ${chalk.cyan(file)} already exists, skipping.`);
-      }
-      continue;
+  if (existing === null) {
+    if (verbose) {
+      logInfo(`File ${chalk.cyan(formatPath(filename))} does not exist, nothing to remove.`);
     }
-    
-    try {
-      // Write the hook file
-      await fs.writeFile(filePath, templateContent);
-      
-      // Make the hook executable
-      await fs.chmod(filePath, 0o755);
-      
-      logSuccess(`Created hook ${chalk.cyan(file)}`);
-    } catch (error) {
-      logError(`Failed to create hook ${chalk.cyan(file)}: ${error.message}`);
-      successful = false;
+    return false;
+  }
+  
+  if (existing !== file.content) {
+    if (plan) {
+      recordChange(plan, { type: 'file', action: 'skip', path: filename, reason: 'changed since the setup' });
     }
+    logWarning(`${chalk.cyan(formatPath(filename))} was changed since the setup, keeping it. Remove it by hand if it is no longer needed.`);
+    return false;
   }
   
-  return successful;
+  if (plan) {
+    recordChange(plan, { type: 'file', action: 'remove', path: filename });
+    return true;
+  }
+  
+  await trackFile(journal, filename);
+  await fs.rm(filename);
+  logSuccess(`Removed ${label}${chalk.cyan(formatPath(filename))}`);
+  return true;
 }
 
 /**
  * Create project directory structure
  * @param {string} projectType - Type of project
  * @param {Object} options - Options
+ * @param {string} [options.directory='.'] - Directory the structure is created in
+ * @param {Object} [options.plan] - Dry-run plan, missing directories are recorded instead of created
+ * @param {Object} [options.journal] - Journal recording the original state of everything written
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<boolean>} Whether directories were created
  */
 async function createProjectStructure(projectType, options) {
-  const { verbose = false } = options;
+  const { directory = '.', plan = null, journal = null, verbose = false } = options;
   
   // Get directories for this project type
-  const directories = getProjectDirectories(projectType);
+  const directories = getProjectDirectories(projectType).map((dir) => path.join(directory, dir));
   
   let successful = true;
   
   // Create each directory
   for (const dir of directories) {
+    if (plan) {
+      if (!await fileExists(dir)) {
+        recordChange(plan, { type: 'directory', action: 'create', path: dir });
+      }
+      continue;
+    }
+    
     try {
+      await trackDirectory(journal, dir);
       const created = await createDirIfNotExists(dir);
       
       if (created) {
@@ -251,74 +777,3 @@ async function createProjectStructure(projectType, options) {
   
   return successful;
 }
-
-/**
- * Create sample test files
- * @param {string} projectType - Type of project
- * @param {Object} templates - Templates loaded from template loader
- * @param {Object} options - Options
- * @param {boolean} options.force - Whether to override existing files
- * @param {boolean} options.verbose - Whether to show verbose output
- * @returns {Promise<boolean>} Whether files were created
- */
-async function createSampleTestFiles(projectType, templates, options) {
-  const { force = false, verbose = false } = options;
-  
-  // Define sample test files based on project type
-  const sampleFiles = [
-    {
-      path: 'tests/unit/sample.test.js',
-      template: `tests/${projectType}/sample.test.js`,
-      fallback: 'tests/sample.test.js'
-    },
-    {
-      path: 'tests/integration/sample.integration.test.js',
-      template: `tests/${projectType}/sample.integration.test.js`,
-      fallback: 'tests/sample.integration.test.js'
-    }
-  ];
-  
-  let successful = true;
-  
-  // Create each sample file
-  for (const { path: filePath, template, fallback } of sampleFiles) {
-    // Check if directories exist
-    await createDirIfNotExists(dirname(filePath));
-    
-    // Check if file already exists
-    const exists = await fileExists(filePath);
-    
-    if (exists && !force) {
-      if (verbose) {
-        logInfo(`File ${chalk.cyan(formatPath(filePath))} already exists, skipping.`);
-      }
-      continue;
-    }
-    
-    // Try to get template content
-    let templateContent = templates[template];
-    
-    // If specific template not found, use fallback
-    if (!templateContent && fallback) {
-      templateContent = templates[fallback];
-    }
-    
-    // If still no template, skip
-    if (!templateContent) {
-      logWarning(`Template for ${chalk.yellow(filePath)} not found, skipping.`);
-      continue;
-    }
-    
-    try {
-      // Write the file
-      await fs.writeFile(filePath, templateContent);
-      
-      logSuccess(`Created sample test ${chalk.cyan(formatPath(filePath))}`);
-    } catch (error) {
-      logError(`Failed to create sample test ${chalk.cyan(formatPath(filePath))}: ${error.message}`);
-      successful = false;
-    }
-  }
-  
-  return successful;
-}
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * @module src/config-merger.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Structural merge of existing JSON configuration files with the scaffold templates
+ * Each key has its own strategy so hand-tuned settings survive while new plugins are picked up
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import path from 'path';
+
+/**
+ * Merge strategies for legacy ESLint configs, '*' applies to every other key
+ * @constant {Object}
+ */
+const ESLINT_MERGE_SCHEMA = {
+  extends: 'extends',
+  plugins: 'union',
+  rules: 'fill',
+  overrides: 'overrides',
+  '*': 'deep',
+};
+
+/**
+ * JSON configuration files that can be merged, with the strategy of each key
+ * @constant {Object}
+ */
+export const MERGEABLE_CONFIGS = {
+  '.eslintrc.json': ESLINT_MERGE_SCHEMA,
+  // Options the project already set win, missing ones come from the template
+  '.prettierrc.json': { '*': 'deep' },
+  // Globs the project already configured keep their commands
+  '.lintstagedrc.json': { '*': 'deep' },
+};
+
+/**
+ * Schema of the JSON files a template manifest marks as mergeable, when they have no schema of their own
+ * @constant {Object}
+ */
+export const DEFAULT_MERGE_SCHEMA = { '*': 'deep' };
+
+/**
+ * Whether a file can be merged structurally
+ * @param {string} filePath - Path of the configuration file
+ * @returns {boolean} Whether the file has a merge schema
+ */
+export function isMergeableConfig(filePath) {
+  return Object.prototype.hasOwnProperty.call(MERGEABLE_CONFIGS, path.basename(filePath));
+}
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is an object and not an array
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Append the template items the existing list does not have yet
+ * @param {*} existing - Existing list or single value
+ * @param {*} template - Template list or single value
+ * @returns {Array} Existing items followed by the new template items
+ */
+function unionValues(existing, template) {
+  const result = [].concat(existing);
+  const seen = new Set(result.map((item) => JSON.stringify(item)));
+
+  [].concat(template).forEach((item) => {
+    if (!seen.has(JSON.stringify(item))) {
+      seen.add(JSON.stringify(item));
+      result.push(item);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Union of two extends lists, keeping Prettier configs last so they can turn off formatting rules
+ * @param {*} existing - Existing extends
+ * @param {*} template - Template extends
+ * @returns {string[]} Merged extends
+ */
+function mergeExtends(existing, template) {
+  const merged = unionValues(existing, template);
+  const isPrettier = (entry) => /(^|[/:])prettier(\/|$)/.test(entry);
+
+  return [
+    ...merged.filter((entry) => !isPrettier(entry)),
+    ...merged.filter((entry) => isPrettier(entry)),
+  ];
+}
+
+/**
+ * Add the template keys the existing object does not set, existing values are kept as they are
+ * @param {Object} existing - Existing object
+ * @param {Object} template - Template object
+ * @returns {Object} Filled object
+ */
+function fillMissing(existing, template) {
+  if (!isPlainObject(existing) || !isPlainObject(template)) {
+    return existing;
+  }
+
+  const missing = Object.entries(template).filter(([key]) => !(key in existing));
+  return { ...existing, ...Object.fromEntries(missing) };
+}
+
+/**
+ * Recursive merge where existing values win and nested objects are merged key by key
+ * @param {*} existing - Existing value
+ * @param {*} template - Template value
+ * @returns {*} Merged value
+ */
+function mergeDeep(existing, template) {
+  if (!isPlainObject(existing) || !isPlainObject(template)) {
+    return existing;
+  }
+
+  const merged = Object.entries(template).map(([key, value]) => [
+    key,
+    key in existing ? mergeDeep(existing[key], value) : value,
+  ]);
+  return { ...existing, ...Object.fromEntries(merged) };
+}
+
+/**
+ * Key identifying an ESLint override by the globs it applies to
+ * @param {Object} override - Override entry
+ * @returns {string} Normalized files key
+ */
+function overrideKey(override) {
+  return JSON.stringify([].concat(override.files || []).sort());
+}
+
+/**
+ * Combine ESLint overrides by files glob, overrides for the same files are merged like a config
+ * @param {Object[]} existing - Existing overrides
+ * @param {Object[]} template - Template overrides
+ * @param {Function} mergeConfig - mergeConfigObjects, which calls the strategies
+ * @returns {Object[]} Merged overrides
+ */
+function mergeOverrides(existing, template, mergeConfig) {
+  if (!Array.isArray(existing) || !Array.isArray(template)) {
+    return existing;
+  }
+
+  const result = [...existing];
+  template.forEach((override) => {
+    const index = result.findIndex((entry) => overrideKey(entry) === overrideKey(override));
+
+    if (index === -1) {
+      result.push(override);
+    } else {
+      result[index] = mergeConfig(result[index], override, ESLINT_MERGE_SCHEMA);
+    }
+  });
+  return result;
+}
+
+/**
+ * Functions implementing each merge strategy
+ * @constant {Object}
+ */
+const STRATEGIES = {
+  union: unionValues,
+  extends: mergeExtends,
+  fill: fillMissing,
+  deep: mergeDeep,
+  overrides: mergeOverrides,
+};
+
+/**
+ * Merge two configuration objects following a schema of per-key strategies
+ * @param {Object} existing - Configuration the project already has
+ * @param {Object} template - Configuration generated from the template
+ * @param {Object} schema - Map of key to strategy (union, extends, fill, deep, overrides), '*' for the rest
+ * @returns {Object} Merged configuration, existing keys first
+ */
+export function mergeConfigObjects(existing, template, schema) {
+  const result = { ...existing };
+
+  Object.entries(template).forEach(([key, value]) => {
+    if (!(key in existing)) {
+      result[key] = value;
+      return;
+    }
+
+    const strategy = schema[key] || schema['*'] || 'deep';
+    const merge = STRATEGIES[strategy];
+
+    if (!merge) {
+      throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+
+    result[key] = merge(existing[key], value, mergeConfigObjects);
+  });
+
+  return result;
+}
+
+/**
+ * Parse a JSON configuration file
+ * @param {string} filePath - Path used in error messages
+ * @param {string} content - File content
+ * @param {string} source - Which side is parsed (existing, template)
+ * @returns {Object} Parsed configuration
+ */
+function parseConfig(filePath, content, source) {
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(
+      `Cannot merge ${filePath}: the ${source} file is not valid JSON (${error.message})`,
+    );
+  }
+
+  if (!isPlainObject(config)) {
+    throw new Error(`Cannot merge ${filePath}: the ${source} file is not a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Merge the content of an existing JSON configuration file with the template content
+ * @param {string} filePath - Path of the configuration file, selects the merge schema
+ * @param {string} existingContent - Current content of the file
+ * @param {string} templateContent - Content generated from the template
+ * @param {Object} [schema] - Merge schema, defaults to the one of the file in MERGEABLE_CONFIGS
+ * @returns {string} Merged content formatted with two spaces
+ */
+export function mergeJsonConfig(
+  filePath,
+  existingContent,
+  templateContent,
+  schema = MERGEABLE_CONFIGS[path.basename(filePath)],
+) {
+  if (!schema) {
+    throw new Error(`No merge strategy for ${filePath}`);
+  }
+
+  const merged = mergeConfigObjects(
+    parseConfig(filePath, existingContent, 'existing'),
+    parseConfig(filePath, templateContent, 'template'),
+    schema,
+  );
+
+  return `${JSON.stringify(merged, null, 2)}\n`;
+}
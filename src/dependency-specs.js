@@ -0,0 +1,116 @@
+/**
+ * @module src/dependency-specs.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Parses dependency specs as given to a package manager or found in package.json
+ * (eslint@^9.17.0, @commitlint/cli, alias@npm:eslint@^8, pkg@workspace:*, git and file specs)
+ * and checks installed versions against the range they require
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import semver from 'semver';
+
+/**
+ * Parsed dependency spec
+ * @typedef {Object} DependencySpec
+ * @property {string|null} name - Package name, the alias for npm aliases, null for a bare git or URL spec
+ * @property {string|null} specifier - What follows the name, null when there is none
+ * @property {string} type - range, tag, alias, workspace, git, file or url
+ * @property {string|null} range - Semver range required, "*" for a spec without version,
+ * null when the spec cannot be compared with a version (tags, git, file and URL specs)
+ * @property {string} [target] - Package installed under the alias name
+ */
+
+/**
+ * Git specifiers: protocols, hosted shortcuts and GitHub "user/repo"
+ * @constant {RegExp}
+ */
+const GIT_SPECIFIER =
+  /^(git\+[a-z]+:|git:|github:|gitlab:|bitbucket:|gist:)|^[\w.-]+\/[\w.-]+(#.*)?$|\.git(#.*)?$/;
+
+/**
+ * Local specifiers: file and link protocols, and paths
+ * @constant {RegExp}
+ */
+const FILE_SPECIFIER = /^(file:|link:|\.{1,2}\/|~\/|\/)/;
+
+/**
+ * Describe the specifier of a dependency, what follows "name@", other than an npm alias
+ * @param {string|null} specifier - Specifier such as ^9.17.0, workspace:* or github:user/repo
+ * @returns {Object} { type, range }
+ */
+function parseSpecifier(specifier) {
+  if (specifier === null || specifier === '') {
+    return { type: 'range', range: '*' };
+  }
+
+  if (specifier.startsWith('workspace:')) {
+    // workspace:^ and workspace:~ stand for the version of the local package
+    const range = specifier.slice('workspace:'.length);
+    return { type: 'workspace', range: ['', '*', '^', '~'].includes(range) ? '*' : range };
+  }
+
+  if (GIT_SPECIFIER.test(specifier)) {
+    return { type: 'git', range: null };
+  }
+  if (FILE_SPECIFIER.test(specifier)) {
+    return { type: 'file', range: null };
+  }
+  if (/^https?:\/\//.test(specifier)) {
+    return { type: 'url', range: null };
+  }
+
+  return semver.validRange(specifier)
+    ? { type: 'range', range: specifier }
+    : { type: 'tag', range: null };
+}
+
+/**
+ * Parse a dependency spec
+ * @param {string} spec - Dependency spec, e.g. @commitlint/cli@^19.6.1
+ * @returns {DependencySpec} Parsed spec
+ */
+export function parseDependencySpec(spec) {
+  const value = spec.trim();
+  let name = null;
+  let specifier = value;
+
+  // A git or URL spec has no name, e.g. github:user/repo
+  if (value.startsWith('@') || !/^[^@]*(:|\/)/.test(value)) {
+    // The scope of @org/package is not the version separator
+    const separator = value.indexOf('@', 1);
+    name = separator === -1 ? value : value.slice(0, separator);
+    specifier = separator === -1 ? null : value.slice(separator + 1);
+  }
+
+  // An alias such as npm:eslint@^8 requires the range of the package it installs
+  if (specifier !== null && specifier.startsWith('npm:')) {
+    const target = parseDependencySpec(specifier.slice('npm:'.length));
+    return { name, specifier, type: 'alias', range: target.range, target: target.name };
+  }
+
+  return { name, specifier, ...parseSpecifier(specifier) };
+}
+
+/**
+ * Check an installed version against the range a dependency spec requires
+ * @param {string|DependencySpec} spec - Dependency spec, as a string or parsed
+ * @param {string} version - Installed version
+ * @returns {boolean} Whether the version satisfies the spec, always true for specs without a range
+ */
+export function satisfiesDependencySpec(spec, version) {
+  const { range } = typeof spec === 'string' ? parseDependencySpec(spec) : spec;
+
+  if (range === null || range === '*') {
+    return true;
+  }
+
+  return (
+    Boolean(semver.valid(version)) && semver.satisfies(version, range, { includePrerelease: true })
+  );
+}
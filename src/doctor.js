@@ -0,0 +1,541 @@
+/**
+ * @module src/doctor.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Audits an already scaffolded project against what the setup would produce
+ * Every check reports ok, warning or error, and errors carry the fix applied by --fix
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import { execaCommand } from 'execa';
+import chalk from 'chalk';
+import figures from 'figures';
+
+import { getExpectedFiles } from './config-generator.js';
+import {
+  getQualityScripts,
+  modifyPackageJson,
+  addDevDependencies,
+  needsLegacyPeerDeps,
+} from './package-modifier.js';
+import { getProjectDependencies, QUALITY_TOOLS } from './project-types.js';
+import { findCompatibilityIssues, updatePackages } from './version-checker.js';
+import { diffLines } from './file-diff.js';
+import { loadStamp, isStampOutdated, STAMP_FILE } from './scaffold-stamp.js';
+import {
+  logSuccess,
+  logWarning,
+  logError,
+  extractPackageName,
+  fileExists,
+  formatPath,
+  isExecutableMode,
+  VERSION,
+} from './utils.js';
+
+/**
+ * Line sourcing the helper removed in Husky 9
+ * @constant {RegExp}
+ */
+const HUSKY_SH_PATTERN = /^.*\/_\/husky\.sh.*(\r?\n|$)/gm;
+
+/**
+ * Sections of the report, in the order the checks run
+ * @constant {string[]}
+ */
+const CHECK_CATEGORIES = [
+  'Config files',
+  'Git hooks',
+  'Dependencies',
+  'Scripts',
+  'Git',
+  'Compatibility',
+  'Version',
+];
+
+/**
+ * Symbol and color used for each check status
+ * @constant {Object}
+ */
+const STATUS_STYLES = {
+  ok: { symbol: figures.tick, color: chalk.green },
+  warning: { symbol: figures.warning, color: chalk.yellow },
+  error: { symbol: figures.cross, color: chalk.red },
+};
+
+/**
+ * Result of a single check
+ * @typedef {Object} DoctorCheck
+ * @property {string} category - Section of the report
+ * @property {string} status - ok, warning or error
+ * @property {string} message - What was found
+ * @property {Function} [fix] - Async repair applied by --fix, errors only
+ */
+
+/**
+ * Create a check result
+ * @param {string} category - Section of the report
+ * @param {string} status - ok, warning or error
+ * @param {string} message - What was found
+ * @param {Function} [fix] - Async repair for errors
+ * @returns {DoctorCheck} Check
+ */
+function check(category, status, message, fix = null) {
+  return { category, status, message, fix };
+}
+
+/**
+ * Read a file, returning null when it does not exist
+ * @param {string} filePath - File to read
+ * @returns {Promise<string|null>} Content or null
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Number of lines that differ between two texts
+ * @param {string} oldText - Existing content
+ * @param {string} newText - Expected content
+ * @returns {number} Changed lines
+ */
+function countChangedLines(oldText, newText) {
+  return diffLines(oldText, newText).filter(({ type }) => type !== 'equal').length;
+}
+
+/**
+ * Compare a generated config file or hook with its template
+ * @param {Object} file - Expected file from getExpectedFiles
+ * @returns {Promise<DoctorCheck[]>} Checks
+ */
+async function checkFile({ path: filePath, content, hook, mode = null, merge = 'overwrite' }) {
+  const category = hook ? 'Git hooks' : 'Config files';
+  const executable = mode !== null && isExecutableMode(mode);
+  const displayPath = formatPath(filePath);
+  const existing = await readIfExists(filePath);
+
+  if (existing === null) {
+    return [
+      check(category, 'error', `${displayPath} is missing`, async () => {
+        await fs.writeFile(filePath, content);
+        if (mode !== null) {
+          await fs.chmod(filePath, mode);
+        }
+      }),
+    ];
+  }
+
+  let current = existing;
+  const problems = [];
+
+  if (hook && current.match(HUSKY_SH_PATTERN)) {
+    current = current.replace(HUSKY_SH_PATTERN, '');
+    problems.push(
+      check(
+        category,
+        'error',
+        `${displayPath} still sources _/husky.sh, removed in Husky 9`,
+        async () => {
+          await fs.writeFile(
+            filePath,
+            (await fs.readFile(filePath, 'utf8')).replace(HUSKY_SH_PATTERN, ''),
+          );
+        },
+      ),
+    );
+  }
+
+  if (executable && !isExecutableMode((await fs.stat(filePath)).mode)) {
+    problems.push(
+      check(category, 'error', `${displayPath} is not executable`, async () => {
+        await fs.chmod(filePath, mode);
+      }),
+    );
+  }
+
+  // Files the manifest keeps belong to the project, only their presence is checked
+  const changed = merge === 'keep' ? 0 : countChangedLines(current, content);
+  if (changed > 0) {
+    problems.push(
+      check(category, 'warning', `${displayPath} differs from the template (${changed} line(s))`),
+    );
+  }
+
+  const found = merge === 'keep' ? 'is present' : 'matches the template';
+  return problems.length > 0 ? problems : [check(category, 'ok', `${displayPath} ${found}`)];
+}
+
+/**
+ * Compare the generated config files and hooks with the templates
+ * @param {Object[]} files - Expected files from getExpectedFiles
+ * @returns {Promise<DoctorCheck[]>} Checks
+ */
+async function checkFiles(files) {
+  const checks = await Promise.all(
+    files.filter(({ content }) => content !== null).map((file) => checkFile(file)),
+  );
+
+  return checks.flat();
+}
+
+/**
+ * Check that every quality devDependency is declared in package.json
+ * @param {Object} packageJson - Parsed package.json
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {string} options.eslintConfig - ESLint configuration format (flat, legacy)
+ * @param {boolean} options.typescript - Whether the TypeScript variant is used
+ * @param {string} options.testRunner - Test runner (jest, vitest, node)
+ * @param {string[]} options.extraDependencies - Additional devDependencies from the project configuration
+ * @param {string[]} options.tools - Tools set up in the project
+ * @param {Object} options.packageManager - Package manager from getPackageManager
+ * @param {boolean} options.legacyPeerDeps - Whether npm adds with --legacy-peer-deps
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {DoctorCheck[]} Checks
+ */
+function checkDependencies(
+  packageJson,
+  {
+    projectType,
+    eslintConfig,
+    typescript,
+    testRunner,
+    extraDependencies,
+    tools,
+    packageManager,
+    legacyPeerDeps,
+    verbose,
+  },
+) {
+  const declared = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const expected = getProjectDependencies(projectType, {
+    eslintConfig,
+    typescript,
+    testRunner,
+    extraDependencies,
+    tools,
+  });
+  const missing = expected.filter((dependency) => !(extractPackageName(dependency) in declared));
+
+  if (missing.length === 0) {
+    return [check('Dependencies', 'ok', `All ${expected.length} devDependencies are declared`)];
+  }
+
+  const names = missing.map(extractPackageName).join(', ');
+  return [
+    check('Dependencies', 'error', `Missing devDependencies: ${names}`, async () => {
+      await addDevDependencies(missing, { packageManager, legacyPeerDeps, verbose });
+    }),
+  ];
+}
+
+/**
+ * Compare the package.json scripts with the ones the setup adds
+ * @param {Object} packageJson - Parsed package.json
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project
+ * @param {string} options.eslintConfig - ESLint configuration format (flat, legacy)
+ * @param {boolean} options.typescript - Whether the TypeScript variant is used
+ * @param {string} options.testRunner - Test runner (jest, vitest, node)
+ * @param {string[]} options.tools - Tools set up in the project
+ * @returns {DoctorCheck[]} Checks
+ */
+function checkScripts(packageJson, { projectType, eslintConfig, typescript, testRunner, tools }) {
+  const scripts = packageJson.scripts || {};
+  const expected = getQualityScripts({ projectType, eslintConfig, typescript, testRunner, tools });
+  const missing = Object.keys(expected).filter((name) => !(name in scripts));
+  const different = Object.keys(expected).filter(
+    (name) => name in scripts && scripts[name] !== expected[name],
+  );
+  const checks = [];
+
+  if (missing.length > 0) {
+    const values = Object.fromEntries(missing.map((name) => [name, expected[name]]));
+    checks.push(
+      check('Scripts', 'error', `Missing scripts: ${missing.join(', ')}`, async () => {
+        await modifyPackageJson({ scripts: values });
+      }),
+    );
+  }
+
+  if (different.length > 0) {
+    checks.push(
+      check('Scripts', 'warning', `Scripts differ from the scaffold: ${different.join(', ')}`),
+    );
+  }
+
+  if (checks.length === 0) {
+    checks.push(check('Scripts', 'ok', `All ${Object.keys(expected).length} scripts match`));
+  }
+
+  return checks;
+}
+
+/**
+ * Check that Git runs the hooks from .husky
+ * @param {Object} packageManager - Package manager used to run the husky binary
+ * @returns {Promise<DoctorCheck[]>} Checks
+ */
+async function checkGit(packageManager) {
+  if (!(await fileExists('.git'))) {
+    return [check('Git', 'error', 'Not a Git repository, hooks will never run (run "git init")')];
+  }
+
+  const { stdout } = await execaCommand('git config --get core.hooksPath', { reject: false });
+  const hooksPath = stdout.trim();
+
+  if (hooksPath === '.husky' || hooksPath.startsWith('.husky/')) {
+    return [check('Git', 'ok', `core.hooksPath points at ${hooksPath}`)];
+  }
+
+  const found = hooksPath ? `points at ${hooksPath}` : 'is not set';
+  return [
+    check('Git', 'error', `core.hooksPath ${found} instead of .husky`, async () => {
+      await execaCommand(packageManager.execCommand('husky'), { stdio: 'pipe' });
+    }),
+  ];
+}
+
+/**
+ * Report the conflicts among the installed packages, fixed by installing the exact versions of a
+ * consistent set computed from the compatibility matrix. The conflicts the setup accepts, such as the
+ * Airbnb configs on ESLint 9 with the flat config, are reported as ok with the way they are resolved.
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @param {string} eslintConfig - ESLint configuration format (flat, legacy)
+ * @param {boolean} legacyPeerDeps - Whether npm installs with --legacy-peer-deps
+ * @param {boolean} verbose - Whether to show verbose output
+ * @returns {Promise<DoctorCheck[]>} Checks
+ */
+async function checkCompatibility(packageManager, eslintConfig, legacyPeerDeps, verbose) {
+  const issues = await findCompatibilityIssues({ packageManager, eslintConfig });
+  const describe = (packages) =>
+    packages.map(({ name, version }) => `${name}@${version}`).join(' and ');
+  const known = issues
+    .filter(({ accepted }) => accepted)
+    .map(({ message, packages, accepted }) =>
+      check('Compatibility', 'ok', `${message} (${describe(packages)}), ${accepted}`),
+    );
+  const conflicts = issues.filter(({ accepted }) => !accepted);
+
+  if (conflicts.length === 0) {
+    return [...known, check('Compatibility', 'ok', 'No known compatibility issues')];
+  }
+
+  // Every issue shares the same updates, installed once by the first fix
+  let updating = null;
+  const fix = async (updates) => {
+    updating = updating || updatePackages(updates, verbose, packageManager, { legacyPeerDeps });
+    if (!(await updating)) {
+      throw new Error(`Could not install ${updates.join(', ')}`);
+    }
+  };
+
+  return [
+    ...known,
+    ...conflicts.map(({ message, packages, updates }) =>
+      check(
+        'Compatibility',
+        'error',
+        `${message} (${describe(packages)})`,
+        updates && (() => fix(updates)),
+      ),
+    ),
+  ];
+}
+
+/**
+ * Report the version of the scaffold the project was set up with, from its stamp
+ * @returns {Promise<DoctorCheck[]>} Checks
+ */
+async function checkVersion() {
+  let stamp;
+  try {
+    stamp = await loadStamp();
+  } catch (error) {
+    return [check('Version', 'warning', error.message)];
+  }
+
+  if (!stamp) {
+    return [
+      check(
+        'Version',
+        'warning',
+        `${STAMP_FILE} is missing, run "avr-qa-scaffold upgrade" to stamp the setup`,
+      ),
+    ];
+  }
+  if (isStampOutdated(stamp)) {
+    return [
+      check(
+        'Version',
+        'warning',
+        `Set up with avr-qa-scaffold ${stamp.version}, run "avr-qa-scaffold upgrade" to move to ${VERSION}`,
+      ),
+    ];
+  }
+  return [check('Version', 'ok', `Set up with avr-qa-scaffold ${stamp.version}`)];
+}
+
+/**
+ * Run every check against the project in the current directory, without changing anything
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {Object} options.templates - Templates loaded from template loader
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether the TypeScript variant is used
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {Object} options.packageManager - Package manager from getPackageManager
+ * @param {string[]} [options.extraDependencies=[]] - Additional devDependencies from the project configuration
+ * @param {string[]} [options.tools] - Tools set up in the project, the other ones are not checked (all of them by default)
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks the project does not use
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {boolean} [options.verbose=false] - Whether to show verbose output
+ * @returns {Promise<DoctorCheck[]>} Checks in report order
+ */
+export async function diagnoseProject(options) {
+  const {
+    projectType,
+    templates,
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    packageManager,
+    extraDependencies = [],
+    tools = QUALITY_TOOLS,
+    disabledHooks = [],
+    variables = {},
+    verbose = false,
+  } = options;
+
+  const files = getExpectedFiles({
+    projectType,
+    templates,
+    eslintConfig,
+    typescript,
+    testRunner,
+    tools,
+    packageManager,
+    disabledHooks,
+    variables,
+  });
+  const checks = await checkFiles(files);
+  const legacyPeerDeps = needsLegacyPeerDeps({ eslintConfig, tools, packageManager });
+
+  const packageJson = JSON.parse(await fs.readFile('package.json', 'utf8'));
+  checks.push(
+    ...checkDependencies(packageJson, {
+      projectType,
+      eslintConfig,
+      typescript,
+      testRunner,
+      extraDependencies,
+      tools,
+      packageManager,
+      legacyPeerDeps,
+      verbose,
+    }),
+  );
+  checks.push(
+    ...checkScripts(packageJson, { projectType, eslintConfig, typescript, testRunner, tools }),
+  );
+  if (tools.includes('husky')) {
+    checks.push(...(await checkGit(packageManager)));
+  }
+  checks.push(...(await checkCompatibility(packageManager, eslintConfig, legacyPeerDeps, verbose)));
+  checks.push(...(await checkVersion()));
+
+  return checks;
+}
+
+/**
+ * Count the checks by status
+ * @param {DoctorCheck[]} checks - Checks from diagnoseProject
+ * @returns {Object} { ok, warning, error }
+ */
+export function summarizeDiagnosis(checks) {
+  const summary = { ok: 0, warning: 0, error: 0 };
+
+  checks.forEach(({ status }) => {
+    summary[status] += 1;
+  });
+
+  return summary;
+}
+
+/**
+ * Print the checks grouped by category
+ * @param {DoctorCheck[]} checks - Checks from diagnoseProject
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose=false] - Also list the checks that passed
+ */
+export function printDiagnosis(checks, options = {}) {
+  const { verbose = false } = options;
+
+  CHECK_CATEGORIES.forEach((category) => {
+    const shown = checks.filter(
+      (entry) => entry.category === category && (verbose || entry.status !== 'ok'),
+    );
+    const total = checks.filter((entry) => entry.category === category).length;
+
+    if (total === 0) {
+      return;
+    }
+
+    console.log(chalk.bold(`\n${category}`));
+
+    if (shown.length === 0) {
+      console.log(`  ${chalk.green(`${figures.tick} ${total} check(s) passed`)}`);
+    }
+
+    shown.forEach(({ status, message, fix }) => {
+      const { symbol, color } = STATUS_STYLES[status];
+      const fixable = fix ? chalk.dim(' (fixable)') : '';
+      console.log(`  ${color(`${symbol} ${message}`)}${fixable}`);
+    });
+  });
+
+  const { ok, warning, error } = summarizeDiagnosis(checks);
+  console.log(`\n${ok} ok, ${warning} warning(s), ${error} error(s)`);
+}
+
+/**
+ * Apply the fixes of the failing checks, warnings are left as they are
+ * @param {DoctorCheck[]} checks - Checks from diagnoseProject
+ * @returns {Promise<number>} Number of checks fixed
+ */
+export async function fixProblems(checks) {
+  // Fixes run one after the other, several of them may rewrite package.json
+  const fixed = await checks
+    .filter(({ status, fix }) => status === 'error' && fix)
+    .reduce(async (previous, { message, fix }) => {
+      const count = await previous;
+
+      try {
+        await fix();
+        logSuccess(`Fixed: ${message}`);
+        return count + 1;
+      } catch (error) {
+        logError(`Could not fix "${message}": ${error.message}`);
+        return count;
+      }
+    }, Promise.resolve(0));
+
+  if (fixed === 0) {
+    logWarning('Nothing could be fixed automatically');
+  }
+
+  return fixed;
+}
@@ -0,0 +1,224 @@
+/**
+ * @module src/dry-run.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Records the changes a setup run would make instead of applying them
+ * Renders the recorded plan for people (text) or for review tools (JSON)
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import chalk from 'chalk';
+
+import { colorizeDiff } from './file-diff.js';
+
+/**
+ * Output formats supported for a dry-run plan
+ * @constant {string[]}
+ */
+export const DRY_RUN_FORMATS = ['text', 'json'];
+
+/**
+ * Sections of the text output, in the order the setup performs them
+ * @constant {Object[]}
+ */
+const PLAN_SECTIONS = [
+  { type: 'dependency', title: 'Dependencies' },
+  { type: 'file', title: 'Files' },
+  { type: 'directory', title: 'Directories' },
+  { type: 'package-json', title: 'package.json' },
+  { type: 'command', title: 'Commands' },
+];
+
+/**
+ * Marker and color used for each planned action
+ * @constant {Object}
+ */
+const ACTION_STYLES = {
+  create: { marker: '+', color: chalk.green },
+  add: { marker: '+', color: chalk.green },
+  update: { marker: '~', color: chalk.yellow },
+  overwrite: { marker: '~', color: chalk.yellow },
+  merge: { marker: '~', color: chalk.yellow },
+  conflict: { marker: '!', color: chalk.magenta },
+  remove: { marker: '-', color: chalk.red },
+  skip: { marker: '=', color: chalk.dim },
+  unchanged: { marker: '=', color: chalk.dim },
+  run: { marker: '$', color: chalk.cyan },
+};
+
+/**
+ * A change the setup would make
+ * @typedef {Object} PlannedChange
+ * @property {string} type - What is changed: file, directory, dependency, package-json or command
+ * @property {string} action - create, add, update, overwrite, merge, conflict, remove, skip, unchanged or run
+ * @property {string} [path] - File or directory path, or the package.json of a workspace package
+ * @property {string} [name] - Package name or package.json key
+ * @property {*} [value] - New package.json value or dependency specifier
+ * @property {*} [previous] - Current package.json value, or installed version of an updated dependency
+ * @property {string} [command] - Shell command
+ * @property {string} [reason] - Why the change is skipped
+ * @property {string} [diff] - Unified diff against the existing file, for merges and conflicts
+ */
+
+/**
+ * Create an empty plan to pass as the `plan` option of the setup steps
+ * @param {Object} [context] - Settings the plan was made with (project type, package manager...)
+ * @returns {Object} Plan with its context and the list of changes
+ */
+export function createPlan(context = {}) {
+  return {
+    context,
+    changes: [],
+  };
+}
+
+/**
+ * Record a change in the plan
+ * @param {Object} plan - Plan from createPlan
+ * @param {PlannedChange} change - Change the setup would make
+ */
+export function recordChange(plan, change) {
+  plan.changes.push(change);
+}
+
+/**
+ * Record a shell command in the plan
+ * @param {Object} plan - Plan from createPlan
+ * @param {string} command - Command that would be executed
+ */
+export function recordCommand(plan, command) {
+  recordChange(plan, { type: 'command', action: 'run', command });
+}
+
+/**
+ * Count the planned changes by action
+ * @param {Object} plan - Plan from createPlan
+ * @returns {Object} Map of action to number of changes
+ */
+export function summarizePlan(plan) {
+  const summary = {};
+
+  plan.changes.forEach(({ action }) => {
+    summary[action] = (summary[action] || 0) + 1;
+  });
+
+  return summary;
+}
+
+/**
+ * Render a plan as JSON for review tools
+ * @param {Object} plan - Plan from createPlan
+ * @returns {string} JSON document
+ */
+export function formatPlanAsJson(plan) {
+  return JSON.stringify(
+    {
+      dryRun: true,
+      ...plan.context,
+      summary: summarizePlan(plan),
+      changes: plan.changes,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Describe the subject of a change on a single line
+ * @param {PlannedChange} change - Planned change
+ * @returns {string} Description
+ */
+function describeChange(change) {
+  switch (change.type) {
+    case 'command':
+      return change.command;
+    case 'dependency':
+      // Updated packages show the version they replace
+      return change.previous
+        ? `${change.value} (installed ${change.previous})`
+        : change.value || change.name;
+    case 'package-json': {
+      // Keys of a workspace package's package.json are prefixed with the file
+      const name = change.path ? `${change.path} ${change.name}` : change.name;
+      if (change.action === 'overwrite') {
+        return `${name}: ${JSON.stringify(change.previous)} -> ${JSON.stringify(change.value)}`;
+      }
+      if (change.action === 'remove') {
+        return `${name}: ${JSON.stringify(change.previous)}`;
+      }
+      return `${name}: ${JSON.stringify(change.value)}`;
+    }
+    default:
+      return change.path;
+  }
+}
+
+/**
+ * Render a plan as text grouped by the kind of change
+ * @param {Object} plan - Plan from createPlan
+ * @returns {string} Human readable plan
+ */
+export function formatPlanAsText(plan) {
+  const lines = [chalk.bold('Dry run: nothing was written, installed or executed.')];
+
+  PLAN_SECTIONS.forEach(({ type, title }) => {
+    const changes = plan.changes.filter((change) => change.type === type);
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    lines.push('', chalk.bold(title));
+
+    changes.forEach((change) => {
+      const { marker, color } = ACTION_STYLES[change.action] || ACTION_STYLES.update;
+      const label = change.action === 'run' ? '' : `${change.action.padEnd(9)} `;
+      const reason = change.reason ? chalk.dim(` (${change.reason})`) : '';
+
+      lines.push(`  ${color(`${marker} ${label}${describeChange(change)}`)}${reason}`);
+
+      if (change.diff) {
+        lines.push(
+          ...colorizeDiff(change.diff)
+            .split('\n')
+            .map((line) => `      ${line}`),
+        );
+      }
+    });
+  });
+
+  if (plan.changes.length === 0) {
+    lines.push('', 'No changes planned.');
+  }
+
+  const summary = Object.entries(summarizePlan(plan))
+    .map(([action, count]) => `${count} ${action}`)
+    .join(', ');
+
+  if (summary) {
+    lines.push('', `Summary: ${summary}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Print a plan to stdout
+ * @param {Object} plan - Plan from createPlan
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='text'] - Output format (text, json)
+ */
+export function printPlan(plan, options = {}) {
+  const { format = 'text' } = options;
+
+  if (!DRY_RUN_FORMATS.includes(format)) {
+    throw new Error(`Invalid dry-run format: ${format}. Available: ${DRY_RUN_FORMATS.join(', ')}`);
+  }
+
+  console.log(format === 'json' ? formatPlanAsJson(plan) : formatPlanAsText(plan));
+}
@@ -0,0 +1,148 @@
+/**
+ * @module src/file-conflicts.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Resolves conflicts between existing files and regenerated templates
+ * Shows a unified diff and asks whether to keep, overwrite, merge or write a .new copy
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+import { ask } from './prompts.js';
+import {
+  createUnifiedDiff,
+  colorizeDiff,
+  mergeWithConflictMarkers,
+  isSameContent,
+} from './file-diff.js';
+import { logInfo, logWarning, formatPath } from './utils.js';
+
+/**
+ * Ways to resolve a conflict with an existing file
+ * @constant {string[]}
+ */
+export const CONFLICT_ACTIONS = ['keep', 'overwrite', 'merge', 'new'];
+
+/**
+ * Suffix of the copy written by the "new" action
+ * @constant {string}
+ */
+export const NEW_FILE_SUFFIX = '.new';
+
+/**
+ * Create the state shared by the conflicts of one run, it remembers "apply to all" choices
+ * @param {Object} [options] - Options
+ * @param {string} [options.applyToAll] - Action applied to every conflict without asking
+ * @returns {Object} Conflict state
+ */
+export function createConflictState(options = {}) {
+  const { applyToAll = null } = options;
+
+  if (applyToAll && !CONFLICT_ACTIONS.includes(applyToAll)) {
+    throw new Error(
+      `Invalid conflict action: ${applyToAll}. Available: ${CONFLICT_ACTIONS.join(', ')}`,
+    );
+  }
+
+  return { applyToAll };
+}
+
+/**
+ * Ask how to resolve the conflict for one file
+ * @param {string} filePath - Path of the existing file
+ * @returns {Promise<Object>} { action, applyToAll }
+ */
+async function promptConflictAction(filePath) {
+  const displayPath = formatPath(filePath);
+  const choice = await ask('file-conflict', {
+    name: 'choice',
+    message: `How do you want to resolve ${displayPath}?`,
+    default: 'keep',
+    choices: [
+      { name: 'Keep the existing file', value: 'keep' },
+      { name: 'Overwrite it with the template', value: 'overwrite' },
+      { name: 'Merge, marking each difference with conflict markers', value: 'merge' },
+      { name: `Write the template as ${displayPath}${NEW_FILE_SUFFIX}`, value: 'new' },
+      new inquirer.Separator(),
+      { name: 'Keep all remaining files', value: 'keep:all' },
+      { name: 'Overwrite all remaining files', value: 'overwrite:all' },
+      { name: 'Merge all remaining files', value: 'merge:all' },
+      { name: `Write ${NEW_FILE_SUFFIX} copies for all remaining files`, value: 'new:all' },
+    ],
+  });
+
+  const [action, scope] = choice.split(':');
+  return { action, applyToAll: scope === 'all' };
+}
+
+/**
+ * Decide what to write for a file that already exists
+ * @param {Object} options - Options
+ * @param {string} options.filePath - Path of the existing file
+ * @param {string} options.existing - Current content of the file
+ * @param {string} options.incoming - Content generated from the template
+ * @param {Object} options.state - State from createConflictState
+ * @param {Function} [options.merge] - Structural merge (existing, incoming) => content, conflict markers when omitted
+ * @returns {Promise<Object|null>} { path, content, action } to write, or null to leave the file as it is
+ */
+export async function resolveFileConflict({ filePath, existing, incoming, state, merge = null }) {
+  if (isSameContent(existing, incoming)) {
+    logInfo(`${chalk.cyan(formatPath(filePath))} already matches the template.`);
+    return null;
+  }
+
+  let action = state.applyToAll;
+
+  if (!action) {
+    logWarning(`${chalk.cyan(formatPath(filePath))} differs from the template:`);
+    console.log(
+      colorizeDiff(
+        createUnifiedDiff(existing, incoming, {
+          fromFile: `${formatPath(filePath)} (existing)`,
+          toFile: `${formatPath(filePath)} (template)`,
+        }),
+      ),
+    );
+
+    const answer = await promptConflictAction(filePath);
+    action = answer.action;
+
+    if (answer.applyToAll) {
+      Object.assign(state, { applyToAll: action });
+    }
+  }
+
+  switch (action) {
+    case 'keep':
+      logInfo(`Keeping ${chalk.cyan(formatPath(filePath))}`);
+      return null;
+    case 'overwrite':
+      return { path: filePath, content: incoming, action };
+    case 'merge': {
+      if (merge) {
+        try {
+          return { path: filePath, content: merge(existing, incoming), action };
+        } catch (error) {
+          logWarning(`${error.message}, falling back to conflict markers`);
+        }
+      }
+
+      const { content, conflicts } = mergeWithConflictMarkers(existing, incoming);
+      logWarning(
+        `Resolve the ${conflicts} conflict(s) marked in ${chalk.cyan(formatPath(filePath))}`,
+      );
+      return { path: filePath, content, action };
+    }
+    case 'new':
+      return { path: `${filePath}${NEW_FILE_SUFFIX}`, content: incoming, action };
+    default:
+      throw new Error(`Invalid conflict action: ${action}`);
+  }
+}
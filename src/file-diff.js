@@ -0,0 +1,377 @@
+/**
+ * @module src/file-diff.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Line based diff between an existing file and the content generated from a template
+ * Renders unified diffs and merges both versions with Git style conflict markers, or three ways
+ * against the content the file was generated with
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import chalk from 'chalk';
+
+/**
+ * Lines of unchanged context shown around each hunk
+ * @constant {number}
+ */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Largest line matrix compared with LCS, bigger inputs are shown as a full replacement
+ * @constant {number}
+ */
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines, ignoring the newline at the end of the file
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute the line operations that turn one text into another
+ * @param {string} oldText - Existing content
+ * @param {string} newText - New content
+ * @returns {Object[]} Operations as { type: 'equal'|'remove'|'add', line }
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const rows = oldLines.length;
+  const columns = newLines.length;
+
+  if (rows * columns > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map((line) => ({ type: 'remove', line })),
+      ...newLines.map((line) => ({ type: 'add', line })),
+    ];
+  }
+
+  // lengths[i][j] is the longest common subsequence of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = columns - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: 'equal', line: oldLines[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: 'remove', line: oldLines[i] });
+      i += 1;
+    } else {
+      operations.push({ type: 'add', line: newLines[j] });
+      j += 1;
+    }
+  }
+  while (i < rows) {
+    operations.push({ type: 'remove', line: oldLines[i] });
+    i += 1;
+  }
+  while (j < columns) {
+    operations.push({ type: 'add', line: newLines[j] });
+    j += 1;
+  }
+
+  return operations;
+}
+
+/**
+ * Whether two texts have the same lines
+ * @param {string} oldText - Existing content
+ * @param {string} newText - New content
+ * @returns {boolean} Whether there is no difference
+ */
+export function isSameContent(oldText, newText) {
+  return diffLines(oldText, newText).every(({ type }) => type === 'equal');
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Existing content
+ * @param {string} newText - New content
+ * @param {Object} [options] - Options
+ * @param {string} [options.fromFile='existing'] - Label of the existing content
+ * @param {string} [options.toFile='template'] - Label of the new content
+ * @param {number} [options.context=3] - Lines of context around each change
+ * @returns {string} Unified diff, empty when both texts are the same
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'existing', toFile = 'template', context = DEFAULT_CONTEXT } = options;
+  const operations = diffLines(oldText, newText);
+
+  // Position of each operation in the old and new texts
+  let oldLine = 1;
+  let newLine = 1;
+  const positioned = operations.map((operation) => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== 'add') oldLine += 1;
+    if (operation.type !== 'remove') newLine += 1;
+    return entry;
+  });
+
+  const changed = positioned
+    .map((operation, index) => (operation.type === 'equal' ? -1 : index))
+    .filter((index) => index >= 0);
+
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  changed.forEach((index) => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(positioned.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = positioned.slice(start, end + 1);
+    const oldCount = slice.filter(({ type }) => type !== 'add').length;
+    const newCount = slice.filter(({ type }) => type !== 'remove').length;
+    const oldStart =
+      oldCount === 0 ? slice[0].oldLine - 1 : slice.find(({ type }) => type !== 'add').oldLine;
+    const newStart =
+      newCount === 0 ? slice[0].newLine - 1 : slice.find(({ type }) => type !== 'remove').newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(({ type, line }) => {
+      const prefix = { equal: ' ', remove: '-', add: '+' }[type];
+      lines.push(`${prefix}${line}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Color a unified diff for the terminal
+ * @param {string} diff - Unified diff from createUnifiedDiff
+ * @returns {string} Colored diff
+ */
+export function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('---') || line.startsWith('+++')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    })
+    .join('\n');
+}
+
+/**
+ * Merge two texts, keeping common lines and wrapping each difference in conflict markers
+ * @param {string} oldText - Existing content
+ * @param {string} newText - New content
+ * @param {Object} [options] - Options
+ * @param {string} [options.oldLabel='existing'] - Label after the <<<<<<< marker
+ * @param {string} [options.newLabel='template'] - Label after the >>>>>>> marker
+ * @returns {Object} { content, conflicts } with the merged text and the number of conflicts
+ */
+export function mergeWithConflictMarkers(oldText, newText, options = {}) {
+  const { oldLabel = 'existing', newLabel = 'template' } = options;
+  const lines = [];
+  let removed = [];
+  let added = [];
+  let conflicts = 0;
+
+  const flush = () => {
+    if (removed.length === 0 && added.length === 0) {
+      return;
+    }
+    conflicts += 1;
+    lines.push(`<<<<<<< ${oldLabel}`, ...removed, '=======', ...added, `>>>>>>> ${newLabel}`);
+    removed = [];
+    added = [];
+  };
+
+  diffLines(oldText, newText).forEach(({ type, line }) => {
+    if (type === 'remove') {
+      removed.push(line);
+    } else if (type === 'add') {
+      added.push(line);
+    } else {
+      flush();
+      lines.push(line);
+    }
+  });
+  flush();
+
+  return {
+    content: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+    conflicts,
+  };
+}
+
+/**
+ * Regions of a base text another text replaced, from their line diff
+ * @param {string} baseText - Original content
+ * @param {string} otherText - Changed content
+ * @returns {Object[]} Hunks as { start, end, lines }, the base lines start to end (exclusive) become lines
+ */
+function getHunks(baseText, otherText) {
+  const hunks = [];
+  let index = 0;
+  let hunk = null;
+
+  diffLines(baseText, otherText).forEach(({ type, line }) => {
+    if (type === 'equal') {
+      hunk = null;
+      index += 1;
+      return;
+    }
+    if (!hunk) {
+      hunk = { start: index, end: index, lines: [] };
+      hunks.push(hunk);
+    }
+    if (type === 'remove') {
+      hunk.end += 1;
+      index += 1;
+    } else {
+      hunk.lines.push(line);
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Whether a hunk touches a group of hunks: overlapping ranges, or adjacent ones with no unchanged
+ * line between them, which git merge-file also reports as a conflict
+ * @param {Object} hunk - Hunk from getHunks, starting at or after the group
+ * @param {Object} group - Group as { start, end }
+ * @returns {boolean} Whether both change the same or adjacent lines
+ */
+function overlaps(hunk, group) {
+  return hunk.start <= group.end;
+}
+
+/**
+ * Merge the changes of two texts made from the same base, like git merge-file.
+ * Lines only one side changed take that change; lines both sides changed differently are
+ * wrapped in conflict markers.
+ * @param {string} baseText - Content both texts were made from, e.g. the generated file
+ * @param {string} currentText - Content with the changes of the project
+ * @param {string} incomingText - Content with the changes of the template
+ * @param {Object} [options] - Options
+ * @param {string} [options.currentLabel='current'] - Label after the <<<<<<< marker
+ * @param {string} [options.incomingLabel='template'] - Label after the >>>>>>> marker
+ * @returns {Object} { content, conflicts } with the merged text and the number of conflicts
+ */
+export function mergeThreeWay(baseText, currentText, incomingText, options = {}) {
+  const { currentLabel = 'current', incomingLabel = 'template' } = options;
+
+  if (currentText === incomingText || baseText === incomingText) {
+    return { content: currentText, conflicts: 0 };
+  }
+  if (baseText === currentText) {
+    return { content: incomingText, conflicts: 0 };
+  }
+
+  const baseLines = splitLines(baseText);
+  const hunks = [
+    ...getHunks(baseText, currentText).map((hunk) => ({ ...hunk, side: 'current' })),
+    ...getHunks(baseText, incomingText).map((hunk) => ({ ...hunk, side: 'incoming' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Hunks of both sides changing the same lines are resolved together
+  const groups = [];
+  hunks.forEach((hunk) => {
+    const last = groups[groups.length - 1];
+    if (last && overlaps(hunk, last)) {
+      last.end = Math.max(last.end, hunk.end);
+      last.hunks.push(hunk);
+    } else {
+      groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  });
+
+  const apply = ({ start, end, hunks: applied }) => {
+    const result = [];
+    let position = start;
+    applied.forEach((hunk) => {
+      result.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+      position = hunk.end;
+    });
+    result.push(...baseLines.slice(position, end));
+    return result;
+  };
+
+  const lines = [];
+  let position = 0;
+  let conflicts = 0;
+  groups.forEach((group) => {
+    lines.push(...baseLines.slice(position, group.start));
+    position = group.end;
+
+    const current = apply({
+      ...group,
+      hunks: group.hunks.filter(({ side }) => side === 'current'),
+    });
+    const incoming = apply({
+      ...group,
+      hunks: group.hunks.filter(({ side }) => side === 'incoming'),
+    });
+    const sides = new Set(group.hunks.map(({ side }) => side));
+
+    if (sides.size === 1) {
+      lines.push(...(sides.has('current') ? current : incoming));
+    } else if (current.join('\n') === incoming.join('\n')) {
+      lines.push(...current);
+    } else {
+      conflicts += 1;
+      lines.push(
+        `<<<<<<< ${currentLabel}`,
+        ...current,
+        '=======',
+        ...incoming,
+        `>>>>>>> ${incomingLabel}`,
+      );
+    }
+  });
+  lines.push(...baseLines.slice(position));
+
+  // The template decides whether the file ends with a newline
+  const ending = /\n$/.test(incomingText) ? '\n' : '';
+  return {
+    content: lines.length > 0 ? `${lines.join('\n')}${ending}` : '',
+    conflicts,
+  };
+}
@@ -8,45 +8,134 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-09
- * @lastModified 2025-05-09
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
 import { existsSync, mkdirSync } from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import semver from 'semver';
 import { execaCommand } from 'execa';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 // Import local modules
-import { setupQualitySystem } from './setup-quality-system.js';
-import { modifyPackageJson, addDevDependencies } from './package-modifier.js';
-import { getProjectTypeConfig } from './project-types.js';
+import {
+  setupQualitySystem,
+  setupWorkspaceSystem,
+  updateQualityTools,
+  upgradeQualitySystem,
+  stampQualitySystem
+} from './setup-quality-system.js';
+import { modifyPackageJson, addDevDependencies, needsLegacyPeerDeps } from './package-modifier.js';
+import {
+  getProjectTypeConfig,
+  getProjectDependencies,
+  getAllProjectTypes,
+  supportsTestRunner,
+  MODULE_SYSTEMS,
+  STRICTNESS_LEVELS,
+  DEFAULT_MODULE_SYSTEM,
+  DEFAULT_STRICTNESS,
+  QUALITY_TOOLS,
+  TOOL_REQUIREMENTS,
+  selectTools
+} from './project-types.js';
+import { loadPlugins, isLocalPlugin } from './plugins.js';
+import { resolveProjectType, detectTestRunner, DEFAULT_PROJECT_TYPE } from './project-detector.js';
+import { resolvePackageManager } from './package-manager.js';
 import { loadTemplates } from './templates-loader.js';
-import { logSuccess, logInfo, logWarning, logError, VERSION } from './utils.js';
+import { getTemplateSourceType } from './template-sources.js';
+import { loadProjectConfig, mergeProjectConfig, applyTemplateOverrides, writeProjectConfig } from './project-config.js';
+import { createPlan, printPlan, DRY_RUN_FORMATS } from './dry-run.js';
+import { CONFLICT_ACTIONS } from './file-conflicts.js';
+import { diagnoseProject, printDiagnosis, summarizeDiagnosis, fixProblems } from './doctor.js';
+import { createJournal, saveJournal, loadJournal, clearJournal, rollbackJournal, JOURNAL_FILE } from './journal.js';
+import { detectWorkspaces, findWorkspacePackage } from './workspaces.js';
+import { configurePrompts, parseAnswers, loadAnswersFile, canAnswer } from './prompts.js';
+import { runWizard } from './wizard.js';
+import { loadStamp, STAMP_FILE, UNSTAMPED_VERSION } from './scaffold-stamp.js';
+import { runMigrations } from './migrations.js';
+import { logSuccess, logInfo, logWarning, logError, setLogOutput, VERSION } from './utils.js';
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
- * Set up quality tools in an existing project
+ * Set up quality tools in an existing project.
+ * Options left undefined are read from the project configuration (.avrqarc.json, avr-qa.config.js
+ * or the "avr-qa" key of package.json), which is saved after a successful setup.
  * @param {Object} options - Setup options
- * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {string} [options.projectType] - Type of project (node, react, next), detected when omitted
  * @param {boolean} options.force - Whether to override existing configurations
  * @param {boolean} options.skipInstall - Skip installing npm dependencies
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format: flat (ESLint 9) or legacy (ESLint 8)
+ * @param {boolean} [options.typescript=false] - Set up the TypeScript variant of the project type
+ * @param {string} [options.testRunner] - Test runner (jest, vitest, node), detected from the project when omitted
+ * @param {string} [options.moduleSystem='esm'] - Module system ESLint parses the project files with (esm, commonjs)
+ * @param {string} [options.strictness='recommended'] - Strictness level of the ESLint rules (relaxed, recommended, strict)
+ * @param {string[]} [options.tools] - Tools to set up, all of them by default
+ * @param {string[]} [options.only] - Tools to set up instead of the configured ones
+ * @param {string[]} [options.skip] - Tools not to set up, along with their configs, scripts and Git hooks
+ * @param {string[]} [options.disabledHooks] - Git hooks not to create, e.g. pre-push
+ * @param {string} [options.packageManager] - Package manager to use (npm, pnpm, yarn, bun), detected when omitted
+ * @param {string} [options.templateSource] - Custom template source (local path, git URL or npm package)
+ * @param {string[]} [options.plugins] - Plugins adding project types (package names or local paths)
+ * @param {string} [options.workspace] - Package of a workspace to set up alone, by name or directory
+ * @param {boolean} [options.interactive=false] - Show a diff and ask what to do with each existing file
+ * @param {string} [options.onConflict] - Resolve every existing file with this action (keep, overwrite, merge, new)
+ * @param {boolean} [options.merge=false] - Merge existing JSON configs (.eslintrc.json, .prettierrc.json, .lintstagedrc.json) key by key
+ * @param {boolean} [options.dryRun=false] - Print the planned changes instead of applying them
+ * @param {string} [options.format='text'] - Dry-run output format (text, json)
+ * @param {boolean} [options.yes=false] - Take the default answer of every question without a preset answer
+ * @param {boolean} [options.nonInteractive=false] - Never prompt, fail on a question without a preset answer
+ * @param {Object|string[]} [options.answers] - Preset answers by prompt ID, or as "id=value" strings
+ * @param {string} [options.answersFile] - JSON file of preset answers by prompt ID, overridden by options.answers
  * @param {boolean} options.verbose - Show detailed output
  * @returns {Promise<boolean>} - Whether setup was successful
  */
 export async function setup(options = {}) {
   const {
-    projectType = 'node',
     force = false,
     skipInstall = false,
+    interactive = false,
+    onConflict = null,
+    merge = false,
+    dryRun = false,
+    format = 'text',
     verbose = false
   } = options;
   
+  if (dryRun && !DRY_RUN_FORMATS.includes(format)) {
+    logError(`Invalid dry-run format: ${format}`);
+    logInfo(`Available formats: ${DRY_RUN_FORMATS.join(', ')}`);
+    return false;
+  }
+  
+  if (onConflict && !CONFLICT_ACTIONS.includes(onConflict)) {
+    logError(`Invalid conflict action: ${onConflict}`);
+    logInfo(`Available actions: ${CONFLICT_ACTIONS.join(', ')}`);
+    return false;
+  }
+  
+  if (!await configureRunPrompts(options)) {
+    return false;
+  }
+  
+  // Fail before changing anything rather than on the first existing file
+  if (interactive && !onConflict && !dryRun && !canAnswer('file-conflict')) {
+    logError('--interactive asks how to resolve each existing file, which needs a terminal.');
+    logInfo('Resolve every file with --on-conflict <action> or --answer file-conflict=<action>.');
+    return false;
+  }
+  
+  // Keep stdout for the JSON plan, progress messages go to stderr
+  if (dryRun && format === 'json') {
+    setLogOutput('stderr');
+  }
+  
   try {
     // 1. Validate current directory contains a package.json
     if (!existsSync('package.json')) {
@@ -55,11 +144,75 @@ export async function setup(options = {}) {
       return false;
     }
     
-    // 2. Load project type configuration
+    // 2. Read the project configuration, the options given explicitly take precedence
+    const projectFile = await loadProjectConfig();
+    if (projectFile) {
+      logInfo(`Using project configuration from ${path.relative(process.cwd(), projectFile.filepath)}`);
+    }
+    
+    const configured = mergeProjectConfig(projectFile?.config, {
+      projectType: options.projectType,
+      packageManager: options.packageManager,
+      eslintConfig: options.eslintConfig,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      moduleSystem: options.moduleSystem,
+      strictness: options.strictness,
+      tools: options.tools,
+      disabledHooks: options.disabledHooks,
+      templateSource: options.templateSource,
+      plugins: options.plugins
+    });
+    
+    // --only and --skip narrow the tools for this run and the next ones
+    const tools = selectSetupTools(configured.tools, options);
+    if (!tools) {
+      return false;
+    }
+    
+    const settings = { ...configured, tools };
+    const {
+      eslintConfig = 'flat',
+      typescript = false,
+      disabledHooks = [],
+      dependencies = []
+    } = settings;
+    const variables = getSetupVariables(settings);
+    let { projectType, testRunner } = settings;
+    
+    await loadPlugins(settings.plugins, { verbose });
+    
+    if (!isSupportedTypescriptSetup({ typescript, eslintConfig }) || !isSupportedLintSettings(settings)) {
+      return false;
+    }
+    
+    // The root of a workspace is set up with its packages, each with its own project type
+    const workspaces = await detectWorkspaces();
+    if (workspaces) {
+      return await setupWorkspace(workspaces, { options, settings, projectFile });
+    }
+    if (options.workspace) {
+      logError('No workspaces found: package.json has no "workspaces" field and there is no pnpm-workspace.yaml');
+      return false;
+    }
+    
+    // Detect the project type unless it was given explicitly or configured
+    if (!projectType) {
+      projectType = await resolveProjectType({ verbose });
+    }
+    
+    // 3. Load project type configuration
     const projectConfig = getProjectTypeConfig(projectType);
     if (!projectConfig) {
       logError(`Invalid project type: ${projectType}`);
-      logInfo('Available project types: node, react, next');
+      logInfo(`Available project types: ${getProjectTypeIds()}`);
+      return false;
+    }
+    
+    if (!testRunner) {
+      testRunner = await detectTestRunner(projectType);
+    }
+    if (!isSupportedTestRunner(projectConfig, testRunner)) {
       return false;
     }
     
@@ -67,25 +220,100 @@ export async function setup(options = {}) {
       logInfo(`Setting up quality system for ${chalk.bold(projectConfig.name)}`);
     }
     
-    // 3. Load appropriate templates based on project type
-    const templates = await loadTemplates(projectType);
+    // 4. Resolve the package manager used to install and run tools
+    const packageManager = await resolvePackageManager({ override: settings.packageManager, verbose });
+    
+    // 5. Load appropriate templates based on project type, with the project's own overrides
+    const templates = await applyTemplateOverrides(
+      await loadTemplates(projectType, false, { typescript, source: settings.templateSource }),
+      settings.templates
+    );
+    
+    // 6. Set up the quality system with appropriate configs, or only plan it
+    const plan = dryRun
+      ? createPlan({ projectType, packageManager: packageManager.id, eslintConfig, typescript, testRunner })
+      : null;
+    const journal = dryRun ? null : createJournal();
     
-    // 4. Set up the quality system with appropriate configs
-    await setupQualitySystem({
+    const completed = await setupQualitySystem({
       projectType,
       templates,
       force,
       skipInstall,
+      eslintConfig,
+      typescript,
+      testRunner,
+      tools,
+      packageManager,
+      interactive,
+      onConflict,
+      merge,
+      extraDependencies: dependencies,
+      disabledHooks,
+      variables,
+      plan,
+      journal,
       verbose
     });
     
-    // 5. Display success message
+    // 7. Save the settings so the next run reproduces this setup
+    if (completed) {
+      try {
+        await writeProjectConfig(
+          {
+            ...projectFile?.config,
+            projectType,
+            packageManager: packageManager.id,
+            eslintConfig,
+            typescript,
+            testRunner,
+            moduleSystem: settings.moduleSystem,
+            strictness: settings.strictness,
+            tools: settings.tools,
+            disabledHooks: settings.disabledHooks,
+            templateSource: settings.templateSource,
+            plugins: settings.plugins
+          },
+          { filepath: projectFile?.filepath, plan, journal }
+        );
+      } catch (error) {
+        logWarning(`Could not save the project configuration: ${error.message}`);
+      }
+      await saveStamp({
+        projectType,
+        templates,
+        eslintConfig,
+        typescript,
+        testRunner,
+        tools,
+        packageManager,
+        extraDependencies: dependencies,
+        disabledHooks,
+        variables,
+        plan,
+        journal
+      });
+    }
+    
+    if (plan) {
+      printPlan(plan, { format });
+      return true;
+    }
+    
+    // A failed setup has already been rolled back
+    if (!completed) {
+      return false;
+    }
+    
+    try {
+      await saveJournal(journal);
+    } catch (error) {
+      logWarning(`Could not save ${JOURNAL_FILE}, "avr-qa-scaffold rollback" will not be available: ${error.message}`);
+    }
+    
+    // 8. Display success message
     logSuccess(`Quality system successfully set up for ${chalk.bold(projectConfig.name)} project!`);
-    logInfo('Run the following commands to see what\'s available:');
-    logInfo(` - ${chalk.cyan('npm run lint')} - Check for code issues`);
-    logInfo(` - ${chalk.cyan('npm run format')} - Fix formatting issues`);
-    logInfo(` - ${chalk.cyan('npm run commit')} - Create a standardized commit message`);
-    logInfo(` - ${chalk.cyan('npm test')} - Run tests`);
+    logAvailableScripts(packageManager, { typescript, tools });
     
     return true;
   } catch (error) {
@@ -94,30 +322,302 @@ export async function setup(options = {}) {
       console.error(error);
     }
     return false;
+  } finally {
+    setLogOutput('stdout');
+  }
+}
+
+/**
+ * Set up the quality system of a workspace root and its packages, or of a single package.
+ * Each package keeps the project type and test runner it was set up with in the "workspaces"
+ * option of the project configuration.
+ * @param {Object} workspaces - Workspaces from detectWorkspaces
+ * @param {Object} context - Setup context
+ * @param {Object} context.options - Options of setup
+ * @param {Object} context.settings - Options merged with the project configuration
+ * @param {Object|null} context.projectFile - Project configuration as { config, filepath }
+ * @returns {Promise<boolean>} Whether setup was successful
+ */
+async function setupWorkspace(workspaces, { options, settings, projectFile }) {
+  const {
+    force = false,
+    skipInstall = false,
+    interactive = false,
+    onConflict = null,
+    merge = false,
+    dryRun = false,
+    format = 'text',
+    verbose = false
+  } = options;
+  const {
+    eslintConfig = 'flat',
+    typescript = false,
+    tools,
+    disabledHooks = [],
+    dependencies = [],
+    workspaces: configured = {}
+  } = settings;
+  const variables = getSetupVariables(settings);
+  
+  if (workspaces.packages.length === 0) {
+    logError(`No workspace packages match ${workspaces.patterns.join(', ')} (from ${workspaces.source})`);
+    return false;
+  }
+  
+  // The project type and test runner given on the command line describe a single package
+  if (!options.workspace && (options.projectType || options.testRunner)) {
+    logError('--type and --test-runner apply to a single package of a workspace.');
+    logInfo(`Choose it with --workspace <name>, available packages: ${workspaces.packages.map(({ name }) => name).join(', ')}`);
+    return false;
+  }
+  
+  const selected = options.workspace ? [findWorkspacePackage(workspaces, options.workspace)] : workspaces.packages;
+  logInfo(`Found a workspace in ${workspaces.source}, setting up ${selected.map(({ name }) => chalk.bold(name)).join(', ')}`);
+  
+  // 1. Resolve the project type and test runner of each package, then its templates
+  const packages = [];
+  for (const item of selected) {
+    const cwd = path.resolve(item.directory);
+    const saved = configured[item.directory] || {};
+    const projectType = options.projectType || saved.projectType || await resolveProjectType({ cwd, name: item.name, verbose });
+    
+    const projectConfig = getProjectTypeConfig(projectType);
+    if (!projectConfig) {
+      logError(`Invalid project type of ${item.name}: ${projectType}`);
+      logInfo(`Available project types: ${getProjectTypeIds()}`);
+      return false;
+    }
+    
+    const testRunner = options.testRunner || saved.testRunner || await detectTestRunner(projectType, { cwd });
+    if (!isSupportedTestRunner(projectConfig, testRunner)) {
+      return false;
+    }
+    
+    const templates = await applyTemplateOverrides(
+      await loadTemplates(projectType, false, { typescript, source: settings.templateSource, workspace: 'package' }),
+      settings.templates
+    );
+    packages.push({ ...item, projectType, testRunner, templates });
+  }
+  
+  // A single package extends the configs of a root set up before
+  const rootEslintConfig = eslintConfig === 'flat' ? 'eslint.config.js' : '.eslintrc.json';
+  if (options.workspace && !existsSync(rootEslintConfig)) {
+    logWarning(`The workspace root has no ${rootEslintConfig} for ${selected[0].name} to extend, run the setup without --workspace to create it.`);
+  }
+  
+  // 2. Resolve the package manager and load the templates of the root
+  const packageManager = await resolvePackageManager({ override: settings.packageManager, verbose });
+  const templates = options.workspace
+    ? null
+    : await applyTemplateOverrides(
+      await loadTemplates('node', false, { typescript, source: settings.templateSource, workspace: 'root' }),
+      settings.templates
+    );
+  
+  // 3. Set up the workspace, or only plan it
+  const plan = dryRun
+    ? createPlan({
+      workspace: workspaces.source,
+      packages: packages.map(({ name, directory, projectType, testRunner }) => ({ name, directory, projectType, testRunner })),
+      packageManager: packageManager.id,
+      eslintConfig,
+      typescript
+    })
+    : null;
+  const journal = dryRun ? null : createJournal();
+  
+  const completed = await setupWorkspaceSystem({
+    templates,
+    packages,
+    patterns: workspaces.patterns,
+    setupRoot: !options.workspace,
+    force,
+    skipInstall,
+    eslintConfig,
+    typescript,
+    tools,
+    packageManager,
+    interactive,
+    onConflict,
+    merge,
+    extraDependencies: dependencies,
+    disabledHooks,
+    variables,
+    plan,
+    journal,
+    verbose
+  });
+  
+  // 4. Save the settings of the root and of each package set up
+  if (completed) {
+    try {
+      await writeProjectConfig(
+        {
+          ...projectFile?.config,
+          packageManager: packageManager.id,
+          eslintConfig,
+          typescript,
+          workspaces: {
+            ...configured,
+            ...Object.fromEntries(packages.map(({ directory, projectType, testRunner }) => [directory, { projectType, testRunner }]))
+          },
+          moduleSystem: settings.moduleSystem,
+          strictness: settings.strictness,
+          tools: settings.tools,
+          disabledHooks: settings.disabledHooks,
+          templateSource: settings.templateSource,
+          plugins: settings.plugins
+        },
+        { filepath: projectFile?.filepath, plan, journal }
+      );
+    } catch (error) {
+      logWarning(`Could not save the project configuration: ${error.message}`);
+    }
+  }
+  
+  if (plan) {
+    printPlan(plan, { format });
+    return true;
+  }
+  
+  // A failed setup has already been rolled back
+  if (!completed) {
+    return false;
+  }
+  
+  try {
+    await saveJournal(journal);
+  } catch (error) {
+    logWarning(`Could not save ${JOURNAL_FILE}, "avr-qa-scaffold rollback" will not be available: ${error.message}`);
   }
+  
+  // 5. Display success message
+  if (options.workspace) {
+    const [{ name, directory }] = packages;
+    logSuccess(`Quality system successfully set up for the ${chalk.bold(name)} package!`);
+    logInfo(`Run its scripts from ${directory}, e.g. ${chalk.cyan(`cd ${directory} && ${packageManager.runCommand('lint')}`)}`);
+    return true;
+  }
+  
+  logSuccess(`Quality system successfully set up for ${chalk.bold(packages.length)} workspace packages!`);
+  logAvailableScripts(packageManager, { typescript, tools });
+  return true;
 }
 
 /**
- * Initialize a new project with quality tools
+ * List the quality scripts after a setup
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @param {Object} options - Options
+ * @param {boolean} options.typescript - Whether the typecheck script was added
+ * @param {string[]} options.tools - Tools set up, each script runs one of them
+ */
+function logAvailableScripts(packageManager, { typescript, tools }) {
+  const scripts = [
+    ['eslint', 'lint', 'Check for code issues'],
+    [typescript, 'typecheck', 'Check types with the TypeScript compiler'],
+    ['prettier', 'format', 'Fix formatting issues'],
+    ['commitizen', 'commit', 'Create a standardized commit message'],
+    ['jest', 'test', 'Run tests']
+  ].filter(([tool]) => (typeof tool === 'boolean' ? tool : tools.includes(tool)));
+  
+  if (scripts.length === 0) {
+    return;
+  }
+  
+  logInfo('Run the following commands to see what\'s available:');
+  for (const [, script, description] of scripts) {
+    logInfo(` - ${chalk.cyan(packageManager.runCommand(script))} - ${description}`);
+  }
+}
+
+/**
+ * Initialize a new project with quality tools.
+ * Options left undefined are read from the project configuration when the directory already has one.
  * @param {Object} options - Initialization options
- * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {string} [options.projectType] - Type of project (node, react, next), detected when omitted
  * @param {string} options.directory - Directory to create project in
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format: flat (ESLint 9) or legacy (ESLint 8)
+ * @param {boolean} [options.typescript=false] - Create the TypeScript variant of the project type
+ * @param {string} [options.testRunner] - Test runner (jest, vitest, node), detected from an existing directory when omitted
+ * @param {string[]} [options.only] - Tools to set up instead of all of them (or the configured ones)
+ * @param {string[]} [options.skip] - Tools not to set up
+ * @param {string} [options.packageManager] - Package manager to use (npm, pnpm, yarn, bun), detected when omitted
+ * @param {string} [options.templateSource] - Custom template source (local path, git URL or npm package)
+ * @param {string[]} [options.plugins] - Plugins adding project types (package names or local paths)
+ * @param {boolean} [options.yes=false] - Take the default answer of every question without a preset answer
+ * @param {boolean} [options.nonInteractive=false] - Never prompt, fail on a question without a preset answer
+ * @param {Object|string[]} [options.answers] - Preset answers by prompt ID, or as "id=value" strings
+ * @param {string} [options.answersFile] - JSON file of preset answers by prompt ID, overridden by options.answers
  * @param {boolean} options.verbose - Show detailed output
  * @returns {Promise<boolean>} - Whether initialization was successful
  */
 export async function init(options = {}) {
   const {
-    projectType = 'node',
     directory = '.',
     verbose = false
   } = options;
   
+  // Read before moving into the new project, setup is given the same answers
+  const prompts = await configureRunPrompts(options);
+  if (!prompts) {
+    return false;
+  }
+  
   try {
-    // 1. Validate project type
+    const projectFile = existsSync(directory) ? await loadProjectConfig({ cwd: path.resolve(directory) }) : null;
+    const settings = mergeProjectConfig(projectFile?.config, {
+      projectType: options.projectType,
+      packageManager: options.packageManager,
+      eslintConfig: options.eslintConfig,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      tools: options.tools,
+      templateSource: options.templateSource,
+      plugins: options.plugins
+    });
+    const { eslintConfig = 'flat', typescript = false } = settings;
+    let { projectType, testRunner, templateSource, plugins } = settings;
+    
+    const tools = selectSetupTools(settings.tools, options);
+    if (!tools) {
+      return false;
+    }
+    
+    // A local template source or plugin given on the command line is relative to where init was run
+    if (options.templateSource && getTemplateSourceType(options.templateSource) === 'local') {
+      templateSource = path.resolve(options.templateSource);
+    }
+    if (options.plugins) {
+      plugins = options.plugins.map((plugin) => (isLocalPlugin(plugin) ? path.resolve(plugin) : plugin));
+    }
+    
+    await loadPlugins(plugins, { cwd: existsSync(directory) ? path.resolve(directory) : process.cwd(), verbose });
+    
+    if (!isSupportedTypescriptSetup({ typescript, eslintConfig })) {
+      return false;
+    }
+    
+    // 1. Validate project type, detecting it from an existing directory if omitted
+    if (!projectType) {
+      projectType = existsSync(directory)
+        ? await resolveProjectType({ cwd: path.resolve(directory), verbose })
+        : DEFAULT_PROJECT_TYPE;
+    }
+    
     const projectConfig = getProjectTypeConfig(projectType);
     if (!projectConfig) {
       logError(`Invalid project type: ${projectType}`);
-      logInfo('Available project types: node, react, next');
+      logInfo(`Available project types: ${getProjectTypeIds()}`);
+      return false;
+    }
+    
+    if (!testRunner) {
+      testRunner = existsSync(directory)
+        ? await detectTestRunner(projectType, { cwd: path.resolve(directory) })
+        : projectConfig.testRunners[0];
+    }
+    if (!isSupportedTestRunner(projectConfig, testRunner)) {
       return false;
     }
     
@@ -136,9 +636,11 @@ export async function init(options = {}) {
     }
     
     // 4. Initialize Node.js project if package.json doesn't exist
+    const packageManager = await resolvePackageManager({ override: settings.packageManager, verbose });
+    
     if (!existsSync('package.json')) {
       logInfo('Initializing Node.js project...');
-      await execaCommand('npm init -y', { stdio: verbose ? 'inherit' : 'pipe' });
+      await execaCommand(packageManager.initCommand(), { stdio: verbose ? 'inherit' : 'pipe' });
       
       // Update package.json with project type specific values
       logInfo('Configuring package.json...');
@@ -171,22 +673,34 @@ export async function init(options = {}) {
       projectType,
       force: true, // Always override in new projects
       skipInstall: false, // Always install dependencies for new projects
+      eslintConfig,
+      typescript,
+      testRunner,
+      tools,
+      packageManager: packageManager.id, // No lockfile exists yet, keep the same manager
+      templateSource,
+      plugins,
+      ...prompts,
       verbose
     });
     
     // 8. Install project type specific dependencies
     if (projectConfig.dependencies && projectConfig.dependencies.length > 0) {
       logInfo(`Installing ${projectConfig.name} dependencies...`);
-      await addDevDependencies(projectConfig.dependencies, { verbose });
+      await addDevDependencies(getProjectDependencies(projectType, { eslintConfig, typescript, testRunner, tools }), {
+        packageManager,
+        legacyPeerDeps: needsLegacyPeerDeps({ eslintConfig, tools, packageManager }),
+        verbose
+      });
     }
     
     // 9. Final success message
     logSuccess(`${chalk.bold(projectConfig.name)} project initialized successfully in ${chalk.bold(projectDir)}`);
     logInfo('Next steps:');
     logInfo(` - ${chalk.cyan('cd ' + (directory === '.' ? '.' : directory))}`);
-    logInfo(` - ${chalk.cyan('npm install')} (if needed)`);
+    logInfo(` - ${chalk.cyan(packageManager.installCommand())} (if needed)`);
     logInfo(` - ${chalk.cyan('git add .')}`);
-    logInfo(` - ${chalk.cyan('npm run commit')}`);
+    logInfo(` - ${chalk.cyan(tools.includes('commitizen') ? packageManager.runCommand('commit') : 'git commit')}`);
     
     return true;
   } catch (error) {
@@ -198,9 +712,861 @@ export async function init(options = {}) {
   }
 }
 
+/**
+ * Choose the options of a setup in an interactive wizard, then run the setup with them.
+ * The options given explicitly and the project configuration are preselected.
+ * @param {Object} options - Setup options, see setup()
+ * @returns {Promise<boolean>} - Whether setup was successful, false when the wizard was cancelled
+ */
+export async function wizard(options = {}) {
+  const { verbose = false } = options;
+  
+  if (!await configureRunPrompts(options)) {
+    return false;
+  }
+  
+  try {
+    if (!existsSync('package.json')) {
+      logError('No package.json found. Are you in a Node.js project directory?');
+      logInfo('Run "npm init" first or use "avr-qa-scaffold init" to create a new project.');
+      return false;
+    }
+    
+    if (await detectWorkspaces()) {
+      logError('The wizard sets up a single project, this directory is the root of a workspace.');
+      logInfo('Run "avr-qa-scaffold --workspace <name>" to set up one of its packages.');
+      return false;
+    }
+    
+    const projectFile = await loadProjectConfig();
+    const settings = mergeProjectConfig(projectFile?.config, {
+      projectType: options.projectType,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      moduleSystem: options.moduleSystem,
+      strictness: options.strictness,
+      tools: options.tools,
+      disabledHooks: options.disabledHooks,
+      templateSource: options.templateSource,
+      plugins: options.plugins
+    });
+    
+    // Plugin project types are offered too
+    await loadPlugins(settings.plugins, { verbose });
+    
+    const answers = await runWizard({ defaults: settings });
+    if (!answers) {
+      return false;
+    }
+    
+    return await setup({ ...options, ...answers });
+  } catch (error) {
+    logError(`Failed to run the setup wizard: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    return false;
+  }
+}
+
+/**
+ * Set up one more tool in a project already set up: its dependencies, configs, Git hook and scripts,
+ * with the configs it shares with the other tools (lint-staged, ESLint, Git hooks) regenerated.
+ * The other settings are read from the project configuration, as in doctor().
+ * @param {Object} options - Options
+ * @param {string} options.tool - Tool to add (eslint, prettier, jest, husky, lint-staged, commitlint, commitizen)
+ * @param {boolean} options.skipInstall - Skip installing npm dependencies
+ * @param {string} [options.packageManager] - Package manager to use (npm, pnpm, yarn, bun), detected when omitted
+ * @param {string} [options.templateSource] - Custom template source (local path, git URL or npm package)
+ * @param {string[]} [options.plugins] - Plugins adding project types (package names or local paths)
+ * @param {boolean} [options.interactive=false] - Show a diff and ask what to do with each file changed since the setup
+ * @param {string} [options.onConflict] - Resolve every file changed since the setup with this action (keep, overwrite, merge, new)
+ * @param {boolean} [options.dryRun=false] - Print the planned changes instead of applying them
+ * @param {string} [options.format='text'] - Dry-run output format (text, json)
+ * @param {boolean} [options.yes=false] - Take the default answer of every question without a preset answer
+ * @param {boolean} [options.nonInteractive=false] - Never prompt, fail on a question without a preset answer
+ * @param {Object|string[]} [options.answers] - Preset answers by prompt ID, or as "id=value" strings
+ * @param {string} [options.answersFile] - JSON file of preset answers by prompt ID, overridden by options.answers
+ * @param {boolean} options.verbose - Show detailed output
+ * @returns {Promise<boolean>} - Whether the tool was added
+ */
+export async function add(options = {}) {
+  return changeTool('add', options);
+}
+
+/**
+ * Remove a tool from a project already set up: its dependencies, the configs, Git hook and scripts
+ * the setup generated for it, with the configs it shares with the other tools regenerated.
+ * Files and scripts changed since the setup are kept.
+ * @param {Object} options - Options, the same as add()
+ * @param {string} options.tool - Tool to remove
+ * @returns {Promise<boolean>} - Whether the tool was removed
+ */
+export async function remove(options = {}) {
+  return changeTool('remove', options);
+}
+
+/**
+ * Add or remove a tool, see add() and remove()
+ * @param {string} action - add or remove
+ * @param {Object} options - Options of the command
+ * @returns {Promise<boolean>} Whether the tool was added or removed
+ */
+async function changeTool(action, options) {
+  const {
+    tool,
+    skipInstall = false,
+    interactive = false,
+    onConflict = null,
+    dryRun = false,
+    format = 'text',
+    verbose = false
+  } = options;
+  
+  if (!QUALITY_TOOLS.includes(tool)) {
+    logError(`Invalid tool: ${tool}`);
+    logInfo(`Available tools: ${QUALITY_TOOLS.join(', ')}`);
+    return false;
+  }
+  
+  if (dryRun && !DRY_RUN_FORMATS.includes(format)) {
+    logError(`Invalid dry-run format: ${format}`);
+    logInfo(`Available formats: ${DRY_RUN_FORMATS.join(', ')}`);
+    return false;
+  }
+  
+  if (onConflict && !CONFLICT_ACTIONS.includes(onConflict)) {
+    logError(`Invalid conflict action: ${onConflict}`);
+    logInfo(`Available actions: ${CONFLICT_ACTIONS.join(', ')}`);
+    return false;
+  }
+  
+  if (!await configureRunPrompts(options)) {
+    return false;
+  }
+  
+  if (interactive && !onConflict && !dryRun && !canAnswer('file-conflict')) {
+    logError('--interactive asks how to resolve each changed file, which needs a terminal.');
+    logInfo('Resolve every file with --on-conflict <action> or --answer file-conflict=<action>.');
+    return false;
+  }
+  
+  // Keep stdout for the JSON plan, progress messages go to stderr
+  if (dryRun && format === 'json') {
+    setLogOutput('stderr');
+  }
+  
+  try {
+    if (!existsSync('package.json')) {
+      logError('No package.json found. Are you in a Node.js project directory?');
+      return false;
+    }
+    
+    if (await detectWorkspaces()) {
+      logError(`The ${action} command changes a single project, this directory is the root of a workspace.`);
+      logInfo('Set the "tools" of the project configuration and run the setup again.');
+      return false;
+    }
+    
+    const projectFile = await loadProjectConfig();
+    const settings = mergeProjectConfig(projectFile?.config, {
+      packageManager: options.packageManager,
+      templateSource: options.templateSource,
+      plugins: options.plugins
+    });
+    const {
+      eslintConfig = existsSync('.eslintrc.json') && !existsSync('eslint.config.js') ? 'legacy' : 'flat',
+      typescript = existsSync('tsconfig.json'),
+      tools: previousTools = QUALITY_TOOLS,
+      disabledHooks = [],
+      dependencies = []
+    } = settings;
+    const variables = getSetupVariables(settings);
+    let { projectType, testRunner } = settings;
+    
+    if (action === 'add' && previousTools.includes(tool)) {
+      logInfo(`${chalk.cyan(tool)} is already set up.`);
+      return true;
+    }
+    if (action === 'remove' && !previousTools.includes(tool)) {
+      logInfo(`${chalk.cyan(tool)} is not set up.`);
+      return true;
+    }
+    
+    const { tools, dropped } = action === 'add'
+      ? selectTools([...previousTools, tool])
+      : selectTools(previousTools, { skip: [tool] });
+    if (dropped.includes(tool)) {
+      logError(`${tool} runs ${TOOL_REQUIREMENTS[tool].join(' or ')}, add one of them first.`);
+      return false;
+    }
+    for (const other of dropped) {
+      logWarning(`Removing ${other} as well, it runs ${TOOL_REQUIREMENTS[other].join(' or ')} and neither is set up.`);
+    }
+    
+    await loadPlugins(settings.plugins, { verbose });
+    
+    if (!isSupportedLintSettings(settings)) {
+      return false;
+    }
+    
+    if (!projectType) {
+      projectType = await resolveProjectType({ verbose });
+    }
+    
+    const projectConfig = getProjectTypeConfig(projectType);
+    if (!projectConfig) {
+      logError(`Invalid project type: ${projectType}`);
+      logInfo(`Available project types: ${getProjectTypeIds()}`);
+      return false;
+    }
+    
+    if (!testRunner) {
+      testRunner = await detectTestRunner(projectType);
+    }
+    if (!isSupportedTestRunner(projectConfig, testRunner)) {
+      return false;
+    }
+    
+    const packageManager = await resolvePackageManager({ override: settings.packageManager, verbose });
+    const templates = await applyTemplateOverrides(
+      await loadTemplates(projectType, false, { typescript, source: settings.templateSource }),
+      settings.templates
+    );
+    
+    const plan = dryRun
+      ? createPlan({ projectType, packageManager: packageManager.id, eslintConfig, typescript, testRunner })
+      : null;
+    const journal = dryRun ? null : createJournal();
+    
+    logInfo(`${action === 'add' ? 'Adding' : 'Removing'} ${chalk.cyan(tool)}...`);
+    const completed = await updateQualityTools({
+      projectType,
+      templates,
+      previousTools,
+      tools,
+      skipInstall,
+      eslintConfig,
+      typescript,
+      testRunner,
+      packageManager,
+      interactive,
+      onConflict,
+      extraDependencies: dependencies,
+      disabledHooks,
+      variables,
+      plan,
+      journal,
+      verbose
+    });
+    
+    // The next runs set up the new tools
+    if (completed) {
+      try {
+        await writeProjectConfig({ ...projectFile?.config, tools }, { filepath: projectFile?.filepath, plan, journal });
+      } catch (error) {
+        logWarning(`Could not save the project configuration: ${error.message}`);
+      }
+      await saveStamp({
+        projectType,
+        templates,
+        eslintConfig,
+        typescript,
+        testRunner,
+        tools,
+        packageManager,
+        extraDependencies: dependencies,
+        disabledHooks,
+        variables,
+        plan,
+        journal
+      });
+    }
+    
+    if (plan) {
+      printPlan(plan, { format });
+      return true;
+    }
+    
+    // A failed run has already been rolled back
+    if (!completed) {
+      return false;
+    }
+    
+    try {
+      await saveJournal(journal);
+    } catch (error) {
+      logWarning(`Could not save ${JOURNAL_FILE}, "avr-qa-scaffold rollback" will not be available: ${error.message}`);
+    }
+    
+    logSuccess(`${chalk.bold(tool)} ${action === 'add' ? 'added' : 'removed'} successfully!`);
+    return true;
+  } catch (error) {
+    logError(`Failed to ${action} ${tool}: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    return false;
+  } finally {
+    setLogOutput('stdout');
+  }
+}
+
+/**
+ * Upgrade a project set up with an older version of the scaffold to the current one.
+ * The migrations between both versions run first (e.g. .eslintrc.json to the flat config), then the
+ * files and scripts are merged three ways against what the old version generated, as stamped in
+ * .avrqa-lock.json: changes of the templates are applied, changes of the project kept, and lines
+ * both changed are written with conflict markers. Missing and outdated dependencies are installed.
+ * @param {Object} options - Upgrade options
+ * @param {boolean} options.skipInstall - Skip installing and removing npm dependencies
+ * @param {string} [options.packageManager] - Package manager to use (npm, pnpm, yarn, bun), detected when omitted
+ * @param {string} [options.templateSource] - Custom template source (local path, git URL or npm package)
+ * @param {string[]} [options.plugins] - Plugins adding project types (package names or local paths)
+ * @param {boolean} [options.dryRun=false] - Print the planned changes instead of applying them
+ * @param {string} [options.format='text'] - Dry-run output format (text, json)
+ * @param {boolean} [options.yes=false] - Take the default answer of every question without a preset answer
+ * @param {boolean} [options.nonInteractive=false] - Never prompt, fail on a question without a preset answer
+ * @param {Object|string[]} [options.answers] - Preset answers by prompt ID, or as "id=value" strings
+ * @param {string} [options.answersFile] - JSON file of preset answers by prompt ID, overridden by options.answers
+ * @param {boolean} options.verbose - Show detailed output
+ * @returns {Promise<boolean>} - Whether the upgrade was successful, false when conflicts are left to resolve
+ */
+export async function upgrade(options = {}) {
+  const {
+    skipInstall = false,
+    dryRun = false,
+    format = 'text',
+    verbose = false
+  } = options;
+  
+  if (dryRun && !DRY_RUN_FORMATS.includes(format)) {
+    logError(`Invalid dry-run format: ${format}`);
+    logInfo(`Available formats: ${DRY_RUN_FORMATS.join(', ')}`);
+    return false;
+  }
+  
+  if (!await configureRunPrompts(options)) {
+    return false;
+  }
+  
+  // Keep stdout for the JSON plan, progress messages go to stderr
+  if (dryRun && format === 'json') {
+    setLogOutput('stderr');
+  }
+  
+  try {
+    if (!existsSync('package.json')) {
+      logError('No package.json found. Are you in a Node.js project directory?');
+      return false;
+    }
+    
+    if (await detectWorkspaces()) {
+      logError('The upgrade command upgrades a single project, this directory is the root of a workspace.');
+      logInfo('Run the setup of the workspace again with --interactive to review the new templates.');
+      return false;
+    }
+    
+    const stamp = await loadStamp();
+    const fromVersion = stamp ? stamp.version : UNSTAMPED_VERSION;
+    if (semver.gt(fromVersion, VERSION)) {
+      logError(`This project was set up with avr-qa-scaffold ${fromVersion}, newer than this one (${VERSION}).`);
+      logInfo('Upgrade with the latest version: npx avr-qa-scaffold@latest upgrade');
+      return false;
+    }
+    
+    const projectFile = await loadProjectConfig();
+    const settings = mergeProjectConfig(projectFile?.config, {
+      packageManager: options.packageManager,
+      templateSource: options.templateSource,
+      plugins: options.plugins
+    });
+    const {
+      eslintConfig = existsSync('.eslintrc.json') && !existsSync('eslint.config.js') ? 'legacy' : 'flat',
+      typescript = existsSync('tsconfig.json'),
+      tools = QUALITY_TOOLS,
+      disabledHooks = [],
+      dependencies = []
+    } = settings;
+    const variables = getSetupVariables(settings);
+    let { projectType, testRunner } = settings;
+    
+    await loadPlugins(settings.plugins, { verbose });
+    
+    if (!isSupportedLintSettings(settings)) {
+      return false;
+    }
+    
+    if (!projectType) {
+      projectType = await resolveProjectType({ verbose });
+    }
+    
+    const projectConfig = getProjectTypeConfig(projectType);
+    if (!projectConfig) {
+      logError(`Invalid project type: ${projectType}`);
+      logInfo(`Available project types: ${getProjectTypeIds()}`);
+      return false;
+    }
+    
+    if (!testRunner) {
+      testRunner = await detectTestRunner(projectType);
+    }
+    if (!isSupportedTestRunner(projectConfig, testRunner)) {
+      return false;
+    }
+    
+    logInfo(stamp
+      ? `Upgrading from avr-qa-scaffold ${fromVersion} to ${VERSION}...`
+      : `Upgrading to avr-qa-scaffold ${VERSION}, ${STAMP_FILE} not found: merging against the current templates...`);
+    
+    // Migrations change the settings, the files, scripts and dependencies follow
+    const previous = { eslintConfig, typescript, testRunner, tools };
+    const { settings: migrated, applied } = await runMigrations(previous, { fromVersion });
+    
+    const packageManager = await resolvePackageManager({ override: settings.packageManager, verbose });
+    const templates = await applyTemplateOverrides(
+      await loadTemplates(projectType, false, { typescript: migrated.typescript, source: settings.templateSource }),
+      settings.templates
+    );
+    
+    const plan = dryRun
+      ? createPlan({
+        projectType,
+        packageManager: packageManager.id,
+        eslintConfig: migrated.eslintConfig,
+        typescript: migrated.typescript,
+        testRunner: migrated.testRunner
+      })
+      : null;
+    const journal = dryRun ? null : createJournal();
+    
+    const context = {
+      projectType,
+      templates,
+      ...migrated,
+      packageManager,
+      extraDependencies: dependencies,
+      disabledHooks,
+      variables
+    };
+    const conflicts = await upgradeQualitySystem({ ...context, stamp, previous, skipInstall, plan, journal, verbose });
+    
+    // The files merged with the new templates are stamped with them
+    if (conflicts) {
+      if (applied.length > 0) {
+        try {
+          await writeProjectConfig(
+            { ...projectFile?.config, eslintConfig: migrated.eslintConfig },
+            { filepath: projectFile?.filepath, plan, journal }
+          );
+        } catch (error) {
+          logWarning(`Could not save the project configuration: ${error.message}`);
+        }
+      }
+      await saveStamp({ ...context, previous: null, plan, journal });
+    }
+    
+    if (plan) {
+      printPlan(plan, { format });
+      return true;
+    }
+    
+    // A failed upgrade has already been rolled back
+    if (!conflicts) {
+      return false;
+    }
+    
+    try {
+      await saveJournal(journal);
+    } catch (error) {
+      logWarning(`Could not save ${JOURNAL_FILE}, "avr-qa-scaffold rollback" will not be available: ${error.message}`);
+    }
+    
+    if (conflicts.length > 0) {
+      logWarning(`Upgraded to ${VERSION} with conflicts in: ${conflicts.join(', ')}`);
+      logInfo('Resolve them, then review and commit the changes. "avr-qa-scaffold rollback" undoes the upgrade.');
+      return false;
+    }
+    
+    logSuccess(`Upgraded to avr-qa-scaffold ${chalk.bold(VERSION)}! Review and commit the changes.`);
+    return true;
+  } catch (error) {
+    logError(`Failed to upgrade: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    return false;
+  } finally {
+    setLogOutput('stdout');
+  }
+}
+
+/**
+ * Undo the last setup run from its saved journal
+ * @param {Object} options - Rollback options
+ * @param {boolean} options.verbose - Show every restored or removed path
+ * @returns {Promise<boolean>} - Whether the rollback was successful
+ */
+export async function rollback(options = {}) {
+  const { verbose = false } = options;
+  
+  try {
+    const journal = await loadJournal();
+    if (!journal) {
+      logError(`No setup run to roll back (${JOURNAL_FILE} not found).`);
+      return false;
+    }
+    
+    logInfo(`Rolling back the setup run from ${journal.startedAt}...`);
+    const { restored, removed } = await rollbackJournal(journal, { verbose });
+    await clearJournal();
+    
+    logSuccess(`Rollback completed: ${restored} file(s) restored, ${removed} path(s) removed`);
+    if (restored > 0) {
+      const packageManager = await resolvePackageManager({ verbose });
+      logInfo(`Run ${chalk.cyan(packageManager.installCommand())} to sync node_modules with the restored package.json`);
+    }
+    return true;
+  } catch (error) {
+    logError(`Failed to roll back: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    return false;
+  }
+}
+
+/**
+ * Audit the current project against what the setup would produce,
+ * with the options left undefined read from the project configuration
+ * @param {Object} options - Doctor options
+ * @param {string} [options.projectType] - Type of project (node, react, next), detected when omitted
+ * @param {string} [options.eslintConfig] - ESLint configuration format (flat, legacy), detected from the config file when omitted
+ * @param {boolean} [options.typescript] - Whether the TypeScript variant is used, detected from tsconfig.json when omitted
+ * @param {string} [options.testRunner] - Test runner (jest, vitest, node), detected from the project when omitted
+ * @param {string} [options.packageManager] - Package manager to use (npm, pnpm, yarn, bun), detected when omitted
+ * @param {string} [options.templateSource] - Custom template source (local path, git URL or npm package)
+ * @param {string[]} [options.plugins] - Plugins adding project types (package names or local paths)
+ * @param {boolean} [options.fix=false] - Repair the failing checks, then check again
+ * @param {boolean} [options.yes=false] - Take the default answer of every question without a preset answer
+ * @param {boolean} [options.nonInteractive=false] - Never prompt, fail on a question without a preset answer
+ * @param {Object|string[]} [options.answers] - Preset answers by prompt ID, or as "id=value" strings
+ * @param {string} [options.answersFile] - JSON file of preset answers by prompt ID, overridden by options.answers
+ * @param {boolean} options.verbose - Also list the checks that passed
+ * @returns {Promise<boolean>} - Whether the project has no errors left
+ */
+export async function doctor(options = {}) {
+  const { fix = false, verbose = false } = options;
+  
+  if (!await configureRunPrompts(options)) {
+    return false;
+  }
+  
+  try {
+    if (!existsSync('package.json')) {
+      logError('No package.json found. Are you in a Node.js project directory?');
+      return false;
+    }
+    
+    const projectFile = await loadProjectConfig();
+    const settings = mergeProjectConfig(projectFile?.config, {
+      projectType: options.projectType,
+      packageManager: options.packageManager,
+      eslintConfig: options.eslintConfig,
+      typescript: options.typescript,
+      testRunner: options.testRunner,
+      templateSource: options.templateSource,
+      plugins: options.plugins
+    });
+    const {
+      eslintConfig = existsSync('.eslintrc.json') && !existsSync('eslint.config.js') ? 'legacy' : 'flat',
+      typescript = existsSync('tsconfig.json'),
+      tools = QUALITY_TOOLS,
+      disabledHooks = [],
+      dependencies = []
+    } = settings;
+    const variables = getSetupVariables(settings);
+    let { projectType, testRunner } = settings;
+    
+    await loadPlugins(settings.plugins, { verbose });
+    
+    if (!isSupportedLintSettings(settings)) {
+      return false;
+    }
+    
+    if (!projectType) {
+      projectType = await resolveProjectType({ verbose });
+    }
+    
+    const projectConfig = getProjectTypeConfig(projectType);
+    if (!projectConfig) {
+      logError(`Invalid project type: ${projectType}`);
+      logInfo(`Available project types: ${getProjectTypeIds()}`);
+      return false;
+    }
+    
+    if (!testRunner) {
+      testRunner = await detectTestRunner(projectType);
+    }
+    if (!isSupportedTestRunner(projectConfig, testRunner)) {
+      return false;
+    }
+    
+    const packageManager = await resolvePackageManager({ override: settings.packageManager, verbose });
+    const templates = await applyTemplateOverrides(
+      await loadTemplates(projectType, false, { typescript, source: settings.templateSource }),
+      settings.templates
+    );
+    const diagnosisOptions = {
+      projectType,
+      templates,
+      eslintConfig,
+      typescript,
+      testRunner,
+      packageManager,
+      extraDependencies: dependencies,
+      tools,
+      disabledHooks,
+      variables,
+      verbose
+    };
+    
+    logInfo(`Checking ${chalk.bold(projectType)} project (${eslintConfig} ESLint config${typescript ? ', TypeScript' : ''}, ${testRunner})...`);
+    let checks = await diagnoseProject(diagnosisOptions);
+    printDiagnosis(checks, { verbose });
+    
+    const fixable = checks.some(({ status, fix: repair }) => status === 'error' && repair);
+    if (fix && fixable) {
+      logInfo('Fixing the failing checks...');
+      await fixProblems(checks);
+      
+      checks = await diagnoseProject(diagnosisOptions);
+      printDiagnosis(checks, { verbose });
+    } else if (fixable) {
+      logInfo(`Run ${chalk.cyan('avr-qa-scaffold doctor --fix')} to repair the fixable errors.`);
+    }
+    
+    return summarizeDiagnosis(checks).error === 0;
+  } catch (error) {
+    logError(`Failed to check the project: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    return false;
+  }
+}
+
+/**
+ * List the available project types, the built-in ones and those added by plugins,
+ * with the plugins of the project configuration loaded
+ * @param {Object} options - List options
+ * @param {string[]} [options.plugins] - Plugins adding project types, instead of the configured ones
+ * @param {boolean} options.verbose - Show detailed output
+ * @returns {Promise<boolean>} - Whether the plugins could be loaded
+ */
+export async function list(options = {}) {
+  const { verbose = false } = options;
+  
+  try {
+    const projectFile = await loadProjectConfig();
+    const { plugins } = mergeProjectConfig(projectFile?.config, { plugins: options.plugins });
+    await loadPlugins(plugins, { verbose });
+    
+    const projectTypes = getAllProjectTypes();
+    const width = Math.max(...projectTypes.map(({ id }) => id.length)) + 1;
+    
+    console.log(chalk.yellow.bold('\nProject Types:'));
+    for (const { id, description, plugin } of projectTypes) {
+      const origin = plugin ? chalk.dim(` (${plugin})`) : '';
+      console.log(` - ${chalk.green(id)}:${' '.repeat(width - id.length)}${description}${origin}`);
+    }
+    
+    console.log(chalk.yellow.bold('\nFeatures included:'));
+    console.log(` - ${chalk.green('✓')} ESLint 9 flat config with Airbnb config variations & other plugins`);
+    console.log(` - ${chalk.green('✓')} Prettier for consistent formatting`);
+    console.log(` - ${chalk.green('✓')} Husky for Git hooks`);
+    console.log(` - ${chalk.green('✓')} lint-staged for efficient linting`);
+    console.log(` - ${chalk.green('✓')} Commitizen & commitlint for standardized commits`);
+    console.log(` - ${chalk.green('✓')} Jest for testing, or Vitest (React) and node:test (Node.js) with --test-runner`);
+    console.log(` - ${chalk.green('✓')} TypeScript variants with typed linting (--typescript)`);
+    
+    console.log(chalk.yellow.bold('\nUsage examples:'));
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold')} - Set up quality tools in current project (type auto-detected)`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold --type react')} - Set up for React project`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold --dry-run')} - Show what the setup would change`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold doctor')} - Check an already scaffolded project`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold add commitlint')} - Set up one more tool`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold remove commitizen')} - Remove a tool and its configs`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold upgrade')} - Merge the templates of this version into a project set up with an older one`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold rollback')} - Undo the last setup run`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold init my-project')} - Create new Node.js project`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold init my-app --type next')} - Create new Next.js project`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold init my-api --typescript')} - Create new Node.js project in TypeScript`);
+    console.log(` - ${chalk.cyan('npx avr-qa-scaffold --plugin vue --type vue')} - Set up a project type added by a plugin`);
+    
+    return true;
+  } catch (error) {
+    logError(`Failed to list the project types: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    return false;
+  }
+}
+
+/**
+ * Ids of the available project types, for error messages
+ * @returns {string} Comma separated ids
+ */
+function getProjectTypeIds() {
+  return getAllProjectTypes().map(({ id }) => id).join(', ');
+}
+
+/**
+ * Choose how the questions of a run are answered: preset answers, defaults (--yes),
+ * the terminal, or an error when prompts are disabled or no terminal is attached
+ * @param {Object} options - Options of the command
+ * @param {boolean} [options.yes=false] - Take the default answer of every question without a preset answer
+ * @param {boolean} [options.nonInteractive=false] - Never prompt
+ * @param {Object|string[]} [options.answers={}] - Preset answers by prompt ID, or as "id=value" strings
+ * @param {string} [options.answersFile] - JSON file of preset answers by prompt ID
+ * @returns {Promise<Object|null>} Prompt options with the answers read, to pass on to another command,
+ * null when the answers are not valid
+ */
+async function configureRunPrompts({ yes = false, nonInteractive = false, answers = {}, answersFile = null }) {
+  try {
+    const presets = answersFile ? await loadAnswersFile(answersFile) : {};
+    Object.assign(presets, Array.isArray(answers) ? parseAnswers(answers) : answers);
+    configurePrompts({ yes, interactive: !nonInteractive, answers: presets });
+    return { yes, nonInteractive, answers: presets };
+  } catch (error) {
+    logError(error.message);
+    return null;
+  }
+}
+
+/**
+ * Template variables of a setup: the module system and strictness level,
+ * then the variables of the project configuration
+ * @param {Object} settings - Options merged with the project configuration
+ * @returns {Object} Template variables
+ */
+function getSetupVariables({ moduleSystem = DEFAULT_MODULE_SYSTEM, strictness = DEFAULT_STRICTNESS, variables = {} }) {
+  return { moduleSystem, strictness, ...variables };
+}
+
+/**
+ * Stamp the project after a successful run, a failure is only reported
+ * @param {Object} options - Options of stampQualitySystem, the previous stamp is read from the project when omitted
+ * @returns {Promise<void>}
+ */
+async function saveStamp(options) {
+  try {
+    const previous = options.previous === undefined ? await loadStamp() : options.previous;
+    await stampQualitySystem({ ...options, previous });
+  } catch (error) {
+    logWarning(`Could not save ${STAMP_FILE}, "avr-qa-scaffold upgrade" will merge against the current templates: ${error.message}`);
+  }
+}
+
+/**
+ * Tools of a setup: the configured ones, or the --only ones, without the --skip ones
+ * @param {string[]} [configured] - Tools of the project configuration, all of them when not configured
+ * @param {Object} options - Options of the command
+ * @param {string[]} [options.only] - Tools to set up instead of the configured ones
+ * @param {string[]} [options.skip=[]] - Tools not to set up
+ * @returns {string[]|null} Tools, null when one of them is unknown
+ */
+function selectSetupTools(configured, { only, skip = [] }) {
+  const unknown = [...(only || []), ...skip].filter((tool) => !QUALITY_TOOLS.includes(tool));
+  if (unknown.length > 0) {
+    logError(`Invalid tool: ${unknown.join(', ')}`);
+    logInfo(`Available tools: ${QUALITY_TOOLS.join(', ')}`);
+    return null;
+  }
+  
+  const { tools, dropped } = selectTools(configured, { only, skip });
+  for (const tool of dropped) {
+    logWarning(`Skipping ${tool} as well, it runs ${TOOL_REQUIREMENTS[tool].join(' or ')} and neither is set up.`);
+  }
+  
+  return tools;
+}
+
+/**
+ * Check the module system and strictness level of a setup
+ * @param {Object} settings - Options merged with the project configuration
+ * @returns {boolean} Whether both are supported
+ */
+function isSupportedLintSettings({ moduleSystem, strictness }) {
+  if (moduleSystem && !MODULE_SYSTEMS.includes(moduleSystem)) {
+    logError(`Invalid module system: ${moduleSystem}`);
+    logInfo(`Available module systems: ${MODULE_SYSTEMS.join(', ')}`);
+    return false;
+  }
+  if (strictness && !STRICTNESS_LEVELS.includes(strictness)) {
+    logError(`Invalid strictness level: ${strictness}`);
+    logInfo(`Available strictness levels: ${STRICTNESS_LEVELS.join(', ')}`);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check that the TypeScript variant is combined with a supported ESLint format
+ * @param {Object} options - Options
+ * @param {boolean} options.typescript - Whether the TypeScript variant was requested
+ * @param {string} options.eslintConfig - ESLint configuration format (flat, legacy)
+ * @returns {boolean} Whether the combination is supported
+ */
+function isSupportedTypescriptSetup({ typescript, eslintConfig }) {
+  if (typescript && eslintConfig === 'legacy') {
+    logError('TypeScript projects are only supported with the ESLint flat config.');
+    logInfo('Remove --legacy-eslint to set up typed linting with typescript-eslint.');
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check that the project type can be set up with the test runner
+ * @param {Object} projectConfig - Project type configuration
+ * @param {string} testRunner - Test runner (jest, vitest, node)
+ * @returns {boolean} Whether the project type supports the test runner
+ */
+function isSupportedTestRunner(projectConfig, testRunner) {
+  if (!supportsTestRunner(projectConfig.id, testRunner)) {
+    logError(`${projectConfig.name} projects cannot be set up with the ${testRunner} test runner.`);
+    logInfo(`Available test runners: ${projectConfig.testRunners.join(', ')}`);
+    return false;
+  }
+  
+  return true;
+}
+
 // Export other modules for direct access if needed
 export * from './setup-quality-system.js';
 export * from './package-modifier.js';
 export * from './project-types.js';
+export * from './project-detector.js';
+export * from './package-manager.js';
+export * from './dry-run.js';
+export * from './file-diff.js';
+export * from './file-conflicts.js';
+export * from './config-merger.js';
+export * from './project-config.js';
+export * from './journal.js';
+export * from './doctor.js';
 export * from './templates-loader.js';
+export * from './template-sources.js';
+export * from './plugins.js';
+export * from './workspaces.js';
+export * from './installed-versions.js';
+export * from './prompts.js';
+export * from './wizard.js';
+export * from './dependency-specs.js';
+export * from './scaffold-stamp.js';
+export * from './migrations.js';
 export * from './utils.js';
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * @module src/installed-versions.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Resolves the installed versions of packages without spawning the package manager: reads
+ * node_modules/<package>/package.json, then the lockfile (package-lock.json, pnpm-lock.yaml,
+ * yarn.lock) parsed once, and only lists packages with the package manager when the project
+ * has neither. Results are cached for the whole run, and dependencies the scaffold requires are
+ * compared with them
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { execaCommand } from 'execa';
+import semver from 'semver';
+
+import { getPackageManager } from './package-manager.js';
+import { parseDependencySpec, satisfiesDependencySpec } from './dependency-specs.js';
+import { fileExists } from './utils.js';
+
+/**
+ * Cached results by project directory, as { declared, lockfile, versions }
+ * @type {Map<string, Object>}
+ */
+const cache = new Map();
+
+/**
+ * Remove the surrounding quotes of a YAML or yarn.lock value
+ * @param {string} value - Value to unquote
+ * @returns {string} Unquoted value
+ */
+const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+/**
+ * Read the versions of the top-level packages of package-lock.json or npm-shrinkwrap.json
+ * @param {string} content - Content of the lockfile
+ * @returns {Object} Versions by package name
+ */
+export function parseNpmLockfile(content) {
+  const lockfile = JSON.parse(content);
+  const versions = {};
+
+  // lockfileVersion 2 and 3 list installed paths, version 1 only the dependency tree
+  if (lockfile.packages) {
+    Object.entries(lockfile.packages).forEach(([location, { version }]) => {
+      const name = location.startsWith('node_modules/')
+        ? location.slice('node_modules/'.length)
+        : null;
+      if (name && !name.includes('/node_modules/') && version) {
+        versions[name] = version;
+      }
+    });
+  } else {
+    Object.entries(lockfile.dependencies || {}).forEach(([name, { version }]) => {
+      versions[name] = version;
+    });
+  }
+
+  return versions;
+}
+
+/**
+ * Read the versions of the root project of pnpm-lock.yaml: the "." importer of a workspace or
+ * the top-level dependencies, as "name: 1.0.0" (lockfile 5) or "version: 1.0.0(peer@2.0.0)" (6 and 9)
+ * @param {string} content - Content of pnpm-lock.yaml
+ * @returns {Object} Versions by package name
+ */
+export function parsePnpmLockfile(content) {
+  const lines = content.split(/\r?\n/);
+  const importer = lines.findIndex((line) => /^ {2}\.:\s*$/.test(line));
+  const indent = importer === -1 ? 0 : 4;
+  const versions = {};
+  let inDependencies = false;
+  let current = null;
+
+  // Drop the peer suffix, "(peer@2.0.0)" since lockfile 6 and "_peer@2.0.0" before
+  const setVersion = (name, value) => {
+    const version = unquote(value).replace(/[(_].*$/, '');
+    if (semver.valid(version)) {
+      versions[name] = version;
+    }
+  };
+
+  const isEntry = (line) => /\S/.test(line) && !line.trim().startsWith('#');
+  // The root importer ends at the next importer
+  const end = lines.findIndex(
+    (line, index) => index > importer && isEntry(line) && line.search(/\S/) < indent,
+  );
+
+  lines
+    .slice(importer + 1, end === -1 ? lines.length : end)
+    .filter(isEntry)
+    .forEach((line) => {
+      const depth = line.search(/\S/);
+      const text = line.trim();
+      const [, , key = null, value] = text.match(/^(['"]?)(.+?)\1:\s*(.*)$/) || [];
+
+      if (depth === indent) {
+        inDependencies = /^(dependencies|devDependencies|optionalDependencies):$/.test(text);
+        current = null;
+      } else if (inDependencies && key && depth === indent + 2) {
+        current = key;
+        if (value) {
+          setVersion(current, value);
+        }
+      } else if (inDependencies && depth === indent + 4 && current && key === 'version') {
+        setVersion(current, value);
+      }
+    });
+
+  return versions;
+}
+
+/**
+ * Read the versions of yarn.lock, written by Yarn 1 or Berry. A package resolved to several
+ * versions takes the one of the range declared in package.json, otherwise the highest
+ * @param {string} content - Content of yarn.lock
+ * @param {Object} [declared={}] - Ranges declared in package.json by package name
+ * @returns {Object} Versions by package name
+ */
+export function parseYarnLockfile(content, declared = {}) {
+  const entries = [];
+  let current = null;
+
+  content.split(/\r?\n/).forEach((line) => {
+    if (/^[^\s#].*:$/.test(line)) {
+      // Yarn 1 quotes each descriptor, Berry the whole list
+      const descriptors = line
+        .slice(0, -1)
+        .split(/,\s*/)
+        .map((descriptor) => {
+          const value = descriptor.replace(/^"|"$/g, '');
+          const separator = value.indexOf('@', 1);
+          return separator === -1
+            ? { name: null, range: null }
+            : {
+                name: value.slice(0, separator),
+                range: value.slice(separator + 1).replace(/^npm:/, ''),
+              };
+        });
+      current = { descriptors, version: null };
+      entries.push(current);
+      return;
+    }
+
+    const version = line.match(/^\s+version:?\s+(.+)$/);
+    if (current && version) {
+      current.version = unquote(version[1]);
+    }
+  });
+
+  const versions = {};
+  const matches = {};
+  entries.forEach(({ descriptors, version }) => {
+    if (!semver.valid(version)) {
+      return;
+    }
+
+    descriptors.forEach(({ name, range }) => {
+      if (!name) {
+        return;
+      }
+
+      const matchesDeclared = declared[name] === range;
+      if (
+        !matches[name] &&
+        (matchesDeclared || !versions[name] || semver.gt(version, versions[name]))
+      ) {
+        versions[name] = version;
+        matches[name] = matchesDeclared;
+      }
+    });
+  });
+
+  return versions;
+}
+
+/**
+ * Lockfile parsers by file name
+ * @constant {Object}
+ */
+const LOCKFILE_PARSERS = {
+  'package-lock.json': parseNpmLockfile,
+  'npm-shrinkwrap.json': parseNpmLockfile,
+  'pnpm-lock.yaml': parsePnpmLockfile,
+  'yarn.lock': parseYarnLockfile,
+};
+
+/**
+ * Cached results of a project, created on first use
+ * @param {string} cwd - Project directory
+ * @returns {Object} Cache entry as { declared, lockfile, versions }
+ */
+function getProjectCache(cwd) {
+  if (!cache.has(cwd)) {
+    cache.set(cwd, { declared: null, lockfile: null, versions: new Map() });
+  }
+  return cache.get(cwd);
+}
+
+/**
+ * Forget every cached result, to be called once packages are installed or updated
+ */
+export function clearInstalledVersions() {
+  cache.clear();
+}
+
+/**
+ * Read the dependencies declared in package.json, once per run
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd='.'] - Project directory
+ * @returns {Promise<Object>} Ranges by package name from dependencies, devDependencies and optionalDependencies
+ */
+export function readDeclaredDependencies(options = {}) {
+  const { cwd = '.' } = options;
+  const project = getProjectCache(cwd);
+
+  if (!project.declared) {
+    project.declared = fs
+      .readFile(path.join(cwd, 'package.json'), 'utf8')
+      .then((content) => {
+        const packageJson = JSON.parse(content);
+        return {
+          ...packageJson.optionalDependencies,
+          ...packageJson.dependencies,
+          ...packageJson.devDependencies,
+        };
+      })
+      .catch((error) => {
+        // A package.json created later in the run is read again
+        project.declared = null;
+        throw error;
+      });
+  }
+
+  return project.declared;
+}
+
+/**
+ * Parse the lockfile of a project, the one of its package manager first
+ * @param {string} cwd - Project directory
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @returns {Promise<Object|null>} Versions by package name, null without a readable lockfile
+ */
+async function readLockfile(cwd, packageManager) {
+  const lockfiles = [
+    ...new Set([...packageManager.lockfiles, ...Object.keys(LOCKFILE_PARSERS)]),
+  ].filter((lockfile) => LOCKFILE_PARSERS[lockfile]);
+
+  const contents = await Promise.all(
+    lockfiles.map((lockfile) => fs.readFile(path.join(cwd, lockfile), 'utf8').catch(() => null)),
+  );
+  const index = contents.findIndex((content) => content !== null);
+
+  if (index === -1) {
+    return null;
+  }
+
+  try {
+    const declared = await readDeclaredDependencies({ cwd }).catch(() => ({}));
+    return LOCKFILE_PARSERS[lockfiles[index]](contents[index], declared);
+  } catch (error) {
+    return null; // Unreadable lockfile, e.g. a merge conflict
+  }
+}
+
+/**
+ * List the installed version of a package with the package manager, the slow path
+ * @param {string} packageName - Name of the package
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @returns {Promise<string|null>} Version or null if not installed
+ */
+async function listInstalledVersion(packageName, packageManager) {
+  try {
+    const { stdout } = await execaCommand(packageManager.listCommand(packageName), {
+      reject: false,
+      stdio: ['pipe', 'pipe', 'ignore'],
+    });
+
+    try {
+      // pnpm reports one entry per project, npm a single tree
+      const [listOutput] = [].concat(JSON.parse(stdout));
+      const dependencies = { ...listOutput.dependencies, ...listOutput.devDependencies };
+      return dependencies[packageName] ? dependencies[packageName].version : null;
+    } catch (parseError) {
+      // Fallback to regex parsing for text output (yarn, bun), also matching "name@npm:1.0.0"
+      const versionMatch = stdout.match(new RegExp(`${packageName}@(?:npm:)?([\\d\\.]+)`));
+      return versionMatch ? versionMatch[1] : null;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the installed version of a package: node_modules, then the lockfile, then the package manager
+ * @param {string} packageName - Name of the package
+ * @param {string} cwd - Project directory
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @param {boolean} list - Whether to ask the package manager as a last resort
+ * @returns {Promise<string|null>} Version or null if not installed
+ */
+async function resolveInstalledVersion(packageName, cwd, packageManager, list) {
+  try {
+    const packageJson = JSON.parse(
+      await fs.readFile(path.join(cwd, 'node_modules', packageName, 'package.json'), 'utf8'),
+    );
+    if (packageJson.version) {
+      return packageJson.version;
+    }
+  } catch (error) {
+    // Not installed in node_modules, e.g. Yarn Plug'n'Play
+  }
+
+  const project = getProjectCache(cwd);
+  project.lockfile = project.lockfile || readLockfile(cwd, packageManager);
+  const lockfile = await project.lockfile;
+
+  if (lockfile) {
+    return lockfile[packageName] || null;
+  }
+  if (!list || (await fileExists(path.join(cwd, 'node_modules')))) {
+    return null;
+  }
+
+  return listInstalledVersion(packageName, packageManager);
+}
+
+/**
+ * Get the installed version of a package, cached for the run
+ * @param {string} packageName - Name of the package
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd='.'] - Project directory
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.list=true] - Whether to ask the package manager when the project has
+ * neither a lockfile nor node_modules, otherwise the package counts as not installed
+ * @returns {Promise<string|null>} Version or null if not installed
+ */
+export function readInstalledVersion(packageName, options = {}) {
+  const { cwd = '.', packageManager = getPackageManager(), list = true } = options;
+  const { versions } = getProjectCache(cwd);
+  const key = list ? packageName : `${packageName} (offline)`;
+
+  if (!versions.has(key)) {
+    versions.set(key, resolveInstalledVersion(packageName, cwd, packageManager, list));
+  }
+
+  return versions.get(key);
+}
+
+/**
+ * Get the installed versions of packages at once
+ * @param {string[]} packageNames - Packages to look up
+ * @param {Object} [options] - Options of readInstalledVersion
+ * @returns {Promise<Object>} Versions by package name, without the packages that are not installed
+ */
+export async function readInstalledVersions(packageNames, options = {}) {
+  const versions = await Promise.all(
+    packageNames.map((name) => readInstalledVersion(name, options)),
+  );
+  return Object.fromEntries(
+    packageNames.map((name, index) => [name, versions[index]]).filter(([, version]) => version),
+  );
+}
+
+/**
+ * Compare a dependency the scaffold requires with the project: "missing" when package.json does
+ * not declare it, "outdated" when the installed version misses the required range (the declared
+ * range stands for the version before the first install), "installed" otherwise
+ * @param {string} dependency - Dependency spec, e.g. @commitlint/cli@^19.6.1
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd='.'] - Project directory
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @returns {Promise<Object>} { name, status, version } with the installed or declared version
+ */
+export async function getDependencyStatus(dependency, options = {}) {
+  const { cwd = '.' } = options;
+  const required = parseDependencySpec(dependency);
+  const declared = (await readDeclaredDependencies({ cwd }))[required.name];
+
+  if (!declared) {
+    return { name: required.name, status: 'missing', version: null };
+  }
+
+  // Never spawns the package manager, this runs once per dependency before installing
+  let version = await readInstalledVersion(required.name, { ...options, list: false });
+  if (!version) {
+    const { type, range } = parseDependencySpec(`${required.name}@${declared}`);
+    const minimum = type === 'range' && range !== '*' ? semver.minVersion(range) : null;
+    version = minimum ? minimum.version : null;
+  }
+
+  const satisfied = !version || satisfiesDependencySpec(required, version);
+  return { name: required.name, status: satisfied ? 'installed' : 'outdated', version };
+}
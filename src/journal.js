@@ -0,0 +1,283 @@
+/**
+ * @module src/journal.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Records the original state of every file and directory a setup run touches
+ * Used to roll back a failed run and, from the saved journal, to undo the last run
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { logSuccess, logInfo, logWarning, formatPath } from './utils.js';
+
+/**
+ * Directory where the scaffold keeps its state inside the project
+ * @constant {string}
+ */
+export const JOURNAL_DIR = '.avr-qa-scaffold';
+
+/**
+ * Journal of the last successful run, read by the rollback command
+ * @constant {string}
+ */
+export const JOURNAL_FILE = path.join(JOURNAL_DIR, 'journal.json');
+
+/**
+ * Format version of the saved journal
+ * @constant {number}
+ */
+const JOURNAL_VERSION = 1;
+
+/**
+ * An original state recorded before the setup changed it
+ * @typedef {Object} JournalEntry
+ * @property {string} type - file or directory
+ * @property {string} path - Path relative to the journal cwd
+ * @property {boolean} [existed] - Whether the file existed before the run (files only)
+ * @property {string} [content] - Original content in base64 (existing files only)
+ * @property {number} [mode] - Original permissions (existing files only)
+ */
+
+/**
+ * Create an empty journal for a run in the given directory
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory the paths are relative to
+ * @returns {Object} Journal
+ */
+export function createJournal(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  return {
+    version: JOURNAL_VERSION,
+    cwd: path.resolve(cwd),
+    startedAt: new Date().toISOString(),
+    entries: [],
+  };
+}
+
+/**
+ * Absolute path of a journal entry
+ * @param {Object} journal - Journal
+ * @param {string} entryPath - Path relative to the journal cwd
+ * @returns {string} Absolute path
+ */
+function resolveEntryPath(journal, entryPath) {
+  return path.resolve(journal.cwd, entryPath);
+}
+
+/**
+ * Whether a path is already covered by the journal
+ * @param {Object} journal - Journal
+ * @param {string} entryPath - Path relative to the journal cwd
+ * @returns {boolean} Whether the path or one of its created parents was recorded
+ */
+function isTracked(journal, entryPath) {
+  return journal.entries.some(
+    (entry) =>
+      entry.path === entryPath ||
+      (entry.type === 'directory' && entryPath.startsWith(`${entry.path}${path.sep}`)),
+  );
+}
+
+/**
+ * Record the original state of a file before it is written, the first record of a path wins
+ * @param {Object|null} journal - Journal, nothing is recorded when null
+ * @param {string} filePath - File about to be written
+ * @returns {Promise<void>}
+ */
+export async function trackFile(journal, filePath) {
+  if (!journal) {
+    return;
+  }
+
+  const entryPath = path.relative(journal.cwd, path.resolve(filePath));
+  if (isTracked(journal, entryPath)) {
+    return;
+  }
+
+  try {
+    const absolutePath = resolveEntryPath(journal, entryPath);
+    const [content, stats] = await Promise.all([fs.readFile(absolutePath), fs.stat(absolutePath)]);
+
+    journal.entries.push({
+      type: 'file',
+      path: entryPath,
+      existed: true,
+      content: content.toString('base64'),
+      mode: stats.mode % 0o1000,
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    journal.entries.push({ type: 'file', path: entryPath, existed: false });
+  }
+}
+
+/**
+ * Walk up from a directory until an existing one, the last missing one is what mkdir -p creates first
+ * @param {string} directory - Absolute path of the directory
+ * @param {string} root - Directory the walk stops at
+ * @returns {Promise<string|null>} Outermost missing directory, null when the directory exists
+ */
+async function findOutermostMissing(directory, root) {
+  if (directory === root || directory === path.dirname(directory)) {
+    return null;
+  }
+
+  try {
+    await fs.access(directory);
+    return null;
+  } catch (error) {
+    return (await findOutermostMissing(path.dirname(directory), root)) || directory;
+  }
+}
+
+/**
+ * Record a directory before it is created, only the outermost missing directory is recorded
+ * @param {Object|null} journal - Journal, nothing is recorded when null
+ * @param {string} dirPath - Directory about to be created
+ * @returns {Promise<void>}
+ */
+export async function trackDirectory(journal, dirPath) {
+  if (!journal) {
+    return;
+  }
+
+  const missing = await findOutermostMissing(path.resolve(dirPath), journal.cwd);
+
+  if (!missing) {
+    return;
+  }
+
+  const entryPath = path.relative(journal.cwd, missing);
+  if (!isTracked(journal, entryPath)) {
+    journal.entries.push({ type: 'directory', path: entryPath });
+  }
+}
+
+/**
+ * Undo everything recorded in a journal, newest change first
+ * @param {Object} journal - Journal
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose=false] - Log every restored or removed path
+ * @returns {Promise<Object>} { restored, removed } counts
+ */
+export async function rollbackJournal(journal, options = {}) {
+  const { verbose = false } = options;
+
+  // The entries are undone one after the other, a file may sit in a directory removed later
+  return [...journal.entries].reverse().reduce(
+    async (previous, entry) => {
+      const { restored, removed } = await previous;
+      const absolutePath = resolveEntryPath(journal, entry.path);
+      const restore = entry.type === 'file' && entry.existed;
+
+      if (restore) {
+        await fs.writeFile(absolutePath, Buffer.from(entry.content, 'base64'));
+        await fs.chmod(absolutePath, entry.mode);
+      } else {
+        await fs.rm(absolutePath, { recursive: true, force: true });
+      }
+
+      if (verbose) {
+        logInfo(`${entry.existed ? 'Restored' : 'Removed'} ${formatPath(absolutePath)}`);
+      }
+
+      return restore ? { restored: restored + 1, removed } : { restored, removed: removed + 1 };
+    },
+    Promise.resolve({ restored: 0, removed: 0 }),
+  );
+}
+
+/**
+ * Save a journal so the rollback command can undo the run later
+ * @param {Object} journal - Journal
+ * @returns {Promise<string>} Path of the saved journal
+ */
+export async function saveJournal(journal) {
+  const journalPath = path.join(journal.cwd, JOURNAL_FILE);
+
+  await fs.mkdir(path.dirname(journalPath), { recursive: true });
+  await fs.writeFile(
+    journalPath,
+    JSON.stringify({ ...journal, savedAt: new Date().toISOString() }, null, 2),
+  );
+  return journalPath;
+}
+
+/**
+ * Load the journal of the last run
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<Object|null>} Journal, null when there is none
+ */
+export async function loadJournal(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  let content;
+  try {
+    content = await fs.readFile(path.join(cwd, JOURNAL_FILE), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const journal = JSON.parse(content);
+  if (journal.version !== JOURNAL_VERSION) {
+    throw new Error(`Unsupported journal version: ${journal.version}`);
+  }
+
+  // The project may have moved since the run
+  return { ...journal, cwd: path.resolve(cwd) };
+}
+
+/**
+ * Delete the saved journal, and the state directory when nothing else is in it
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<void>}
+ */
+export async function clearJournal(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  await fs.rm(path.join(cwd, JOURNAL_FILE), { force: true });
+
+  try {
+    await fs.rmdir(path.join(cwd, JOURNAL_DIR));
+  } catch (error) {
+    // Not empty or already gone
+  }
+}
+
+/**
+ * Roll back a failed run and report what was undone
+ * @param {Object} journal - Journal of the failed run
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose=false] - Log every restored or removed path
+ * @returns {Promise<boolean>} Whether the rollback completed
+ */
+export async function rollbackFailedRun(journal, options = {}) {
+  if (journal.entries.length === 0) {
+    return true;
+  }
+
+  logWarning('Rolling back the changes made so far...');
+  try {
+    const { restored, removed } = await rollbackJournal(journal, options);
+    logSuccess(`Rolled back: ${restored} file(s) restored, ${removed} path(s) removed`);
+    return true;
+  } catch (error) {
+    logWarning(`Rollback failed: ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * @module src/migrations.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Versioned migrations the upgrade command runs on the settings of a project, such as moving
+ * a legacy .eslintrc.json setup to the flat config; the files, scripts and dependencies follow
+ * from the migrated settings
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import chalk from 'chalk';
+import semver from 'semver';
+
+import { ask } from './prompts.js';
+import { logInfo, logSuccess, VERSION } from './utils.js';
+
+/**
+ * A change of settings introduced by a version of the scaffold
+ * @typedef {Object} Migration
+ * @property {string} id - Migration ID
+ * @property {string} version - Version of the scaffold that introduced it, it runs on projects set up before
+ * @property {string} description - What it changes
+ * @property {Function} applies - (settings) => whether the project needs it
+ * @property {Function} migrate - (settings) => migrated settings
+ * @property {string} [note] - What is left to do by hand, shown after it ran
+ */
+
+/**
+ * Migrations in version order
+ * @constant {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    id: 'eslint-flat-config',
+    version: '0.2.0',
+    description: 'Move the legacy .eslintrc.json setup (ESLint 8) to the flat config (ESLint 9)',
+    applies: (settings) => settings.eslintConfig === 'legacy',
+    migrate: (settings) => ({ ...settings, eslintConfig: 'flat' }),
+    note: 'Rules you added to .eslintrc.json are not carried over, port them to eslint.config.js.',
+  },
+];
+
+/**
+ * Migrations a project needs to go from the version it was set up with to another one
+ * @param {string} fromVersion - Version the project was set up with
+ * @param {Object} settings - Settings of the project
+ * @param {string} [toVersion] - Version upgraded to, the current one by default
+ * @returns {Migration[]} Migrations to run, in order
+ */
+export function getPendingMigrations(fromVersion, settings, toVersion = VERSION) {
+  return MIGRATIONS.filter(
+    (migration) =>
+      semver.gt(migration.version, fromVersion) &&
+      semver.lte(migration.version, toVersion) &&
+      migration.applies(settings),
+  );
+}
+
+/**
+ * Run the pending migrations of a project on its settings, each one once confirmed
+ * @param {Object} settings - Settings of the project
+ * @param {Object} options - Options
+ * @param {string} options.fromVersion - Version the project was set up with
+ * @returns {Promise<Object>} { settings, applied } with the migrated settings and the IDs of the migrations run
+ */
+export async function runMigrations(settings, { fromVersion }) {
+  // Each migration sees the settings of the previous ones
+  return MIGRATIONS.reduce(
+    async (previous, migration) => {
+      const result = await previous;
+      if (!getPendingMigrations(fromVersion, result.settings).includes(migration)) {
+        return result;
+      }
+
+      const confirmed = await ask('run-migration', {
+        name: 'run',
+        message: `${migration.description}?`,
+        default: true,
+      });
+      if (!confirmed) {
+        logInfo(`Skipping the ${chalk.cyan(migration.id)} migration.`);
+        return result;
+      }
+
+      const migrated = migration.migrate(result.settings);
+      logSuccess(`Migration ${chalk.cyan(migration.id)}: ${migration.description}`);
+      if (migration.note) {
+        logInfo(migration.note);
+      }
+
+      return { settings: migrated, applied: [...result.applied, migration.id] };
+    },
+    Promise.resolve({ settings, applied: [] }),
+  );
+}
@@ -0,0 +1,280 @@
+/**
+ * @module src/package-manager.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Package manager abstraction for npm, pnpm, Yarn and Bun
+ * Detects the manager used by a project and builds the install, add, remove, list,
+ * exec and run commands for it, and those acting on every package of a workspace
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+import { logInfo, fileExists } from './utils.js';
+
+/**
+ * Supported package managers and the commands they use
+ * @constant {Object}
+ */
+export const PACKAGE_MANAGERS = {
+  npm: {
+    id: 'npm',
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    install: 'npm install',
+    add: 'npm install --save-dev',
+    addRoot: 'npm install --save-dev',
+    remove: 'npm uninstall',
+    list: (packageName) => `npm list ${packageName} --depth=0 --json`,
+    exec: 'npx --no --',
+    run: 'npm run',
+    runAll: (script) => `npm run ${script} --workspaces --if-present`,
+    init: 'npm init -y',
+    // npm alone refuses peer ranges the setup accepts, such as the ESLint 8 range of the Airbnb configs
+    legacyPeerDeps: '--legacy-peer-deps',
+  },
+
+  pnpm: {
+    id: 'pnpm',
+    lockfiles: ['pnpm-lock.yaml'],
+    install: 'pnpm install',
+    add: 'pnpm add --save-dev',
+    addRoot: 'pnpm add --save-dev --workspace-root',
+    remove: 'pnpm remove',
+    list: (packageName) => `pnpm list ${packageName} --depth=0 --json`,
+    exec: 'pnpm exec',
+    run: 'pnpm run',
+    runAll: (script) => `pnpm --recursive --if-present run ${script}`,
+    init: 'pnpm init',
+  },
+
+  yarn: {
+    id: 'yarn',
+    lockfiles: ['yarn.lock'],
+    install: 'yarn install',
+    add: 'yarn add --dev',
+    // Yarn 1 refuses to add to the root of a workspace without the flag, Berry has no such check
+    addRoot: ({ berry = false } = {}) =>
+      berry ? 'yarn add --dev' : 'yarn add --dev --ignore-workspace-root-check',
+    remove: 'yarn remove',
+    // Yarn 2+ (Berry) dropped `yarn list`, `yarn info` reports the resolved version instead
+    list: (packageName, { berry = false } = {}) =>
+      berry
+        ? `yarn info ${packageName} --json`
+        : `yarn list --pattern ${packageName} --depth=0 --json`,
+    exec: 'yarn',
+    run: 'yarn run',
+    runAll: (script, { berry = false } = {}) =>
+      berry ? `yarn workspaces foreach --all run ${script}` : `yarn workspaces run ${script}`,
+    init: 'yarn init -y',
+  },
+
+  bun: {
+    id: 'bun',
+    lockfiles: ['bun.lock', 'bun.lockb'],
+    install: 'bun install',
+    add: 'bun add --dev',
+    addRoot: 'bun add --dev',
+    remove: 'bun remove',
+    list: () => 'bun pm ls',
+    exec: 'bunx',
+    run: 'bun run',
+    // No quotes, execaCommand passes them on literally; a shell leaves the word alone as no file starts with --filter=
+    runAll: (script) => `bun run --filter=* ${script}`,
+    init: 'bun init -y',
+  },
+};
+
+/**
+ * Default package manager when nothing else can be detected
+ * @constant {string}
+ */
+export const DEFAULT_PACKAGE_MANAGER = 'npm';
+
+/**
+ * Check if a package manager id is supported
+ * @param {string} id - Package manager id
+ * @returns {boolean} Whether the package manager is supported
+ */
+export function isValidPackageManager(id) {
+  return Object.keys(PACKAGE_MANAGERS).includes(id);
+}
+
+/**
+ * Parse a `name@version` specifier such as the `packageManager` field
+ * or the first token of `npm_config_user_agent`
+ * @param {string} specifier - Specifier to parse (e.g. 'pnpm@9.1.0')
+ * @returns {Object|null} Object with id and version, or null when unsupported
+ * @private
+ */
+function parseManagerSpecifier(specifier) {
+  if (!specifier) {
+    return null;
+  }
+
+  // Strip a corepack integrity hash such as "pnpm@9.1.0+sha512.abc"
+  const [id, version = null] = specifier.split('+')[0].split('@');
+
+  return isValidPackageManager(id) ? { id, version } : null;
+}
+
+/**
+ * Detect the version of a package manager a project pins: the `packageManager` field when it
+ * names that manager, otherwise Yarn Berry from the .yarnrc.yml such projects always carry
+ * @param {string} id - Package manager id
+ * @param {string} cwd - Project directory
+ * @returns {Promise<string|null>} Version, null when the project does not pin one
+ * @private
+ */
+async function detectManagerVersion(id, cwd) {
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+    const fromField = parseManagerSpecifier(packageJson.packageManager);
+
+    if (fromField && fromField.id === id) {
+      return fromField.version;
+    }
+  } catch (error) {
+    // No readable package.json, keep looking
+  }
+
+  return id === 'yarn' && (await fileExists(path.join(cwd, '.yarnrc.yml'))) ? '2' : null;
+}
+
+/**
+ * Detect the package manager used by a project.
+ * The `packageManager` field wins over lockfiles, and the user agent of the
+ * process that launched the scaffold (e.g. `pnpm dlx`) is used as a last resort.
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<Object>} Object with `id`, `version` and the `source` of the detection
+ */
+export async function detectPackageManager(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  // 1. The packageManager field in package.json
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+    const fromField = parseManagerSpecifier(packageJson.packageManager);
+
+    if (fromField) {
+      return { ...fromField, source: 'packageManager field' };
+    }
+  } catch (error) {
+    // No readable package.json, keep looking
+  }
+
+  // 2. Lockfiles
+  const lockfiles = Object.values(PACKAGE_MANAGERS).flatMap(({ id, lockfiles: names }) =>
+    names.map((lockfile) => ({ id, lockfile })),
+  );
+  const present = await Promise.all(
+    lockfiles.map(({ lockfile }) => fileExists(path.join(cwd, lockfile))),
+  );
+  const found = lockfiles.find((lockfile, index) => present[index]);
+
+  if (found) {
+    return {
+      id: found.id,
+      version: await detectManagerVersion(found.id, cwd),
+      source: found.lockfile,
+    };
+  }
+
+  // 3. The package manager that launched this process
+  const userAgent = process.env.npm_config_user_agent;
+  const fromUserAgent = userAgent
+    ? parseManagerSpecifier(userAgent.split(' ')[0].replace('/', '@'))
+    : null;
+
+  if (fromUserAgent) {
+    return { ...fromUserAgent, source: 'user agent' };
+  }
+
+  return { id: DEFAULT_PACKAGE_MANAGER, version: null, source: 'default' };
+}
+
+/**
+ * Get a package manager with its command builders
+ * @param {string} [id='npm'] - Package manager id (npm, pnpm, yarn, bun)
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.version=null] - Package manager version, used to tell Yarn 1 from Berry
+ * @returns {Object} Package manager with `id`, `version`, `exec` and `run` prefixes and
+ * `installCommand`, `addCommand`, `addRootCommand`, `removeCommand`, `listCommand`, `execCommand`, `runCommand`,
+ * `runAllCommand`, `initCommand` builders; the add and remove builders take { legacyPeerDeps } to pass
+ * --legacy-peer-deps to npm
+ */
+export function getPackageManager(id = DEFAULT_PACKAGE_MANAGER, options = {}) {
+  const { version = null } = options;
+  const manager = PACKAGE_MANAGERS[id];
+
+  if (!manager) {
+    throw new Error(
+      `Unsupported package manager: ${id}. Available: ${Object.keys(PACKAGE_MANAGERS).join(', ')}`,
+    );
+  }
+
+  const berry = id === 'yarn' && version !== null && parseInt(version, 10) >= 2;
+  const peerFlag = ({ legacyPeerDeps = false } = {}) =>
+    legacyPeerDeps && manager.legacyPeerDeps ? ` ${manager.legacyPeerDeps}` : '';
+
+  return {
+    id,
+    version,
+    lockfiles: manager.lockfiles,
+    exec: manager.exec,
+    run: manager.run,
+    installCommand: () => manager.install,
+    addCommand: (dependencies, commandOptions) =>
+      `${manager.add} ${dependencies.join(' ')}${peerFlag(commandOptions)}`,
+    // Adds to the root package.json of a workspace, where the shared tooling is installed
+    addRootCommand: (dependencies, commandOptions) => {
+      const add =
+        typeof manager.addRoot === 'function' ? manager.addRoot({ berry }) : manager.addRoot;
+      return `${add} ${dependencies.join(' ')}${peerFlag(commandOptions)}`;
+    },
+    removeCommand: (packages, commandOptions) =>
+      `${manager.remove} ${packages.join(' ')}${peerFlag(commandOptions)}`,
+    listCommand: (packageName) => manager.list(packageName, { berry }),
+    execCommand: (command) => `${manager.exec} ${command}`,
+    runCommand: (script) => `${manager.run} ${script}`,
+    // Runs a script in every workspace package that defines it
+    runAllCommand: (script) => manager.runAll(script, { berry }),
+    initCommand: () => manager.init,
+  };
+}
+
+/**
+ * Resolve the package manager for a run, honouring an explicit override.
+ * The version of an overridden manager is still detected, so --pm yarn builds Berry commands
+ * in a project pinning yarn@4 or carrying a .yarnrc.yml.
+ * @param {Object} [options] - Options
+ * @param {string} [options.override] - Package manager requested with --pm
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {boolean} [options.verbose=false] - Whether to show verbose output
+ * @returns {Promise<Object>} Package manager as returned by getPackageManager
+ */
+export async function resolvePackageManager(options = {}) {
+  const { override, cwd = process.cwd(), verbose = false } = options;
+
+  if (override) {
+    if (verbose) {
+      logInfo(`Using package manager ${chalk.cyan(override)} (--pm)`);
+    }
+    return getPackageManager(override, { version: await detectManagerVersion(override, cwd) });
+  }
+
+  const { id, version, source } = await detectPackageManager({ cwd });
+
+  if (verbose) {
+    logInfo(`Using package manager ${chalk.cyan(id)} (detected from ${source})`);
+  }
+
+  return getPackageManager(id, { version });
+}
@@ -8,7 +8,7 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-12
- * @lastModified 2025-05-12
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
@@ -17,76 +17,150 @@ import path from 'path';
 import { execaCommand } from 'execa';
 import chalk from 'chalk';
 
-import { getProjectDependencies } from './project-types.js';
-import { logSuccess, logInfo, logWarning, logError } from './utils.js';
+import { getProjectDependencies, getProjectTypeConfig, QUALITY_TOOLS } from './project-types.js';
+import { getPackageManager } from './package-manager.js';
+import { recordChange, recordCommand } from './dry-run.js';
+import { readDeclaredDependencies, getDependencyStatus, clearInstalledVersions } from './installed-versions.js';
+import { parseDependencySpec } from './dependency-specs.js';
+import { logSuccess, logInfo, logWarning, logError, extractPackageName } from './utils.js';
 
 /**
- * Check if a package is already installed
- * @param {string} packageName - Name of the package to check (without version)
+ * Check if a package is already installed, i.e. declared in package.json (read once per run)
+ * @param {string} packageName - Name of the package to check, or a dependency spec such as @org/package@^1.0.0
  * @returns {Promise<boolean>} Whether the package is installed
  */
 export async function isPackageInstalled(packageName) {
   try {
-    const packageJson = JSON.parse(await fs.readFile('package.json', 'utf8'));
+    const declared = await readDeclaredDependencies();
     
-    // Extract package name from "@org/package" or "package@version"
-    const name = packageName.split('@')[0] || packageName;
-    
-    return (
-      (packageJson.dependencies && packageJson.dependencies[name]) ||
-      (packageJson.devDependencies && packageJson.devDependencies[name])
-    );
+    return Boolean(declared[parseDependencySpec(packageName).name]);
   } catch (error) {
     logError(`Error checking if ${packageName} is installed: ${error.message}`);
     return false;
   }
 }
 
+/**
+ * Dependencies of a workspace: those of the root config, a Node.js project, and of every package
+ * @param {Object[]} packages - Workspace packages as { projectType, testRunner }
+ * @param {Object} options - Options of the root (eslintConfig, typescript, testRunner, extraDependencies, tools)
+ * @returns {string[]} Dependencies, each package once with the first specifier listed
+ * @private
+ */
+function getWorkspaceDependencies(packages, options) {
+  const dependencies = new Map();
+  const lists = [
+    getProjectDependencies('node', options),
+    ...packages.map(({ projectType, testRunner }) => getProjectDependencies(projectType, { ...options, testRunner }))
+  ];
+  
+  lists.flat().forEach((dependency) => {
+    const name = extractPackageName(dependency);
+    if (!dependencies.has(name)) {
+      dependencies.set(name, dependency);
+    }
+  });
+  
+  return [...dependencies.values()];
+}
+
 /**
  * Install all dependencies needed for the quality system
  * @param {Object} options - Options for installation
  * @param {string} options.projectType - Type of project
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether to install the TypeScript variant dependencies
+ * @param {string} [options.testRunner='jest'] - Test runner whose packages are installed (jest, vitest, node)
+ * @param {string[]} [options.extraDependencies=[]] - Additional packages from the project configuration
+ * @param {string[]} [options.tools] - Tools set up, the packages of the other ones are not installed (all of them by default)
+ * @param {string[]} [options.dependencies] - Packages to install instead of those of the project type, e.g. of a single tool
+ * @param {Object[]} [options.packages] - Workspace packages as { projectType, testRunner }: the tooling
+ * of the root and of every package is installed once, at the workspace root
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.legacyPeerDeps=false] - Whether npm installs with --legacy-peer-deps (see
+ * needsLegacyPeerDeps); the project .npmrc is left alone
+ * @param {Object} [options.plan] - Dry-run plan, packages are recorded instead of installed
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<boolean>} Whether installation was successful
  */
 export async function installDependencies(options = {}) {
-  const { projectType = 'node', verbose = false } = options;
+  const {
+    projectType = 'node',
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    extraDependencies = [],
+    tools = QUALITY_TOOLS,
+    packages = null,
+    packageManager = getPackageManager(),
+    legacyPeerDeps = false,
+    plan = null,
+    verbose = false
+  } = options;
   
   try {
-    // Get the list of dependencies for this project type
-    const dependencies = getProjectDependencies(projectType);
+    // Get the list of dependencies for this project type, or for the whole workspace
+    const dependencies = options.dependencies || (packages
+      ? getWorkspaceDependencies(packages, { eslintConfig, typescript, testRunner, extraDependencies, tools })
+      : getProjectDependencies(projectType, { eslintConfig, typescript, testRunner, extraDependencies, tools }));
     
     logInfo('Checking for missing dependencies...');
     
-    // Check which packages are already installed
+    // Check which packages are already installed, and in a version within the required range
     const packagesToInstall = [];
-    for (const dependency of dependencies) {
-      // Extract package name without version
-      const packageName = dependency.split('@')[0];
+    const outdated = new Map();
+    const statuses = await Promise.all(dependencies.map((dependency) => getDependencyStatus(dependency, { packageManager })));
+    dependencies.forEach((dependency, index) => {
+      const { name, status, version } = statuses[index];
       
-      if (!await isPackageInstalled(packageName)) {
+      if (status === 'missing') {
         packagesToInstall.push(dependency);
-      } else if (verbose) {
-        logInfo(`Package ${chalk.cyan(packageName)} is already installed.`);
+      } else if (status === 'outdated') {
+        packagesToInstall.push(dependency);
+        outdated.set(dependency, version);
+        logWarning(`Package ${chalk.cyan(name)} ${version} does not satisfy ${dependency}, it will be updated.`);
+      } else {
+        if (plan) {
+          recordChange(plan, { type: 'dependency', action: 'skip', name, reason: 'already installed' });
+        }
+        if (verbose) {
+          logInfo(`Package ${chalk.cyan(name)} is already installed.`);
+        }
       }
-    }
+    });
     
     if (packagesToInstall.length === 0) {
       logSuccess('All dependencies are already installed.');
       return true;
     }
     
+    const installCommand = packages
+      ? packageManager.addRootCommand(packagesToInstall, { legacyPeerDeps })
+      : packageManager.addCommand(packagesToInstall, { legacyPeerDeps });
+    
+    if (plan) {
+      packagesToInstall.forEach((dependency) => {
+        recordChange(plan, outdated.has(dependency)
+          ? { type: 'dependency', action: 'update', name: extractPackageName(dependency), value: dependency, previous: outdated.get(dependency) }
+          : { type: 'dependency', action: 'add', name: extractPackageName(dependency), value: dependency });
+      });
+      recordCommand(plan, installCommand);
+      return true;
+    }
+    
     // Install missing dependencies
     logInfo(`Installing dependencies: ${packagesToInstall.join(', ')}`);
     
-    const installCommand = `npm install --save-dev ${packagesToInstall.join(' ')}`;
-    
     if (verbose) {
       logInfo(`Running: ${chalk.cyan(installCommand)}`);
     }
     
     await execaCommand(installCommand, { stdio: verbose ? 'inherit' : 'pipe' });
+    clearInstalledVersions();
     logSuccess('Dependencies installed successfully.');
+    if (legacyPeerDeps) {
+      logInfo(`Installed with ${chalk.cyan('--legacy-peer-deps')}: the Airbnb configs declare an ESLint 8 peer range, pass it to later npm installs too.`);
+    }
     
     return true;
   } catch (error) {
@@ -95,28 +169,44 @@ export async function installDependencies(options = {}) {
   }
 }
 
+/**
+ * Whether npm installs and removes with --legacy-peer-deps: the Airbnb configs of the flat ESLint
+ * setup declare an ESLint 8 peer range, npm refuses any change to the tree without the flag
+ * @param {Object} options - Options
+ * @param {string} options.eslintConfig - ESLint configuration format (flat, legacy)
+ * @param {string[]} [options.tools] - Tools set up (all of them by default)
+ * @param {Object} options.packageManager - Package manager from getPackageManager
+ * @returns {boolean} Whether the add and remove commands need --legacy-peer-deps
+ */
+export function needsLegacyPeerDeps({ eslintConfig, tools = QUALITY_TOOLS, packageManager }) {
+  return eslintConfig === 'flat' && tools.includes('eslint') && packageManager.id === 'npm';
+}
+
 /**
  * Add dev dependencies to the project
  * @param {string[]} dependencies - Array of dependencies to add
  * @param {Object} options - Options
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.legacyPeerDeps=false] - Whether npm adds with --legacy-peer-deps (see needsLegacyPeerDeps)
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<boolean>} Whether the operation was successful
  */
 export async function addDevDependencies(dependencies, options = {}) {
-  const { verbose = false } = options;
+  const { packageManager = getPackageManager(), legacyPeerDeps = false, verbose = false } = options;
   
   if (!dependencies || dependencies.length === 0) {
     return true; // Nothing to do
   }
   
   try {
-    const installCommand = `npm install --save-dev ${dependencies.join(' ')}`;
+    const installCommand = packageManager.addCommand(dependencies, { legacyPeerDeps });
     
     if (verbose) {
       logInfo(`Running: ${chalk.cyan(installCommand)}`);
     }
     
     await execaCommand(installCommand, { stdio: verbose ? 'inherit' : 'pipe' });
+    clearInstalledVersions();
     logSuccess('Dev dependencies added successfully.');
     
     return true;
@@ -126,18 +216,147 @@ export async function addDevDependencies(dependencies, options = {}) {
   }
 }
 
+/**
+ * Remove dev dependencies from the project, those not declared in package.json are left alone
+ * @param {string[]} dependencies - Dependencies to remove, names or dependency specs
+ * @param {Object} options - Options
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.legacyPeerDeps=false] - Whether npm removes with --legacy-peer-deps (see needsLegacyPeerDeps)
+ * @param {Object} [options.plan] - Dry-run plan, the packages are recorded instead of removed
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {Promise<boolean>} Whether the operation was successful
+ */
+export async function removeDevDependencies(dependencies, options = {}) {
+  const { packageManager = getPackageManager(), legacyPeerDeps = false, plan = null, verbose = false } = options;
+  
+  try {
+    const declared = await readDeclaredDependencies();
+    const packagesToRemove = dependencies
+      .map((dependency) => parseDependencySpec(dependency).name)
+      .filter((name) => declared[name]);
+    
+    if (packagesToRemove.length === 0) {
+      return true; // Nothing to do
+    }
+    
+    const removeCommand = packageManager.removeCommand(packagesToRemove, { legacyPeerDeps });
+    
+    if (plan) {
+      packagesToRemove.forEach((name) => {
+        recordChange(plan, { type: 'dependency', action: 'remove', name });
+      });
+      recordCommand(plan, removeCommand);
+      return true;
+    }
+    
+    logInfo(`Removing dependencies: ${packagesToRemove.join(', ')}`);
+    
+    if (verbose) {
+      logInfo(`Running: ${chalk.cyan(removeCommand)}`);
+    }
+    
+    await execaCommand(removeCommand, { stdio: verbose ? 'inherit' : 'pipe' });
+    clearInstalledVersions();
+    logSuccess('Dev dependencies removed successfully.');
+    
+    return true;
+  } catch (error) {
+    logError(`Failed to remove dev dependencies: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Record the package.json keys a deep merge of values would add, overwrite or remove
+ * Mirrors deepMerge: objects are walked key by key, primitives and arrays replace, undefined removes
+ * @param {Object} plan - Dry-run plan from createPlan
+ * @param {Object} target - Current package.json contents
+ * @param {Object} source - Values that would be merged
+ * @param {string} [prefix=''] - Dotted path of the current object
+ * @param {string|null} [file=null] - Path of a package.json other than the project one
+ * @private
+ */
+function recordPackageJsonChanges(plan, target, source, prefix = '', file = null) {
+  Object.entries(source).forEach(([key, value]) => {
+    const name = `${prefix}${key}`;
+    const current = target && typeof target === 'object' ? target[key] : undefined;
+    const location = file ? { path: file } : {};
+    
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      recordPackageJsonChanges(plan, current, value, `${name}.`, file);
+    } else if (value === undefined) {
+      if (current !== undefined) {
+        recordChange(plan, { type: 'package-json', action: 'remove', ...location, name, previous: current });
+      }
+    } else if (current === undefined) {
+      recordChange(plan, { type: 'package-json', action: 'add', ...location, name, value });
+    } else if (JSON.stringify(current) === JSON.stringify(value)) {
+      recordChange(plan, { type: 'package-json', action: 'unchanged', ...location, name, value });
+    } else {
+      recordChange(plan, { type: 'package-json', action: 'overwrite', ...location, name, value, previous: current });
+    }
+  });
+}
+
+/**
+ * Move the added scripts next to the scripts around them in the scaffold's order
+ * @param {Object} scripts - Scripts of package.json, the added ones at the end
+ * @param {string[]} added - Names of the added scripts
+ * @param {string[]} order - Script names in the order the scaffold writes them
+ * @returns {Object} Scripts in their new order
+ * @private
+ */
+function placeAddedScripts(scripts, added, order) {
+  const names = Object.keys(scripts).filter((name) => !added.includes(name) || !order.includes(name));
+  
+  order.filter((item) => added.includes(item)).forEach((name) => {
+    const position = order.indexOf(name);
+    const before = order.slice(0, position).reverse().find((item) => names.includes(item));
+    const after = order.slice(position + 1).find((item) => names.includes(item));
+    
+    if (before) {
+      names.splice(names.indexOf(before) + 1, 0, name);
+    } else if (after) {
+      names.splice(names.indexOf(after), 0, name);
+    } else {
+      names.push(name);
+    }
+  });
+  
+  return Object.fromEntries(names.map((name) => [name, scripts[name]]));
+}
+
 /**
  * Modify package.json with provided values
- * @param {Object} values - Values to add or update in package.json
+ * @param {Object} values - Values to add or update in package.json, keys set to undefined are removed
+ * @param {Object} [options] - Options
+ * @param {string} [options.directory='.'] - Directory of the package.json, e.g. a workspace package
+ * @param {Object} [options.plan] - Dry-run plan, each changed key is recorded instead of written
+ * @param {string[]} [options.scriptOrder] - Script names in the order the scaffold writes them, the
+ * scripts the values add are placed among them instead of at the end
  * @returns {Promise<boolean>} Whether the modification was successful
  */
-export async function modifyPackageJson(values) {
+export async function modifyPackageJson(values, options = {}) {
+  const { directory = '.', plan = null, scriptOrder = null } = options;
+  
   try {
-    const packageJsonPath = path.resolve(process.cwd(), 'package.json');
+    const packageJsonPath = path.resolve(process.cwd(), directory, 'package.json');
     const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
     
+    if (plan) {
+      // Changes to the package.json of a workspace package name the file
+      const file = directory === '.' ? null : path.join(directory, 'package.json');
+      recordPackageJsonChanges(plan, packageJson, values, '', file);
+      return true;
+    }
+    
     // Deep merge values into packageJson
     const merged = deepMerge(packageJson, values);
+    if (scriptOrder && values.scripts && merged.scripts) {
+      const existing = packageJson.scripts || {};
+      const added = Object.keys(values.scripts).filter((name) => values.scripts[name] !== undefined && !(name in existing));
+      merged.scripts = placeAddedScripts(merged.scripts, added, scriptOrder);
+    }
     
     // Write the updated package.json
     await fs.writeFile(
@@ -152,53 +371,222 @@ export async function modifyPackageJson(values) {
   }
 }
 
+/**
+ * Commitizen adapter configured in package.json
+ * @constant {string}
+ */
+const COMMITIZEN_PATH = './node_modules/cz-conventional-changelog';
+
+/**
+ * Lint scripts for each ESLint configuration format.
+ * Flat config rejects --ext and --ignore-path, it reads .gitignore through includeIgnoreFile.
+ * @constant {Object}
+ */
+const LINT_SCRIPTS = {
+  flat: {
+    'lint': 'eslint .',
+    'lint:fix': 'eslint . --fix'
+  },
+  legacy: {
+    'lint': 'eslint --ignore-path .gitignore --ext .js .',
+    'lint:fix': 'eslint --ignore-path .gitignore --ext .js . --fix'
+  }
+};
+
+/**
+ * Test scripts for each test runner: the whole suite, unit tests in src,
+ * integration and e2e tests in tests/, watch modes, CI and coverage
+ * @constant {Object}
+ */
+const TEST_SCRIPTS = {
+  jest: {
+    'test': 'node --experimental-vm-modules node_modules/jest/bin/jest.js',
+    'test:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --watch',
+    
+    // Unit test scripts
+    'test:unit': 'node --experimental-vm-modules node_modules/jest/bin/jest.js src',
+    'test:unit:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js src --watch',
+    'test:unit:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js src --coverage',
+    
+    // Integration test scripts
+    'test:integration': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/integration',
+    'test:integration:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/integration --watch',
+    
+    // E2E test scripts
+    'test:e2e': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/e2e',
+    'test:e2e:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/e2e --watch',
+    
+    // CI test script
+    'test:ci': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --ci --runInBand --forceExit --coverage src tests/integration',
+    
+    // Coverage script
+    'test:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage'
+  },
+  // Vitest watches by default, "vitest run" runs once
+  vitest: {
+    'test': 'vitest run',
+    'test:watch': 'vitest',
+    'test:unit': 'vitest run src',
+    'test:unit:watch': 'vitest src',
+    'test:unit:coverage': 'vitest run src --coverage',
+    'test:integration': 'vitest run tests/integration',
+    'test:integration:watch': 'vitest tests/integration',
+    'test:e2e': 'vitest run tests/e2e',
+    'test:e2e:watch': 'vitest tests/e2e',
+    'test:ci': 'vitest run --coverage src tests/integration',
+    'test:coverage': 'vitest run --coverage'
+  }
+};
+
+/**
+ * Test scripts of the node:test runner. Test files are given as glob patterns, which
+ * node --test expands from Node.js 21, and c8 checks the thresholds of .c8rc.json.
+ * @param {boolean} typescript - Whether TypeScript tests are loaded, through tsx
+ * @returns {Object} Map of script name to command
+ */
+function getNodeTestScripts(typescript) {
+  const node = typescript ? 'node --import tsx --test' : 'node --test';
+  const files = (directory) => `"${directory}/**/*.test.${typescript ? '{js,ts}' : 'js'}"`;
+  const all = files('{src,tests}');
+  
+  return {
+    'test': `${node} ${all}`,
+    'test:watch': `${node} --watch ${all}`,
+    'test:unit': `${node} ${files('src')}`,
+    'test:unit:watch': `${node} --watch ${files('src')}`,
+    'test:unit:coverage': `${node} --experimental-test-coverage ${files('src')}`,
+    'test:integration': `${node} ${files('tests/integration')}`,
+    'test:integration:watch': `${node} --watch ${files('tests/integration')}`,
+    'test:e2e': `${node} ${files('tests/e2e')}`,
+    'test:e2e:watch': `${node} --watch ${files('tests/e2e')}`,
+    'test:ci': `c8 ${node} ${files('src')} ${files('tests/integration')}`,
+    'test:coverage': `c8 ${node} ${all}`
+  };
+}
+
+/**
+ * Scripts only the root of a workspace runs, for every package at once
+ * @param {boolean} typescript - Whether TypeScript files are formatted
+ * @param {string[]} tools - Tools set up, each script runs one of them
+ * @returns {Object} Map of script name to command
+ */
+function getRepositoryScripts(typescript, tools) {
+  const formatExtensions = typescript ? 'js,jsx,ts,tsx,json,md' : 'js,json,md';
+  
+  return {
+    ...(tools.includes('prettier') ? { 'format': `prettier --ignore-path .gitignore --write "**/*.{${formatExtensions}}"` } : {}),
+    ...(tools.includes('commitizen') ? { 'commit': 'cz' } : {}),
+    ...(tools.includes('husky') ? { 'prepare': 'husky' } : {})
+  };
+}
+
+/**
+ * Test scripts of a workspace package, Jest is installed in the node_modules of the root
+ * @param {Object} scripts - Test scripts of the runner
+ * @param {string} workspaceRoot - Path from the package to the workspace root
+ * @returns {Object} Map of script name to command
+ */
+function getPackageTestScripts(scripts, workspaceRoot) {
+  return Object.fromEntries(Object.entries(scripts)
+    .map(([name, command]) => [name, command.replace('node_modules/jest/', `${workspaceRoot}/node_modules/jest/`)]));
+}
+
+/**
+ * Scripts the quality system adds to package.json
+ * @param {Object} [options] - Options
+ * @param {string} [options.projectType] - Type of project, the scripts of a plugin project type are added
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether to include the TypeScript scripts
+ * @param {string} [options.testRunner='jest'] - Test runner the test scripts run (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, the scripts of the other ones are left out (all of them by default)
+ * @param {string} [options.workspaceRoot] - Path from a workspace package to the root, which runs
+ * the format, commit and prepare scripts for the whole workspace
+ * @returns {Object} Map of script name to command
+ */
+export function getQualityScripts(options = {}) {
+  const { projectType, eslintConfig = 'flat', typescript = false, testRunner = 'jest', tools = QUALITY_TOOLS, workspaceRoot = null } = options;
+  const projectConfig = getProjectTypeConfig(projectType);
+  const projectScripts = (projectConfig && projectConfig.scripts) || {};
+  const testScripts = testRunner === 'node' ? getNodeTestScripts(typescript) : TEST_SCRIPTS[testRunner];
+  const packageTestScripts = workspaceRoot ? getPackageTestScripts(testScripts, workspaceRoot) : testScripts;
+  
+  return {
+    ...(tools.includes('eslint') ? LINT_SCRIPTS[eslintConfig] : {}),
+    ...(typescript ? { 'typecheck': 'tsc --noEmit' } : {}),
+    ...(workspaceRoot ? {} : getRepositoryScripts(typescript, tools)),
+    
+    // Testing scripts
+    ...(tools.includes('jest') ? packageTestScripts : {}),
+    
+    // Scripts of the project type, they win over the ones above
+    ...projectScripts
+  };
+}
+
+/**
+ * Scripts of the root of a workspace. Linting runs in each package, with its own config;
+ * Jest runs the packages as projects when all of them use it, other runners run in each package.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.typescript=false] - Whether to include the TypeScript scripts
+ * @param {string[]} [options.testRunners=[]] - Test runners of the packages
+ * @param {string[]} [options.tools] - Tools set up, the scripts of the other ones are left out (all of them by default)
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @returns {Object} Map of script name to command
+ */
+export function getWorkspaceScripts(options = {}) {
+  const { typescript = false, testRunners = [], tools = QUALITY_TOOLS, packageManager = getPackageManager() } = options;
+  const runAll = (names) => Object.fromEntries(names.map((name) => [name, packageManager.runAllCommand(name)]));
+  const jestProjects = testRunners.length > 0 && testRunners.every((runner) => runner === 'jest');
+  const testScripts = jestProjects
+    ? TEST_SCRIPTS.jest
+    : runAll(['test', 'test:unit', 'test:integration', 'test:e2e', 'test:ci', 'test:coverage']);
+  
+  return {
+    ...runAll([...(tools.includes('eslint') ? ['lint', 'lint:fix'] : []), ...(typescript ? ['typecheck'] : [])]),
+    ...getRepositoryScripts(typescript, tools),
+    
+    // Testing scripts
+    ...(tools.includes('jest') ? testScripts : {})
+  };
+}
+
 /**
  * Add scripts to package.json for the quality system
  * @param {Object} options - Options
+ * @param {string} [options.projectType] - Type of project
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether to add the TypeScript scripts
+ * @param {string} [options.testRunner='jest'] - Test runner the test scripts run (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, the scripts of the other ones are left out (all of them by default)
+ * @param {string} [options.directory='.'] - Directory of the package.json, e.g. a workspace package
+ * @param {string} [options.workspaceRoot] - Path from a workspace package to the root
+ * @param {Object} [options.scripts] - Scripts to add instead of the quality scripts, e.g. from getWorkspaceScripts
+ * @param {Object} [options.plan] - Dry-run plan, the script changes are recorded instead of written
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<boolean>} Whether the operation was successful
  */
 export async function addScriptsToPackageJson(options = {}) {
-  const { verbose = false } = options;
+  const {
+    projectType,
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    tools = QUALITY_TOOLS,
+    directory = '.',
+    workspaceRoot = null,
+    plan = null,
+    verbose = false
+  } = options;
   
   try {
     // Define scripts to add
-    const scripts = {
-      'lint': 'eslint --ignore-path .gitignore --ext .js .',
-      'lint:fix': 'eslint --ignore-path .gitignore --ext .js . --fix',
-      'format': 'prettier --ignore-path .gitignore --write "**/*.{js,json,md}"',
-      'commit': 'cz',
-      'prepare': 'husky',
-      
-      // Testing scripts
-      'test': 'node --experimental-vm-modules node_modules/jest/bin/jest.js',
-      'test:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --watch',
-      
-      // Unit test scripts
-      'test:unit': 'node --experimental-vm-modules node_modules/jest/bin/jest.js src',
-      'test:unit:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js src --watch',
-      'test:unit:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js src --coverage',
-      
-      // Integration test scripts
-      'test:integration': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/integration',
-      'test:integration:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/integration --watch',
-      
-      // E2E test scripts
-      'test:e2e': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/e2e',
-      'test:e2e:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js tests/e2e --watch',
-      
-      // CI test script
-      'test:ci': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --ci --runInBand --forceExit --coverage src tests/integration',
-      
-      // Coverage script
-      'test:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage'
-    };
+    const scripts = options.scripts || getQualityScripts({ projectType, eslintConfig, typescript, testRunner, tools, workspaceRoot });
     
-    // Configure Commitizen
-    const config = {
+    // Configure Commitizen, which the root of a workspace runs for every package
+    const config = workspaceRoot || !tools.includes('commitizen') ? {} : {
       config: {
         commitizen: {
-          path: './node_modules/cz-conventional-changelog'
+          path: COMMITIZEN_PATH
         }
       }
     };
@@ -209,9 +597,13 @@ export async function addScriptsToPackageJson(options = {}) {
       ...config
     };
     
-    await modifyPackageJson(values);
+    await modifyPackageJson(values, { directory, plan });
     
-    logSuccess('Scripts added to package.json');
+    if (plan) {
+      return true;
+    }
+    
+    logSuccess(`Scripts added to ${path.join(directory, 'package.json')}`);
     if (verbose) {
       logInfo('Added the following scripts:');
       for (const [name, command] of Object.entries(scripts)) {
@@ -226,6 +618,138 @@ export async function addScriptsToPackageJson(options = {}) {
   }
 }
 
+/**
+ * Update the quality scripts and the Commitizen config of package.json after a change of tools.
+ * Scripts of the added tools are added; scripts of the removed ones are removed only while
+ * they still run the scaffold's command, anything else in package.json is left alone.
+ * @param {Object} options - Options
+ * @param {string} [options.projectType] - Type of project
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether the TypeScript scripts are used
+ * @param {string} [options.testRunner='jest'] - Test runner the test scripts run (jest, vitest, node)
+ * @param {string[]} options.previousTools - Tools set up before the change
+ * @param {string[]} options.tools - Tools set up after the change
+ * @param {Object} [options.plan] - Dry-run plan, the script changes are recorded instead of written
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {Promise<boolean>} Whether package.json was changed
+ */
+export async function updateQualityScripts(options = {}) {
+  const { projectType, eslintConfig = 'flat', typescript = false, testRunner = 'jest', previousTools, tools, plan = null, verbose = false } = options;
+  
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.resolve(process.cwd(), 'package.json'), 'utf8'));
+    const current = packageJson.scripts || {};
+    const previousScripts = getQualityScripts({ projectType, eslintConfig, typescript, testRunner, tools: previousTools });
+    const scripts = getQualityScripts({ projectType, eslintConfig, typescript, testRunner, tools });
+    
+    const changes = {};
+    Object.entries(scripts).forEach(([name, command]) => {
+      if (previousScripts[name] !== command) {
+        changes[name] = command;
+      }
+    });
+    Object.entries(previousScripts).forEach(([name, command]) => {
+      if (name in scripts || current[name] === undefined) {
+        return;
+      }
+      if (current[name] === command) {
+        changes[name] = undefined;
+      } else if (verbose) {
+        logInfo(`Kept the ${chalk.cyan(name)} script, it was changed since the setup.`);
+      }
+    });
+    
+    const values = Object.keys(changes).length > 0 ? { scripts: changes } : {};
+    const commitizen = packageJson.config && packageJson.config.commitizen;
+    if (tools.includes('commitizen') && !previousTools.includes('commitizen')) {
+      values.config = { commitizen: { path: COMMITIZEN_PATH } };
+    } else if (!tools.includes('commitizen') && commitizen && commitizen.path === COMMITIZEN_PATH) {
+      // Drop the whole config when Commitizen was all it held
+      const onlyCommitizen = Object.keys(packageJson.config).length === 1 && Object.keys(commitizen).length === 1;
+      values.config = onlyCommitizen ? undefined : { commitizen: undefined };
+    }
+    
+    if (Object.keys(values).length === 0) {
+      return false;
+    }
+    
+    // A tool added again gets its scripts back where the setup put them
+    const scriptOrder = Object.keys(getQualityScripts({ projectType, eslintConfig, typescript, testRunner, tools: QUALITY_TOOLS }));
+    await modifyPackageJson(values, { plan, scriptOrder });
+    
+    if (!plan) {
+      logSuccess('Scripts updated in package.json');
+    }
+    
+    return true;
+  } catch (error) {
+    logError(`Failed to update the scripts in package.json: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Bring the quality scripts of package.json to the current scaffold, three ways like the files:
+ * a script the project left as the scaffold set it takes the new command, a script the project
+ * changed is kept. Scripts the scaffold no longer sets are removed while unchanged.
+ * @param {Object} options - Options
+ * @param {string} [options.projectType] - Type of project
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether the TypeScript scripts are used
+ * @param {string} [options.testRunner='jest'] - Test runner the test scripts run (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, the scripts of the other ones are left out (all of them by default)
+ * @param {Object} options.baseScripts - Scripts as the scaffold set them, from the stamp
+ * @param {Object} [options.plan] - Dry-run plan, the script changes are recorded instead of written
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {Promise<string[]>} Scripts the project and the scaffold both changed, kept as the project has them
+ */
+export async function upgradeQualityScripts(options = {}) {
+  const { projectType, eslintConfig = 'flat', typescript = false, testRunner = 'jest', tools = QUALITY_TOOLS, baseScripts, plan = null, verbose = false } = options;
+  
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.resolve(process.cwd(), 'package.json'), 'utf8'));
+    const current = packageJson.scripts || {};
+    const scripts = getQualityScripts({ projectType, eslintConfig, typescript, testRunner, tools });
+    
+    const changes = {};
+    const conflicts = [];
+    Object.entries(scripts).forEach(([name, command]) => {
+      const base = baseScripts[name];
+      if (current[name] === command || base === command) {
+        return;
+      }
+      
+      if (current[name] === base) {
+        changes[name] = command;
+      } else if (current[name] === undefined) {
+        if (verbose) {
+          logInfo(`Not adding the ${chalk.cyan(name)} script back, it was removed since the setup.`);
+        }
+      } else {
+        conflicts.push(name);
+        logWarning(`The ${chalk.cyan(name)} script was changed since the setup, keeping it. The scaffold now runs: ${command}`);
+      }
+    });
+    Object.entries(baseScripts).forEach(([name, command]) => {
+      if (!(name in scripts) && current[name] === command) {
+        changes[name] = undefined;
+      }
+    });
+    
+    if (Object.keys(changes).length > 0) {
+      await modifyPackageJson({ scripts: changes }, { plan });
+      if (!plan) {
+        logSuccess('Scripts upgraded in package.json');
+      }
+    }
+    
+    return conflicts;
+  } catch (error) {
+    logError(`Failed to upgrade the scripts in package.json: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Utility function to perform deep merge of objects
  * @param {Object} target - Target object
@@ -244,6 +768,8 @@ function deepMerge(target, source) {
       } else {
         result[key] = { ...value };
       }
+    } else if (value === undefined) {
+      delete result[key];
     } else {
       // For primitives and arrays, simply replace
       result[key] = value;
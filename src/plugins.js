@@ -0,0 +1,289 @@
+/**
+ * @module src/plugins.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Loads plugins adding project types: npm packages or local modules exporting project type
+ * definitions (dependencies, directories, package.json defaults, templates, scripts and
+ * lifecycle hooks), registered next to the built-in project types
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import { registerProjectType, getProjectTypeConfig, TEST_RUNNERS } from './project-types.js';
+import { recordCommand } from './dry-run.js';
+import { logInfo } from './utils.js';
+
+/**
+ * Prefix of plugin package names, "vue" stands for avr-qa-scaffold-plugin-vue
+ * @constant {string}
+ */
+export const PLUGIN_PREFIX = 'avr-qa-scaffold-plugin-';
+
+/**
+ * Lifecycle hooks a project type can define, run around the setup
+ * @constant {string[]}
+ */
+export const PLUGIN_HOOKS = ['beforeSetup', 'afterSetup'];
+
+/**
+ * Project type ids: lowercase words separated by dashes
+ * @constant {RegExp}
+ */
+const PROJECT_TYPE_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Project type contributed by a plugin
+ * @typedef {Object} ProjectTypeDefinition
+ * @property {string} id - Project type id, used with --type
+ * @property {string} name - Display name
+ * @property {string} [description] - Shown by the list command
+ * @property {string[]} [dependencies] - devDependencies added to the common ones
+ * @property {string[]} [typescriptDependencies] - devDependencies added by the TypeScript variant
+ * @property {string[]} [testRunners] - Supported test runners, the first is the default (jest when omitted)
+ * @property {string[]} [directories] - Directories added to the common ones
+ * @property {Object} [packageJsonDefaults] - package.json values of new projects
+ * @property {string|URL} [templates] - Template directory laid out like a custom template source,
+ * relative to the plugin's entry file
+ * @property {Object} [scripts] - package.json scripts added to the quality scripts
+ * @property {Object} [hooks] - Lifecycle hooks (beforeSetup, afterSetup), called with the setup context
+ */
+
+/**
+ * Package name of a plugin, adding the prefix to unscoped short names
+ * @param {string} plugin - Plugin as given, e.g. vue or @acme/avr-qa-scaffold-plugin-vue
+ * @returns {string} Package name
+ */
+export function getPluginPackageName(plugin) {
+  if (plugin.startsWith('@') || plugin.startsWith(PLUGIN_PREFIX)) {
+    return plugin;
+  }
+
+  return `${PLUGIN_PREFIX}${plugin}`;
+}
+
+/**
+ * Whether a plugin is a local module rather than a package
+ * @param {string} plugin - Plugin as given
+ * @returns {boolean} Whether it is a path
+ */
+export function isLocalPlugin(plugin) {
+  return /^(\.{1,2}|~)?[\\/]/.test(plugin) || path.isAbsolute(plugin) || plugin === '.';
+}
+
+/**
+ * Find the entry file of a plugin: a local module, or a package installed in the project
+ * or next to the scaffold (e.g. with npx -p)
+ * @param {string} plugin - Plugin as given
+ * @param {string} cwd - Project directory
+ * @returns {string} Absolute path of the entry file
+ */
+function resolvePluginEntry(plugin, cwd) {
+  const projectRequire = createRequire(path.join(cwd, 'package.json'));
+
+  if (isLocalPlugin(plugin)) {
+    const modulePath = path.resolve(cwd, plugin.replace(/^~(?=[\\/])/, os.homedir()));
+    try {
+      return projectRequire.resolve(modulePath);
+    } catch (error) {
+      throw new Error(`Plugin not found: ${modulePath}`);
+    }
+  }
+
+  const packageName = getPluginPackageName(plugin);
+  const resolved = [projectRequire.resolve, createRequire(import.meta.url).resolve].reduce(
+    (found, resolve) => {
+      if (found) {
+        return found;
+      }
+      try {
+        return resolve(packageName);
+      } catch (error) {
+        return null; // Not installed there, try the next location
+      }
+    },
+    null,
+  );
+
+  if (resolved) {
+    return resolved;
+  }
+
+  throw new Error(
+    `Plugin ${packageName} not found, install it with "npm install --save-dev ${packageName}"`,
+  );
+}
+
+/**
+ * Check a project type definition exported by a plugin
+ * @param {ProjectTypeDefinition} definition - Definition to check
+ * @param {string} plugin - Plugin name, used in errors
+ */
+function validateDefinition(definition, plugin) {
+  const invalid = (message) => new Error(`Invalid plugin ${plugin}: ${message}`);
+  const isStringArray = (value) =>
+    Array.isArray(value) && value.every((item) => typeof item === 'string');
+  const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(definition)) {
+    throw invalid('expected a project type definition as default export');
+  }
+  if (typeof definition.id !== 'string' || !PROJECT_TYPE_ID_PATTERN.test(definition.id)) {
+    throw invalid('"id" must be a lowercase name such as "vue"');
+  }
+  if (typeof definition.name !== 'string' || definition.name === '') {
+    throw invalid(`"name" of project type ${definition.id} must be a display name`);
+  }
+
+  ['dependencies', 'typescriptDependencies', 'testRunners', 'directories'].forEach((key) => {
+    if (definition[key] !== undefined && !isStringArray(definition[key])) {
+      throw invalid(`"${key}" of project type ${definition.id} must be a list of strings`);
+    }
+  });
+  ['packageJsonDefaults', 'scripts', 'hooks'].forEach((key) => {
+    if (definition[key] !== undefined && !isObject(definition[key])) {
+      throw invalid(`"${key}" of project type ${definition.id} must be an object`);
+    }
+  });
+
+  const unknownRunners = (definition.testRunners || []).filter(
+    (runner) => !TEST_RUNNERS.includes(runner),
+  );
+  if (unknownRunners.length > 0) {
+    throw invalid(
+      `unknown test runner ${unknownRunners.join(', ')} in project type ${definition.id} (expected ${TEST_RUNNERS.join(', ')})`,
+    );
+  }
+  if (
+    definition.scripts &&
+    !Object.values(definition.scripts).every((command) => typeof command === 'string')
+  ) {
+    throw invalid(`"scripts" of project type ${definition.id} must map script names to commands`);
+  }
+  Object.entries(definition.hooks || {}).forEach(([hook, handler]) => {
+    if (!PLUGIN_HOOKS.includes(hook)) {
+      throw invalid(
+        `unknown hook ${hook} in project type ${definition.id} (expected ${PLUGIN_HOOKS.join(', ')})`,
+      );
+    }
+    if (typeof handler !== 'function') {
+      throw invalid(`hook ${hook} of project type ${definition.id} must be a function`);
+    }
+  });
+  if (
+    definition.templates !== undefined &&
+    typeof definition.templates !== 'string' &&
+    !(definition.templates instanceof URL)
+  ) {
+    throw invalid(`"templates" of project type ${definition.id} must be a directory path`);
+  }
+}
+
+/**
+ * Load a plugin and register the project types it exports
+ * @param {string} plugin - Package name, short name (vue for avr-qa-scaffold-plugin-vue) or local path
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory, local paths are relative to it
+ * @returns {Promise<Object>} Loaded plugin as { name, projectTypes }
+ */
+export async function loadPlugin(plugin, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const name = isLocalPlugin(plugin) ? plugin : getPluginPackageName(plugin);
+  const entry = resolvePluginEntry(plugin, cwd);
+
+  let exported;
+  try {
+    const module = await import(pathToFileURL(entry).href);
+    exported = module.default;
+  } catch (error) {
+    throw new Error(`Could not load plugin ${name}: ${error.message}`);
+  }
+
+  const definitions = Array.isArray(exported) ? exported : [exported];
+  if (definitions.length === 0) {
+    throw new Error(`Invalid plugin ${name}: expected a project type definition as default export`);
+  }
+
+  const projectTypes = definitions.map((definition) => {
+    validateDefinition(definition, name);
+
+    const { templates } = definition;
+    return registerProjectType(
+      {
+        ...definition,
+        templates:
+          templates &&
+          path.resolve(
+            path.dirname(entry),
+            templates instanceof URL ? fileURLToPath(templates) : templates,
+          ),
+      },
+      { plugin: name },
+    );
+  });
+
+  return { name, projectTypes };
+}
+
+/**
+ * Load the plugins of a project, in order
+ * @param {string[]} [plugins=[]] - Plugins from the configuration or --plugin
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {boolean} [options.verbose=false] - Report every project type registered
+ * @returns {Promise<Object[]>} Loaded plugins as { name, projectTypes }
+ */
+export async function loadPlugins(plugins = [], options = {}) {
+  const { verbose = false } = options;
+
+  // A plugin may build on the project types registered by the ones before it
+  return plugins.reduce(async (previous, plugin) => {
+    const loaded = await previous;
+    const result = await loadPlugin(plugin, options);
+    if (verbose) {
+      logInfo(
+        `Loaded plugin ${result.name}: ${result.projectTypes.map(({ id }) => id).join(', ')}`,
+      );
+    }
+    return [...loaded, result];
+  }, Promise.resolve([]));
+}
+
+/**
+ * Run a lifecycle hook of a project type, when it defines one
+ * @param {string} projectType - Type of project
+ * @param {string} hook - Hook name (beforeSetup, afterSetup)
+ * @param {Object} context - Setup context passed to the hook (projectType, cwd, packageManager...)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.plan] - Dry-run plan, the hook is recorded instead of run
+ * @returns {Promise<void>}
+ */
+export async function runProjectTypeHook(projectType, hook, context, options = {}) {
+  const { plan = null } = options;
+  const config = getProjectTypeConfig(projectType);
+  const handler = config && config.hooks && config.hooks[hook];
+
+  if (!handler) {
+    return;
+  }
+
+  if (plan) {
+    recordCommand(plan, `${hook} hook of ${config.plugin}`);
+    return;
+  }
+
+  logInfo(`Running the ${hook} hook of ${config.plugin}...`);
+  try {
+    await handler(context);
+  } catch (error) {
+    throw new Error(`The ${hook} hook of ${config.plugin} failed: ${error.message}`);
+  }
+}
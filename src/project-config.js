@@ -0,0 +1,353 @@
+/**
+ * @module src/project-config.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Finds, validates and writes the project configuration (.avrqarc.json, avr-qa.config.js
+ * or the "avr-qa" key of package.json) so every run scaffolds the project the same way
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import { GIT_HOOKS } from './config-generator.js';
+import { modifyPackageJson } from './package-modifier.js';
+import {
+  ESLINT_CONFIG_FORMATS,
+  TEST_RUNNERS,
+  MODULE_SYSTEMS,
+  STRICTNESS_LEVELS,
+  QUALITY_TOOLS,
+} from './project-types.js';
+import { recordChange } from './dry-run.js';
+import { trackFile } from './journal.js';
+import { logInfo, logSuccess, formatPath } from './utils.js';
+
+/**
+ * Key of package.json holding the project configuration
+ * @constant {string}
+ */
+export const PACKAGE_JSON_KEY = 'avr-qa';
+
+/**
+ * Configuration files looked up in the project directory, in order, after package.json
+ * @constant {string[]}
+ */
+export const PROJECT_CONFIG_FILES = ['.avrqarc', '.avrqarc.json', 'avr-qa.config.js'];
+
+/**
+ * File written after a setup when the project has no configuration yet
+ * @constant {string}
+ */
+export const DEFAULT_PROJECT_CONFIG_FILE = '.avrqarc.json';
+
+/**
+ * Type of every supported option, also the key order of the written file
+ * @constant {Object}
+ */
+const PROJECT_CONFIG_SCHEMA = {
+  plugins: 'string[]',
+  projectType: 'string',
+  packageManager: 'string',
+  eslintConfig: 'string',
+  typescript: 'boolean',
+  testRunner: 'string',
+  moduleSystem: 'string',
+  strictness: 'string',
+  workspaces: 'object',
+  tools: 'string[]',
+  disabledHooks: 'string[]',
+  dependencies: 'string[]',
+  templateSource: 'string',
+  templates: 'object',
+  variables: 'object',
+};
+
+/**
+ * Settings shared by every run of the scaffold in a project
+ * @typedef {Object} ProjectConfig
+ * @property {string[]} [plugins] - Plugins adding project types, loaded before the project type is resolved
+ * @property {string} [projectType] - Type of project (node, react, next or one added by a plugin)
+ * @property {string} [packageManager] - Package manager (npm, pnpm, yarn, bun)
+ * @property {string} [eslintConfig] - ESLint configuration format (flat, legacy)
+ * @property {boolean} [typescript] - Whether the TypeScript variant is used
+ * @property {string} [testRunner] - Test runner (jest, vitest, node)
+ * @property {string} [moduleSystem] - Module system ESLint parses the project files with (esm, commonjs)
+ * @property {string} [strictness] - Strictness level of the ESLint rules (relaxed, recommended, strict)
+ * @property {Object} [workspaces] - Map of workspace package directory to its { projectType, testRunner }
+ * @property {string[]} [tools] - Tools set up in the project
+ * @property {string[]} [disabledHooks] - Git hooks not to create, e.g. pre-push
+ * @property {string[]} [dependencies] - Extra devDependencies installed with the quality tools
+ * @property {string} [templateSource] - Custom template source (local path, git URL or npm package)
+ * @property {Object} [templates] - Map of template name to a project file used instead
+ * @property {Object} [variables] - Extra variables available to the templates
+ */
+
+/**
+ * Whether a value matches a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - string, boolean, string[] or object
+ * @returns {boolean} Whether the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every((item) => typeof item === 'string');
+    case 'object':
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return typeof value === 'string';
+  }
+}
+
+/**
+ * Check a project configuration against the supported options
+ * @param {Object} config - Configuration to check
+ * @param {string} [source='project configuration'] - Where the configuration was read, used in errors
+ * @returns {ProjectConfig} The configuration
+ */
+export function validateProjectConfig(config, source = 'project configuration') {
+  if (!hasType(config, 'object')) {
+    throw new Error(`Invalid ${source}: expected an object`);
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    const type = PROJECT_CONFIG_SCHEMA[key];
+    if (!type) {
+      throw new Error(`Invalid ${source}: unknown option "${key}"`);
+    }
+    if (!hasType(value, type)) {
+      throw new Error(`Invalid ${source}: "${key}" must be of type ${type}`);
+    }
+  });
+
+  const allowedValues = [
+    ['eslintConfig', [config.eslintConfig], ESLINT_CONFIG_FORMATS],
+    ['testRunner', [config.testRunner], TEST_RUNNERS],
+    ['moduleSystem', [config.moduleSystem], MODULE_SYSTEMS],
+    ['strictness', [config.strictness], STRICTNESS_LEVELS],
+    ['tools', config.tools, QUALITY_TOOLS],
+    ['disabledHooks', config.disabledHooks, GIT_HOOKS],
+  ];
+
+  allowedValues.forEach(([key, values = [], allowed]) => {
+    const unknown = values.filter((value) => value !== undefined && !allowed.includes(value));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Invalid ${source}: unknown ${key} value ${unknown.join(', ')} (expected ${allowed.join(', ')})`,
+      );
+    }
+  });
+
+  Object.entries(config.workspaces || {}).forEach(([directory, settings]) => {
+    if (!hasType(settings, 'object')) {
+      throw new Error(
+        `Invalid ${source}: workspace ${directory} must be an object with projectType and testRunner`,
+      );
+    }
+    if (settings.projectType !== undefined && !hasType(settings.projectType, 'string')) {
+      throw new Error(
+        `Invalid ${source}: "projectType" of workspace ${directory} must be of type string`,
+      );
+    }
+    if (settings.testRunner !== undefined && !TEST_RUNNERS.includes(settings.testRunner)) {
+      throw new Error(
+        `Invalid ${source}: unknown testRunner value ${settings.testRunner} of workspace ${directory} (expected ${TEST_RUNNERS.join(', ')})`,
+      );
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Read and parse a JSON configuration file
+ * @param {string} filepath - File to read
+ * @returns {Promise<Object>} Parsed configuration
+ */
+async function readJsonConfig(filepath) {
+  const content = await fs.readFile(filepath, 'utf8');
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${path.basename(filepath)} is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Find the project configuration: the "avr-qa" key of package.json, .avrqarc, .avrqarc.json
+ * or avr-qa.config.js, the first one found wins
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<Object|null>} { config, filepath }, null when the project has no configuration
+ */
+export async function loadProjectConfig(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  const packageJsonPath = path.join(cwd, 'package.json');
+  try {
+    const packageJson = await readJsonConfig(packageJsonPath);
+    if (packageJson[PACKAGE_JSON_KEY] !== undefined) {
+      const config = validateProjectConfig(
+        packageJson[PACKAGE_JSON_KEY],
+        `"${PACKAGE_JSON_KEY}" key of package.json`,
+      );
+      return { config, filepath: packageJsonPath };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const present = await Promise.all(
+    PROJECT_CONFIG_FILES.map((filename) =>
+      fs.access(path.join(cwd, filename)).then(
+        () => true,
+        () => false,
+      ),
+    ),
+  );
+  const filename = PROJECT_CONFIG_FILES.find((file, index) => present[index]);
+
+  if (!filename) {
+    return null;
+  }
+
+  const filepath = path.join(cwd, filename);
+  const config = filepath.endsWith('.js')
+    ? (await import(pathToFileURL(filepath).href)).default
+    : await readJsonConfig(filepath);
+
+  return { config: validateProjectConfig(config, filename), filepath };
+}
+
+/**
+ * Fill the options that were not given on the command line from the project configuration
+ * @param {ProjectConfig|null} config - Project configuration
+ * @param {Object} options - Command options, undefined values are taken from the configuration
+ * @returns {Object} Merged options
+ */
+export function mergeProjectConfig(config, options) {
+  const flags = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined),
+  );
+
+  return { ...config, ...flags };
+}
+
+/**
+ * Replace templates with the project files named in the configuration
+ * @param {Object} templates - Templates loaded from template loader
+ * @param {Object} [overrides={}] - Map of template name to a file relative to the project directory
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<Object>} Templates with the overrides applied
+ */
+export async function applyTemplateOverrides(templates, overrides = {}, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const entries = Object.entries(overrides);
+
+  entries.forEach(([template]) => {
+    if (!(template in templates)) {
+      throw new Error(`Cannot override template ${template}: no such template`);
+    }
+  });
+
+  const contents = await Promise.all(
+    entries.map(async ([template, file]) => {
+      try {
+        return [template, await fs.readFile(path.resolve(cwd, file), 'utf8')];
+      } catch (error) {
+        throw new Error(
+          `Cannot read the override for template ${template} (${file}): ${error.message}`,
+        );
+      }
+    }),
+  );
+
+  return { ...templates, ...Object.fromEntries(contents) };
+}
+
+/**
+ * Order the options like the schema and drop the unset ones
+ * @param {ProjectConfig} config - Project configuration
+ * @returns {ProjectConfig} Configuration to write
+ */
+function normalizeProjectConfig(config) {
+  const normalized = { ...config, tools: config.tools || QUALITY_TOOLS };
+
+  return Object.fromEntries(
+    Object.keys(PROJECT_CONFIG_SCHEMA)
+      .filter((key) => normalized[key] !== undefined)
+      .map((key) => [key, normalized[key]]),
+  );
+}
+
+/**
+ * Save the settings of a successful setup so the next run reproduces it.
+ * Updates the configuration where it was found, a JavaScript config is never rewritten.
+ * @param {ProjectConfig} config - Settings the setup ran with
+ * @param {Object} [options] - Options
+ * @param {string} [options.filepath] - Where the configuration was loaded from, defaults to .avrqarc.json
+ * @param {Object} [options.plan] - Dry-run plan, the write is recorded instead of applied
+ * @param {Object} [options.journal] - Journal recording the file before it is written
+ * @returns {Promise<boolean>} Whether the configuration was written or planned
+ */
+export async function writeProjectConfig(config, options = {}) {
+  const {
+    filepath = path.resolve(DEFAULT_PROJECT_CONFIG_FILE),
+    plan = null,
+    journal = null,
+  } = options;
+  const normalized = normalizeProjectConfig(config);
+  const filename = path.basename(filepath);
+
+  if (filename.endsWith('.js')) {
+    logInfo(
+      `Keeping ${formatPath(filepath)}, update it by hand to change the project configuration`,
+    );
+    return false;
+  }
+
+  if (filename === 'package.json') {
+    await trackFile(journal, filepath);
+    return modifyPackageJson({ [PACKAGE_JSON_KEY]: normalized }, { plan });
+  }
+
+  const content = `${JSON.stringify(normalized, null, 2)}\n`;
+  let existing = null;
+  try {
+    existing = await fs.readFile(filepath, 'utf8');
+  } catch (error) {
+    // Written for the first time
+  }
+
+  if (plan) {
+    const action = existing === null ? 'create' : 'update';
+    recordChange(plan, {
+      type: 'file',
+      action: existing === content ? 'unchanged' : action,
+      path: filename,
+    });
+    return true;
+  }
+
+  if (existing === content) {
+    return true;
+  }
+
+  await trackFile(journal, filepath);
+  await fs.writeFile(filepath, content);
+  logSuccess(`Saved the project configuration to ${formatPath(filepath)}`);
+  return true;
+}
@@ -0,0 +1,287 @@
+/**
+ * @module src/project-detector.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Detects the project type of an existing project from its package.json
+ * dependencies and file layout, and asks the user when the signals conflict
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+import {
+  getAllProjectTypes,
+  getProjectTypeConfig,
+  supportsTestRunner,
+  DEFAULT_TEST_RUNNER,
+} from './project-types.js';
+import { ask } from './prompts.js';
+import { logInfo, logWarning } from './utils.js';
+
+/**
+ * Project type used when no framework-specific signal is found
+ * @constant {string}
+ */
+export const DEFAULT_PROJECT_TYPE = 'node';
+
+/**
+ * Signals that point to a project type. A signal can support several types
+ * (a Next.js app also depends on react), the weight tells how conclusive it is.
+ * A weak signal only counts along another one pointing to its type alone.
+ * @constant {Array<Object>}
+ */
+const DETECTION_SIGNALS = [
+  // Dependencies
+  { kind: 'dependency', name: 'next', types: ['next'], weight: 3 },
+  { kind: 'dependency', name: 'react', types: ['react', 'next'], weight: 2 },
+  { kind: 'dependency', name: 'vite', types: ['react'], weight: 1 },
+  { kind: 'dependency', name: 'express', types: ['node'], weight: 2 },
+
+  // Marker files
+  { kind: 'file', name: 'next.config.js', types: ['next'], weight: 3 },
+  { kind: 'file', name: 'next.config.mjs', types: ['next'], weight: 3 },
+  { kind: 'file', name: 'next.config.ts', types: ['next'], weight: 3 },
+  { kind: 'file', name: 'next.config.mts', types: ['next'], weight: 3 },
+  { kind: 'file', name: 'next.config.cjs', types: ['next'], weight: 3 },
+  { kind: 'file', name: 'index.html', types: ['react'], weight: 1 },
+
+  // Marker directories, Express and other frameworks name a directory app as well
+  { kind: 'directory', name: 'src/app', types: ['next'], weight: 1, weak: true },
+  { kind: 'directory', name: 'app', types: ['next'], weight: 1, weak: true },
+];
+
+/**
+ * Signals that a project runs its tests with another runner than Jest: Vitest when it already
+ * uses Vitest or builds with Vite, node:test when its test script runs node --test
+ * @constant {Object}
+ */
+const TEST_RUNNER_SIGNALS = {
+  vitest: [
+    { kind: 'dependency', name: 'vitest' },
+    { kind: 'dependency', name: 'vite' },
+    { kind: 'file', name: 'vitest.config.js' },
+    { kind: 'file', name: 'vitest.config.ts' },
+  ],
+  node: [
+    { kind: 'script', name: 'test', pattern: /\bnode\b.*\s--test\b/ },
+    { kind: 'file', name: '.c8rc.json' },
+  ],
+};
+
+/**
+ * Read package.json from a directory
+ * @param {string} cwd - Project directory
+ * @returns {Promise<Object>} Parsed package.json or an empty object
+ * @private
+ */
+async function readPackageJson(cwd) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Check whether a path exists with the expected kind
+ * @param {string} filePath - Path to check
+ * @param {string} kind - Either 'file' or 'directory'
+ * @returns {Promise<boolean>} Whether the path exists with that kind
+ * @private
+ */
+async function pathExists(filePath, kind) {
+  try {
+    const stats = await fs.stat(filePath);
+    return kind === 'directory' ? stats.isDirectory() : stats.isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a single signal is present in the project
+ * @param {Object} signal - Signal from DETECTION_SIGNALS
+ * @param {Object} packageJson - Parsed package.json
+ * @param {string} cwd - Project directory
+ * @returns {Promise<boolean>} Whether the signal matches
+ * @private
+ */
+async function signalMatches(signal, packageJson, cwd) {
+  if (signal.kind === 'dependency') {
+    return Boolean(
+      (packageJson.dependencies && packageJson.dependencies[signal.name]) ||
+        (packageJson.devDependencies && packageJson.devDependencies[signal.name]),
+    );
+  }
+
+  if (signal.kind === 'script') {
+    return signal.pattern.test((packageJson.scripts && packageJson.scripts[signal.name]) || '');
+  }
+
+  return pathExists(path.join(cwd, signal.name), signal.kind);
+}
+
+/**
+ * Describe a signal for display
+ * @param {Object} signal - Signal from DETECTION_SIGNALS
+ * @returns {string} Human readable reason
+ * @private
+ */
+function describeSignal(signal) {
+  if (signal.kind === 'dependency') {
+    return `dependency "${signal.name}"`;
+  }
+
+  return `${signal.kind} ${signal.kind === 'directory' ? `${signal.name}/` : signal.name}`;
+}
+
+/**
+ * Detect the project type from dependencies and marker files
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<Object>} Detection result with the chosen `type`, the
+ * `reasons` that support it, the `scores` for every type, the `candidates`
+ * that had any evidence and whether the signals are in `conflict`
+ */
+export async function detectProjectType(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  const packageJson = await readPackageJson(cwd);
+  const scores = {};
+
+  getAllProjectTypes().forEach(({ id }) => {
+    scores[id] = 0;
+  });
+
+  const matched = await Promise.all(
+    DETECTION_SIGNALS.map((signal) => signalMatches(signal, packageJson, cwd)),
+  );
+  const found = DETECTION_SIGNALS.filter((signal, index) => matched[index]);
+
+  // A next dependency or config confirms an app directory, a react dependency does not
+  const confirms = (signal, other) =>
+    !other.weak && other.types.length === 1 && signal.types.includes(other.types[0]);
+  const matches = found.filter(
+    (signal) => !signal.weak || found.some((other) => confirms(signal, other)),
+  );
+
+  matches.forEach((signal) => {
+    signal.types.forEach((type) => {
+      scores[type] += signal.weight;
+    });
+  });
+
+  if (matches.length === 0) {
+    return {
+      type: DEFAULT_PROJECT_TYPE,
+      reasons: ['no framework-specific signals found'],
+      scores,
+      candidates: [],
+      conflict: false,
+    };
+  }
+
+  const candidates = Object.keys(scores)
+    .filter((type) => scores[type] > 0)
+    .sort((a, b) => scores[b] - scores[a]);
+  const [type] = candidates;
+
+  // Signals conflict when another type has evidence the chosen type doesn't explain
+  const conflict = matches.some((signal) => !signal.types.includes(type));
+
+  return {
+    type,
+    reasons: matches.filter((signal) => signal.types.includes(type)).map(describeSignal),
+    scores,
+    candidates,
+    conflict,
+  };
+}
+
+/**
+ * Resolve the project type to use when none was given explicitly.
+ * Reports the detected type and why it was chosen, and prompts the user
+ * when the detection signals conflict.
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {string} [options.name] - Workspace package the directory holds, named in the messages
+ * @param {boolean} [options.verbose=false] - Whether to show verbose output
+ * @returns {Promise<string>} Project type id
+ */
+export async function resolveProjectType(options = {}) {
+  const { cwd = process.cwd(), name = null, verbose = false } = options;
+  const of = name ? ` of ${chalk.cyan(name)}` : '';
+
+  const detection = await detectProjectType({ cwd });
+
+  if (verbose) {
+    const scores = Object.entries(detection.scores)
+      .map(([type, score]) => `${type}=${score}`)
+      .join(', ');
+    logInfo(`Detection scores: ${scores}`);
+  }
+
+  if (!detection.conflict) {
+    logInfo(
+      `Detected project type${of}: ${chalk.bold(detection.type)} (${detection.reasons.join(', ')})`,
+    );
+    return detection.type;
+  }
+
+  logWarning(`Conflicting project type signals${of} found for: ${detection.candidates.join(', ')}`);
+
+  const projectType = await ask('project-type', {
+    name: 'projectType',
+    message: name
+      ? `Which project type should be used for ${name}?`
+      : 'Which project type should be used?',
+    choices: getAllProjectTypes().map(({ id, name: typeName }) => ({
+      name: detection.candidates.includes(id) ? `${typeName} (detected)` : typeName,
+      value: id,
+    })),
+    default: detection.type,
+  });
+
+  logInfo(`Using project type${of}: ${chalk.bold(projectType)}`);
+  return projectType;
+}
+
+/**
+ * Detect the test runner of a project: a runner the project type supports and the project
+ * already shows signs of (Vite or Vitest, node --test), otherwise the default of the project type
+ * @param {string} projectType - Type of project
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<string>} Test runner (jest, vitest, node)
+ */
+export async function detectTestRunner(projectType, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const packageJson = await readPackageJson(cwd);
+
+  const testRunners = Object.keys(TEST_RUNNER_SIGNALS).filter((testRunner) =>
+    supportsTestRunner(projectType, testRunner),
+  );
+  const detected = await Promise.all(
+    testRunners.map(async (testRunner) => {
+      const matched = await Promise.all(
+        TEST_RUNNER_SIGNALS[testRunner].map((signal) => signalMatches(signal, packageJson, cwd)),
+      );
+      return matched.some(Boolean);
+    }),
+  );
+
+  // The first runner with a sign wins, in the order of TEST_RUNNER_SIGNALS
+  if (detected.includes(true)) {
+    return testRunners[detected.indexOf(true)];
+  }
+
+  const config = getProjectTypeConfig(projectType);
+  return config ? config.testRunners[0] : DEFAULT_TEST_RUNNER;
+}
@@ -8,19 +8,136 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-09
- * @lastModified 2025-05-09
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
+import { extractPackageName } from './utils.js';
+
+/**
+ * ESLint configuration formats: flat config (eslint.config.js, ESLint 9)
+ * and legacy eslintrc (.eslintrc.json, ESLint 8)
+ * @constant {string[]}
+ */
+export const ESLINT_CONFIG_FORMATS = ['flat', 'legacy'];
+
+/**
+ * Default ESLint configuration format
+ * @constant {string}
+ */
+export const DEFAULT_ESLINT_CONFIG = 'flat';
+
+/**
+ * Test runners the scaffold can set up, each project type lists the ones it supports
+ * @constant {string[]}
+ */
+export const TEST_RUNNERS = ['jest', 'vitest', 'node'];
+
+/**
+ * Default test runner
+ * @constant {string}
+ */
+export const DEFAULT_TEST_RUNNER = 'jest';
+
+/**
+ * Module systems ESLint parses the project files with: ES modules or CommonJS
+ * @constant {string[]}
+ */
+export const MODULE_SYSTEMS = ['esm', 'commonjs'];
+
+/**
+ * Default module system
+ * @constant {string}
+ */
+export const DEFAULT_MODULE_SYSTEM = 'esm';
+
+/**
+ * Strictness levels of the ESLint rules: relaxed turns style rules into warnings,
+ * strict adds rules on leftovers and complexity
+ * @constant {string[]}
+ */
+export const STRICTNESS_LEVELS = ['relaxed', 'recommended', 'strict'];
+
+/**
+ * Default strictness level
+ * @constant {string}
+ */
+export const DEFAULT_STRICTNESS = 'recommended';
+
+/**
+ * Tools the quality system sets up, jest standing for the tests whichever runner runs them
+ * @constant {string[]}
+ */
+export const QUALITY_TOOLS = ['eslint', 'prettier', 'jest', 'husky', 'lint-staged', 'commitlint', 'commitizen'];
+
+/**
+ * Tools that need one of others to be of use: lint-staged runs ESLint and Prettier on the staged files
+ * @constant {Object}
+ */
+export const TOOL_REQUIREMENTS = {
+  'lint-staged': ['eslint', 'prettier']
+};
+
+/**
+ * Tools each package is installed for, a package needs all of them to be set up.
+ * Packages not listed here, such as TypeScript or the extra dependencies, are always installed.
+ * @constant {Object}
+ */
+const DEPENDENCY_TOOLS = {
+  'eslint': ['eslint'],
+  '@eslint/js': ['eslint'],
+  '@eslint/eslintrc': ['eslint'],
+  '@eslint/compat': ['eslint'],
+  'globals': ['eslint'],
+  'eslint-plugin-import': ['eslint'],
+  'eslint-plugin-promise': ['eslint'],
+  'eslint-plugin-n': ['eslint'],
+  'eslint-plugin-react': ['eslint'],
+  'eslint-plugin-react-hooks': ['eslint'],
+  'eslint-plugin-jsx-a11y': ['eslint'],
+  'eslint-config-airbnb': ['eslint'],
+  'eslint-config-airbnb-base': ['eslint'],
+  'eslint-config-next': ['eslint'],
+  'typescript-eslint': ['eslint'],
+  'eslint-import-resolver-typescript': ['eslint'],
+  'eslint-config-prettier': ['eslint', 'prettier'],
+  'eslint-plugin-prettier': ['eslint', 'prettier'],
+  'eslint-plugin-jest': ['eslint', 'jest'],
+  '@vitest/eslint-plugin': ['eslint', 'jest'],
+  'eslint-plugin-testing-library': ['eslint', 'jest'],
+  'prettier': ['prettier'],
+  'jest': ['jest'],
+  'ts-jest': ['jest'],
+  '@types/jest': ['jest'],
+  'vitest': ['jest'],
+  '@vitest/coverage-v8': ['jest'],
+  'jsdom': ['jest'],
+  'c8': ['jest'],
+  'tsx': ['jest'],
+  '@testing-library/react': ['jest'],
+  '@testing-library/jest-dom': ['jest'],
+  '@testing-library/user-event': ['jest'],
+  'husky': ['husky'],
+  'lint-staged': ['lint-staged'],
+  '@commitlint/cli': ['commitlint'],
+  '@commitlint/config-conventional': ['commitlint'],
+  'commitizen': ['commitizen'],
+  'cz-conventional-changelog': ['commitizen']
+};
+
 /**
  * Common dependencies for all project types
  * @constant {string[]}
  */
 const COMMON_DEPENDENCIES = [
-  'eslint@^8.57.0',
-  'eslint-plugin-import@^2.29.1',
-  'eslint-plugin-jest@^27.9.0',
-  'eslint-plugin-promise@^6.1.1',
+  'eslint@^9.17.0',
+  '@eslint/js@^9.17.0',
+  '@eslint/eslintrc@^3.2.0',
+  '@eslint/compat@^1.2.4',
+  'globals@^15.14.0',
+  'eslint-plugin-import@^2.31.0',
+  'eslint-plugin-jest@^28.10.0',
+  'eslint-plugin-promise@^7.2.1',
   'eslint-config-prettier@^9.1.0',
   'eslint-plugin-prettier@^5.1.3',
   'prettier@^3.1.1',
@@ -33,6 +150,71 @@ const COMMON_DEPENDENCIES = [
   'jest@^29.7.0'
 ];
 
+/**
+ * Replacements used for legacy eslintrc output (ESLint 8).
+ * A null value drops a package that only flat config needs.
+ * @constant {Object}
+ */
+const LEGACY_ESLINT_DEPENDENCIES = {
+  'eslint': 'eslint@^8.57.0',
+  '@eslint/js': null,
+  '@eslint/eslintrc': null,
+  '@eslint/compat': null,
+  'globals': null,
+  'eslint-plugin-jest': 'eslint-plugin-jest@^27.9.0',
+  'eslint-plugin-promise': 'eslint-plugin-promise@^6.1.1',
+  'eslint-plugin-n': null,
+  'eslint-plugin-react-hooks': 'eslint-plugin-react-hooks@^4.6.0',
+  'eslint-config-next': 'eslint-config-next@^14.2.0',
+  'typescript': null
+};
+
+/**
+ * Replacements of the Jest packages for the other test runners, applied like
+ * LEGACY_ESLINT_DEPENDENCIES, and the packages each runner adds (with TypeScript too)
+ * @constant {Object}
+ */
+const TEST_RUNNER_DEPENDENCIES = {
+  vitest: {
+    replace: {
+      'jest': 'vitest@^2.1.8',
+      'eslint-plugin-jest': '@vitest/eslint-plugin@^1.1.20',
+      'ts-jest': null,
+      '@types/jest': null
+    },
+    add: [
+      '@vitest/coverage-v8@^2.1.8',
+      'jsdom@^25.0.1'
+    ]
+  },
+  // node:test is built in, c8 checks the coverage thresholds and tsx loads TypeScript tests
+  node: {
+    replace: {
+      'jest': null,
+      'eslint-plugin-jest': null,
+      'ts-jest': null,
+      '@types/jest': null
+    },
+    add: [
+      'c8@^10.1.3'
+    ],
+    typescript: [
+      'tsx@^4.19.2'
+    ]
+  }
+};
+
+/**
+ * Dependencies added to every project type by the TypeScript variants
+ * @constant {string[]}
+ */
+const TYPESCRIPT_DEPENDENCIES = [
+  'typescript@^5.7.2',
+  'typescript-eslint@^8.18.1',
+  'eslint-import-resolver-typescript@^3.7.0',
+  '@types/jest@^29.5.14'
+];
+
 /**
  * Common directories for all project types
  * @constant {string[]}
@@ -45,7 +227,7 @@ const COMMON_DIRECTORIES = [
 ];
 
 /**
- * Project type configurations
+ * Project type configurations, the built-in ones and those registered by plugins
  * @constant {Object}
  */
 export const PROJECT_TYPES = {
@@ -55,8 +237,15 @@ export const PROJECT_TYPES = {
     description: 'Node.js application or library',
     dependencies: [
       ...COMMON_DEPENDENCIES,
-      'eslint-config-airbnb-base@^15.0.0'
+      'eslint-config-airbnb-base@^15.0.0',
+      'eslint-plugin-n@^17.15.0'
     ],
+    typescriptDependencies: [
+      'ts-jest@^29.2.5',
+      '@types/node@^20.17.10'
+    ],
+    // Libraries can drop Jest for the built-in node:test runner
+    testRunners: ['jest', 'node'],
     directories: [
       ...COMMON_DIRECTORIES,
       'src/utils'
@@ -81,13 +270,21 @@ export const PROJECT_TYPES = {
     dependencies: [
       ...COMMON_DEPENDENCIES,
       'eslint-config-airbnb@^19.0.4',
-      'eslint-plugin-react@^7.33.2',
-      'eslint-plugin-react-hooks@^4.6.0',
-      'eslint-plugin-jsx-a11y@^6.8.0',
+      'eslint-plugin-react@^7.37.2',
+      'eslint-plugin-react-hooks@^5.1.0',
+      'eslint-plugin-jsx-a11y@^6.10.2',
+      'eslint-plugin-testing-library@^7.1.1',
       '@testing-library/react@^14.1.2',
       '@testing-library/jest-dom@^6.1.5',
       '@testing-library/user-event@^14.5.1'
     ],
+    typescriptDependencies: [
+      'ts-jest@^29.2.5',
+      '@types/react@^18.3.12',
+      '@types/react-dom@^18.3.1'
+    ],
+    // Vitest shares the Vite config of Vite apps
+    testRunners: ['jest', 'vitest'],
     directories: [
       ...COMMON_DIRECTORIES,
       'src/components',
@@ -113,14 +310,25 @@ export const PROJECT_TYPES = {
     description: 'Next.js application',
     dependencies: [
       ...COMMON_DEPENDENCIES,
-      'eslint-config-next@^14.2.0',
-      'eslint-plugin-react@^7.33.2',
-      'eslint-plugin-react-hooks@^4.6.0',
-      'eslint-plugin-jsx-a11y@^6.8.0',
+      'eslint-config-next@^15.1.0',
+      'eslint-config-airbnb@^19.0.4',
+      'eslint-plugin-react@^7.37.2',
+      'eslint-plugin-react-hooks@^5.1.0',
+      'eslint-plugin-jsx-a11y@^6.10.2',
+      'eslint-plugin-testing-library@^7.1.1',
+      // The Next.js parser loads TypeScript even in JavaScript projects
+      'typescript@^5.7.2',
       '@testing-library/react@^14.1.2',
       '@testing-library/jest-dom@^6.1.5',
       '@testing-library/user-event@^14.5.1'
     ],
+    // Jest uses the SWC transform of next/jest, ts-jest is not needed
+    typescriptDependencies: [
+      '@types/node@^20.17.10',
+      '@types/react@^18.3.12',
+      '@types/react-dom@^18.3.1'
+    ],
+    testRunners: ['jest'],
     directories: [
       ...COMMON_DIRECTORIES,
       'src/app',
@@ -141,6 +349,49 @@ export const PROJECT_TYPES = {
   }
 };
 
+/**
+ * Register a project type contributed by a plugin. Its dependencies and directories extend
+ * the ones of every project type, its templates are layered over the common ones.
+ * @param {Object} definition - Project type definition, checked by the plugin loader
+ * @param {Object} [options] - Options
+ * @param {string} [options.plugin] - Plugin contributing the project type, shown by the list command
+ * @returns {Object} Registered project type configuration
+ */
+export function registerProjectType(definition, options = {}) {
+  const { plugin = null } = options;
+  const existing = PROJECT_TYPES[definition.id];
+  
+  // The same plugin can be loaded again, e.g. by init before it runs the setup
+  if (existing && plugin && existing.plugin === plugin) {
+    return existing;
+  }
+  if (existing) {
+    throw new Error(`Project type ${definition.id} is already defined by ${existing.plugin || 'the scaffold'}`);
+  }
+  
+  const config = {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description || definition.name,
+    dependencies: [...COMMON_DEPENDENCIES, ...(definition.dependencies || [])],
+    typescriptDependencies: definition.typescriptDependencies || [],
+    testRunners: definition.testRunners || [DEFAULT_TEST_RUNNER],
+    directories: [...COMMON_DIRECTORIES, ...(definition.directories || [])],
+    packageJsonDefaults: definition.packageJsonDefaults || {},
+    scripts: definition.scripts || {},
+    hooks: definition.hooks || {},
+    templates: {
+      base: 'common',
+      specific: definition.id,
+      directory: definition.templates || null
+    },
+    plugin
+  };
+  
+  PROJECT_TYPES[definition.id] = config;
+  return config;
+}
+
 /**
  * Get configuration for a specific project type
  * @param {string} projectType - Type of project (node, react, next)
@@ -170,11 +421,105 @@ export function isValidProjectType(projectType) {
 /**
  * Get dependencies for a project type
  * @param {string} projectType - Type of project
+ * @param {Object} [options] - Options
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Include the TypeScript variant dependencies
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node), its packages replace the Jest ones
+ * @param {string[]} [options.extraDependencies=[]] - Additional packages from the project configuration, their versions win
+ * @param {string[]} [options.tools] - Tools set up, the packages of the other ones are left out (all of them by default)
  * @returns {string[]} Array of dependencies
  */
-export function getProjectDependencies(projectType) {
+export function getProjectDependencies(projectType, options = {}) {
+  const {
+    eslintConfig = DEFAULT_ESLINT_CONFIG,
+    typescript = false,
+    testRunner = DEFAULT_TEST_RUNNER,
+    extraDependencies = [],
+    tools = QUALITY_TOOLS
+  } = options;
+  const config = getProjectTypeConfig(projectType);
+  let dependencies = config ? config.dependencies : COMMON_DEPENDENCIES;
+  
+  if (typescript) {
+    const typescriptDependencies = [
+      ...TYPESCRIPT_DEPENDENCIES,
+      ...(config ? config.typescriptDependencies : [])
+    ];
+    const installed = new Set(dependencies.map(extractPackageName));
+    
+    dependencies = [
+      ...dependencies,
+      ...typescriptDependencies.filter((dependency) => !installed.has(extractPackageName(dependency)))
+    ];
+  }
+  
+  const runnerDependencies = TEST_RUNNER_DEPENDENCIES[testRunner];
+  if (runnerDependencies) {
+    dependencies = [
+      ...dependencies
+        .map((dependency) => {
+          const name = extractPackageName(dependency);
+          return name in runnerDependencies.replace ? runnerDependencies.replace[name] : dependency;
+        })
+        .filter(Boolean),
+      ...runnerDependencies.add,
+      ...(typescript ? runnerDependencies.typescript || [] : [])
+    ];
+  }
+  
+  if (eslintConfig === 'legacy') {
+    dependencies = dependencies
+      .map((dependency) => {
+        const name = extractPackageName(dependency);
+        return name in LEGACY_ESLINT_DEPENDENCIES ? LEGACY_ESLINT_DEPENDENCIES[name] : dependency;
+      })
+      .filter(Boolean);
+  }
+  
+  dependencies = dependencies.filter((dependency) => {
+    const required = DEPENDENCY_TOOLS[extractPackageName(dependency)] || [];
+    return required.every((tool) => tools.includes(tool));
+  });
+  
+  if (extraDependencies.length === 0) {
+    return dependencies;
+  }
+  
+  const extraNames = new Set(extraDependencies.map(extractPackageName));
+  return [
+    ...dependencies.filter((dependency) => !extraNames.has(extractPackageName(dependency))),
+    ...extraDependencies
+  ];
+}
+
+/**
+ * Choose the tools of a setup from the configured ones, or only the given ones, without the skipped ones
+ * @param {string[]} [tools=QUALITY_TOOLS] - Tools configured for the project
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.only] - Tools to set up instead of the configured ones
+ * @param {string[]} [options.skip=[]] - Tools not to set up
+ * @returns {Object} { tools, dropped }: the tools in the order of QUALITY_TOOLS, and the ones left out
+ * because none of the tools they need is set up
+ */
+export function selectTools(tools = QUALITY_TOOLS, options = {}) {
+  const { only = null, skip = [] } = options;
+  const requested = only || tools;
+  const selected = QUALITY_TOOLS.filter((tool) => requested.includes(tool) && !skip.includes(tool));
+  const dropped = selected.filter((tool) => tool in TOOL_REQUIREMENTS
+    && !TOOL_REQUIREMENTS[tool].some((required) => selected.includes(required)));
+  
+  return { tools: selected.filter((tool) => !dropped.includes(tool)), dropped };
+}
+
+/**
+ * Check if a project type supports a test runner
+ * @param {string} projectType - Type of project
+ * @param {string} testRunner - Test runner to check
+ * @returns {boolean} Whether the project type can be set up with the test runner
+ */
+export function supportsTestRunner(projectType, testRunner) {
   const config = getProjectTypeConfig(projectType);
-  return config ? config.dependencies : COMMON_DEPENDENCIES;
+  return Boolean(config) && config.testRunners.includes(testRunner);
 }
 
 /**
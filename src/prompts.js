@@ -0,0 +1,265 @@
+/**
+ * @module src/prompts.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Registry of the questions the scaffold can ask, each with a stable ID so it can be
+ * answered in advance (--answer, an answers file or --yes) and the scaffold can run
+ * in CI or a container without a terminal instead of hanging on a prompt
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import inquirer from 'inquirer';
+
+/**
+ * Prompts of the scaffold by ID, the default being the answer --yes gives
+ * when the question does not provide its own
+ * @constant {Object}
+ */
+export const PROMPTS = {
+  'project-type': {
+    type: 'list',
+    description:
+      'Project type to use when the detection finds conflicting signals (defaults to the best match)',
+  },
+  'file-conflict': {
+    type: 'list',
+    description:
+      'How to resolve an existing file that differs from the template: keep, overwrite, merge, new, or one of them followed by :all',
+    default: 'keep',
+  },
+  'install-compatible-versions': {
+    type: 'confirm',
+    description: 'Install the versions the compatibility matrix resolves for conflicting packages',
+    default: true,
+  },
+  'update-package': {
+    type: 'confirm',
+    description: 'Update a package installed below the minimum version required',
+    default: true,
+  },
+  'continue-without-husky': {
+    type: 'confirm',
+    description: 'Continue the setup when the Git hooks could not be configured',
+    default: true,
+  },
+  'run-migration': {
+    type: 'confirm',
+    description:
+      'Run a migration of the upgrade, such as moving a legacy .eslintrc.json setup to the flat config',
+    default: true,
+  },
+  'wizard-project-type': {
+    type: 'list',
+    description: 'Project type chosen in the wizard (defaults to the detected one)',
+  },
+  'wizard-tools': {
+    type: 'checkbox',
+    description: 'Tools to set up, comma separated (defaults to all of them)',
+  },
+  'wizard-test-runner': {
+    type: 'list',
+    description:
+      'Test runner, asked when the project type supports several (defaults to the detected one)',
+  },
+  'wizard-module-system': {
+    type: 'list',
+    description:
+      'Module system ESLint parses the project files with: esm or commonjs (defaults to the "type" of package.json)',
+  },
+  'wizard-strictness': {
+    type: 'list',
+    description: 'Strictness level of the ESLint rules: relaxed, recommended or strict',
+    default: 'recommended',
+  },
+  'wizard-hooks': {
+    type: 'checkbox',
+    description: 'Git hooks to install, comma separated (defaults to all of them)',
+  },
+  'wizard-apply': {
+    type: 'confirm',
+    description: 'Apply the setup shown in the wizard summary',
+    default: true,
+  },
+};
+
+/**
+ * Answers accepted for a confirm prompt
+ * @constant {Object}
+ */
+const CONFIRM_ANSWERS = { true: true, yes: true, y: true, false: false, no: false, n: false };
+
+// How the questions of this run are answered, set with configurePrompts
+let settings = { yes: false, interactive: true, answers: {}, terminal: null };
+
+/**
+ * Get the definition of a prompt
+ * @param {string} id - Prompt ID
+ * @returns {Object} Prompt definition
+ */
+function getPrompt(id) {
+  const prompt = PROMPTS[id];
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${id}. Available: ${Object.keys(PROMPTS).join(', ')}`);
+  }
+
+  return prompt;
+}
+
+/**
+ * Turn a preset answer into the value the prompt would give
+ * @param {string} id - Prompt ID
+ * @param {*} value - Preset answer, a string when given on the command line
+ * @param {Object} [question] - Question being asked, to check the answer against its choices
+ * @returns {*} Answer
+ */
+function normalizeAnswer(id, value, question = {}) {
+  if (getPrompt(id).type === 'confirm') {
+    const answer =
+      typeof value === 'boolean' ? value : CONFIRM_ANSWERS[String(value).trim().toLowerCase()];
+    if (answer === undefined) {
+      throw new Error(`Invalid answer "${value}" for prompt ${id}, expected yes or no`);
+    }
+    return answer;
+  }
+
+  const choices = (question.choices || [])
+    .map((choice) => (typeof choice === 'string' ? choice : choice.value))
+    .filter((choice) => choice !== undefined);
+  const checkChoice = (answer) => {
+    if (choices.length > 0 && !choices.includes(answer)) {
+      throw new Error(
+        `Invalid answer "${answer}" for prompt ${id}. Available: ${choices.join(', ')}`,
+      );
+    }
+    return answer;
+  };
+
+  // Several choices, as a list or comma separated
+  if (getPrompt(id).type === 'checkbox') {
+    const answers = Array.isArray(value) ? value : String(value).split(',');
+    return answers
+      .map((answer) => String(answer).trim())
+      .filter(Boolean)
+      .map(checkChoice);
+  }
+
+  return checkChoice(String(value).trim());
+}
+
+/**
+ * Choose how the questions of this run are answered. Calling it without options
+ * restores the defaults: ask every question in the terminal.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.yes=false] - Take the default answer of every prompt without a preset answer
+ * @param {boolean} [options.interactive=true] - Whether questions may be asked, false fails on a prompt without a preset answer
+ * @param {Object} [options.answers={}] - Preset answers by prompt ID
+ * @param {boolean} [options.terminal] - Whether a terminal is attached, detected from stdin when omitted
+ */
+export function configurePrompts(options = {}) {
+  const { yes = false, interactive = true, answers = {}, terminal = null } = options;
+
+  Object.entries(answers).forEach(([id, value]) => {
+    if (getPrompt(id).type === 'confirm') {
+      normalizeAnswer(id, value);
+    }
+  });
+
+  settings = { yes, interactive, answers: { ...answers }, terminal };
+}
+
+/**
+ * Parse answers given on the command line
+ * @param {string[]} [values=[]] - Answers as "id=value"
+ * @returns {Object} Answers by prompt ID
+ */
+export function parseAnswers(values = []) {
+  const answers = {};
+
+  values.forEach((value) => {
+    const separator = value.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid answer: ${value}. Expected <prompt-id>=<value>`);
+    }
+    answers[value.slice(0, separator).trim()] = value.slice(separator + 1);
+  });
+
+  return answers;
+}
+
+/**
+ * Read preset answers from a JSON file, an object of answers by prompt ID
+ * @param {string} file - Path of the answers file
+ * @returns {Promise<Object>} Answers by prompt ID
+ */
+export async function loadAnswersFile(file) {
+  let answers;
+  try {
+    answers = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the answers file ${file}: ${error.message}`);
+  }
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error(`The answers file ${file} must contain an object of answers by prompt ID`);
+  }
+
+  return answers;
+}
+
+/**
+ * Whether questions can be asked in the terminal
+ * @returns {boolean} True when prompts are enabled and stdin is a terminal
+ */
+export function canPrompt() {
+  return (
+    settings.interactive &&
+    (settings.terminal === null ? Boolean(process.stdin.isTTY) : settings.terminal)
+  );
+}
+
+/**
+ * Whether a registered question gets an answer: a preset one, its default with --yes, or the terminal
+ * @param {string} id - Prompt ID
+ * @returns {boolean} False when asking it would fail
+ */
+export function canAnswer(id) {
+  getPrompt(id);
+  return Object.hasOwn(settings.answers, id) || settings.yes || canPrompt();
+}
+
+/**
+ * Ask a registered question, answered from the presets, the defaults (--yes) or the terminal
+ * @param {string} id - Prompt ID
+ * @param {Object} question - Inquirer question, its name being the key of the answer
+ * @returns {Promise<*>} Answer
+ * @throws {Error} When the question has no preset answer and cannot be asked
+ */
+export async function ask(id, question) {
+  const prompt = getPrompt(id);
+
+  if (Object.hasOwn(settings.answers, id)) {
+    return normalizeAnswer(id, settings.answers[id], question);
+  }
+
+  const defaultAnswer = question.default === undefined ? prompt.default : question.default;
+  if (settings.yes && defaultAnswer !== undefined) {
+    return defaultAnswer;
+  }
+
+  if (!canPrompt()) {
+    const reason = settings.interactive ? 'no terminal is attached' : 'prompts are disabled';
+    throw new Error(
+      `Cannot ask "${question.message}" because ${reason}. ` +
+        `Answer prompt ${id} with --answer ${id}=<value>, an --answers file or --yes`,
+    );
+  }
+
+  const answers = await inquirer.prompt([{ type: prompt.type, ...question }]);
+  return answers[question.name];
+}
@@ -0,0 +1,220 @@
+/**
+ * @module src/scaffold-stamp.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Stamps a project with the scaffold version and what it generated (files with their content hash,
+ * scripts and dependencies), the base the upgrade command merges the new templates against
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import semver from 'semver';
+
+import { recordChange } from './dry-run.js';
+import { trackFile } from './journal.js';
+import { logSuccess, formatPath, extractPackageName, VERSION } from './utils.js';
+
+/**
+ * Stamp file, committed with the project so every clone can be upgraded
+ * @constant {string}
+ */
+export const STAMP_FILE = '.avrqa-lock.json';
+
+/**
+ * Version assumed for a project set up before stamps were written
+ * @constant {string}
+ */
+export const UNSTAMPED_VERSION = '0.0.0';
+
+/**
+ * What the scaffold generated in a project
+ * @typedef {Object} ScaffoldStamp
+ * @property {string} version - Version of the scaffold the project was last set up or upgraded with
+ * @property {Object<string, {hash: string, content: string}>} files - Generated files by path, with the
+ * content they were generated with and its hash
+ * @property {Object<string, string>} scripts - package.json scripts by name, as the scaffold set them
+ * @property {string[]} dependencies - Names of the packages the scaffold installed
+ */
+
+/**
+ * Hash of a generated file, written to the stamp
+ * @param {string} content - File content
+ * @returns {string} Hash as sha256-<hex>
+ */
+export function hashContent(content) {
+  return `sha256-${createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Path of a file as stamped, relative to the project and with forward slashes
+ * @param {string} filePath - Path of the file
+ * @param {string} cwd - Project directory
+ * @returns {string} Stamped path
+ */
+function toStampPath(filePath, cwd) {
+  return path.relative(cwd, path.resolve(cwd, filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Read a file that may not exist
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string|null>} Content, null when the file does not exist
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stamp what a run generated for a project.
+ * A file or script the project had changed and the run left as it was keeps its entry of the previous
+ * stamp, so the next upgrade still merges against what was generated for it.
+ * @param {Object} generated - What the scaffold generates for the settings of the run
+ * @param {Object[]} generated.files - Files from getExpectedFiles, those without content or kept by the
+ * manifest (merge: keep) belong to the project and are not stamped
+ * @param {Object} generated.scripts - Scripts from getQualityScripts
+ * @param {string[]} generated.dependencies - Dependency specs from getProjectDependencies
+ * @param {Object} [options] - Options
+ * @param {ScaffoldStamp|null} [options.previous] - Stamp of the previous run, null to stamp everything as generated
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<ScaffoldStamp>} Stamp
+ */
+export async function createStamp({ files, scripts, dependencies }, options = {}) {
+  const { previous = null, cwd = process.cwd() } = options;
+  const stamp = {
+    version: VERSION,
+    files: {},
+    scripts: {},
+    dependencies: [...new Set(dependencies.map(extractPackageName))].sort(),
+  };
+
+  const stamped = files.filter((file) => file.content !== null && file.merge !== 'keep');
+  const contents = await Promise.all(
+    stamped.map((file) => readOptionalFile(path.resolve(cwd, file.path))),
+  );
+
+  stamped.forEach((file, index) => {
+    const stampPath = toStampPath(file.path, cwd);
+    const existing = contents[index];
+    const kept = previous ? previous.files[stampPath] : undefined;
+    stamp.files[stampPath] =
+      kept && existing !== null && existing !== file.content
+        ? kept
+        : { hash: hashContent(file.content), content: file.content };
+  });
+
+  const packageJson = JSON.parse((await readOptionalFile(path.join(cwd, 'package.json'))) || '{}');
+  const currentScripts = packageJson.scripts || {};
+  Object.entries(scripts).forEach(([name, command]) => {
+    const kept = previous ? previous.scripts[name] : undefined;
+    const changed = currentScripts[name] !== undefined && currentScripts[name] !== command;
+    stamp.scripts[name] = kept !== undefined && changed ? kept : command;
+  });
+
+  return stamp;
+}
+
+/**
+ * Read the stamp of a project
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<ScaffoldStamp|null>} Stamp, null when the project has none
+ * @throws {Error} When the stamp is not valid
+ */
+export async function loadStamp(options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  const content = await readOptionalFile(path.join(cwd, STAMP_FILE));
+  if (content === null) {
+    return null;
+  }
+
+  let stamp;
+  try {
+    stamp = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${STAMP_FILE}: ${error.message}`);
+  }
+
+  if (!stamp || typeof stamp !== 'object' || !semver.valid(stamp.version)) {
+    throw new Error(`${STAMP_FILE} has no valid "version"`);
+  }
+
+  return {
+    version: stamp.version,
+    files: stamp.files || {},
+    scripts: stamp.scripts || {},
+    dependencies: stamp.dependencies || [],
+  };
+}
+
+/**
+ * Content a file was generated with, from the stamp
+ * @param {ScaffoldStamp} stamp - Stamp
+ * @param {string} filePath - Path of the file
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {string|null} Content, null when the file was not stamped or its content was not kept
+ */
+export function getStampedContent(stamp, filePath, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const entry = stamp.files[toStampPath(filePath, cwd)];
+
+  return entry && typeof entry.content === 'string' && hashContent(entry.content) === entry.hash
+    ? entry.content
+    : null;
+}
+
+/**
+ * Whether a project was set up with an older version of the scaffold
+ * @param {ScaffoldStamp|null} stamp - Stamp, null for a project set up before stamps were written
+ * @returns {boolean} Whether the project can be upgraded
+ */
+export function isStampOutdated(stamp) {
+  return semver.lt(stamp ? stamp.version : UNSTAMPED_VERSION, VERSION);
+}
+
+/**
+ * Write the stamp of a project after a run
+ * @param {ScaffoldStamp} stamp - Stamp from createStamp
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {Object} [options.plan] - Dry-run plan, the write is recorded instead of applied
+ * @param {Object} [options.journal] - Journal recording the file before it is written
+ * @returns {Promise<boolean>} Whether the stamp was written or planned
+ */
+export async function writeStamp(stamp, options = {}) {
+  const { cwd = process.cwd(), plan = null, journal = null } = options;
+  const filepath = path.join(cwd, STAMP_FILE);
+  const content = `${JSON.stringify(stamp, null, 2)}\n`;
+  const existing = await readOptionalFile(filepath);
+
+  if (plan) {
+    const action = existing === null ? 'create' : 'update';
+    recordChange(plan, {
+      type: 'file',
+      action: existing === content ? 'unchanged' : action,
+      path: STAMP_FILE,
+    });
+    return true;
+  }
+
+  if (existing === content) {
+    return true;
+  }
+
+  await trackFile(journal, filepath);
+  await fs.writeFile(filepath, content);
+  logSuccess(`Stamped the setup in ${formatPath(filepath)}`);
+  return true;
+}
@@ -8,27 +8,251 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-09
- * @lastModified 2025-05-09
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
 import { existsSync } from 'fs';
+import path from 'path';
 import { execaCommand } from 'execa';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
 
-import { installDependencies, addScriptsToPackageJson } from './package-modifier.js';
-import { createConfigFiles } from './config-generator.js';
+import {
+  installDependencies,
+  removeDevDependencies,
+  needsLegacyPeerDeps,
+  addScriptsToPackageJson,
+  updateQualityScripts,
+  upgradeQualityScripts,
+  getWorkspaceScripts,
+  getQualityScripts
+} from './package-modifier.js';
+import {
+  createConfigFiles,
+  updateConfigFiles,
+  upgradeConfigFiles,
+  getGeneratedFiles,
+  getExpectedFiles
+} from './config-generator.js';
 import { checkVersionCompatibility } from './version-checker.js';
-import { logSuccess, logInfo, logWarning, logError } from './utils.js';
+import { getPackageManager } from './package-manager.js';
+import { getProjectDependencies, QUALITY_TOOLS } from './project-types.js';
+import { recordCommand } from './dry-run.js';
+import { runProjectTypeHook } from './plugins.js';
+import { trackFile, trackDirectory, rollbackFailedRun } from './journal.js';
+import { getWorkspaceTestRunner, getWorkspaceJestProjects } from './workspaces.js';
+import { ask } from './prompts.js';
+import { createStamp, writeStamp, getStampedContent } from './scaffold-stamp.js';
+import { logSuccess, logInfo, logWarning, logError, extractPackageName, isExecutableMode } from './utils.js';
+
+/**
+ * Run a task for each item, one after the other
+ * @param {Array} items - Items to go through
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<void>}
+ */
+function runInSequence(items, task) {
+  return items.reduce((previous, item) => previous.then(() => task(item)), Promise.resolve());
+}
+
+/**
+ * What the scaffold generated in a project, the base of the three way merges of an upgrade
+ * @param {Object} options - Options
+ * @param {ScaffoldStamp|null} options.stamp - Stamp of the project
+ * @param {Object} options.previous - Settings the project was set up with, rendered when there is no stamp
+ * @param {Object} options.templates - Loaded templates for configuration files
+ * @param {Object} options.packageManager - Package manager from getPackageManager
+ * @param {string[]} options.extraDependencies - Additional devDependencies from the project configuration
+ * @param {string[]} options.disabledHooks - Git hooks not created
+ * @param {Object} options.variables - Extra template variables
+ * @returns {Object} { files, scripts, dependencies } with the files as { path, content } and the package names
+ */
+function getUpgradeBase({ stamp, previous, ...context }) {
+  if (stamp) {
+    const files = Object.keys(stamp.files)
+      .map((stampPath) => ({ path: path.normalize(stampPath), content: getStampedContent(stamp, stampPath) }))
+      .filter(({ content }) => content !== null);
+    return { files, scripts: stamp.scripts, dependencies: stamp.dependencies };
+  }
+  
+  const options = { ...previous, ...context };
+  return {
+    files: getExpectedFiles(options).filter(({ content, merge }) => content !== null && merge !== 'keep'),
+    scripts: getQualityScripts(options),
+    dependencies: getProjectDependencies(previous.projectType, options).map(extractPackageName)
+  };
+}
+
+/**
+ * Command that makes the generated executable files (the Git hooks) executable
+ * @param {Object[]} files - Files from getGeneratedFiles
+ * @returns {string|null} chmod command, null when no file is executable
+ */
+function getChmodCommand(files) {
+  const executables = files
+    .filter(({ mode }) => mode !== null && isExecutableMode(mode))
+    .map(({ path: filePath }) => filePath);
+  
+  return executables.length > 0 ? `chmod +x ${executables.join(' ')}` : null;
+}
+
+/**
+ * Record the files the package manager may rewrite, and node_modules when it is created
+ * @param {Object|null} journal - Journal, nothing is recorded when null
+ * @param {Object} packageManager - Package manager from getPackageManager
+ * @returns {Promise<void>}
+ */
+async function trackPackageFiles(journal, packageManager) {
+  await runInSequence(['package.json', ...packageManager.lockfiles], (filePath) => trackFile(journal, filePath));
+  await trackDirectory(journal, 'node_modules');
+}
+
+/**
+ * Set up Husky for Git hooks
+ * @param {Object} options - Options
+ * @param {Object} options.packageManager - Package manager used to run the husky binary
+ * @param {Object[]} [options.files=[]] - Generated files from getGeneratedFiles, the executable ones get chmod +x
+ * @param {Object} [options.plan] - Dry-run plan, the commands are recorded instead of executed
+ * @param {Object} [options.journal] - Journal recording the repository and hooks before they change
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {Promise<void>}
+ */
+async function setupHusky({ packageManager, files = [], plan = null, journal = null, verbose = false }) {
+  const chmodCommand = getChmodCommand(files);
+  
+  if (plan) {
+    if (!existsSync('.git')) {
+      recordCommand(plan, 'git init');
+    }
+    recordCommand(plan, packageManager.execCommand('husky'));
+    if (chmodCommand) {
+      recordCommand(plan, chmodCommand);
+    }
+    return;
+  }
+  
+  // Check if Git is initialized
+  if (!existsSync('.git')) {
+    logWarning('Git repository not found. Initializing...');
+    await trackDirectory(journal, '.git');
+    await execaCommand('git init', { stdio: verbose ? 'inherit' : 'pipe' });
+  } else if (verbose) {
+    logSuccess('Git repository already initialized');
+  }
+  
+  // Initialize Husky
+  logInfo('Initializing Husky...');
+  try {
+    // husky sets core.hooksPath without touching the hooks, unlike husky init which rewrites pre-commit
+    if (existsSync('.git/config')) {
+      await trackFile(journal, '.git/config');
+    }
+    await trackDirectory(journal, '.husky');
+    
+    await execaCommand(packageManager.execCommand('husky'), { stdio: verbose ? 'inherit' : 'pipe' });
+    
+    // Create pre-commit hook
+    logInfo('Creating Git hooks...');
+    
+    // These hooks will come from the templates directory based on project type
+    // and will be handled by the config-generator module
+    
+    // Make hooks executable
+    if (chmodCommand) {
+      await execaCommand(chmodCommand, { stdio: verbose ? 'inherit' : 'pipe' });
+    }
+    
+    logSuccess('Git hooks configured successfully');
+  } catch (error) {
+    logError(`Failed to configure Husky: ${error.message}`);
+    
+    // Ask user if they want to continue despite the error
+    const shouldContinue = await ask('continue-without-husky', {
+      name: 'shouldContinue',
+      message: 'Do you want to continue with setup despite Husky configuration error?',
+      default: true
+    });
+    
+    if (!shouldContinue) {
+      throw new Error('Setup aborted due to Husky configuration error');
+    }
+    
+    logWarning('Continuing despite Husky configuration error...');
+  }
+}
+
+/**
+ * Stop Git from running the hooks of Husky, the hooks themselves are removed with the generated files
+ * @param {Object} options - Options
+ * @param {Object} [options.plan] - Dry-run plan, the command is recorded instead of executed
+ * @param {Object} [options.journal] - Journal recording the repository config before it changes
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {Promise<void>}
+ */
+async function removeHusky({ plan = null, journal = null, verbose = false }) {
+  const command = 'git config --unset core.hooksPath';
+  
+  if (!existsSync('.git/config')) {
+    return;
+  }
+  
+  if (plan) {
+    recordCommand(plan, command);
+    return;
+  }
+  
+  await trackFile(journal, '.git/config');
+  
+  // git config fails when core.hooksPath is not set, which leaves nothing to do
+  const { failed } = await execaCommand(command, { stdio: verbose ? 'inherit' : 'pipe', reject: false });
+  if (!failed) {
+    logSuccess('Git hooks of Husky disabled');
+  }
+  if (existsSync('.husky/_')) {
+    logInfo(`Delete ${chalk.cyan('.husky')} once you no longer need it, it still holds the scripts of Husky.`);
+  }
+}
+
+/**
+ * Set up test directory structure based on project type
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {boolean} options.verbose - Whether to show verbose output
+ * @returns {Promise<void>}
+ */
+async function setupTestDirectories({ projectType, verbose = false }) {
+  // The actual directory creation will be handled by the config-generator
+  // based on the project type. This function exists as a placeholder for any
+  // additional test-specific setup that might be needed in the future.
+  
+  if (verbose) {
+    logInfo(`Setting up test directories for ${projectType} project...`);
+  }
+  
+  // Note: The actual creation of test directories and sample files
+  // is handled in the config-generator.js module
+}
 
 /**
  * Core function to set up the entire quality system
  * @param {Object} options - Setup options
- * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {string} options.projectType - Type of project (node, react, next or one added by a plugin)
  * @param {Object} options.templates - Loaded templates for configuration files
  * @param {boolean} options.force - Whether to override existing configurations
  * @param {boolean} options.skipInstall - Skip installing npm dependencies
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Set up the TypeScript variant of the project type
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools to set up, all of them by default
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.interactive=false] - Show a diff and ask what to do with each existing file
+ * @param {string} [options.onConflict] - Resolve every existing file with this action (keep, overwrite, merge, new)
+ * @param {boolean} [options.merge=false] - Merge existing JSON configs (.eslintrc.json, .prettierrc.json, .lintstagedrc.json) key by key
+ * @param {string[]} [options.extraDependencies=[]] - Additional devDependencies from the project configuration
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to create
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {Object} [options.plan] - Dry-run plan from createPlan, every change is recorded instead of applied
+ * @param {Object} [options.journal] - Journal from createJournal, the changes are rolled back when a step fails
  * @param {boolean} options.verbose - Show detailed output
  * @returns {Promise<boolean>} Whether setup was successful
  */
@@ -38,21 +262,47 @@ export async function setupQualitySystem(options) {
     templates,
     force = false,
     skipInstall = false,
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    tools = QUALITY_TOOLS,
+    packageManager = getPackageManager(),
+    interactive = false,
+    onConflict = null,
+    merge = false,
+    extraDependencies = [],
+    disabledHooks = [],
+    variables = {},
+    plan = null,
+    journal = null,
     verbose = false
   } = options;
   
   try {
+    // Installs and version updates rewrite these outside of our own writes
+    await trackPackageFiles(journal, packageManager);
+    
+    // Plugin project types can prepare the project before anything is installed
+    const hookContext = { projectType, cwd: process.cwd(), packageManager, eslintConfig, typescript, testRunner, verbose };
+    await runProjectTypeHook(projectType, 'beforeSetup', hookContext, { plan });
+    
     // Step 1: Install dependencies if not skipped
+    const legacyPeerDeps = needsLegacyPeerDeps({ eslintConfig, tools, packageManager });
     if (!skipInstall) {
       logInfo('Step 1: Installing dependencies...');
-      await installDependencies({ verbose });
+      await installDependencies({ projectType, eslintConfig, typescript, testRunner, extraDependencies, tools, packageManager, legacyPeerDeps, plan, verbose });
     } else {
       logInfo('Step 1: Skipping dependency installation (--skip-install)');
     }
     
     // Step 2: Check version compatibility
-    logInfo('Step 2: Checking version compatibility...');
-    await checkVersionCompatibility({ verbose });
+    if (!plan) {
+      logInfo('Step 2: Checking version compatibility...');
+      await checkVersionCompatibility({ packageManager, eslintConfig, legacyPeerDeps, verbose });
+    } else {
+      // The check inspects installed packages and may offer to update them
+      logInfo('Step 2: Skipping version compatibility check (dry run)');
+    }
     
     // Step 3: Create configuration files
     logInfo('Step 3: Creating configuration files...');
@@ -60,21 +310,45 @@ export async function setupQualitySystem(options) {
       projectType,
       templates,
       force,
+      eslintConfig,
+      typescript,
+      testRunner,
+      tools,
+      packageManager,
+      interactive,
+      onConflict,
+      merge,
+      disabledHooks,
+      variables,
+      plan,
+      journal,
       verbose
     });
     
     // Step 4: Add quality scripts to package.json
     logInfo('Step 4: Updating package.json...');
-    await addScriptsToPackageJson({ verbose });
+    await addScriptsToPackageJson({ projectType, eslintConfig, typescript, testRunner, tools, plan, verbose });
     
     // Step 5: Initialize Git and Husky
-    logInfo('Step 5: Configuring Git hooks with Husky...');
-    await setupHusky({ verbose });
+    if (tools.includes('husky')) {
+      logInfo('Step 5: Configuring Git hooks with Husky...');
+      const files = getGeneratedFiles({ projectType, templates, eslintConfig, typescript, testRunner, tools, packageManager, disabledHooks, variables });
+      await setupHusky({ packageManager, files, plan, journal, verbose });
+    } else {
+      logInfo('Step 5: Skipping Git hooks, Husky is not set up');
+    }
     
     // Step 6: Create test directory structure if needed
     logInfo('Step 6: Setting up test directory structure...');
     await setupTestDirectories({ projectType, verbose });
     
+    await runProjectTypeHook(projectType, 'afterSetup', hookContext, { plan });
+    
+    if (plan) {
+      logSuccess('Dry run completed, no changes were made');
+      return true;
+    }
+    
     logSuccess('Quality system setup completed successfully!');
     return true;
   } catch (error) {
@@ -82,102 +356,452 @@ export async function setupQualitySystem(options) {
     if (verbose) {
       console.error(error);
     }
+    if (journal) {
+      await rollbackFailedRun(journal, { verbose });
+    }
     return false;
   }
 }
 
 /**
- * Set up Husky for Git hooks
- * @param {Object} options - Options
- * @param {boolean} options.verbose - Whether to show verbose output
- * @returns {Promise<void>}
+ * Set up the quality system of a workspace: the shared tooling is installed once at the root,
+ * whose configs each package extends with the ones of its project type
+ * @param {Object} options - Setup options
+ * @param {Object} options.templates - Templates of the root, loaded for the root workspace role
+ * @param {Object[]} options.packages - Packages to set up as { name, directory, projectType, testRunner, templates }
+ * @param {string[]} options.patterns - Package patterns of the workspace
+ * @param {boolean} [options.setupRoot=true] - Whether to set up the root configs, scripts and Git hooks,
+ * false when a single package is scaffolded in a workspace that already has them
+ * @param {boolean} options.force - Whether to override existing configurations
+ * @param {boolean} options.skipInstall - Skip installing npm dependencies
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Set up the TypeScript variant of the project types
+ * @param {string[]} [options.tools] - Tools to set up, all of them by default
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.interactive=false] - Show a diff and ask what to do with each existing file
+ * @param {string} [options.onConflict] - Resolve every existing file with this action (keep, overwrite, merge, new)
+ * @param {boolean} [options.merge=false] - Merge existing JSON configs key by key
+ * @param {string[]} [options.extraDependencies=[]] - Additional devDependencies from the project configuration
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to create
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {Object} [options.plan] - Dry-run plan from createPlan, every change is recorded instead of applied
+ * @param {Object} [options.journal] - Journal from createJournal, the changes are rolled back when a step fails
+ * @param {boolean} options.verbose - Show detailed output
+ * @returns {Promise<boolean>} Whether setup was successful
  */
-async function setupHusky({ verbose = false }) {
-  // Check if Git is initialized
-  if (!existsSync('.git')) {
-    logWarning('Git repository not found. Initializing...');
-    await execaCommand('git init', { stdio: verbose ? 'inherit' : 'pipe' });
-  } else if (verbose) {
-    logSuccess('Git repository already initialized');
-  }
+export async function setupWorkspaceSystem(options) {
+  const {
+    templates,
+    packages,
+    patterns,
+    setupRoot = true,
+    force = false,
+    skipInstall = false,
+    eslintConfig = 'flat',
+    typescript = false,
+    tools = QUALITY_TOOLS,
+    packageManager = getPackageManager(),
+    interactive = false,
+    onConflict = null,
+    merge = false,
+    extraDependencies = [],
+    disabledHooks = [],
+    variables = {},
+    plan = null,
+    journal = null,
+    verbose = false
+  } = options;
+  
+  const testRunner = getWorkspaceTestRunner(packages);
+  const fileOptions = { force, eslintConfig, typescript, tools, packageManager, interactive, onConflict, merge, disabledHooks, variables };
+  const root = { role: 'root', patterns, jestProjects: getWorkspaceJestProjects(packages) };
   
-  // Initialize Husky
-  logInfo('Initializing Husky...');
   try {
-    await execaCommand('npx husky init', { stdio: verbose ? 'inherit' : 'pipe' });
+    // Installs and version updates rewrite these outside of our own writes
+    await trackPackageFiles(journal, packageManager);
+    await runInSequence(packages, (item) => trackFile(journal, path.join(item.directory, 'package.json')));
     
-    // Create pre-commit hook
-    logInfo('Creating Git hooks...');
+    // The hooks of plugin project types run in the package they set up
+    const hookContext = (item) => ({
+      projectType: item.projectType,
+      cwd: path.resolve(item.directory),
+      workspaceRoot: process.cwd(),
+      packageManager,
+      eslintConfig,
+      typescript,
+      testRunner: item.testRunner,
+      verbose
+    });
+    await runInSequence(packages, (item) => runProjectTypeHook(item.projectType, 'beforeSetup', hookContext(item), { plan }));
     
-    // These hooks will come from the templates directory based on project type
-    // and will be handled by the config-generator module
+    // Step 1: Install the dependencies of every package at the root
+    const legacyPeerDeps = needsLegacyPeerDeps({ eslintConfig, tools, packageManager });
+    if (!skipInstall) {
+      logInfo('Step 1: Installing dependencies at the workspace root...');
+      await installDependencies({ eslintConfig, typescript, testRunner, extraDependencies, tools, packages, packageManager, legacyPeerDeps, plan, verbose });
+    } else {
+      logInfo('Step 1: Skipping dependency installation (--skip-install)');
+    }
     
-    // Make hooks executable
-    await execaCommand('chmod +x .husky/pre-commit .husky/commit-msg .husky/prepare-commit-msg .husky/pre-push', 
-      { stdio: verbose ? 'inherit' : 'pipe' });
+    // Step 2: Check version compatibility
+    if (!plan) {
+      logInfo('Step 2: Checking version compatibility...');
+      await checkVersionCompatibility({ packageManager, eslintConfig, legacyPeerDeps, verbose });
+    } else {
+      logInfo('Step 2: Skipping version compatibility check (dry run)');
+    }
     
-    logSuccess('Git hooks configured successfully');
+    // Step 3: Create the root configs, then the package configs extending them
+    logInfo('Step 3: Creating configuration files...');
+    if (setupRoot) {
+      await createConfigFiles({ ...fileOptions, projectType: 'node', templates, testRunner, workspace: root, plan, journal, verbose });
+      if (tools.includes('jest') && testRunner === 'jest' && root.jestProjects) {
+        logWarning(`The packages use different test runners: the root jest.config.js runs ${root.jestProjects.join(', ')}, the root test scripts run the tests of every package`);
+      }
+    }
+    await runInSequence(packages, (item) => {
+      logInfo(`Creating configuration files of ${chalk.cyan(item.name)}...`);
+      return createConfigFiles({
+        ...fileOptions,
+        projectType: item.projectType,
+        templates: item.templates,
+        testRunner: item.testRunner,
+        directory: item.directory,
+        workspace: { role: 'package', patterns },
+        plan,
+        journal,
+        verbose
+      });
+    });
+    
+    // Step 4: Add the scripts running every package to the root, and the package scripts
+    logInfo('Step 4: Updating package.json files...');
+    if (setupRoot) {
+      const scripts = getWorkspaceScripts({ typescript, testRunners: packages.map((item) => item.testRunner), tools, packageManager });
+      await addScriptsToPackageJson({ scripts, tools, plan, verbose });
+    }
+    await runInSequence(packages, (item) => addScriptsToPackageJson({
+      projectType: item.projectType,
+      eslintConfig,
+      typescript,
+      testRunner: item.testRunner,
+      tools,
+      directory: item.directory,
+      workspaceRoot: path.posix.relative(item.directory, '.'),
+      plan,
+      verbose
+    }));
+    
+    // Step 5: Git hooks live at the root, lint-staged runs the closest config of each staged file
+    if (!tools.includes('husky')) {
+      logInfo('Step 5: Skipping Git hooks, Husky is not set up');
+    } else if (setupRoot) {
+      logInfo('Step 5: Configuring Git hooks with Husky...');
+      const files = getGeneratedFiles({ ...fileOptions, projectType: 'node', templates, testRunner, workspace: root });
+      await setupHusky({ packageManager, files, plan, journal, verbose });
+    } else {
+      logInfo('Step 5: Skipping Git hooks, they are set up at the workspace root');
+    }
+    
+    await runInSequence(packages, (item) => runProjectTypeHook(item.projectType, 'afterSetup', hookContext(item), { plan }));
+    
+    if (plan) {
+      logSuccess('Dry run completed, no changes were made');
+      return true;
+    }
+    
+    logSuccess('Workspace quality system setup completed successfully!');
+    return true;
   } catch (error) {
-    logError(`Failed to configure Husky: ${error.message}`);
+    logError(`Failed to set up quality system: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    if (journal) {
+      await rollbackFailedRun(journal, { verbose });
+    }
+    return false;
+  }
+}
+
+/**
+ * Add or remove tools in a project already set up, leaving the rest of the setup as it is.
+ * The dependencies, files, scripts and Git hooks of the tools that change are installed or removed,
+ * and the files shared with other tools (lint-staged, ESLint config, Git hooks) regenerated.
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project (node, react, next or one added by a plugin)
+ * @param {Object} options.templates - Loaded templates for configuration files
+ * @param {string[]} options.previousTools - Tools set up before the change
+ * @param {string[]} options.tools - Tools set up after the change
+ * @param {boolean} options.skipInstall - Skip installing and removing npm dependencies
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether the TypeScript variant of the project type is set up
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {boolean} [options.interactive=false] - Show a diff and ask what to do with each file changed since the setup
+ * @param {string} [options.onConflict] - Resolve every file changed since the setup with this action (keep, overwrite, merge, new)
+ * @param {string[]} [options.extraDependencies=[]] - Additional devDependencies from the project configuration
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to create
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {Object} [options.plan] - Dry-run plan from createPlan, every change is recorded instead of applied
+ * @param {Object} [options.journal] - Journal from createJournal, the changes are rolled back when a step fails
+ * @param {boolean} options.verbose - Show detailed output
+ * @returns {Promise<boolean>} Whether the tools were updated
+ */
+export async function updateQualityTools(options) {
+  const {
+    projectType = 'node',
+    templates,
+    previousTools,
+    tools,
+    skipInstall = false,
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    packageManager = getPackageManager(),
+    interactive = false,
+    onConflict = null,
+    extraDependencies = [],
+    disabledHooks = [],
+    variables = {},
+    plan = null,
+    journal = null,
+    verbose = false
+  } = options;
+  const settings = { projectType, eslintConfig, typescript, testRunner };
+  
+  try {
+    // Installs and removals rewrite these outside of our own writes
+    await trackPackageFiles(journal, packageManager);
     
-    // Ask user if they want to continue despite the error
-    const { shouldContinue } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'shouldContinue',
-      message: 'Do you want to continue with setup despite Husky configuration error?',
-      default: true
-    }]);
+    // Step 1: Install the packages only the new tools need, remove those only the old ones did
+    if (!skipInstall) {
+      logInfo('Step 1: Updating dependencies...');
+      const previous = getProjectDependencies(projectType, { eslintConfig, typescript, testRunner, extraDependencies, tools: previousTools });
+      const next = getProjectDependencies(projectType, { eslintConfig, typescript, testRunner, extraDependencies, tools });
+      const previousNames = new Set(previous.map(extractPackageName));
+      const nextNames = new Set(next.map(extractPackageName));
+      const added = next.filter((dependency) => !previousNames.has(extractPackageName(dependency)));
+      const removed = previous.filter((dependency) => !nextNames.has(extractPackageName(dependency)));
+      // The Airbnb configs are still installed while a removal runs
+      const legacyPeerDeps = needsLegacyPeerDeps({ eslintConfig, tools: [...previousTools, ...tools], packageManager });
+      
+      if (added.length > 0) {
+        await installDependencies({ dependencies: added, packageManager, legacyPeerDeps, plan, verbose });
+      }
+      if (removed.length > 0) {
+        await removeDevDependencies(removed, { packageManager, legacyPeerDeps, plan, verbose });
+      }
+    } else {
+      logInfo('Step 1: Skipping dependency changes (--skip-install)');
+    }
     
-    if (!shouldContinue) {
-      throw new Error('Setup aborted due to Husky configuration error');
+    // Step 2: Create, rewrite and delete the configuration files and hooks
+    logInfo('Step 2: Updating configuration files...');
+    await updateConfigFiles({
+      ...settings,
+      templates,
+      previousTools,
+      tools,
+      packageManager,
+      interactive,
+      onConflict,
+      disabledHooks,
+      variables,
+      plan,
+      journal,
+      verbose
+    });
+    
+    // Step 3: Add and remove the scripts of the tools
+    logInfo('Step 3: Updating package.json...');
+    await updateQualityScripts({ ...settings, previousTools, tools, plan, verbose });
+    
+    // Step 4: Hooks added to a Husky setup were made executable with the other files
+    if (tools.includes('husky') && !previousTools.includes('husky')) {
+      logInfo('Step 4: Configuring Git hooks with Husky...');
+      const files = getGeneratedFiles({ ...settings, templates, tools, packageManager, disabledHooks, variables });
+      await setupHusky({ packageManager, files, plan, journal, verbose });
+    } else if (!tools.includes('husky') && previousTools.includes('husky')) {
+      logInfo('Step 4: Disabling the Git hooks of Husky...');
+      await removeHusky({ plan, journal, verbose });
     }
     
-    logWarning('Continuing despite Husky configuration error...');
+    if (plan) {
+      logSuccess('Dry run completed, no changes were made');
+    }
+    
+    return true;
+  } catch (error) {
+    logError(`Failed to update the quality tools: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    if (journal) {
+      await rollbackFailedRun(journal, { verbose });
+    }
+    return false;
   }
 }
 
 /**
- * Set up test directory structure based on project type
+ * Upgrade a project set up with an older version of the scaffold to the current templates, scripts
+ * and dependencies. Files and scripts are merged three ways against what the scaffold generated,
+ * from the stamp of the project; without one, from the current templates rendered with the settings
+ * the project had before its migrations.
  * @param {Object} options - Options
- * @param {string} options.projectType - Type of project (node, react, next)
- * @param {boolean} options.verbose - Whether to show verbose output
- * @returns {Promise<void>}
+ * @param {string} options.projectType - Type of project (node, react, next or one added by a plugin)
+ * @param {Object} options.templates - Loaded templates for configuration files
+ * @param {ScaffoldStamp|null} options.stamp - Stamp of the project, null when it was set up without one
+ * @param {Object} options.previous - Settings before the migrations as { eslintConfig, typescript, testRunner, tools }
+ * @param {boolean} options.skipInstall - Skip installing and removing npm dependencies
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether the TypeScript variant of the project type is set up
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, all of them by default
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {string[]} [options.extraDependencies=[]] - Additional devDependencies from the project configuration
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to create
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {Object} [options.plan] - Dry-run plan from createPlan, every change is recorded instead of applied
+ * @param {Object} [options.journal] - Journal from createJournal, the changes are rolled back when a step fails
+ * @param {boolean} options.verbose - Show detailed output
+ * @returns {Promise<string[]|null>} Files and scripts left with conflicts, null when the upgrade failed
  */
-async function setupTestDirectories({ projectType, verbose = false }) {
-  // The actual directory creation will be handled by the config-generator
-  // based on the project type. This function exists as a placeholder for any
-  // additional test-specific setup that might be needed in the future.
+export async function upgradeQualitySystem(options) {
+  const {
+    projectType = 'node',
+    templates,
+    stamp,
+    previous,
+    skipInstall = false,
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    tools = QUALITY_TOOLS,
+    packageManager = getPackageManager(),
+    extraDependencies = [],
+    disabledHooks = [],
+    variables = {},
+    plan = null,
+    journal = null,
+    verbose = false
+  } = options;
+  const settings = { projectType, eslintConfig, typescript, testRunner, tools };
+  const context = { templates, packageManager, extraDependencies, disabledHooks, variables };
+  const base = getUpgradeBase({ stamp, previous: { ...settings, ...previous }, ...context });
   
-  if (verbose) {
-    logInfo(`Setting up test directories for ${projectType} project...`);
+  try {
+    // Installs and removals rewrite these outside of our own writes
+    await trackPackageFiles(journal, packageManager);
+    
+    // Step 1: Install the missing and outdated packages, remove those the scaffold no longer installs
+    if (!skipInstall) {
+      logInfo('Step 1: Upgrading dependencies...');
+      const dependencies = getProjectDependencies(projectType, { eslintConfig, typescript, testRunner, extraDependencies, tools });
+      const names = new Set(dependencies.map(extractPackageName));
+      const removed = base.dependencies.filter((name) => !names.has(name));
+      
+      const legacyPeerDeps = needsLegacyPeerDeps({ eslintConfig, tools, packageManager });
+      await installDependencies({ dependencies, packageManager, legacyPeerDeps, plan, verbose });
+      if (removed.length > 0) {
+        await removeDevDependencies(removed, { packageManager, legacyPeerDeps, plan, verbose });
+      }
+    } else {
+      logInfo('Step 1: Skipping dependency changes (--skip-install)');
+    }
+    
+    // Step 2: Merge the new templates into the configuration files and hooks
+    logInfo('Step 2: Upgrading configuration files...');
+    const conflicts = await upgradeConfigFiles({ ...settings, ...context, baseFiles: base.files, plan, journal, verbose });
+    
+    // Step 3: Merge the new scripts into package.json
+    logInfo('Step 3: Upgrading package.json...');
+    const scriptConflicts = await upgradeQualityScripts({ ...settings, baseScripts: base.scripts, plan, verbose });
+    conflicts.push(...scriptConflicts.map((name) => `package.json scripts.${name}`));
+    
+    if (plan) {
+      logSuccess('Dry run completed, no changes were made');
+    }
+    
+    return conflicts;
+  } catch (error) {
+    logError(`Failed to upgrade the quality system: ${error.message}`);
+    if (verbose) {
+      console.error(error);
+    }
+    if (journal) {
+      await rollbackFailedRun(journal, { verbose });
+    }
+    return null;
   }
+}
+
+/**
+ * Stamp a project with the current version of the scaffold and what it generates for its settings,
+ * written to .avrqa-lock.json after a setup, a change of tools or an upgrade
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Type of project
+ * @param {Object} options.templates - Loaded templates for configuration files
+ * @param {string} [options.eslintConfig='flat'] - ESLint configuration format (flat, legacy)
+ * @param {boolean} [options.typescript=false] - Whether the TypeScript variant of the project type is set up
+ * @param {string} [options.testRunner='jest'] - Test runner (jest, vitest, node)
+ * @param {string[]} [options.tools] - Tools set up, all of them by default
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {string[]} [options.extraDependencies=[]] - Additional devDependencies from the project configuration
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not created
+ * @param {Object} [options.variables={}] - Extra template variables
+ * @param {ScaffoldStamp|null} [options.previous] - Stamp the entries of the files the project changed are kept from
+ * @param {Object} [options.plan] - Dry-run plan, the write is recorded instead of applied
+ * @param {Object} [options.journal] - Journal recording the stamp before it is written
+ * @returns {Promise<boolean>} Whether the stamp was written or planned
+ */
+export async function stampQualitySystem(options) {
+  const {
+    projectType,
+    eslintConfig = 'flat',
+    typescript = false,
+    testRunner = 'jest',
+    tools = QUALITY_TOOLS,
+    extraDependencies = [],
+    previous = null,
+    plan = null,
+    journal = null
+  } = options;
+  const settings = { projectType, eslintConfig, typescript, testRunner, tools };
   
-  // Note: The actual creation of test directories and sample files
-  // is handled in the config-generator.js module
+  const stamp = await createStamp({
+    files: getExpectedFiles(options),
+    scripts: getQualityScripts(settings),
+    dependencies: getProjectDependencies(projectType, { ...settings, extraDependencies })
+  }, { previous });
+  
+  return writeStamp(stamp, { plan, journal });
 }
 
 /**
  * Run post-setup tasks
  * @param {Object} options - Options
  * @param {string} options.projectType - Type of project (node, react, next)
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
  * @param {boolean} options.verbose - Whether to show verbose output
  * @returns {Promise<void>}
  */
-export async function runPostSetupTasks({ projectType, verbose = false }) {
+export async function runPostSetupTasks({ projectType, packageManager = getPackageManager(), verbose = false }) {
   try {
     // Format all files with Prettier
     logInfo('Formatting files with Prettier...');
-    await execaCommand('npm run format', { stdio: verbose ? 'inherit' : 'pipe' });
+    await execaCommand(packageManager.runCommand('format'), { stdio: verbose ? 'inherit' : 'pipe' });
     
     // Run initial lint
     logInfo('Running initial lint check...');
-    const { failed } = await execaCommand('npm run lint', { 
+    const { failed } = await execaCommand(packageManager.runCommand('lint'), { 
       stdio: verbose ? 'inherit' : 'pipe',
       reject: false // Don't reject on lint errors
     });
     
     if (failed) {
-      logWarning('Lint check detected issues. You can fix them with: npm run lint:fix');
+      logWarning(`Lint check detected issues. You can fix them with: ${packageManager.runCommand('lint:fix')}`);
     } else {
       logSuccess('Lint check passed successfully');
     }
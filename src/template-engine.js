@@ -0,0 +1,449 @@
+/**
+ * @module src/template-engine.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Small template language used by the configuration templates:
+ * {{var}}, {{json var}}, {{js var}}, {{#if}}/{{#unless}}/{{#each}} blocks with {{else}},
+ * {{> partial}} includes and {{! comments }}. Undefined variables are errors.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+/**
+ * Tags, or \{{ for a literal {{
+ * @constant {RegExp}
+ */
+const TAG_PATTERN = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+
+/**
+ * Block helpers, opened with {{#helper ...}} and closed with {{/helper}}
+ * @constant {string[]}
+ */
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ * @param {string} value - String to quote
+ * @returns {string} JavaScript string literal
+ */
+function toJsString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+  return `'${escaped}'`;
+}
+
+/**
+ * Escapers available as {{json var}} and {{js var}}
+ * @constant {Object}
+ */
+const ESCAPERS = {
+  json: (value) => JSON.stringify(value),
+  js: (value) => (typeof value === 'string' ? toJsString(value) : JSON.stringify(value)),
+};
+
+/**
+ * Line number of an offset
+ * @param {string} template - Template content
+ * @param {number} offset - Offset in the template
+ * @returns {number} 1-based line number
+ */
+function lineAt(template, offset) {
+  return template.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} template - Template content
+ * @returns {Object[]} Tokens as { type: 'text', value } or { type: 'tag', value, line }
+ */
+function tokenize(template) {
+  const tokens = [];
+  let text = '';
+  let lastIndex = 0;
+
+  [...template.matchAll(TAG_PATTERN)].forEach((match) => {
+    text += template.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (match[1] === undefined) {
+      text += '{{';
+      return;
+    }
+
+    tokens.push({ type: 'text', value: text });
+    tokens.push({ type: 'tag', value: match[1].trim(), line: lineAt(template, match.index) });
+    text = '';
+  });
+
+  tokens.push({ type: 'text', value: text + template.slice(lastIndex) });
+  return tokens;
+}
+
+/**
+ * Whether a tag produces no output of its own, so a line holding only that tag is removed
+ * @param {string} tag - Tag content
+ * @returns {boolean} Whether the tag can stand alone on its line
+ */
+function isStandaloneTag(tag) {
+  return /^[#/>!]/.test(tag) || tag === 'else';
+}
+
+/**
+ * Remove the lines that only hold a block, else, comment or partial tag,
+ * keeping the indentation of partials to indent their content
+ * @param {Object[]} tokens - Tokens from tokenize, alternating text and tag
+ * @returns {Object[]} Tokens without the standalone lines
+ */
+function stripStandaloneLines(tokens) {
+  const last = tokens.length - 1;
+  const standalone = tokens.map((token, index) => {
+    if (token.type !== 'tag' || !isStandaloneTag(token.value)) {
+      return false;
+    }
+
+    const before = tokens[index - 1].value;
+    const after = tokens[index + 1].value;
+    const startsLine = /\n[ \t]*$/.test(before) || (index === 1 && /^[ \t]*$/.test(before));
+    const endsLine = /^[ \t]*\r?\n/.test(after) || (index + 1 === last && /^[ \t]*$/.test(after));
+
+    return startsLine && endsLine;
+  });
+
+  return tokens.map((token, index) => {
+    if (token.type === 'tag') {
+      return standalone[index]
+        ? { ...token, indent: tokens[index - 1].value.match(/[ \t]*$/)[0] }
+        : token;
+    }
+
+    let { value } = token;
+    if (standalone[index - 1]) {
+      value = value.replace(/^[ \t]*(\r?\n)?/, '');
+    }
+    if (standalone[index + 1]) {
+      value = value.replace(/[ \t]*$/, '');
+    }
+    return { ...token, value };
+  });
+}
+
+/**
+ * Build the syntax tree of a template
+ * @param {string} template - Template content
+ * @param {string} name - Template name used in errors
+ * @returns {Object[]} Nodes
+ */
+function parse(template, name) {
+  const root = { children: [] };
+  const stack = [root];
+
+  stripStandaloneLines(tokenize(template)).forEach((token) => {
+    const current = stack[stack.length - 1];
+    const where = `in ${name} at line ${token.line}`;
+
+    if (token.type === 'text') {
+      if (token.value) {
+        current.children.push({ type: 'text', value: token.value });
+      }
+      return;
+    }
+
+    const { value, line, indent = '' } = token;
+
+    if (value.startsWith('!')) {
+      return;
+    }
+
+    if (value.startsWith('#')) {
+      const [, helper, expression = ''] = value.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new Error(`Unknown block {{${value}}} ${where}`);
+      }
+      if (!expression) {
+        throw new Error(`Missing condition in {{#${helper}}} ${where}`);
+      }
+
+      const block = { type: 'block', helper, expression, line, children: [], inverse: null };
+      current.children.push(block);
+      stack.push(block);
+      return;
+    }
+
+    if (value === 'else') {
+      if (current === root || current.inverse) {
+        throw new Error(`Unexpected {{else}} ${where}`);
+      }
+      current.inverse = current.children;
+      current.children = [];
+      return;
+    }
+
+    if (value.startsWith('/')) {
+      const helper = value.slice(1).trim();
+      if (current === root || current.helper !== helper) {
+        const expected = current === root ? 'no block is open' : `expected {{/${current.helper}}}`;
+        throw new Error(`Unexpected {{/${helper}}} ${where}, ${expected}`);
+      }
+      // Blocks with an else collected the truthy branch first
+      if (current.inverse) {
+        [current.children, current.inverse] = [current.inverse, current.children];
+      }
+      stack.pop();
+      return;
+    }
+
+    if (value.startsWith('>')) {
+      current.children.push({ type: 'partial', name: value.slice(1).trim(), indent, line });
+      return;
+    }
+
+    const [first, second] = value.split(/\s+/);
+    if (second !== undefined) {
+      if (!ESCAPERS[first]) {
+        throw new Error(`Unknown helper "${first}" ${where}`);
+      }
+      current.children.push({ type: 'variable', path: second, escape: first, line });
+    } else {
+      current.children.push({ type: 'variable', path: first, escape: null, line });
+    }
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Unclosed {{#${open.helper}}} in ${name} at line ${open.line}`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Look a variable up, from the innermost {{#each}} item out to the template variables
+ * @param {Object[]} scopes - Scopes, innermost last
+ * @param {string} variablePath - Dotted path, "this" or an @index/@key/@first/@last local
+ * @returns {*} Value, undefined when it is not defined
+ */
+function lookup(scopes, variablePath) {
+  const [head, ...rest] = variablePath.split('.');
+  const scope = [...scopes]
+    .reverse()
+    .find(
+      ({ data, locals }) =>
+        head in locals || (data !== null && typeof data === 'object' && head in data),
+    );
+
+  if (!scope) {
+    return undefined;
+  }
+
+  return rest.reduce(
+    (object, key) => (object === null || object === undefined ? undefined : object[key]),
+    head in scope.locals ? scope.locals[head] : scope.data[head],
+  );
+}
+
+/**
+ * Resolve a variable, throwing for undefined ones
+ * @param {Object[]} scopes - Scopes, innermost last
+ * @param {string} variablePath - Variable path
+ * @param {string} where - Location used in errors
+ * @returns {*} Value
+ */
+function resolve(scopes, variablePath, where) {
+  const value = lookup(scopes, variablePath);
+  if (value === undefined) {
+    throw new Error(`Undefined variable "${variablePath}" ${where}`);
+  }
+  return value;
+}
+
+/**
+ * Evaluate the condition of an {{#if}} or {{#unless}}: a variable, or a comparison with a literal
+ * such as projectType == 'next', joined with || and && (which binds tighter). Empty lists are false.
+ * @param {Object[]} scopes - Scopes, innermost last
+ * @param {string} expression - Condition
+ * @param {string} where - Location used in errors
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluate(scopes, expression, where) {
+  // Operands are evaluated left to right and only when needed, like in JavaScript
+  const alternatives = expression.split(/\s+\|\|\s+/);
+  if (alternatives.length > 1) {
+    return alternatives.some((alternative) => evaluate(scopes, alternative, where));
+  }
+
+  const terms = expression.split(/\s+&&\s+/);
+  if (terms.length > 1) {
+    return terms.every((term) => evaluate(scopes, term, where));
+  }
+
+  const comparison = expression.match(
+    /^(\S+)\s*(==|!=)\s*(?:'([^']*)'|"([^"]*)"|(true|false|null|-?\d+(?:\.\d+)?))$/,
+  );
+
+  if (comparison) {
+    const [, variablePath, operator, single, double, bare] = comparison;
+    const quoted = [single, double].find((value) => value !== undefined);
+    const literal = quoted === undefined ? JSON.parse(bare) : quoted;
+    const equal = resolve(scopes, variablePath, where) === literal;
+    return operator === '==' ? equal : !equal;
+  }
+
+  if (/\s/.test(expression)) {
+    throw new Error(`Invalid condition "${expression}" ${where}`);
+  }
+
+  const value = resolve(scopes, expression, where);
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Indent every non-empty line of a partial
+ * @param {string} content - Rendered partial
+ * @param {string} indent - Indentation of the partial tag
+ * @returns {string} Indented content
+ */
+function indentLines(content, indent) {
+  return indent ? content.replace(/^(?=.)/gm, indent) : content;
+}
+
+/**
+ * Render an {{#each}} block once per item of a list or entry of an object
+ * @param {Object} node - Block node
+ * @param {Object[]} scopes - Scopes, innermost last
+ * @param {Object} context - Render context
+ * @param {string} where - Location used in errors
+ * @param {Function} render - Renders nodes in scopes, renderNodes
+ * @returns {string} Output
+ */
+function renderEach(node, scopes, context, where, render) {
+  const value = resolve(scopes, node.expression, where);
+  if (value === null || typeof value !== 'object') {
+    throw new Error(`{{#each ${node.expression}}} ${where} needs a list or an object`);
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : Object.entries(value);
+  if (entries.length === 0) {
+    return render(node.inverse || [], scopes, context);
+  }
+
+  return entries
+    .map(([key, item], index) =>
+      render(
+        node.children,
+        [
+          ...scopes,
+          {
+            data: item,
+            locals: {
+              this: item,
+              '@index': index,
+              '@key': key,
+              '@first': index === 0,
+              '@last': index === entries.length - 1,
+            },
+          },
+        ],
+        context,
+      ),
+    )
+    .join('');
+}
+
+/**
+ * Render nodes in the given scopes
+ * @param {Object[]} nodes - Nodes from parse
+ * @param {Object[]} scopes - Scopes, innermost last
+ * @param {Object} context - { name, partials, depth }
+ * @returns {string} Output
+ */
+function renderNodes(nodes, scopes, context) {
+  return nodes
+    .map((node) => {
+      const where = `in ${context.name} at line ${node.line}`;
+
+      switch (node.type) {
+        case 'text':
+          return node.value;
+
+        case 'variable': {
+          const value = resolve(scopes, node.path, where);
+          if (node.escape) {
+            return ESCAPERS[node.escape](value);
+          }
+          if (value !== null && typeof value === 'object') {
+            throw new Error(
+              `Variable "${node.path}" ${where} is not a string, use {{json ${node.path}}}`,
+            );
+          }
+          return String(value);
+        }
+
+        case 'partial': {
+          if (!(node.name in context.partials)) {
+            throw new Error(`Unknown partial "${node.name}" ${where}`);
+          }
+          if (context.depth >= 10) {
+            throw new Error(`Partials nested too deeply ${where}`);
+          }
+          const rendered = renderNodes(parse(context.partials[node.name], node.name), scopes, {
+            ...context,
+            name: node.name,
+            depth: context.depth + 1,
+          });
+          return indentLines(rendered, node.indent);
+        }
+
+        default: {
+          if (node.helper === 'each') {
+            return renderEach(node, scopes, context, where, renderNodes);
+          }
+          const holds = evaluate(scopes, node.expression, where);
+          const branch = (node.helper === 'if') === holds ? node.children : node.inverse;
+          return renderNodes(branch || [], scopes, context);
+        }
+      }
+    })
+    .join('');
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template content
+ * @param {Object} [variables={}] - Template variables
+ * @param {Object} [options] - Options
+ * @param {string} [options.name='template'] - Template name used in errors
+ * @param {Object} [options.partials={}] - Map of partial name to content, included with {{> name}}
+ * @returns {string} Rendered template
+ */
+export function renderTemplate(template, variables = {}, options = {}) {
+  const { name = 'template', partials = {} } = options;
+  const nodes = parse(template, name);
+
+  return renderNodes(nodes, [{ data: variables, locals: {} }], { name, partials, depth: 0 });
+}
+
+/**
+ * Evaluate a condition with the syntax of {{#if}}, outside a template
+ * @param {string} expression - Condition, e.g. typescript or projectType == 'next'
+ * @param {Object} [variables={}] - Variables the condition can use
+ * @param {Object} [options] - Options
+ * @param {string} [options.name='condition'] - Where the condition comes from, used in errors
+ * @returns {boolean} Whether the condition holds
+ */
+export function evaluateCondition(expression, variables = {}, options = {}) {
+  const { name = 'condition' } = options;
+
+  return evaluate([{ data: variables, locals: {} }], expression.trim(), `in ${name}`);
+}
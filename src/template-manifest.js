@@ -0,0 +1,177 @@
+/**
+ * @module src/template-manifest.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Reads the template.json manifests of the template directories. Each manifest maps templates
+ * to the file they generate: destination path, file mode, merge strategy and inclusion condition.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import path from 'path';
+
+import { evaluateCondition } from './template-engine.js';
+
+/**
+ * Manifest file of a template directory, also the key of the merged manifest among the templates
+ * @constant {string}
+ */
+export const MANIFEST_FILE = 'template.json';
+
+/**
+ * What happens to an existing file: overwrite it (with --force), merge it key by key
+ * (JSON files, with --merge) or always keep it
+ * @constant {string[]}
+ */
+export const MERGE_STRATEGIES = ['overwrite', 'json', 'keep'];
+
+/**
+ * Directory of the Git hooks, files generated there can be disabled by hook name
+ * @constant {string}
+ */
+export const HOOKS_DIR = '.husky';
+
+/**
+ * File generated from a template
+ * @typedef {Object} ManifestEntry
+ * @property {string} path - Destination, relative to the project
+ * @property {string} [mode] - Octal file mode, e.g. "755"
+ * @property {string} [merge='overwrite'] - Merge strategy (overwrite, json, keep)
+ * @property {string} [when] - Condition with the {{#if}} syntax, the file is generated when it holds
+ */
+
+/**
+ * Parse the manifest of one template directory
+ * @param {string} content - Content of template.json
+ * @param {string} source - Where the manifest was read, used in errors
+ * @returns {Object} Manifest as { files }
+ */
+export function parseManifest(content, source) {
+  let manifest;
+
+  try {
+    manifest = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON (${error.message})`);
+  }
+
+  if (!manifest || typeof manifest.files !== 'object' || Array.isArray(manifest.files)) {
+    throw new Error(
+      `Invalid ${source}: "files" must map template names to the files they generate`,
+    );
+  }
+
+  return { files: manifest.files };
+}
+
+/**
+ * Layer a manifest over another: its entries extend the entries of the same template,
+ * and null removes a template declared by an earlier directory
+ * @param {Object} base - Manifest of the earlier directories
+ * @param {Object} layer - Manifest of the directory loaded next
+ * @returns {Object} Merged manifest
+ */
+export function mergeManifests(base, layer) {
+  const files = { ...base.files };
+
+  Object.entries(layer.files).forEach(([template, entry]) => {
+    if (entry === null) {
+      delete files[template];
+    } else {
+      files[template] = { ...files[template], ...entry };
+    }
+  });
+
+  return { files };
+}
+
+/**
+ * Check a manifest entry
+ * @param {string} template - Template name
+ * @param {ManifestEntry} entry - Entry to check
+ */
+function validateEntry(template, entry) {
+  const where = `entry "${template}" of ${MANIFEST_FILE}`;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`Invalid ${where}: expected an object`);
+  }
+  if (
+    typeof entry.path !== 'string' ||
+    entry.path === '' ||
+    path.isAbsolute(entry.path) ||
+    entry.path.split(/[\\/]/).includes('..')
+  ) {
+    throw new Error(`Invalid ${where}: "path" must be a path inside the project`);
+  }
+  if (entry.mode !== undefined && !/^[0-7]{3,4}$/.test(entry.mode)) {
+    throw new Error(`Invalid ${where}: "mode" must be an octal string such as "755"`);
+  }
+  if (entry.merge !== undefined && !MERGE_STRATEGIES.includes(entry.merge)) {
+    throw new Error(
+      `Invalid ${where}: unknown merge strategy ${entry.merge} (expected ${MERGE_STRATEGIES.join(', ')})`,
+    );
+  }
+  if (entry.when !== undefined && (typeof entry.when !== 'string' || entry.when.trim() === '')) {
+    throw new Error(`Invalid ${where}: "when" must be a condition such as "typescript"`);
+  }
+}
+
+/**
+ * Get the merged manifest among the loaded templates
+ * @param {Object} templates - Templates object returned by loadTemplates
+ * @returns {Object} Manifest as { files }, empty when the templates have none
+ */
+export function getTemplateManifest(templates) {
+  const content = templates[MANIFEST_FILE];
+  const manifest = content ? parseManifest(content, MANIFEST_FILE) : { files: {} };
+
+  Object.entries(manifest.files).forEach(([template, entry]) => {
+    validateEntry(template, entry);
+  });
+
+  return manifest;
+}
+
+/**
+ * Name of the Git hook a file implements
+ * @param {string} filePath - Destination path
+ * @returns {string|null} Hook name, null for other files
+ */
+export function getHookName(filePath) {
+  const parts = path.normalize(filePath).split(path.sep);
+  return parts.length === 2 && parts[0] === HOOKS_DIR ? parts[1] : null;
+}
+
+/**
+ * Files a setup generates: the manifest entries whose condition holds, without the disabled hooks
+ * @param {Object} manifest - Manifest from getTemplateManifest
+ * @param {Object} variables - Template variables, used by the conditions
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.disabledHooks=[]] - Git hooks not to generate
+ * @returns {Object[]} Files as { path, template, mode, merge, hook }, mode is a number or null
+ */
+export function selectManifestFiles(manifest, variables, options = {}) {
+  const { disabledHooks = [] } = options;
+
+  return Object.entries(manifest.files)
+    .filter(
+      ([template, { when }]) =>
+        !when ||
+        evaluateCondition(when, variables, {
+          name: `the "when" of ${template} in ${MANIFEST_FILE}`,
+        }),
+    )
+    .map(([template, entry]) => ({
+      path: entry.path,
+      template,
+      mode: entry.mode ? parseInt(entry.mode, 8) : null,
+      merge: entry.merge || 'overwrite',
+      hook: getHookName(entry.path) !== null,
+    }))
+    .filter(({ path: filePath }) => !disabledHooks.includes(getHookName(filePath)));
+}
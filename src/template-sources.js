@@ -0,0 +1,293 @@
+/**
+ * @module src/template-sources.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Resolves custom template sources given with --templates: a local directory, a git
+ * repository cloned into the cache or an npm package, each with a manifest declaring
+ * the project types it supports
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { execa } from 'execa';
+
+import { logInfo, logWarning } from './utils.js';
+
+/**
+ * Manifest at the root of every template source
+ * @constant {string}
+ */
+export const TEMPLATE_SOURCE_MANIFEST = 'avr-qa-templates.json';
+
+/**
+ * Git URLs: git+https://, git@host:, git://, ssh:// or an http(s) URL ending in .git, with an optional #ref
+ * @constant {RegExp}
+ */
+const GIT_SOURCE_PATTERN = /^(git\+|git@|git:\/\/|ssh:\/\/)|^https?:\/\/[^#]+\.git(#.+)?$/;
+
+/**
+ * npm package names, scoped or not, with an optional version range
+ * @constant {RegExp}
+ */
+const NPM_SOURCE_PATTERN = /^((?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*)(?:@(.+))?$/;
+
+/**
+ * Template source resolved to a directory on disk
+ * @typedef {Object} TemplateSource
+ * @property {string} source - Source as given
+ * @property {string} type - local, git or npm
+ * @property {string} directory - Directory holding the templates
+ * @property {Object} manifest - Parsed manifest, { name, projectTypes }
+ */
+
+/**
+ * Tell what kind of template source was given
+ * @param {string} source - Local path, git URL or npm package name
+ * @returns {string} local, git or npm
+ */
+export function getTemplateSourceType(source) {
+  if (GIT_SOURCE_PATTERN.test(source)) {
+    return 'git';
+  }
+
+  if (
+    /^(\.{1,2}|~)?[\\/]/.test(source) ||
+    path.isAbsolute(source) ||
+    source === '.' ||
+    source === '..'
+  ) {
+    return 'local';
+  }
+
+  if (NPM_SOURCE_PATTERN.test(source)) {
+    return 'npm';
+  }
+
+  return 'local';
+}
+
+/**
+ * Directory where git and npm template sources are cached:
+ * $AVR_QA_CACHE_DIR, or avr-qa-scaffold/templates in $XDG_CACHE_HOME or ~/.cache
+ * @returns {string} Cache directory
+ */
+export function getTemplateCacheDir() {
+  if (process.env.AVR_QA_CACHE_DIR) {
+    return process.env.AVR_QA_CACHE_DIR;
+  }
+
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'avr-qa-scaffold', 'templates');
+}
+
+/**
+ * Name of the cache entry of a source, readable and unique
+ * @param {string} source - Source as given
+ * @returns {string} Directory name
+ */
+function getCacheKey(source) {
+  const slug = source
+    .replace(/^[a-z+]+:\/\//, '')
+    .replace(/[^a-zA-Z0-9._-]+/g, '-')
+    .replace(/^-+/, '')
+    .slice(-40);
+  const hash = createHash('sha1').update(source).digest('hex').slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+/**
+ * Whether a path exists
+ * @param {string} filepath - Path to check
+ * @returns {Promise<boolean>} Whether it exists
+ */
+async function pathExists(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Clone a git source into the cache, or update the cached clone.
+ * A failed update keeps the cached copy so offline runs still work.
+ * @param {string} source - Git URL, with an optional #ref (branch or tag)
+ * @param {string} cacheDir - Cache directory
+ * @param {boolean} verbose - Show git output
+ * @returns {Promise<string>} Directory of the clone
+ */
+async function fetchGitSource(source, cacheDir, verbose) {
+  const [url, ref] = source.replace(/^git\+/, '').split('#');
+  const directory = path.join(cacheDir, getCacheKey(source));
+  const stdio = verbose ? 'inherit' : 'pipe';
+
+  if (await pathExists(path.join(directory, '.git'))) {
+    try {
+      await execa('git', ['-C', directory, 'fetch', '--depth', '1', 'origin', ref || 'HEAD'], {
+        stdio,
+      });
+      await execa('git', ['-C', directory, 'reset', '--hard', 'FETCH_HEAD'], { stdio });
+    } catch (error) {
+      logWarning(
+        `Could not update the template source ${source}, using the cached copy: ${error.shortMessage || error.message}`,
+      );
+    }
+    return directory;
+  }
+
+  logInfo(`Cloning the template source ${source}...`);
+  await fs.mkdir(cacheDir, { recursive: true });
+
+  try {
+    const branch = ref ? ['--branch', ref] : [];
+    await execa('git', ['clone', '--depth', '1', ...branch, url, directory], { stdio });
+  } catch (error) {
+    await fs.rm(directory, { recursive: true, force: true });
+    throw new Error(
+      `Could not clone the template source ${source}: ${error.shortMessage || error.message}`,
+    );
+  }
+
+  return directory;
+}
+
+/**
+ * Find an npm source in the project's node_modules, or install it into the cache.
+ * A failed install keeps the cached copy so offline runs still work.
+ * @param {string} source - Package name with an optional version range
+ * @param {string} cwd - Project directory
+ * @param {string} cacheDir - Cache directory
+ * @param {boolean} verbose - Show npm output
+ * @returns {Promise<string>} Directory of the package
+ */
+async function fetchNpmSource(source, cwd, cacheDir, verbose) {
+  const [, name, range] = source.match(NPM_SOURCE_PATTERN);
+
+  // A package the project depends on is used as installed, unless another version is asked for
+  const projectPackage = path.join(cwd, 'node_modules', name);
+  if (!range && (await pathExists(path.join(projectPackage, 'package.json')))) {
+    return projectPackage;
+  }
+
+  const prefix = path.join(cacheDir, getCacheKey(source));
+  const directory = path.join(prefix, 'node_modules', name);
+
+  logInfo(`Installing the template source ${source}...`);
+  await fs.mkdir(prefix, { recursive: true });
+
+  try {
+    await execa(
+      'npm',
+      [
+        'install',
+        source,
+        '--prefix',
+        prefix,
+        '--no-save',
+        '--no-package-lock',
+        '--ignore-scripts',
+        '--no-audit',
+        '--no-fund',
+      ],
+      { stdio: verbose ? 'inherit' : 'pipe' },
+    );
+  } catch (error) {
+    const message = error.shortMessage || error.message;
+    if (!(await pathExists(directory))) {
+      throw new Error(`Could not install the template source ${source}: ${message}`);
+    }
+    logWarning(`Could not update the template source ${source}, using the cached copy: ${message}`);
+  }
+
+  return directory;
+}
+
+/**
+ * Read and check the manifest of a template source
+ * @param {string} directory - Directory of the source
+ * @param {string} source - Source as given, used in errors
+ * @returns {Promise<Object>} Manifest as { name, projectTypes }
+ */
+async function readManifest(directory, source) {
+  let manifest;
+
+  try {
+    manifest = JSON.parse(
+      await fs.readFile(path.join(directory, TEMPLATE_SOURCE_MANIFEST), 'utf8'),
+    );
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'not found' : error.message;
+    throw new Error(
+      `Invalid template source ${source}: cannot read ${TEMPLATE_SOURCE_MANIFEST} (${reason})`,
+    );
+  }
+
+  const { projectTypes } = manifest;
+  if (
+    !Array.isArray(projectTypes) ||
+    projectTypes.length === 0 ||
+    !projectTypes.every((type) => typeof type === 'string')
+  ) {
+    throw new Error(
+      `Invalid template source ${source}: "projectTypes" in ${TEMPLATE_SOURCE_MANIFEST} must list the supported project types`,
+    );
+  }
+
+  return { name: manifest.name || source, projectTypes };
+}
+
+/**
+ * Resolve a template source to a directory, fetching git and npm sources into the cache
+ * @param {string} source - Local path, git URL (with an optional #ref) or npm package name
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory, local paths are relative to it
+ * @param {string} [options.cacheDir] - Cache directory, defaults to getTemplateCacheDir()
+ * @param {boolean} [options.verbose=false] - Show git and npm output
+ * @returns {Promise<TemplateSource>} Resolved source
+ */
+export async function resolveTemplateSource(source, options = {}) {
+  const { cwd = process.cwd(), cacheDir = getTemplateCacheDir(), verbose = false } = options;
+  const type = getTemplateSourceType(source);
+  let directory;
+
+  switch (type) {
+    case 'git':
+      directory = await fetchGitSource(source, cacheDir, verbose);
+      break;
+    case 'npm':
+      directory = await fetchNpmSource(source, cwd, cacheDir, verbose);
+      break;
+    default:
+      directory = path.resolve(cwd, source.replace(/^~(?=[\\/])/, os.homedir()));
+      if (!(await pathExists(directory))) {
+        throw new Error(`Template source not found: ${directory}`);
+      }
+  }
+
+  const manifest = await readManifest(directory, source);
+  return { source, type, directory, manifest };
+}
+
+/**
+ * Check that a template source supports a project type
+ * @param {TemplateSource} templateSource - Resolved source
+ * @param {string} projectType - Type of project
+ */
+export function assertSourceSupports(templateSource, projectType) {
+  const { source, manifest } = templateSource;
+
+  if (!manifest.projectTypes.includes(projectType)) {
+    throw new Error(
+      `Template source ${manifest.name} (${source}) does not support ${projectType} projects, only ${manifest.projectTypes.join(', ')}`,
+    );
+  }
+}
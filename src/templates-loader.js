@@ -8,7 +8,7 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-09
- * @lastModified 2025-05-12
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
@@ -19,20 +19,38 @@ import { dirname } from 'path';
 import chalk from 'chalk';
 
 import { getProjectTypeConfig } from './project-types.js';
+import { renderTemplate } from './template-engine.js';
+import { resolveTemplateSource, assertSourceSupports } from './template-sources.js';
+import { MANIFEST_FILE, parseManifest, mergeManifests } from './template-manifest.js';
 import { logInfo, logWarning, logError } from './utils.js';
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const TEMPLATES_DIR = path.join(dirname(__dirname), 'templates');
+const TYPESCRIPT_TEMPLATES_DIR = path.join(TEMPLATES_DIR, 'typescript');
+const WORKSPACE_TEMPLATES_DIR = path.join(TEMPLATES_DIR, 'workspace');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+
+/**
+ * Prefix of the template keys holding partials, included with {{> name}}
+ * @constant {string}
+ */
+export const PARTIALS_PREFIX = 'partials/';
 
 /**
  * Load templates for a specific project type
- * @param {string} projectType - Type of project (node, react, next)
+ * @param {string} projectType - Type of project (node, react, next or one added by a plugin)
  * @param {boolean} verbose - Whether to show verbose output
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.typescript=false] - Layer the TypeScript variants over the JavaScript templates
+ * @param {string} [options.source] - Custom template source (local path, git URL or npm package) layered on top
+ * @param {string} [options.workspace] - Layer the templates of a workspace root or package (root, package)
  * @returns {Promise<Object>} Object containing templates data
  */
-export async function loadTemplates(projectType, verbose = false) {
+export async function loadTemplates(projectType, verbose = false, options = {}) {
+  const { typescript = false, source, workspace = null } = options;
+  
   // Get project configuration
   const projectConfig = getProjectTypeConfig(projectType);
   if (!projectConfig) {
@@ -41,6 +59,9 @@ export async function loadTemplates(projectType, verbose = false) {
   
   const { templates: templateConfig } = projectConfig;
   
+  // Plugin project types bring their own templates, only the common ones are built in
+  const builtinLayers = projectConfig.plugin ? [templateConfig.base] : [templateConfig.base, templateConfig.specific];
+  
   // Define template directories to look in
   const baseTemplateDir = path.join(TEMPLATES_DIR, templateConfig.base);
   const specificTemplateDir = path.join(TEMPLATES_DIR, templateConfig.specific);
@@ -52,11 +73,13 @@ export async function loadTemplates(projectType, verbose = false) {
     throw new Error(`Base template directory not found: ${baseTemplateDir}`);
   }
   
-  try {
-    await fs.access(specificTemplateDir);
-  } catch (error) {
-    logWarning(`Project-specific template directory not found: ${specificTemplateDir}`);
-    // Continue without project-specific templates
+  if (!projectConfig.plugin) {
+    try {
+      await fs.access(specificTemplateDir);
+    } catch (error) {
+      logWarning(`Project-specific template directory not found: ${specificTemplateDir}`);
+      // Continue without project-specific templates
+    }
   }
   
   // Load templates from base directory
@@ -66,28 +89,144 @@ export async function loadTemplates(projectType, verbose = false) {
   
   const templatesResult = {};
   
+  // Load the partials shared by every project type
+  const partialFiles = await loadTemplateFiles(PARTIALS_DIR, verbose);
+  for (const [file, content] of Object.entries(partialFiles)) {
+    templatesResult[`${PARTIALS_PREFIX}${file}`] = content;
+  }
+  
   // Load base templates first
   const baseFiles = await loadTemplateFiles(baseTemplateDir, verbose);
-  Object.assign(templatesResult, baseFiles);
+  addTemplateLayer(templatesResult, baseFiles, baseTemplateDir);
   
   // Load and merge project-specific templates (they override base templates)
-  try {
+  if (!projectConfig.plugin) {
+    try {
+      if (verbose) {
+        logInfo(`Loading project-specific templates from: ${chalk.cyan(specificTemplateDir)}`);
+      }
+      
+      const specificFiles = await loadTemplateFiles(specificTemplateDir, verbose);
+      addTemplateLayer(templatesResult, specificFiles, specificTemplateDir); // Override with project-specific templates
+    } catch (error) {
+      // Project-specific templates are optional, so just log a warning
+      if (verbose) {
+        logWarning(`Could not load project-specific templates: ${error.message}`);
+      }
+    }
+  }
+  
+  // Load TypeScript variants last, typescript/common then typescript/<type>
+  if (typescript) {
+    for (const variant of builtinLayers) {
+      const typescriptTemplateDir = path.join(TYPESCRIPT_TEMPLATES_DIR, variant);
+      
+      if (verbose) {
+        logInfo(`Loading TypeScript templates from: ${chalk.cyan(typescriptTemplateDir)}`);
+      }
+      
+      const typescriptFiles = await loadTemplateFiles(typescriptTemplateDir, verbose);
+      addTemplateLayer(templatesResult, typescriptFiles, typescriptTemplateDir); // Override with TypeScript variants
+    }
+  }
+  
+  // In a workspace, the root keeps the shared tooling and the packages extend its configs
+  if (workspace) {
+    const workspaceTemplateDir = path.join(WORKSPACE_TEMPLATES_DIR, workspace);
+    
     if (verbose) {
-      logInfo(`Loading project-specific templates from: ${chalk.cyan(specificTemplateDir)}`);
+      logInfo(`Loading workspace templates from: ${chalk.cyan(workspaceTemplateDir)}`);
     }
     
-    const specificFiles = await loadTemplateFiles(specificTemplateDir, verbose);
-    Object.assign(templatesResult, specificFiles); // Override with project-specific templates
-  } catch (error) {
-    // Project-specific templates are optional, so just log a warning
+    const workspaceFiles = await loadTemplateFiles(workspaceTemplateDir, verbose);
+    addTemplateLayer(templatesResult, workspaceFiles, workspaceTemplateDir);
+  }
+  
+  // Layer the templates of a plugin project type, laid out like a custom source
+  if (templateConfig.directory) {
+    if (verbose) {
+      logInfo(`Loading templates of ${projectConfig.plugin} from: ${chalk.cyan(templateConfig.directory)}`);
+    }
+    
+    await loadSourceTemplates(templatesResult, templateConfig.directory, templateConfig, { typescript, workspace }, verbose);
+  }
+  
+  // Layer the custom source on top, with the same order of directories
+  if (source) {
+    const templateSource = await resolveTemplateSource(source, { verbose });
+    assertSourceSupports(templateSource, projectType);
+    
     if (verbose) {
-      logWarning(`Could not load project-specific templates: ${error.message}`);
+      logInfo(`Loading custom templates from: ${chalk.cyan(templateSource.directory)}`);
     }
+    
+    await loadSourceTemplates(templatesResult, templateSource.directory, templateConfig, { typescript, workspace }, verbose);
   }
   
   return templatesResult;
 }
 
+/**
+ * Add the templates of a directory, layering its template.json over the manifest loaded so far
+ * @param {Object} templatesResult - Templates loaded so far, updated in place
+ * @param {Object} files - Templates of the directory
+ * @param {string} directory - Directory the templates were loaded from, used in errors
+ */
+function addTemplateLayer(templatesResult, files, directory) {
+  const { [MANIFEST_FILE]: manifestContent, ...layerFiles } = files;
+  Object.assign(templatesResult, layerFiles);
+  
+  if (manifestContent !== undefined) {
+    const manifest = templatesResult[MANIFEST_FILE]
+      ? JSON.parse(templatesResult[MANIFEST_FILE])
+      : { files: {} };
+    const layer = parseManifest(manifestContent, path.join(directory, MANIFEST_FILE));
+    
+    // Kept as JSON text like every other template, see getTemplateManifest
+    templatesResult[MANIFEST_FILE] = JSON.stringify(mergeManifests(manifest, layer), null, 2);
+  }
+}
+
+/**
+ * Load the templates of a custom source, laid out like the built-in templates directory:
+ * partials, common, the project type, their typescript/ variants and workspace/, all optional
+ * @param {Object} templatesResult - Templates loaded so far, updated in place
+ * @param {string} directory - Root directory of the source
+ * @param {Object} templateConfig - Template directories of the project type
+ * @param {Object} variants - Variants to layer
+ * @param {boolean} variants.typescript - Whether the TypeScript variants are layered
+ * @param {string|null} variants.workspace - Workspace templates layered last (root, package)
+ * @param {boolean} verbose - Whether to show verbose output
+ * @returns {Promise<void>}
+ */
+async function loadSourceTemplates(templatesResult, directory, templateConfig, { typescript, workspace }, verbose) {
+  const layers = [templateConfig.base, templateConfig.specific];
+  if (typescript) {
+    layers.push(path.join('typescript', templateConfig.base), path.join('typescript', templateConfig.specific));
+  }
+  if (workspace) {
+    layers.push(path.join('workspace', workspace));
+  }
+  
+  for (const layer of ['partials', ...layers]) {
+    const layerDir = path.join(directory, layer);
+    try {
+      await fs.access(layerDir);
+    } catch (error) {
+      continue; // A source only ships the directories it changes
+    }
+    
+    const files = await loadTemplateFiles(layerDir, verbose);
+    if (layer === 'partials') {
+      for (const [file, content] of Object.entries(files)) {
+        templatesResult[`${PARTIALS_PREFIX}${file}`] = content;
+      }
+    } else {
+      addTemplateLayer(templatesResult, files, layerDir);
+    }
+  }
+}
+
 /**
  * Load all template files from a directory
  * @param {string} directory - Directory path to load templates from
@@ -165,19 +304,25 @@ export function hasTemplate(templates, filename) {
 }
 
 /**
- * Process a template with variables
+ * Get the partials among the loaded templates
+ * @param {Object} templates - Templates object returned by loadTemplates
+ * @returns {Object} Map of partial name to content
+ */
+export function getPartials(templates) {
+  return Object.fromEntries(Object.entries(templates)
+    .filter(([name]) => name.startsWith(PARTIALS_PREFIX))
+    .map(([name, content]) => [name.slice(PARTIALS_PREFIX.length), content]));
+}
+
+/**
+ * Process a template with variables, see template-engine.js for the syntax
  * @param {string} template - Template content
- * @param {Object} variables - Variables to replace in template
+ * @param {Object} variables - Variables available to the template, using an undefined one is an error
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Template name used in errors
+ * @param {Object} [options.partials] - Partials from getPartials
  * @returns {string} Processed template
  */
-export function processTemplate(template, variables = {}) {
-  let result = template;
-  
-  // Replace variables in the format {{variable}}
-  for (const [key, value] of Object.entries(variables)) {
-    const regex = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g');
-    result = result.replace(regex, value);
-  }
-  
-  return result;
+export function processTemplate(template, variables = {}, options = {}) {
+  return renderTemplate(template, variables, options);
 }
\ No newline at end of file
@@ -8,7 +8,7 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-12
- * @lastModified 2025-05-12
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
@@ -19,19 +19,44 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { promises as fs } from 'fs';
 
+import { parseDependencySpec } from './dependency-specs.js';
+
 // Version number - keep this in sync with package.json
-export const VERSION = '0.1.0';
+export const VERSION = '0.2.0';
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Stream used by the log helpers, stderr keeps stdout free for machine-readable output
+let logOutput = 'stdout';
+
+/**
+ * Choose the stream the log helpers write to
+ * @param {string} output - 'stdout' (default) or 'stderr'
+ */
+export function setLogOutput(output) {
+  logOutput = output === 'stderr' ? 'stderr' : 'stdout';
+}
+
+/**
+ * Write a formatted log line to the selected stream
+ * @param {string} line - Line to write
+ */
+function writeLog(line) {
+  if (logOutput === 'stderr') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
 /**
  * Log a success message
  * @param {string} message - Message to log
  */
 export function logSuccess(message) {
-  console.log(chalk.green(`${figures.tick} ${message}`));
+  writeLog(chalk.green(`${figures.tick} ${message}`));
 }
 
 /**
@@ -39,7 +64,7 @@ export function logSuccess(message) {
  * @param {string} message - Message to log
  */
 export function logInfo(message) {
-  console.log(chalk.blue(`${figures.info} ${message}`));
+  writeLog(chalk.blue(`${figures.info} ${message}`));
 }
 
 /**
@@ -47,7 +72,7 @@ export function logInfo(message) {
  * @param {string} message - Message to log
  */
 export function logWarning(message) {
-  console.log(chalk.yellow(`${figures.warning} ${message}`));
+  writeLog(chalk.yellow(`${figures.warning} ${message}`));
 }
 
 /**
@@ -55,61 +80,26 @@ export function logWarning(message) {
  * @param {string} message - Message to log
  */
 export function logError(message) {
-  console.log(chalk.red(`${figures.cross} ${message}`));
+  writeLog(chalk.red(`${figures.cross} ${message}`));
 }
 
 /**
  * Extract package name from dependency string
- * @param {string} dependency - Dependency string (e.g. 'package@1.0.0')
- * @returns {string} Package name
+ * @param {string} dependency - Dependency string (e.g. 'package@1.0.0', '@org/package@^1.0.0')
+ * @returns {string} Package name, the alias name for npm aliases
  */
 export function extractPackageName(dependency) {
-  // Handle scoped packages like @org/package
-  if (dependency.startsWith('@')) {
-    const scopedParts = dependency.split('@', 3); // ['', 'org', 'version'] or ['', 'org/package', 'version']
-    
-    if (scopedParts.length === 3) {
-      // It has a version: @org/package@1.0.0
-      const [_, scopedName, __] = scopedParts;
-      return `@${scopedName}`;
-    }
-    
-    // No version: @org/package
-    return dependency;
-  }
-  
-  // Handle regular packages
-  return dependency.split('@')[0];
+  return parseDependencySpec(dependency).name || dependency;
 }
 
 /**
  * Extract version from dependency string
  * @param {string} dependency - Dependency string (e.g. 'package@1.0.0')
- * @returns {string|null} Version string or null if not specified
+ * @returns {string|null} Version string (what follows the name, e.g. 'npm:eslint@^8' or 'workspace:*')
+ * or null if not specified
  */
 export function extractPackageVersion(dependency) {
-  // Handle scoped packages like @org/package
-  if (dependency.startsWith('@')) {
-    const scopedParts = dependency.split('@', 3); // ['', 'org', 'version'] or ['', 'org/package', 'version']
-    
-    if (scopedParts.length === 3) {
-      // It has a version: @org/package@1.0.0
-      const [_, __, version] = scopedParts;
-      return version;
-    }
-    
-    // No version: @org/package
-    return null;
-  }
-  
-  // Handle regular packages
-  const parts = dependency.split('@');
-  
-  if (parts.length >= 2) {
-    return parts[1];
-  }
-  
-  return null;
+  return parseDependencySpec(dependency).specifier;
 }
 
 /**
@@ -143,6 +133,15 @@ export async function fileExists(filePath) {
   }
 }
 
+/**
+ * Check if a file mode lets anyone execute the file
+ * @param {number} mode - File mode, e.g. 0o755
+ * @returns {boolean} Whether an execute bit is set
+ */
+export function isExecutableMode(mode) {
+  return [0o100, 0o010, 0o001].some((bit) => Math.floor(mode / bit) % 2 === 1);
+}
+
 /**
  * Get absolute path from a relative path
  * @param {string} relativePath - Relative path
@@ -4,200 +4,450 @@
  * @author Alejandro Valencia <dev@alejandrovr.com>
  * @description
  * Checks package version compatibility and handles updates
- * Ensures all tools work together without compatibility issues
+ * Ensures all tools work together without compatibility issues, using a versioned compatibility
+ * matrix (compatibility-matrix.json) of semver ranges to compute exact versions to install
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-12
- * @lastModified 2025-05-12
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
+import { promises as fs } from 'fs';
 import { execaCommand } from 'execa';
 import semver from 'semver';
-import inquirer from 'inquirer';
 import chalk from 'chalk';
 
 import { logSuccess, logInfo, logWarning, logError, extractPackageName } from './utils.js';
+import { getPackageManager } from './package-manager.js';
+import { readInstalledVersion, readInstalledVersions, clearInstalledVersions } from './installed-versions.js';
+import { ask } from './prompts.js';
 
 /**
- * Known compatibility issues between packages
- * @constant {Array<Object>}
+ * Compatibility matrix shipped with the scaffold
+ * @constant {URL}
  */
-const COMPATIBILITY_ISSUES = [
-  {
-    packages: [
-      { name: 'eslint', version: '8.x+' },
-      { name: 'eslint-config-prettier', version: '<8.0.0' }
-    ],
-    message: 'ESLint 8+ works best with eslint-config-prettier 8+'
-  },
-  {
-    packages: [
-      { name: 'prettier', version: '3.x+' },
-      { name: 'eslint-plugin-prettier', version: '<5.0.0' }
-    ],
-    message: 'Prettier 3+ requires eslint-plugin-prettier 5+'
-  },
-  {
-    packages: [
-      { name: 'husky', version: '8.x+' },
-      { name: 'lint-staged', version: '<10.0.0' }
-    ],
-    message: 'Husky 8+ works best with lint-staged 10+'
-  }
+const COMPATIBILITY_MATRIX_FILE = new URL('./compatibility-matrix.json', import.meta.url);
+
+/**
+ * Format version of the compatibility matrix this module reads
+ * @constant {number}
+ */
+export const COMPATIBILITY_MATRIX_VERSION = 1;
+
+/**
+ * Release of a package in the compatibility matrix, one per major version
+ * @typedef {Object} MatrixRelease
+ * @property {string} version - Exact version installed when this major is picked
+ * @property {Object} [requires] - Semver ranges other packages must satisfy alongside this major:
+ * its peer dependencies and known incompatibilities
+ * @property {string} [note] - Why a range differs from the declared peer dependencies
+ */
+
+/**
+ * Conflict between two installed packages
+ * @typedef {Object} VersionConflict
+ * @property {Object} package - Package whose release sets the constraint, as { name, version }
+ * @property {Object} dependency - Package violating it, as { name, version }
+ * @property {string} range - Semver range the dependency must satisfy
+ */
+
+/**
+ * Conflict a setup resolves on its own instead of changing versions
+ * @typedef {Object} AcceptedConflict
+ * @property {string} package - Package whose release sets the constraint
+ * @property {string} dependency - Package violating it
+ * @property {string} range - Versions of the dependency the conflict is accepted for
+ * @property {string} reason - How the setup resolves it
+ */
+
+/**
+ * Conflicts of the flat ESLint setup: the Airbnb configs declare ESLint 8 peer ranges, and
+ * eslint-plugin-react-hooks 4 for eslint-config-airbnb, but only ship eslintrc configs that the
+ * flat config loads on ESLint 9 through FlatCompat
+ * @constant {AcceptedConflict[]}
+ */
+export const FLAT_COMPAT_CONFLICTS = [
+  { package: 'eslint-config-airbnb', dependency: 'eslint', range: '^9.0.0', reason: 'loaded through FlatCompat' },
+  { package: 'eslint-config-airbnb', dependency: 'eslint-plugin-react-hooks', range: '^5.0.0', reason: 'loaded through FlatCompat' },
+  { package: 'eslint-config-airbnb-base', dependency: 'eslint', range: '^9.0.0', reason: 'loaded through FlatCompat' }
 ];
 
+let bundledMatrix = null;
+
 /**
- * Get the installed version of a package
+ * Get the installed version of a package, from node_modules or the lockfile (cached for the run)
  * @param {string} packageName - Name of the package
+ * @param {Object} [packageManager] - Package manager from getPackageManager (defaults to npm)
  * @returns {Promise<string|null>} - Version string or null if not installed
  */
-export async function getInstalledVersion(packageName) {
-  try {
-    const { stdout } = await execaCommand(`npm list ${packageName} --depth=0 --json`, {
-      reject: false,
-      stdio: ['pipe', 'pipe', 'ignore']
-    });
-    
-    // Try to parse JSON output
-    try {
-      const npmListOutput = JSON.parse(stdout);
-      if (npmListOutput.dependencies && npmListOutput.dependencies[packageName]) {
-        return npmListOutput.dependencies[packageName].version;
+export async function getInstalledVersion(packageName, packageManager = getPackageManager()) {
+  return readInstalledVersion(packageName, { packageManager });
+}
+
+/**
+ * Load a compatibility matrix: the packages it covers with one release per major version
+ * @param {string|URL} [file] - Matrix file, the one shipped with the scaffold by default
+ * @returns {Promise<Object>} Matrix as { version, packages: { [name]: { releases: MatrixRelease[] } } }
+ */
+export async function loadCompatibilityMatrix(file = COMPATIBILITY_MATRIX_FILE) {
+  if (file === COMPATIBILITY_MATRIX_FILE && bundledMatrix) {
+    return bundledMatrix;
+  }
+  
+  const matrix = JSON.parse(await fs.readFile(file, 'utf8'));
+  
+  if (matrix.version !== COMPATIBILITY_MATRIX_VERSION) {
+    throw new Error(`Unsupported compatibility matrix version ${matrix.version} (expected ${COMPATIBILITY_MATRIX_VERSION})`);
+  }
+  
+  for (const [name, { releases = [] }] of Object.entries(matrix.packages || {})) {
+    for (const release of releases) {
+      if (!semver.valid(release.version)) {
+        throw new Error(`Invalid version "${release.version}" of ${name} in the compatibility matrix`);
+      }
+      for (const [dependency, range] of Object.entries(release.requires || {})) {
+        if (!semver.validRange(range)) {
+          throw new Error(`Invalid range "${range}" of ${dependency} required by ${name}@${release.version} in the compatibility matrix`);
+        }
       }
-    } catch (parseError) {
-      // Fallback to regex parsing if JSON parsing fails
-      const versionMatch = stdout.match(new RegExp(`${packageName}@([\\d\\.]+)`));
-      return versionMatch ? versionMatch[1] : null;
     }
-    
-    return null;
-  } catch (error) {
-    return null;
   }
+  
+  if (file === COMPATIBILITY_MATRIX_FILE) {
+    bundledMatrix = matrix;
+  }
+  return matrix;
 }
 
 /**
- * Check if a version matches a pattern like '8.x+' or '<8.0.0'
- * @param {string} version - Version to check
- * @param {string} pattern - Pattern to match against
- * @returns {boolean} - True if version matches pattern
+ * Names of the packages a matrix constrains: its packages and the ones their releases require
+ * @param {Object} matrix - Compatibility matrix
+ * @returns {string[]} Package names
  */
-export function versionMatchesPattern(version, pattern) {
-  if (!version) return false;
+export function getMatrixPackageNames(matrix) {
+  const names = new Set(Object.keys(matrix.packages));
   
-  // Pattern like '8.x+'
-  if (pattern.includes('x+')) {
-    const major = parseInt(pattern.split('.')[0], 10);
-    return semver.major(version) >= major;
+  for (const { releases = [] } of Object.values(matrix.packages)) {
+    for (const release of releases) {
+      Object.keys(release.requires || {}).forEach((name) => names.add(name));
+    }
   }
   
-  // Pattern like '8.x'
-  if (pattern.includes('x')) {
-    const major = parseInt(pattern.split('.')[0], 10);
-    return semver.major(version) === major;
-  }
+  return [...names];
+}
+
+/**
+ * Release of the matrix covering a version: the one with the same major
+ * @param {Object} matrix - Compatibility matrix
+ * @param {string} name - Package name
+ * @param {string} version - Installed or candidate version
+ * @returns {MatrixRelease|null} Release, null when the matrix does not know that major
+ */
+function findRelease(matrix, name, version) {
+  const releases = matrix.packages[name] ? matrix.packages[name].releases : [];
+  return releases.find((release) => semver.major(release.version) === semver.major(version)) || null;
+}
+
+/**
+ * Conflicts a setup accepts, given its ESLint configuration format
+ * @param {string|null} eslintConfig - ESLint configuration format (flat, legacy)
+ * @returns {AcceptedConflict[]} Accepted conflicts
+ */
+export function getAcceptedConflicts(eslintConfig) {
+  return eslintConfig === 'flat' ? FLAT_COMPAT_CONFLICTS : [];
+}
+
+/**
+ * Accepted conflict matching a conflict, if any
+ * @param {VersionConflict} conflict - Conflict found
+ * @param {AcceptedConflict[]} accepted - Accepted conflicts
+ * @returns {AcceptedConflict|null} Matching accepted conflict
+ */
+function findAcceptedConflict({ package: pkg, dependency }, accepted) {
+  return accepted.find((entry) => (
+    entry.package === pkg.name &&
+    entry.dependency === dependency.name &&
+    semver.satisfies(dependency.version, entry.range, { includePrerelease: true })
+  )) || null;
+}
+
+/**
+ * Find the constraints of the matrix that a set of versions violates
+ * @param {Object} versions - Installed versions by package name, packages that are not installed are left out
+ * @param {Object} matrix - Compatibility matrix
+ * @param {AcceptedConflict[]} [accepted] - Conflicts left out of the result
+ * @returns {VersionConflict[]} Conflicts found
+ */
+export function findVersionConflicts(versions, matrix, accepted = []) {
+  const conflicts = [];
   
-  // Pattern like '<8.0.0'
-  if (pattern.startsWith('<')) {
-    const compareVersion = pattern.substring(1);
-    return semver.lt(version, compareVersion);
+  for (const [name, version] of Object.entries(versions)) {
+    const release = semver.valid(version) && findRelease(matrix, name, version);
+    
+    for (const [dependency, range] of Object.entries((release && release.requires) || {})) {
+      const dependencyVersion = versions[dependency];
+      
+      if (semver.valid(dependencyVersion) && !semver.satisfies(dependencyVersion, range, { includePrerelease: true })) {
+        const conflict = {
+          package: { name, version },
+          dependency: { name: dependency, version: dependencyVersion },
+          range
+        };
+        if (!findAcceptedConflict(conflict, accepted)) {
+          conflicts.push(conflict);
+        }
+      }
+    }
   }
   
-  // Pattern like '>8.0.0'
-  if (pattern.startsWith('>')) {
-    const compareVersion = pattern.substring(1);
-    return semver.gt(version, compareVersion);
-  }
+  return conflicts;
+}
+
+/**
+ * Compute a consistent set of versions: every package of the matrix keeps its version or moves to
+ * a release of the matrix, the packages outside the matrix (such as next) keep theirs
+ * @param {Object} versions - Installed versions by package name
+ * @param {Object} matrix - Compatibility matrix
+ * @param {AcceptedConflict[]} [accepted] - Conflicts the versions may keep
+ * @returns {Object|null} Versions by package name satisfying every constraint, null when none does
+ */
+export function resolveCompatibleVersions(versions, matrix, accepted = []) {
+  const conflicts = findVersionConflicts(versions, matrix, accepted);
+  const constraining = new Set(conflicts.map((conflict) => conflict.package.name));
+  const violating = new Set(conflicts.map((conflict) => conflict.dependency.name));
+  const rank = (name) => (violating.has(name) ? 2 : Number(constraining.has(name)));
   
-  // Exact version match
-  return semver.eq(version, pattern);
+  // Packages without conflicts are decided first, then the ones setting a violated range, so the
+  // packages violating it are the ones that move whenever possible
+  const names = Object.keys(versions)
+    .filter((name) => matrix.packages[name])
+    .sort((a, b) => rank(a) - rank(b));
+  const fixed = Object.fromEntries(Object.entries(versions).filter(([name]) => !matrix.packages[name]));
+  
+  // The installed version first, then the releases of the matrix from the newest
+  const candidates = (name) => [
+    versions[name],
+    ...matrix.packages[name].releases.map(({ version }) => version).sort(semver.rcompare)
+  ].filter((version, index, list) => list.indexOf(version) === index);
+  
+  const search = (index, chosen) => {
+    if (index === names.length) {
+      return chosen;
+    }
+    
+    for (const version of candidates(names[index])) {
+      const next = { ...chosen, [names[index]]: version };
+      if (findVersionConflicts(next, matrix, accepted).length === 0) {
+        const resolved = search(index + 1, next);
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+    
+    return null;
+  };
+  
+  return search(0, fixed);
 }
 
 /**
- * Update a package to the latest version
- * @param {string} packageName - Name of the package to update
+ * Exact versions to install to go from the installed versions to resolved ones
+ * @param {Object} versions - Installed versions by package name
+ * @param {Object} resolved - Versions from resolveCompatibleVersions
+ * @returns {string[]} Dependency specs such as eslint-config-prettier@9.1.0
+ */
+function getPinnedUpdates(versions, resolved) {
+  return Object.entries(resolved)
+    .filter(([name, version]) => versions[name] !== version)
+    .map(([name, version]) => `${name}@${version}`);
+}
+
+/**
+ * Describe a conflict, e.g. "eslint-config-next 15.x requires next ^15.0.0"
+ * @param {VersionConflict} conflict - Conflict to describe
+ * @returns {string} Message
+ */
+function describeConflict({ package: pkg, dependency, range }) {
+  return `${pkg.name} ${semver.major(pkg.version)}.x requires ${dependency.name} ${range}`;
+}
+
+/**
+ * Conflicts of a set of versions that a setup accepts, with how it resolves them
+ * @param {Object} versions - Installed versions by package name
+ * @param {Object} matrix - Compatibility matrix
+ * @param {AcceptedConflict[]} accepted - Accepted conflicts
+ * @returns {Object[]} Conflicts as { conflict, reason }
+ */
+function findKnownConflicts(versions, matrix, accepted) {
+  return findVersionConflicts(versions, matrix)
+    .map((conflict) => ({ conflict, reason: (findAcceptedConflict(conflict, accepted) || {}).reason }))
+    .filter(({ reason }) => reason);
+}
+
+/**
+ * Install exact versions of packages, e.g. the ones computed by resolveCompatibleVersions
+ * @param {string[]} dependencies - Dependency specs such as eslint-config-prettier@9.1.0
  * @param {boolean} verbose - Whether to show verbose output
- * @returns {Promise<boolean>} - True if update was successful
+ * @param {Object} [packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.legacyPeerDeps=false] - Whether npm installs with --legacy-peer-deps, for the
+ * conflicts the setup accepts
+ * @returns {Promise<boolean>} - True if the installation was successful
  */
-export async function updatePackage(packageName, verbose = false) {
+export async function updatePackages(dependencies, verbose = false, packageManager = getPackageManager(), options = {}) {
+  const { legacyPeerDeps = false } = options;
+  
   try {
-    logInfo(`Updating ${packageName} to latest version...`);
+    logInfo(`Installing ${dependencies.join(', ')}...`);
     
-    await execaCommand(`npm install --save-dev ${packageName}@latest`, {
+    await execaCommand(packageManager.addCommand(dependencies, { legacyPeerDeps }), {
       stdio: verbose ? 'inherit' : 'pipe'
     });
+    clearInstalledVersions();
     
-    logSuccess(`Package ${packageName} updated successfully`);
+    logSuccess(`Installed ${dependencies.join(', ')}`);
     return true;
   } catch (error) {
-    logError(`Failed to update ${packageName}: ${error.message}`);
+    logError(`Failed to install ${dependencies.join(', ')}: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Check individual package versions against defined compatibility issues
+ * Get the newest release of a package in the compatibility matrix
+ * @param {string} packageName - Name of the package
+ * @returns {Promise<string|null>} - Version, or null for packages outside the matrix
+ */
+async function getNewestMatrixRelease(packageName) {
+  const matrix = await loadCompatibilityMatrix();
+  const releases = (matrix.packages[packageName] ? matrix.packages[packageName].releases : []).map((release) => release.version);
+  return releases.sort(semver.rcompare)[0] || null;
+}
+
+/**
+ * Update a package to an exact version
+ * @param {string} packageName - Name of the package to update
+ * @param {boolean} verbose - Whether to show verbose output
+ * @param {Object} [packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {string} [version] - Version to install, the newest release of the compatibility matrix by default
+ * @returns {Promise<boolean>} - True if update was successful, false for a package outside the matrix
+ * without a version, as its latest release is untested with the rest of the setup
+ */
+export async function updatePackage(packageName, verbose = false, packageManager = getPackageManager(), version = null) {
+  const target = version || await getNewestMatrixRelease(packageName);
+  
+  if (!target) {
+    logWarning(`${packageName} is not in the compatibility matrix, update it manually to a version you have checked`);
+    return false;
+  }
+  
+  return updatePackages([`${packageName}@${target}`], verbose, packageManager);
+}
+
+/**
+ * Check the installed packages against the compatibility matrix, offering to install a
+ * consistent set of exact versions when they conflict
  * @param {Object} options - Options
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
  * @param {boolean} options.verbose - Whether to show verbose output
+ * @param {string} [options.eslintConfig] - ESLint configuration format (flat, legacy), the flat one
+ * accepts FLAT_COMPAT_CONFLICTS
+ * @param {boolean} [options.legacyPeerDeps=false] - Whether npm installs the compatible versions with --legacy-peer-deps
+ * @param {Object} [options.matrix] - Compatibility matrix, the one shipped with the scaffold by default
  * @returns {Promise<boolean>} - True if all versions are compatible
  */
 export async function checkVersionCompatibility(options = {}) {
-  const { verbose = false } = options;
+  const { packageManager = getPackageManager(), verbose = false, eslintConfig = null, legacyPeerDeps = false } = options;
+  const matrix = options.matrix || await loadCompatibilityMatrix();
+  const accepted = getAcceptedConflicts(eslintConfig);
   
   logInfo('Checking package version compatibility...');
-  let allCompatible = true;
   
-  // Check for known compatibility issues between packages
-  for (const issue of COMPATIBILITY_ISSUES) {
-    const [package1, package2] = issue.packages;
-    
-    // Get installed versions of both packages
-    const version1 = await getInstalledVersion(package1.name);
-    const version2 = await getInstalledVersion(package2.name);
-    
-    // Skip if either package is not installed
-    if (!version1 || !version2) {
-      if (verbose) {
-        logInfo(`Skipping compatibility check for ${chalk.cyan(package1.name)} and ${chalk.cyan(package2.name)} (one or both not installed)`);
-      }
-      continue;
-    }
-    
-    // Check if versions match the compatibility issue patterns
-    const package1Matches = versionMatchesPattern(version1, package1.version);
-    const package2Matches = versionMatchesPattern(version2, package2.version);
-    
-    if (package1Matches && package2Matches) {
-      logWarning(`Compatibility issue detected: ${issue.message}`);
-      logWarning(`  ${package1.name}@${version1} and ${package2.name}@${version2} may have compatibility issues`);
-      allCompatible = false;
-      
-      // Ask user if they want to update the second package
-      const { shouldUpdate } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'shouldUpdate',
-        message: `Do you want to update ${package2.name}?`,
-        default: true
-      }]);
-      
-      if (shouldUpdate) {
-        await updatePackage(package2.name, verbose);
-      } else {
-        logWarning(`Continuing with potentially incompatible versions of ${package1.name} and ${package2.name}`);
-      }
-    } else if (verbose) {
-      logSuccess(`✓ ${package1.name}@${version1} and ${package2.name}@${version2} are compatible`);
-    }
+  const versions = await readInstalledVersions(getMatrixPackageNames(matrix), { packageManager });
+  const conflicts = findVersionConflicts(versions, matrix, accepted);
+  
+  if (verbose) {
+    const installed = Object.entries(versions).map(([name, version]) => `${chalk.cyan(name)}@${version}`);
+    logInfo(`Checked against the compatibility matrix: ${installed.join(', ') || 'no matching packages installed'}`);
+  }
+  
+  for (const { conflict, reason } of findKnownConflicts(versions, matrix, accepted)) {
+    logInfo(`Known conflict: ${describeConflict(conflict)}, ${conflict.dependency.name}@${conflict.dependency.version} is kept (${reason})`);
   }
   
-  if (allCompatible) {
+  if (conflicts.length === 0) {
     logSuccess('All package versions are compatible');
-  } else {
+    return true;
+  }
+  
+  for (const conflict of conflicts) {
+    logWarning(`Compatibility issue detected: ${describeConflict(conflict)}`);
+    logWarning(`  ${conflict.package.name}@${conflict.package.version} and ${conflict.dependency.name}@${conflict.dependency.version} are not compatible`);
+  }
+  
+  const resolved = resolveCompatibleVersions(versions, matrix, accepted);
+  if (!resolved) {
+    logWarning('No known combination of versions satisfies every constraint, update the packages manually');
+    return false;
+  }
+  
+  const updates = getPinnedUpdates(versions, resolved);
+  
+  // Ask user if they want to install the compatible versions
+  const shouldUpdate = await ask('install-compatible-versions', {
+    name: 'shouldUpdate',
+    message: `Do you want to install ${updates.join(', ')}?`,
+    default: true
+  });
+  
+  if (shouldUpdate) {
+    await updatePackages(updates, verbose, packageManager, { legacyPeerDeps });
     logWarning('Some compatibility issues were detected and addressed');
+  } else {
+    logWarning('Continuing with potentially incompatible versions');
   }
   
-  return allCompatible;
+  return false;
+}
+
+/**
+ * Find the conflicts among the installed packages, without prompting or updating
+ * @param {Object} [options] - Options
+ * @param {Object} [options.packageManager] - Package manager from getPackageManager (defaults to npm)
+ * @param {string} [options.eslintConfig] - ESLint configuration format (flat, legacy), the flat one
+ * accepts FLAT_COMPAT_CONFLICTS
+ * @param {Object} [options.matrix] - Compatibility matrix, the one shipped with the scaffold by default
+ * @returns {Promise<Object[]>} Issues found as { message, packages: [{ name, version }], updates } with
+ * installed versions, updates being the exact versions that resolve every issue (null when none does);
+ * accepted conflicts come first with updates null and the way they are resolved as `accepted`
+ */
+export async function findCompatibilityIssues(options = {}) {
+  const { packageManager = getPackageManager(), eslintConfig = null } = options;
+  const matrix = options.matrix || await loadCompatibilityMatrix();
+  const accepted = getAcceptedConflicts(eslintConfig);
+  const versions = await readInstalledVersions(getMatrixPackageNames(matrix), { packageManager });
+  const known = findKnownConflicts(versions, matrix, accepted).map(({ conflict, reason }) => ({
+    message: describeConflict(conflict),
+    packages: [conflict.package, conflict.dependency],
+    updates: null,
+    accepted: reason
+  }));
+  const conflicts = findVersionConflicts(versions, matrix, accepted);
+  
+  if (conflicts.length === 0) {
+    return known;
+  }
+  
+  const resolved = resolveCompatibleVersions(versions, matrix, accepted);
+  const updates = resolved && getPinnedUpdates(versions, resolved);
+  
+  return [...known, ...conflicts.map((conflict) => ({
+    message: describeConflict(conflict),
+    packages: [conflict.package, conflict.dependency],
+    updates
+  }))];
 }
 
 /**
@@ -232,10 +482,11 @@ export function compareVersions(version1, version2, operator = '>=') {
  * @param {string} packageName - Name of the package
  * @param {string} minVersion - Minimum version required
  * @param {boolean} verbose - Whether to show verbose output
+ * @param {Object} [packageManager] - Package manager from getPackageManager (defaults to npm)
  * @returns {Promise<boolean>} - True if the package meets requirements
  */
-export async function checkPackageVersion(packageName, minVersion, verbose = false) {
-  const installedVersion = await getInstalledVersion(packageName);
+export async function checkPackageVersion(packageName, minVersion, verbose = false, packageManager = getPackageManager()) {
+  const installedVersion = await getInstalledVersion(packageName, packageManager);
   
   if (!installedVersion) {
     if (verbose) {
@@ -255,16 +506,21 @@ export async function checkPackageVersion(packageName, minVersion, verbose = fal
   
   logWarning(`Package ${packageName} version ${installedVersion} is below the minimum required version ${minVersion}`);
   
+  const target = await getNewestMatrixRelease(packageName);
+  if (!target) {
+    logWarning(`${packageName} is not in the compatibility matrix, update it manually to ${minVersion} or later`);
+    return false;
+  }
+  
   // Ask user if they want to update
-  const { shouldUpdate } = await inquirer.prompt([{
-    type: 'confirm',
+  const shouldUpdate = await ask('update-package', {
     name: 'shouldUpdate',
-    message: `Do you want to update ${packageName} to the latest version?`,
+    message: `Do you want to update ${packageName} to ${target}, the newest version of the compatibility matrix?`,
     default: true
-  }]);
+  });
   
   if (shouldUpdate) {
-    return await updatePackage(packageName, verbose);
+    return await updatePackage(packageName, verbose, packageManager, target);
   }
   
   logWarning(`Continuing with older version of ${packageName}`);
@@ -0,0 +1,211 @@
+/**
+ * @module src/wizard.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Interactive wizard choosing the project type, tools, test runner, module system,
+ * strictness level and Git hooks of a setup, answered into the options setup() takes
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+import {
+  getAllProjectTypes,
+  getProjectTypeConfig,
+  MODULE_SYSTEMS,
+  STRICTNESS_LEVELS,
+  DEFAULT_STRICTNESS,
+  QUALITY_TOOLS,
+} from './project-types.js';
+import { detectProjectType, detectTestRunner } from './project-detector.js';
+import { loadTemplates } from './templates-loader.js';
+import { getTemplateManifest, getHookName } from './template-manifest.js';
+import { ask } from './prompts.js';
+import { logInfo } from './utils.js';
+
+/**
+ * Project types whose templates always lint ES modules, bundlers handle their module system
+ * @constant {string[]}
+ */
+const ESM_PROJECT_TYPES = ['react', 'next'];
+
+/**
+ * What each strictness level does, shown as its choice
+ * @constant {Object}
+ */
+const STRICTNESS_DESCRIPTIONS = {
+  relaxed: 'Relaxed - style rules are warnings, console is allowed',
+  recommended: 'Recommended - the rules of the project type',
+  strict: 'Strict - no console or TODO leftovers, limits on complexity',
+};
+
+/**
+ * Detect the module system of a project from the "type" of its package.json
+ * @param {string} cwd - Project directory
+ * @returns {Promise<string>} esm or commonjs, the default of Node.js without "type": "module"
+ */
+async function detectModuleSystem(cwd) {
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+    return packageJson.type === 'module' ? 'esm' : 'commonjs';
+  } catch (error) {
+    return 'esm';
+  }
+}
+
+/**
+ * Git hooks the templates of a project type install
+ * @param {string} projectType - Type of project
+ * @param {Object} options - Options
+ * @param {boolean} options.typescript - Whether the TypeScript variant is used
+ * @param {string} [options.templateSource] - Custom template source
+ * @returns {Promise<string[]>} Hook names
+ */
+async function getTemplateHooks(projectType, { typescript, templateSource }) {
+  const templates = await loadTemplates(projectType, false, { typescript, source: templateSource });
+
+  return Object.values(getTemplateManifest(templates).files)
+    .map((entry) => getHookName(entry.path))
+    .filter(Boolean);
+}
+
+/**
+ * Print the choices of the wizard before they are applied
+ * @param {Object} answers - Options chosen in the wizard
+ * @param {string[]} hooks - Git hooks the templates install
+ */
+function printSummary(answers, hooks) {
+  const { projectType, tools, testRunner, moduleSystem, strictness, disabledHooks } = answers;
+  const installed = hooks.filter((hook) => !disabledHooks.includes(hook));
+  const rows = [
+    ['Project type', getProjectTypeConfig(projectType).name],
+    ['Tools', tools.join(', ') || 'none'],
+    ['Test runner', testRunner || 'none'],
+    ['Module system', moduleSystem],
+    ['Strictness', strictness],
+    ['Git hooks', tools.includes('husky') ? installed.join(', ') || 'none' : 'none'],
+  ];
+
+  console.log(chalk.bold('\nSummary'));
+  rows.forEach(([label, value]) => {
+    console.log(`  ${label.padEnd(14)} ${chalk.cyan(value)}`);
+  });
+  console.log('');
+}
+
+/**
+ * Ask for the options of a setup, with the detected or configured values preselected
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {Object} [options.defaults={}] - Options already known (command line and project
+ * configuration), used as the preselected answers
+ * @returns {Promise<Object|null>} Options for setup() as { projectType, tools, testRunner, moduleSystem,
+ * strictness, disabledHooks }, null when the summary is not confirmed
+ */
+export async function runWizard(options = {}) {
+  const { cwd = process.cwd(), defaults = {} } = options;
+  const { typescript = false, templateSource } = defaults;
+
+  const detection = await detectProjectType({ cwd });
+  const projectType = await ask('wizard-project-type', {
+    name: 'projectType',
+    message: 'Which project type is this?',
+    choices: getAllProjectTypes().map(({ id, name }) => ({
+      name: id === detection.type ? `${name} (detected)` : name,
+      value: id,
+    })),
+    default: defaults.projectType || detection.type,
+  });
+  const projectConfig = getProjectTypeConfig(projectType);
+
+  const selectedTools = defaults.tools || QUALITY_TOOLS;
+  const tools = await ask('wizard-tools', {
+    name: 'tools',
+    message: 'Which tools do you want to set up?',
+    choices: QUALITY_TOOLS.map((tool) => ({
+      name: tool,
+      value: tool,
+      checked: selectedTools.includes(tool),
+    })),
+    default: selectedTools,
+  });
+
+  // The jest tool stands for the tests, whichever runner runs them
+  let testRunner;
+  if (tools.includes('jest')) {
+    const [onlyRunner] = projectConfig.testRunners;
+    testRunner =
+      projectConfig.testRunners.length === 1
+        ? onlyRunner
+        : await ask('wizard-test-runner', {
+            name: 'testRunner',
+            message: 'Which test runner do you want to use?',
+            choices: projectConfig.testRunners,
+            default: defaults.testRunner || (await detectTestRunner(projectType, { cwd })),
+          });
+  }
+
+  // Only plain JavaScript Node.js projects can be linted as CommonJS
+  let moduleSystem = 'esm';
+  if (!typescript && !ESM_PROJECT_TYPES.includes(projectType)) {
+    moduleSystem = await ask('wizard-module-system', {
+      name: 'moduleSystem',
+      message: 'Which module system does the project use?',
+      choices: MODULE_SYSTEMS.map((system) => ({
+        name: system === 'esm' ? 'ES modules' : 'CommonJS',
+        value: system,
+      })),
+      default: defaults.moduleSystem || (await detectModuleSystem(cwd)),
+    });
+  }
+
+  const strictness = await ask('wizard-strictness', {
+    name: 'strictness',
+    message: 'How strict should the ESLint rules be?',
+    choices: STRICTNESS_LEVELS.map((level) => ({
+      name: STRICTNESS_DESCRIPTIONS[level],
+      value: level,
+    })),
+    default: defaults.strictness || DEFAULT_STRICTNESS,
+  });
+
+  const hooks = await getTemplateHooks(projectType, { typescript, templateSource });
+  const previouslyDisabled = defaults.disabledHooks || [];
+  let disabledHooks = previouslyDisabled;
+  if (tools.includes('husky') && hooks.length > 0) {
+    const enabled = hooks.filter((hook) => !previouslyDisabled.includes(hook));
+    const selected = await ask('wizard-hooks', {
+      name: 'hooks',
+      message: 'Which Git hooks do you want to install?',
+      choices: hooks.map((hook) => ({ name: hook, value: hook, checked: enabled.includes(hook) })),
+      default: enabled,
+    });
+    // Hooks the templates do not offer stay as configured
+    disabledHooks = [
+      ...previouslyDisabled.filter((hook) => !hooks.includes(hook)),
+      ...hooks.filter((hook) => !selected.includes(hook)),
+    ];
+  }
+
+  const answers = { projectType, tools, testRunner, moduleSystem, strictness, disabledHooks };
+  printSummary(answers, hooks);
+
+  const apply = await ask('wizard-apply', {
+    name: 'apply',
+    message: 'Do you want to apply this setup?',
+    default: true,
+  });
+  if (!apply) {
+    logInfo('Nothing was changed.');
+    return null;
+  }
+
+  return answers;
+}
@@ -0,0 +1,294 @@
+/**
+ * @module src/workspaces.js
+ * @version 0.1.0
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ * @description
+ * Detects npm, Yarn and pnpm workspaces: reads the workspace patterns of the root
+ * (the "workspaces" field of package.json or pnpm-workspace.yaml) and finds the packages they match
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Workspace file of pnpm, which ignores the "workspaces" field of package.json
+ * @constant {string}
+ */
+export const PNPM_WORKSPACE_FILE = 'pnpm-workspace.yaml';
+
+/**
+ * Directories never searched for packages
+ * @constant {string[]}
+ */
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+/**
+ * Package of a workspace
+ * @typedef {Object} WorkspacePackage
+ * @property {string} name - Package name, the directory name when package.json has none
+ * @property {string} directory - Directory relative to the workspace root, with forward slashes
+ */
+
+/**
+ * Read the package patterns of pnpm-workspace.yaml, written as a block or a flow sequence
+ * @param {string} content - Content of pnpm-workspace.yaml
+ * @returns {string[]} Package patterns
+ */
+export function parsePnpmWorkspace(content) {
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const lines = content.split(/\r?\n/).map((line) => line.replace(/\s+#.*$/, ''));
+  const start = lines.findIndex((line) => /^packages\s*:/.test(line));
+
+  if (start === -1) {
+    return [];
+  }
+
+  const flow = lines[start].match(/^packages\s*:\s*\[(.*)\]\s*$/);
+  if (flow) {
+    return flow[1].split(',').map(unquote).filter(Boolean);
+  }
+
+  // The list ends at the next top-level key
+  const end = lines.findIndex((line, index) => index > start && /^\S/.test(line));
+
+  return lines
+    .slice(start + 1, end === -1 ? lines.length : end)
+    .map((line) => line.match(/^\s+-\s+(.+)$/))
+    .filter(Boolean)
+    .map((item) => unquote(item[1]));
+}
+
+/**
+ * Package patterns of the "workspaces" field: a list (npm, Yarn, Bun) or { packages } (Yarn 1)
+ * @param {Object} packageJson - Parsed package.json
+ * @returns {string[]|null} Package patterns, null when package.json declares no workspaces
+ */
+function getPackageJsonPatterns(packageJson) {
+  const { workspaces } = packageJson;
+
+  if (Array.isArray(workspaces)) {
+    return workspaces;
+  }
+
+  return workspaces && Array.isArray(workspaces.packages) ? workspaces.packages : null;
+}
+
+/**
+ * Whether a path is a directory
+ * @param {string} directory - Path to check
+ * @returns {Promise<boolean>} Whether it is a directory
+ */
+async function isDirectory(directory) {
+  try {
+    return (await fs.stat(directory)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Subdirectories of a directory, without node_modules and hidden directories
+ * @param {string} cwd - Workspace root
+ * @param {string} directory - Directory relative to the root
+ * @param {boolean} recursive - Whether to list every level below it
+ * @returns {Promise<string[]>} Directories relative to the root
+ */
+async function listDirectories(cwd, directory, recursive) {
+  let entries;
+
+  try {
+    entries = await fs.readdir(path.join(cwd, directory), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const directories = entries
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        !entry.name.startsWith('.') &&
+        !IGNORED_DIRECTORIES.includes(entry.name),
+    )
+    .map((entry) => path.posix.join(directory, entry.name));
+
+  if (!recursive) {
+    return directories;
+  }
+
+  const nested = await Promise.all(
+    directories.map(async (child) => [child, ...(await listDirectories(cwd, child, true))]),
+  );
+  return nested.flat();
+}
+
+/**
+ * Expand a workspace pattern such as packages/* or apps/** to the directories it matches
+ * @param {string} cwd - Workspace root
+ * @param {string} pattern - Pattern relative to the root, * and ? match within a segment
+ * @returns {Promise<string[]>} Directories relative to the root
+ */
+async function expandPattern(cwd, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+  // Each segment is matched in the directories the previous one matched
+  const directories = await segments.reduce(
+    async (previous, segment) => {
+      const matched = await Promise.all(
+        (await previous).map(async (directory) => {
+          if (segment === '**') {
+            return [directory, ...(await listDirectories(cwd, directory, true))];
+          }
+          if (/[*?]/.test(segment)) {
+            const source = segment
+              .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+              .replace(/\*/g, '[^/]*')
+              .replace(/\?/g, '[^/]');
+            const regex = new RegExp(`^${source}$`);
+            const children = await listDirectories(cwd, directory, false);
+            return children.filter((child) => regex.test(path.posix.basename(child)));
+          }
+          return [path.posix.join(directory, segment)];
+        }),
+      );
+
+      return matched.flat();
+    },
+    Promise.resolve(['']),
+  );
+
+  return directories.filter((directory) => directory !== '' && directory !== '.');
+}
+
+/**
+ * Find the packages matched by workspace patterns, "!" patterns exclude directories
+ * @param {string} cwd - Workspace root
+ * @param {string[]} patterns - Package patterns
+ * @returns {Promise<WorkspacePackage[]>} Packages sorted by directory
+ */
+async function findPackages(cwd, patterns) {
+  const included = new Set();
+  const excluded = new Set();
+
+  const expanded = await Promise.all(
+    patterns.map(async (pattern) => {
+      const negated = pattern.startsWith('!');
+      const directories = await expandPattern(cwd, negated ? pattern.slice(1) : pattern);
+      return { negated, directories };
+    }),
+  );
+
+  expanded.forEach(({ negated, directories }) => {
+    directories.forEach((directory) => {
+      (negated ? excluded : included).add(directory);
+    });
+  });
+
+  const packages = await Promise.all(
+    [...included]
+      .filter((item) => !excluded.has(item))
+      .sort()
+      .map(async (directory) => {
+        if (!(await isDirectory(path.join(cwd, directory)))) {
+          return null;
+        }
+
+        try {
+          const packageJson = JSON.parse(
+            await fs.readFile(path.join(cwd, directory, 'package.json'), 'utf8'),
+          );
+          return { name: packageJson.name || path.posix.basename(directory), directory };
+        } catch (error) {
+          // Not a package, e.g. a shared directory matched by packages/*
+          return null;
+        }
+      }),
+  );
+
+  return packages.filter(Boolean);
+}
+
+/**
+ * Detect the workspaces of a project root
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Promise<Object|null>} { source, patterns, packages }, null when the project is not a workspace root
+ */
+export async function detectWorkspaces(options = {}) {
+  const { cwd = process.cwd() } = options;
+  let source = PNPM_WORKSPACE_FILE;
+  let patterns = null;
+
+  try {
+    patterns = parsePnpmWorkspace(await fs.readFile(path.join(cwd, PNPM_WORKSPACE_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (!patterns) {
+    source = 'package.json';
+    try {
+      patterns = getPackageJsonPatterns(
+        JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8')),
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!patterns) {
+    return null;
+  }
+
+  return { source, patterns, packages: await findPackages(cwd, patterns) };
+}
+
+/**
+ * Find a package of the workspace by its name or directory
+ * @param {Object} workspaces - Workspaces from detectWorkspaces
+ * @param {string} name - Package name, or directory relative to the root
+ * @returns {WorkspacePackage} The package
+ */
+export function findWorkspacePackage(workspaces, name) {
+  const directory = path.posix.normalize(name.replace(/\\/g, '/')).replace(/\/+$/, '');
+  const found = workspaces.packages.find(
+    (item) => item.name === name || item.directory === directory,
+  );
+
+  if (!found) {
+    const available = workspaces.packages.map((item) => item.name).join(', ') || 'none';
+    throw new Error(`Workspace package ${name} not found (available: ${available})`);
+  }
+
+  return found;
+}
+
+/**
+ * Test runner of the workspace root: Jest when a package uses it, the root config then runs
+ * every Jest package as a project, otherwise the runner of the first package
+ * @param {Object[]} packages - Packages as { testRunner }
+ * @returns {string} Test runner
+ */
+export function getWorkspaceTestRunner(packages) {
+  const runners = packages.map(({ testRunner }) => testRunner);
+  return runners.includes('jest') ? 'jest' : runners[0] || 'jest';
+}
+
+/**
+ * Projects of the root Jest config when the packages use different test runners: the directories
+ * of the Jest packages, the other packages run their own runner through the root test scripts
+ * @param {Object[]} packages - Packages as { directory, testRunner }
+ * @returns {string[]|null} Directories relative to the root, null when every package uses Jest and
+ * the root config runs the package patterns
+ */
+export function getWorkspaceJestProjects(packages) {
+  const jestPackages = packages.filter(({ testRunner }) => testRunner === 'jest');
+  return jestPackages.length === packages.length
+    ? null
+    : jestPackages.map(({ directory }) => directory);
+}
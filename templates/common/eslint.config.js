@@ -0,0 +1,131 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { includeIgnoreFile } from '@eslint/compat';
+import { FlatCompat } from '@eslint/eslintrc';
+import js from '@eslint/js';
+{{#if tools.jest}}
+import jest from 'eslint-plugin-jest';
+{{/if}}
+{{#if tools.prettier}}
+import prettierRecommended from 'eslint-plugin-prettier/recommended';
+{{/if}}
+import promise from 'eslint-plugin-promise';
+import globals from 'globals';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Airbnb only ships eslintrc configs, FlatCompat translates them to flat config
+const compat = new FlatCompat({
+  baseDirectory: __dirname,
+  recommendedConfig: js.configs.recommended,
+});
+
+export default [
+  includeIgnoreFile(path.join(__dirname, '.gitignore')),
+  ...compat.extends('airbnb-base'),
+{{#if tools.jest}}
+  jest.configs['flat/recommended'],
+{{/if}}
+  promise.configs['flat/recommended'],
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: {{#if moduleSystem == 'commonjs'}}'commonjs'{{else}}'module'{{/if}},
+      globals: {
+        ...globals.node,
+        ...globals.es2021,
+{{#if tools.jest}}
+        ...globals.jest,
+{{/if}}
+      },
+    },
+    settings: {
+      'import/resolver': {
+        node: {
+          extensions: ['.js', '.json'],
+        },
+      },
+      'import/extensions': ['.js'],
+      'import/core-modules': [],
+    },
+    rules: {
+      'no-console': ['warn', { allow: ['warn', 'error', 'info'] }],
+      'no-underscore-dangle': 'off',
+      'no-param-reassign': [
+        'error',
+        {
+          props: true,
+          ignorePropertyModificationsFor: ['req', 'res', 'ctx', 'acc'],
+        },
+      ],
+
+      'import/extensions': [
+        'error',
+        'ignorePackages',
+        {
+          js: 'always',
+        },
+      ],
+      'import/prefer-default-export': 'off',
+      'import/order': [
+        'error',
+        {
+          groups: ['builtin', 'external', 'internal', 'parent', 'sibling', 'index'],
+          'newlines-between': 'always',
+          alphabetize: { order: 'asc', caseInsensitive: true },
+        },
+      ],
+
+      'consistent-return': 'off',
+      'no-unused-vars': [
+        'error',
+        {
+          argsIgnorePattern: '^_',
+          varsIgnorePattern: '^_',
+        },
+      ],
+
+      'promise/always-return': 'error',
+      'promise/no-return-wrap': 'error',
+      'promise/param-names': 'error',
+      'promise/catch-or-return': 'error',
+      'promise/no-promise-in-callback': 'warn',
+      'promise/no-callback-in-promise': 'warn',
+      'promise/no-nesting': 'warn',
+    },
+  },
+  {
+    files: ['**/*.test.js', '**/*.spec.js'],
+    rules: {
+      'import/no-extraneous-dependencies': ['error', { devDependencies: true }],
+    },
+  },
+  {
+    files: ['scripts/**/*.js'],
+    rules: {
+      'import/no-extraneous-dependencies': ['error', { devDependencies: true }],
+      'no-console': 'off',
+    },
+  },
+{{#if moduleSystem == 'commonjs'}}
+  {
+    // The generated config files are ES modules
+    files: ['**/*.config.js'],
+    languageOptions: {
+      sourceType: 'module',
+    },
+  },
+{{/if}}
+  {
+    files: ['**/config/**/*.js', '**/*.config.js'],
+    rules: {
+      'import/no-extraneous-dependencies': ['error', { devDependencies: true }],
+    },
+  },
+  {{> strictness-eslint.config.js}}
+{{#if tools.prettier}}
+  // Keep last so it can turn off the rules that conflict with Prettier
+  prettierRecommended,
+{{/if}}
+];
@@ -0,0 +1 @@
+{{> react-eslint.config.js}}
@@ -3,12 +3,6 @@
  */
 const nextConfig = {
   reactStrictMode: true,
-  swcMinify: true,
-  
-  // Example of image domains configuration
-  images: {
-    domains: ['example.com'],
-  },
   
   // Enable experimental features
   experimental: {
@@ -0,0 +1,82 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { includeIgnoreFile } from '@eslint/compat';
+import { FlatCompat } from '@eslint/eslintrc';
+import js from '@eslint/js';
+{{#if tools.jest && testRunner == 'jest' && workspace != 'root'}}
+import jest from 'eslint-plugin-jest';
+{{/if}}
+import n from 'eslint-plugin-n';
+{{#if tools.prettier}}
+import prettierRecommended from 'eslint-plugin-prettier/recommended';
+{{/if}}
+import promise from 'eslint-plugin-promise';
+import globals from 'globals';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Airbnb only ships eslintrc configs, FlatCompat translates them to flat config
+const compat = new FlatCompat({
+  baseDirectory: __dirname,
+  recommendedConfig: js.configs.recommended,
+});
+
+export default [
+  includeIgnoreFile(path.join(__dirname, '.gitignore')),
+  ...compat.extends('airbnb-base'),
+{{#if tools.jest && testRunner == 'jest' && workspace != 'root'}}
+  jest.configs['flat/recommended'],
+{{/if}}
+  promise.configs['flat/recommended'],
+  {
+    plugins: {
+      n,
+    },
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: {{#if moduleSystem == 'commonjs'}}'commonjs'{{else}}'module'{{/if}},
+      globals: {
+        ...globals.node,
+      },
+    },
+    rules: {
+      'no-process-exit': 'warn',
+      'n/no-deprecated-api': 'error',
+      'n/exports-style': ['error', 'module.exports'],
+      'n/file-extension-in-import': ['error', 'always'],
+      'n/prefer-global/buffer': ['error', 'always'],
+      'n/prefer-global/console': ['error', 'always'],
+      'n/prefer-global/process': ['error', 'always'],
+
+      'import/no-extraneous-dependencies': [
+        'error',
+        {
+          devDependencies: ['**/*.test.js', '**/*.spec.js', '**/*.config.js', '**/scripts/**'],
+        },
+      ],
+    },
+  },
+{{#if moduleSystem == 'commonjs'}}
+  {
+    // The generated config files are ES modules
+    files: ['**/*.config.js'],
+    languageOptions: {
+      sourceType: 'module',
+    },
+  },
+{{/if}}
+  {
+    files: ['**/scripts/**/*.js', '**/*.config.js'],
+    rules: {
+      'import/no-extraneous-dependencies': 'off',
+      'no-console': 'off',
+      'no-underscore-dangle': 'off',
+    },
+  },
+  {{> strictness-eslint.config.js}}
+{{#if tools.prettier}}
+  // Keep last so it can turn off the rules that conflict with Prettier
+  prettierRecommended,
+{{/if}}
+];
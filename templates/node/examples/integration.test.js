@@ -0,0 +1,31 @@
+/**
+ * Sample integration test with the built-in node:test runner, replace it with your own
+ */
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+describe('file system', () => {
+  let directory = '';
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), '{{projectName}}-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('reads back what was written', async () => {
+    // Arrange
+    const file = join(directory, 'data.json');
+
+    // Act
+    await writeFile(file, JSON.stringify({ ok: true }));
+
+    // Assert
+    assert.deepEqual(JSON.parse(await readFile(file, 'utf8')), { ok: true });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Sample unit test with the built-in node:test runner, replace it with your own
+ */
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+/**
+ * Call a function once per item, in order, stopping at the first failure
+ * @param {Array} items - Items to process
+ * @param {Function} handler - Async function called with each item
+ * @returns {Promise<number>} Number of items processed
+ */
+{{#if typescript}}
+const processAll = async (items: string[], handler: (item: string) => Promise<void>): Promise<number> => {
+{{else}}
+const processAll = async (items, handler) => {
+{{/if}}
+  await items.reduce((previous, item) => previous.then(() => handler(item)), Promise.resolve());
+  return items.length;
+};
+
+describe('processAll', () => {
+  it('calls the handler with every item', async () => {
+    // Arrange
+    const handler = mock.fn(async () => {});
+
+    // Act
+    const count = await processAll(['a', 'b'], handler);
+
+    // Assert
+    assert.equal(count, 2);
+    assert.deepEqual(handler.mock.calls.map((call) => call.arguments), [['a'], ['b']]);
+  });
+
+  it('rejects with the error of the handler', async () => {
+    // Arrange
+    const handler = mock.fn(async () => {
+      throw new Error('failed');
+    });
+
+    // Act & Assert
+    await assert.rejects(processAll(['a'], handler), { message: 'failed' });
+  });
+});
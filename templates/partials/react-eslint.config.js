@@ -0,0 +1,274 @@
+{{! Flat config shared by the React and Next.js templates, with and without TypeScript }}
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { includeIgnoreFile } from '@eslint/compat';
+import { FlatCompat } from '@eslint/eslintrc';
+import js from '@eslint/js';
+{{#if tools.jest}}
+{{#if testRunner == 'vitest'}}
+import vitest from '@vitest/eslint-plugin';
+{{else}}
+import jest from 'eslint-plugin-jest';
+{{/if}}
+{{/if}}
+import jsxA11y from 'eslint-plugin-jsx-a11y';
+{{#if tools.prettier}}
+import prettierRecommended from 'eslint-plugin-prettier/recommended';
+{{/if}}
+import react from 'eslint-plugin-react';
+import reactHooks from 'eslint-plugin-react-hooks';
+{{#if tools.jest}}
+import testingLibrary from 'eslint-plugin-testing-library';
+{{/if}}
+{{#if projectType == 'react'}}
+import globals from 'globals';
+{{/if}}
+{{#if typescript}}
+import tseslint from 'typescript-eslint';
+{{/if}}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+{{#if projectType == 'next'}}
+// Next.js and Airbnb only ship eslintrc configs, FlatCompat translates them to flat config
+{{else}}
+// Airbnb only ships eslintrc configs, FlatCompat translates them to flat config
+{{/if}}
+const compat = new FlatCompat({
+  baseDirectory: __dirname,
+  recommendedConfig: js.configs.recommended,
+});
+
+{{#if typescript}}
+const testFiles = ['**/*.test.[jt]s?(x)', '**/*.spec.[jt]s?(x)'];
+
+export default tseslint.config(
+{{else}}
+const testFiles = ['**/*.test.js', '**/*.test.jsx', '**/*.spec.js', '**/*.spec.jsx'];
+
+export default [
+{{/if}}
+  includeIgnoreFile(path.join(__dirname, '.gitignore')),
+{{#if projectType == 'next'}}
+  // These register the react, react-hooks and jsx-a11y plugins,
+  // only the recommended rules of those plugins are added below
+  ...compat.extends('next/core-web-vitals', 'airbnb', 'airbnb/hooks'),
+{{else}}
+  // Airbnb registers the react, react-hooks and jsx-a11y plugins,
+  // only the recommended rules of those plugins are added below
+  ...compat.extends('airbnb', 'airbnb/hooks'),
+{{/if}}
+{{#if typescript}}
+  // Type-aware rules, the project service finds the tsconfig.json of each file
+  ...tseslint.configs.recommendedTypeChecked,
+{{/if}}
+  {
+{{#if projectType == 'react'}}
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      parserOptions: {
+{{#if typescript}}
+        projectService: true,
+        tsconfigRootDir: __dirname,
+{{/if}}
+        ecmaFeatures: {
+          jsx: true,
+        },
+      },
+      globals: {
+        ...globals.browser,
+      },
+    },
+{{else}}
+{{#if typescript}}
+    languageOptions: {
+      parserOptions: {
+        projectService: true,
+        tsconfigRootDir: __dirname,
+      },
+    },
+{{/if}}
+{{/if}}
+    settings: {
+      react: {
+        version: 'detect',
+      },
+      'import/resolver': {
+{{#if typescript}}
+        typescript: true,
+        node: true,
+{{else}}
+        node: {
+{{#if projectType == 'next'}}
+          extensions: ['.js', '.jsx', '.ts', '.tsx'],
+{{else}}
+          extensions: ['.js', '.jsx', '.json'],
+{{/if}}
+        },
+{{/if}}
+      },
+    },
+    rules: {
+      ...react.configs.recommended.rules,
+      ...reactHooks.configs.recommended.rules,
+      ...jsxA11y.configs.recommended.rules,
+
+{{#if typescript}}
+      // Component props are checked by TypeScript
+      'react/prop-types': 'off',
+{{/if}}
+{{#if projectType == 'next'}}
+      'react/react-in-jsx-scope': 'off',
+{{#if typescript}}
+      'react/jsx-filename-extension': ['error', { extensions: ['.jsx', '.tsx'] }],
+{{else}}
+      'react/jsx-filename-extension': ['error', { extensions: ['.jsx', '.js', '.tsx', '.ts'] }],
+{{/if}}
+      'react/jsx-props-no-spreading': 'off',
+      'react/require-default-props': 'off',
+      'jsx-a11y/anchor-is-valid': 'off',
+      'import/extensions': 'off',
+{{#unless typescript}}
+      'import/no-unresolved': 'off',
+{{/unless}}
+
+      'react/function-component-definition': [
+        'error',
+        {
+          namedComponents: 'arrow-function',
+          unnamedComponents: 'arrow-function',
+        },
+      ],
+
+      'react-hooks/rules-of-hooks': 'error',
+      'react-hooks/exhaustive-deps': 'warn',
+{{else}}
+{{#if typescript}}
+      'react/jsx-filename-extension': ['error', { extensions: ['.jsx', '.tsx'] }],
+{{else}}
+      'react/prop-types': 'error',
+      'react/jsx-filename-extension': ['error', { extensions: ['.jsx', '.js'] }],
+{{/if}}
+      'react/jsx-props-no-spreading': 'off',
+      'react/react-in-jsx-scope': 'off',
+      'react/function-component-definition': [
+        'error',
+        {
+          namedComponents: 'arrow-function',
+          unnamedComponents: 'arrow-function',
+        },
+      ],
+      'react/require-default-props': 'off',
+
+      'react-hooks/rules-of-hooks': 'error',
+      'react-hooks/exhaustive-deps': 'warn',
+
+      'jsx-a11y/anchor-is-valid': [
+        'error',
+        {
+          components: ['Link'],
+          specialLink: ['to'],
+          aspects: ['invalidHref', 'preferButton'],
+        },
+      ],
+
+      'import/extensions': [
+        'error',
+        'ignorePackages',
+        {
+          js: 'never',
+          jsx: 'never',
+{{#if typescript}}
+          ts: 'never',
+          tsx: 'never',
+{{/if}}
+        },
+      ],
+{{/if}}
+{{#if typescript}}
+
+      // The TypeScript versions replace these core rules
+      'no-unused-vars': 'off',
+      '@typescript-eslint/no-unused-vars': [
+        'error',
+        { argsIgnorePattern: '^_', varsIgnorePattern: '^_' },
+      ],
+      'no-shadow': 'off',
+      '@typescript-eslint/no-shadow': 'error',
+      'no-use-before-define': 'off',
+      '@typescript-eslint/no-use-before-define': 'error',
+{{/if}}
+    },
+  },
+{{#if typescript}}
+  {
+    // Plain JavaScript config files are not part of tsconfig.json
+    files: ['**/*.js', '**/*.cjs', '**/*.mjs'],
+    ...tseslint.configs.disableTypeChecked,
+  },
+{{/if}}
+{{#if tools.jest}}
+{{#if testRunner == 'vitest'}}
+  {
+    files: testFiles,
+    plugins: {
+      vitest,
+    },
+    rules: {
+      ...vitest.configs.recommended.rules,
+    },
+    languageOptions: {
+      globals: {
+        ...vitest.environments.env.globals,
+      },
+    },
+  },
+{{else}}
+  {
+    files: testFiles,
+    ...jest.configs['flat/recommended'],
+  },
+{{/if}}
+  {
+    files: testFiles,
+    ...testingLibrary.configs['flat/react'],
+  },
+{{/if}}
+  {
+    files: testFiles,
+    rules: {
+      'import/no-extraneous-dependencies': 'off',
+{{#unless typescript}}
+      'react/prop-types': 'off',
+{{/unless}}
+    },
+  },
+  {
+{{#if testRunner == 'vitest'}}
+    files: ['**/*.config.js', 'vitest.setup.js'],
+{{else}}
+    files: ['**/*.config.js', 'jest.setup.js'],
+{{/if}}
+    rules: {
+      'import/no-extraneous-dependencies': ['error', { devDependencies: true }],
+      'no-underscore-dangle': 'off',
+{{#if testRunner == 'vitest'}}
+      // vitest.config.js imports the Vite config by its file name, whatever its extension
+      'import/extensions': 'off',
+      // The node resolver does not read package exports, which declare vitest/config
+      'import/no-unresolved': ['error', { ignore: ['^vitest/config$'] }],
+{{/if}}
+    },
+  },
+  {{> strictness-eslint.config.js}}
+{{#if tools.prettier}}
+  // Keep last so it can turn off the rules that conflict with Prettier
+  prettierRecommended,
+{{/if}}
+{{#if typescript}}
+);
+{{else}}
+];
+{{/if}}
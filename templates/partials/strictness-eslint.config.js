@@ -0,0 +1,27 @@
+{{! Rules of the strictness level, included before the Prettier config }}
+{{#if strictness == 'strict'}}
+// Strict level: no leftovers and a limit on complexity, scripts and config files may log
+{
+  ignores: ['**/scripts/**', '**/*.config.js'],
+  rules: {
+    'no-console': 'error',
+    'no-warning-comments': ['warn', { terms: ['todo', 'fixme'] }],
+    eqeqeq: ['error', 'always'],
+    complexity: ['error', 10],
+    'max-depth': ['error', 4],
+    'max-params': ['error', 4],
+  },
+},
+{{/if}}
+{{#if strictness == 'relaxed'}}
+// Relaxed level: style rules are warnings while the project adopts them
+{
+  rules: {
+    'no-console': 'off',
+    'no-param-reassign': 'warn',
+    'no-plusplus': 'off',
+    'import/order': 'warn',
+    'import/prefer-default-export': 'off',
+  },
+},
+{{/if}}
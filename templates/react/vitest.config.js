@@ -0,0 +1,92 @@
+/**
+ * Vitest configuration for React projects
+{{#if viteConfig}}
+ * Extends the Vite config, so tests run with the same plugins and aliases as the app
+{{/if}}
+ */
+{{#unless viteConfig}}
+import { fileURLToPath } from 'node:url';
+
+{{/unless}}
+import { defineConfig, mergeConfig } from 'vitest/config';
+
+{{#if viteConfig}}
+import viteConfig from './{{viteConfig}}';
+{{else}}
+// Without a Vite config, esbuild compiles JSX and the @ alias points to src
+const viteConfig = {
+  esbuild: {
+    jsx: 'automatic',
+  },
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+};
+{{/if}}
+
+const testConfig = defineConfig({
+  test: {
+    // React specific test environment
+    environment: 'jsdom',
+
+    // describe, test, expect and vi without imports, like Jest
+    globals: true,
+
+    // Test files pattern
+{{#if typescript}}
+    include: ['**/__tests__/**/*.[jt]s?(x)', '**/?(*.)+(spec|test).[jt]s?(x)'],
+{{else}}
+    include: ['**/__tests__/**/*.{js,jsx}', '**/*.{spec,test}.{js,jsx}'],
+{{/if}}
+
+    // Setup files
+    setupFiles: ['./vitest.setup.js'],
+
+    // CSS imports resolve to empty modules, CSS modules to their class names
+    css: {
+      modules: {
+        classNameStrategy: 'non-scoped',
+      },
+    },
+
+    // Test coverage config
+    coverage: {
+      provider: 'v8',
+      reportsDirectory: '.coverage',
+{{#if typescript}}
+      include: ['src/**/*.{js,jsx,ts,tsx}'],
+      exclude: [
+        'src/**/*.d.ts',
+        'src/**/*.stories.{js,jsx,ts,tsx}',
+        'src/main.{js,jsx,ts,tsx}',
+        'src/index.{js,jsx,ts,tsx}',
+        'src/reportWebVitals.{js,ts}',
+        'src/setupTests.{js,ts}',
+      ],
+{{else}}
+      include: ['src/**/*.{js,jsx}'],
+      exclude: [
+        'src/**/*.stories.{js,jsx}',
+        'src/main.{js,jsx}',
+        'src/index.{js,jsx}',
+        'src/reportWebVitals.js',
+        'src/setupTests.js',
+      ],
+{{/if}}
+    },
+  },
+});
+
+{{#if viteConfig}}
+// vite.config may export a function of the command and mode, called with the ones Vitest passes
+export default defineConfig(async (configEnv) =>
+  mergeConfig(
+    typeof viteConfig === 'function' ? await viteConfig(configEnv) : viteConfig,
+    testConfig,
+  ),
+);
+{{else}}
+export default mergeConfig(viteConfig, testConfig);
+{{/if}}
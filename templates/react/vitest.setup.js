@@ -0,0 +1,36 @@
+// Vitest setup file for React tests
+import '@testing-library/jest-dom/vitest';
+import { vi } from 'vitest';
+
+// Mock browser APIs not available in jsdom
+vi.stubGlobal(
+  'matchMedia',
+  window.matchMedia ||
+    (() => ({
+      matches: false,
+      addListener: () => {},
+      removeListener: () => {},
+    })),
+);
+
+// Mock IntersectionObserver, a function so it can be called with new
+vi.stubGlobal(
+  'IntersectionObserver',
+  vi.fn(function IntersectionObserver() {
+    this.observe = vi.fn();
+    this.unobserve = vi.fn();
+    this.disconnect = vi.fn();
+  }),
+);
+
+// Mock localStorage
+vi.stubGlobal('localStorage', {
+  getItem: vi.fn(),
+  setItem: vi.fn(),
+  removeItem: vi.fn(),
+  clear: vi.fn(),
+});
+
+// Suppress console errors during tests
+vi.spyOn(console, 'error').mockImplementation(() => {});
+vi.spyOn(console, 'warn').mockImplementation(() => {});
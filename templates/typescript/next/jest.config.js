@@ -0,0 +1,38 @@
+import nextJest from 'next/jest.js';
+
+/**
+ * Jest configuration for Next.js projects written in TypeScript
+ * next/jest compiles TypeScript with the Next.js SWC transform and loads next.config.js
+ */
+const createJestConfig = nextJest({
+  dir: './',
+});
+
+const config = {
+  // Next.js specific test environment
+  testEnvironment: 'jsdom',
+
+  // Test directories and patterns
+  testMatch: ['**/__tests__/**/*.[jt]s?(x)', '**/?(*.)+(spec|test).[jt]s?(x)'],
+
+  // Next.js specific directories to ignore
+  testPathIgnorePatterns: ['<rootDir>/.next/', '<rootDir>/node_modules/'],
+
+  // Handle module path aliases (configured in tsconfig.json)
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1',
+  },
+
+  // Setup files for Jest
+  setupFilesAfterEnv: ['./jest.setup.js'],
+
+  // Code coverage
+  collectCoverageFrom: [
+    'src/**/*.{js,jsx,ts,tsx}',
+    '!src/**/*.d.ts',
+    '!src/**/_*.{js,jsx,ts,tsx}',
+    '!src/**/*.stories.{js,jsx,ts,tsx}',
+  ],
+};
+
+export default createJestConfig(config);
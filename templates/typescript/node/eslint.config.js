@@ -0,0 +1,107 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { includeIgnoreFile } from '@eslint/compat';
+import { FlatCompat } from '@eslint/eslintrc';
+import js from '@eslint/js';
+{{#if tools.jest && testRunner == 'jest' && workspace != 'root'}}
+import jest from 'eslint-plugin-jest';
+{{/if}}
+import n from 'eslint-plugin-n';
+{{#if tools.prettier}}
+import prettierRecommended from 'eslint-plugin-prettier/recommended';
+{{/if}}
+import promise from 'eslint-plugin-promise';
+import globals from 'globals';
+import tseslint from 'typescript-eslint';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Airbnb only ships eslintrc configs, FlatCompat translates them to flat config
+const compat = new FlatCompat({
+  baseDirectory: __dirname,
+  recommendedConfig: js.configs.recommended,
+});
+
+export default tseslint.config(
+  includeIgnoreFile(path.join(__dirname, '.gitignore')),
+  ...compat.extends('airbnb-base'),
+  // Type-aware rules, the project service finds the tsconfig.json of each file
+  ...tseslint.configs.recommendedTypeChecked,
+{{#if tools.jest && testRunner == 'jest' && workspace != 'root'}}
+  jest.configs['flat/recommended'],
+{{/if}}
+  promise.configs['flat/recommended'],
+  {
+    plugins: {
+      n,
+    },
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: {
+        ...globals.node,
+      },
+      parserOptions: {
+        projectService: true,
+        tsconfigRootDir: __dirname,
+      },
+    },
+    settings: {
+      'import/resolver': {
+        typescript: true,
+        node: true,
+      },
+    },
+    rules: {
+      'no-process-exit': 'warn',
+      'n/no-deprecated-api': 'error',
+      'n/prefer-global/buffer': ['error', 'always'],
+      'n/prefer-global/console': ['error', 'always'],
+      'n/prefer-global/process': ['error', 'always'],
+
+      // Sources import "./file.js" for "./file.ts", as Node.js ESM requires
+      'import/extensions': ['error', 'ignorePackages', { js: 'always', ts: 'never' }],
+      'import/no-extraneous-dependencies': [
+        'error',
+        {
+          devDependencies: [
+            '**/*.test.[jt]s',
+            '**/*.spec.[jt]s',
+            '**/*.config.js',
+            '**/scripts/**',
+          ],
+        },
+      ],
+
+      // The TypeScript versions replace these core rules
+      'no-unused-vars': 'off',
+      '@typescript-eslint/no-unused-vars': [
+        'error',
+        { argsIgnorePattern: '^_', varsIgnorePattern: '^_' },
+      ],
+      'no-shadow': 'off',
+      '@typescript-eslint/no-shadow': 'error',
+      'no-use-before-define': 'off',
+      '@typescript-eslint/no-use-before-define': 'error',
+    },
+  },
+  {
+    // Plain JavaScript config files are not part of tsconfig.json
+    files: ['**/*.js', '**/*.cjs', '**/*.mjs'],
+    ...tseslint.configs.disableTypeChecked,
+  },
+  {
+    files: ['**/scripts/**/*.js', '**/*.config.js'],
+    rules: {
+      'import/no-extraneous-dependencies': 'off',
+      'no-console': 'off',
+      'no-underscore-dangle': 'off',
+    },
+  },
+  {{> strictness-eslint.config.js}}
+{{#if tools.prettier}}
+  // Keep last so it can turn off the rules that conflict with Prettier
+  prettierRecommended,
+{{/if}}
+);
@@ -0,0 +1,34 @@
+export default {
+  // Configuration for Node.js 20+, ESModules and TypeScript through ts-jest
+  testEnvironment: 'node',
+  extensionsToTreatAsEsm: ['.ts'],
+  transform: {
+    '^.+\\.ts$': ['ts-jest', { useESM: true }],
+  },
+
+  // Test file patterns
+  testMatch: ['**/tests/**/?(*.)+(spec|test).[jt]s', '**/__tests__/**/?(*.)+(spec|test).[jt]s'],
+
+  // Import transformation, sources import "./file.js" for "./file.ts"
+  moduleNameMapper: {
+    '^(\\.{1,2}/.*)\\.js$': '$1',
+  },
+
+  // Code coverage
+  collectCoverage: false,
+  coverageDirectory: '.coverage',
+  coverageReporters: ['lcov', 'html', 'text'],
+  collectCoverageFrom: [
+    'src/**/*.{js,ts}',
+    '!**/*.d.ts',
+    '!**/*.bench.{js,ts}',
+    '!**/temp/**',
+    '!**/.husky/**',
+    '!**/node_modules/**',
+    '!**/.vscode/**',
+    '!**/.VSCodeCounter/**',
+  ],
+
+  // Paths to ignore
+  testPathIgnorePatterns: ['/node_modules/', '/dist/', '/tools/temp/', '\\.bench\\.[jt]s$'],
+};
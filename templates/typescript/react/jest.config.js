@@ -0,0 +1,47 @@
+/**
+ * Jest configuration for React projects written in TypeScript
+ */
+export default {
+  // React specific test environment
+  testEnvironment: 'jsdom',
+
+  // Test files pattern
+  testMatch: ['**/__tests__/**/*.[jt]s?(x)', '**/?(*.)+(spec|test).[jt]s?(x)'],
+
+  // React specific transformations
+  moduleNameMapper: {
+    // Handle CSS imports (with CSS modules)
+    '\\.module\\.(css|sass|scss)$': 'identity-obj-proxy',
+
+    // Handle CSS imports (without CSS modules)
+    '\\.(css|sass|scss)$': '<rootDir>/__mocks__/styleMock.js',
+
+    // Handle image imports
+    '\\.(jpg|jpeg|png|gif|webp|svg)$': '<rootDir>/__mocks__/fileMock.js',
+
+    // Handle module path aliases (configured in tsconfig.json)
+    '^@/(.*)$': '<rootDir>/src/$1',
+  },
+
+  // Setup files
+  setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
+
+  // Test coverage config
+  collectCoverageFrom: [
+    'src/**/*.{js,jsx,ts,tsx}',
+    '!src/**/*.d.ts',
+    '!src/**/*.stories.{js,jsx,ts,tsx}',
+    '!src/main.{js,jsx,ts,tsx}',
+    '!src/index.{js,jsx,ts,tsx}',
+    '!src/reportWebVitals.{js,ts}',
+    '!src/setupTests.{js,ts}',
+  ],
+
+  // ts-jest compiles TypeScript and, through allowJs, the JavaScript setup and mocks
+  transform: {
+    '^.+\\.[jt]sx?$': ['ts-jest', { useESM: true }],
+  },
+
+  // Extensions to treat as ESM
+  extensionsToTreatAsEsm: ['.jsx', '.ts', '.tsx'],
+};
@@ -0,0 +1,168 @@
+{{! Flat config of a workspace package: the root config with the rules of the project type and test runner }}
+{{#if projectType == 'next'}}
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { FlatCompat } from '@eslint/eslintrc';
+import js from '@eslint/js';
+{{/if}}
+{{#if tools.jest && testRunner == 'vitest'}}
+import vitest from '@vitest/eslint-plugin';
+{{/if}}
+{{#if tools.jest && testRunner == 'jest'}}
+import jest from 'eslint-plugin-jest';
+{{/if}}
+{{#if projectType == 'react' || projectType == 'next'}}
+import jsxA11y from 'eslint-plugin-jsx-a11y';
+{{/if}}
+{{#if tools.prettier}}
+import prettierRecommended from 'eslint-plugin-prettier/recommended';
+{{/if}}
+{{#if projectType == 'react' || projectType == 'next'}}
+import react from 'eslint-plugin-react';
+import reactHooks from 'eslint-plugin-react-hooks';
+{{#if tools.jest}}
+import testingLibrary from 'eslint-plugin-testing-library';
+{{/if}}
+{{/if}}
+{{#if projectType == 'react'}}
+import globals from 'globals';
+{{/if}}
+
+import rootConfig from '{{workspaceRoot}}/eslint.config.js';
+
+{{#if projectType == 'next'}}
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Next.js only ships an eslintrc config, FlatCompat translates it to flat config
+const compat = new FlatCompat({
+  baseDirectory: __dirname,
+  recommendedConfig: js.configs.recommended,
+});
+
+{{/if}}
+{{#if typescript}}
+const testFiles = ['**/*.test.[jt]s?(x)', '**/*.spec.[jt]s?(x)'];
+{{else}}
+const testFiles = ['**/*.test.js', '**/*.test.jsx', '**/*.spec.js', '**/*.spec.jsx'];
+{{/if}}
+
+export default [
+  // The shared rules of the workspace root
+  ...rootConfig,
+{{#if projectType == 'react' || projectType == 'next'}}
+{{#if projectType == 'next'}}
+  // Registers the react, react-hooks, jsx-a11y and @next/next plugins
+  ...compat.extends('next/core-web-vitals'),
+{{/if}}
+  {
+{{#if projectType == 'react'}}
+    plugins: {
+      react,
+      'react-hooks': reactHooks,
+      'jsx-a11y': jsxA11y,
+    },
+    languageOptions: {
+      parserOptions: {
+        ecmaFeatures: {
+          jsx: true,
+        },
+      },
+      globals: {
+        ...globals.browser,
+      },
+    },
+{{/if}}
+    settings: {
+      react: {
+        version: 'detect',
+      },
+    },
+    rules: {
+      ...react.configs.recommended.rules,
+      ...reactHooks.configs.recommended.rules,
+      ...jsxA11y.configs.recommended.rules,
+
+{{#if typescript}}
+      // Component props are checked by TypeScript
+      'react/prop-types': 'off',
+      'react/jsx-filename-extension': ['error', { extensions: ['.jsx', '.tsx'] }],
+{{else}}
+      'react/jsx-filename-extension': ['error', { extensions: ['.jsx', '.js'] }],
+{{/if}}
+      'react/jsx-props-no-spreading': 'off',
+      'react/react-in-jsx-scope': 'off',
+      'react/require-default-props': 'off',
+      'react/function-component-definition': [
+        'error',
+        {
+          namedComponents: 'arrow-function',
+          unnamedComponents: 'arrow-function',
+        },
+      ],
+
+      'react-hooks/rules-of-hooks': 'error',
+      'react-hooks/exhaustive-deps': 'warn',
+
+      // The bundler resolves imports without extensions, unlike Node.js at the root
+      'n/file-extension-in-import': 'off',
+{{#if projectType == 'next'}}
+      'jsx-a11y/anchor-is-valid': 'off',
+      'import/extensions': 'off',
+{{else}}
+      'import/extensions': [
+        'error',
+        'ignorePackages',
+        {
+          js: 'never',
+          jsx: 'never',
+{{#if typescript}}
+          ts: 'never',
+          tsx: 'never',
+{{/if}}
+        },
+      ],
+{{/if}}
+    },
+  },
+{{#if tools.jest}}
+  {
+    files: testFiles,
+    ...testingLibrary.configs['flat/react'],
+  },
+{{/if}}
+{{/if}}
+{{#if tools.jest && testRunner == 'vitest'}}
+  {
+    files: testFiles,
+    plugins: {
+      vitest,
+    },
+    rules: {
+      ...vitest.configs.recommended.rules,
+    },
+    languageOptions: {
+      globals: {
+        ...vitest.environments.env.globals,
+      },
+    },
+  },
+{{/if}}
+{{#if tools.jest && testRunner == 'jest'}}
+  {
+    files: testFiles,
+    ...jest.configs['flat/recommended'],
+  },
+{{/if}}
+  {
+    // The tooling is installed at the workspace root, not in the dependencies of the package
+    files: [...testFiles, 'jest.setup.js', 'vitest.setup.js'],
+    rules: {
+      'import/no-extraneous-dependencies': 'off',
+    },
+  },
+{{#if tools.prettier}}
+  // Keep last so it can turn off the rules the package config turned on again
+  prettierRecommended,
+{{/if}}
+];
@@ -0,0 +1,16 @@
+/**
+ * Jest configuration of the workspace root
+ * Every package using Jest is a project, one run covers all of them
+ */
+export default {
+  projects: [
+{{#each jestProjects}}
+    '<rootDir>/{{this}}/jest.config.js',
+{{/each}}
+  ],
+
+  // Code coverage of every project, in a single report
+  collectCoverage: false,
+  coverageDirectory: '.coverage',
+  coverageReporters: ['lcov', 'html', 'text'],
+};
@@ -16,6 +16,7 @@ import os from 'os';
 import { promises as fs } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { processTemplate } from '../../src/templates-loader.js';
 
 // Get directory paths for copying templates
 const __filename = fileURLToPath(import.meta.url);
@@ -95,7 +96,11 @@ const applyQualityTools = async (tempDir, projectType, force = false) => {
         specificTemplateDir, 
         'eslintrc.json'
       );
-      const eslintContent = await fs.readFile(eslintTemplate, 'utf8');
+      const eslintContent = processTemplate(
+        await fs.readFile(eslintTemplate, 'utf8'),
+        { testRunner: 'jest', workspace: null, moduleSystem: 'esm', strictness: 'recommended', tools: { jest: true, prettier: true } },
+        { partials: { 'strictness-eslintrc.json': await fs.readFile(path.join(TEMPLATES_DIR, 'partials', 'strictness-eslintrc.json'), 'utf8') } }
+      );
       await fs.writeFile(path.join(tempDir, '.eslintrc.json'), eslintContent);
     }
     
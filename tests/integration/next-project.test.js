@@ -16,6 +16,7 @@ import os from 'os';
 import { promises as fs } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { loadTemplates, processTemplate, getPartials } from '../../src/templates-loader.js';
 
 // Get directory paths for copying templates
 const __filename = fileURLToPath(import.meta.url);
@@ -63,12 +64,13 @@ const copyTemplates = async (tempDir, projectType = 'next') => {
   const specificTemplateDir = path.join(TEMPLATES_DIR, projectType);
   
   try {
-    // Copy ESLint config specific to Next.js
-    const eslintTemplate = path.join(
-      specificTemplateDir, 
-      'eslintrc.json'
+    // Render ESLint config specific to Next.js, it includes a shared partial
+    const templates = await loadTemplates(projectType);
+    const eslintContent = processTemplate(
+      templates['eslintrc.json'],
+      { projectType, testRunner: 'jest', strictness: 'recommended', tools: { jest: true, prettier: true } },
+      { partials: getPartials(templates) }
     );
-    const eslintContent = await fs.readFile(eslintTemplate, 'utf8');
     await fs.writeFile(path.join(tempDir, '.eslintrc.json'), eslintContent);
     
     // Copy Prettier config
@@ -16,12 +16,16 @@ import os from 'os';
 import { promises as fs } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createRequire } from 'module';
+import { ESLint } from 'eslint';
+import { loadTemplates, processTemplate, getPartials } from '../../src/templates-loader.js';
 
 // Get directory paths for copying templates
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '../..');
 const TEMPLATES_DIR = path.join(PROJECT_ROOT, 'templates');
+const require = createRequire(import.meta.url);
 
 // Helper functions for testing
 const createTempDir = async () => {
@@ -64,12 +68,13 @@ const copyTemplates = async (tempDir, projectType = 'react') => {
   const specificTemplateDir = path.join(TEMPLATES_DIR, projectType);
   
   try {
-    // Copy ESLint config specific to React
-    const eslintTemplate = path.join(
-      specificTemplateDir, 
-      'eslintrc.json'
+    // Render ESLint config specific to React, it includes a shared partial
+    const templates = await loadTemplates(projectType);
+    const eslintContent = processTemplate(
+      templates['eslintrc.json'],
+      { projectType, testRunner: 'jest', strictness: 'recommended', tools: { jest: true, prettier: true } },
+      { partials: getPartials(templates) }
     );
-    const eslintContent = await fs.readFile(eslintTemplate, 'utf8');
     await fs.writeFile(path.join(tempDir, '.eslintrc.json'), eslintContent);
     
     // Copy Prettier config
@@ -168,4 +173,112 @@ describe('React Project Setup', () => {
     expect(packageJson.scripts).toHaveProperty('build');
     expect(packageJson.scripts).toHaveProperty('lint');
   });
-});
\ No newline at end of file
+});
+
+describe('React Vitest Setup', () => {
+  let tempDir;
+  
+  // Plugins of the React config not installed in this repository, their rules are dropped
+  const missingPlugin = (name) => /^(plugin:)?(react|jsx-a11y|testing-library|@vitest)\b|airbnb\/hooks/.test(name);
+  const withoutMissingPlugins = (config) => ({
+    ...config,
+    extends: (config.extends || [])
+      .filter((name) => !missingPlugin(name))
+      .map((name) => (name === 'airbnb' ? require.resolve('eslint-config-airbnb-base') : name)),
+    plugins: [],
+    env: undefined,
+    rules: Object.fromEntries(Object.entries(config.rules || {}).filter(([rule]) => !missingPlugin(rule)))
+  });
+  
+  /**
+   * Render the Vitest files of a React project with its legacy ESLint config
+   * @param {string|null} viteConfig - Vite config file of the project
+   */
+  const renderVitestProject = async (viteConfig) => {
+    const variables = {
+      projectType: 'react',
+      testRunner: 'vitest',
+      typescript: false,
+      strictness: 'recommended',
+      viteConfig,
+      tools: { eslint: true, prettier: true, jest: true }
+    };
+    const templates = await loadTemplates('react');
+    const render = (file) => processTemplate(templates[file], variables, { partials: getPartials(templates) });
+    
+    const eslintrc = JSON.parse(render('eslintrc.json'));
+    await fs.writeFile(path.join(tempDir, 'vitest.config.js'), render('vitest.config.js'));
+    await fs.writeFile(path.join(tempDir, 'vitest.setup.js'), render('vitest.setup.js'));
+    await fs.writeFile(path.join(tempDir, '.prettierrc.json'), render('prettierrc.json'));
+    if (viteConfig) {
+      await fs.writeFile(path.join(tempDir, viteConfig), 'export default {};\n');
+    }
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({
+      name: 'react-vitest-project',
+      type: 'module',
+      devDependencies: { '@testing-library/jest-dom': '^6.6.3', vitest: '^3.0.0' }
+    }, null, 2));
+    
+    // The packages the files import, with the entry points the import resolver looks for
+    await fs.mkdir(path.join(tempDir, 'node_modules/vitest'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'node_modules/vitest/package.json'), '{ "name": "vitest", "main": "index.js" }');
+    await fs.writeFile(path.join(tempDir, 'node_modules/vitest/index.js'), '');
+    await fs.mkdir(path.join(tempDir, 'node_modules/@testing-library/jest-dom'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'node_modules/@testing-library/jest-dom/package.json'), '{ "name": "@testing-library/jest-dom" }');
+    await fs.writeFile(path.join(tempDir, 'node_modules/@testing-library/jest-dom/vitest.js'), '');
+    
+    return new ESLint({
+      cwd: tempDir,
+      useEslintrc: false,
+      resolvePluginsRelativeTo: PROJECT_ROOT,
+      overrideConfig: {
+        ...withoutMissingPlugins(eslintrc),
+        root: true,
+        env: { browser: true, es2022: true },
+        overrides: eslintrc.overrides.map(withoutMissingPlugins)
+      }
+    });
+  };
+  
+  beforeEach(async () => {
+    tempDir = await createTempDir();
+  });
+  
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+  
+  test.each([null, 'vite.config.js', 'vite.config.ts'])('renders Vitest files the generated config accepts (Vite config %s)', async (viteConfig) => {
+    // Arrange
+    const eslint = await renderVitestProject(viteConfig);
+    
+    // Act
+    const results = await eslint.lintFiles(['vitest.config.js', 'vitest.setup.js']);
+    
+    // Assert
+    const problems = results.flatMap(({ filePath, messages }) =>
+      messages.map(({ ruleId, message }) => `${path.basename(filePath)}: ${ruleId} ${message}`));
+    expect(problems).toEqual([]);
+  });
+  
+  test('relaxes the same rules for the Vitest files in the flat config', async () => {
+    // Arrange
+    const templates = await loadTemplates('react');
+    const variables = {
+      projectType: 'react',
+      testRunner: 'vitest',
+      typescript: false,
+      moduleSystem: 'esm',
+      strictness: 'recommended',
+      tools: { eslint: true, prettier: true, jest: true }
+    };
+    
+    // Act
+    const eslintConfig = processTemplate(templates['eslint.config.js'], variables, { partials: getPartials(templates) });
+    
+    // Assert
+    expect(eslintConfig).toContain("files: ['**/*.config.js', 'vitest.setup.js'],");
+    expect(eslintConfig).toContain("'import/extensions': 'off',");
+    expect(eslintConfig).toContain("'import/no-unresolved': ['error', { ignore: ['^vitest/config$'] }],");
+  });
+});
@@ -15,9 +15,12 @@ import { jest, describe, expect } from '@jest/globals';
 
 // Mock dependencies manually
 const mockWriteFile = jest.fn();
+const mockReadFile = jest.fn();
 const mockMkdir = jest.fn();
 const mockChmod = jest.fn();
+const mockRm = jest.fn();
 const mockFileExists = jest.fn();
+const mockExistsSync = jest.fn(() => false);
 const mockCreateDirIfNotExists = jest.fn();
 const mockProcessTemplate = jest.fn((content) => content);
 const mockGetProjectTypeConfig = jest.fn();
@@ -29,10 +32,13 @@ const mockLogError = jest.fn();
 
 // Set up mocks before imports
 jest.unstable_mockModule('fs', () => ({
+  existsSync: mockExistsSync,
   promises: {
     writeFile: mockWriteFile,
+    readFile: mockReadFile,
     mkdir: mockMkdir,
-    chmod: mockChmod
+    chmod: mockChmod,
+    rm: mockRm
   }
 }));
 
@@ -48,16 +54,24 @@ jest.unstable_mockModule('../../src/utils.js', () => ({
 
 jest.unstable_mockModule('../../src/project-types.js', () => ({
   getProjectTypeConfig: mockGetProjectTypeConfig,
-  getProjectDirectories: mockGetProjectDirectories
+  getProjectDirectories: mockGetProjectDirectories,
+  ESLINT_CONFIG_FORMATS: ['flat', 'legacy'],
+  DEFAULT_ESLINT_CONFIG: 'flat',
+  DEFAULT_TEST_RUNNER: 'jest',
+  DEFAULT_MODULE_SYSTEM: 'esm',
+  DEFAULT_STRICTNESS: 'recommended',
+  QUALITY_TOOLS: ['eslint', 'prettier', 'jest', 'husky', 'lint-staged', 'commitlint', 'commitizen']
 }));
 
 jest.unstable_mockModule('../../src/templates-loader.js', () => ({
-  processTemplate: mockProcessTemplate
+  processTemplate: mockProcessTemplate,
+  getPartials: jest.fn(() => ({}))
 }));
 
 // Import the module after setting up mocks
 const configGeneratorModule = await import('../../src/config-generator.js');
-const { createConfigFiles } = configGeneratorModule;
+const { createConfigFiles, getExpectedFiles, updateConfigFiles, upgradeConfigFiles } = configGeneratorModule;
+const { createPlan } = await import('../../src/dry-run.js');
 
 describe('Config Generator Module', () => {
   // Define constants for expected error messages
@@ -66,8 +80,28 @@ describe('Config Generator Module', () => {
     INVALID_PROJECT_TYPE: (type) => `Invalid project type: ${type}`
   };
 
+  // Manifest declaring the generated files, like templates/common/template.json
+  const mockManifest = {
+    files: {
+      'eslint.config.js': { path: 'eslint.config.js', when: 'eslintConfig == \'flat\'' },
+      'eslintrc.json': { path: '.eslintrc.json', merge: 'json', when: 'eslintConfig == \'legacy\'' },
+      'tsconfig.json': { path: 'tsconfig.json', when: 'typescript' },
+      'prettierrc.json': { path: '.prettierrc.json', merge: 'json' },
+      'jest.config.js': { path: 'jest.config.js' },
+      'lintstagedrc.json': { path: '.lintstagedrc.json', merge: 'json' },
+      'commitlint.config.js': { path: 'commitlint.config.js' },
+      'gitignore': { path: '.gitignore' },
+      'husky/pre-commit': { path: '.husky/pre-commit', mode: '755' },
+      'husky/commit-msg': { path: '.husky/commit-msg', mode: '755' },
+      'husky/prepare-commit-msg': { path: '.husky/prepare-commit-msg', mode: '755' },
+      'husky/pre-push': { path: '.husky/pre-push', mode: '755' }
+    }
+  };
+
   // Prepare mock templates that will be used in multiple tests
   const mockTemplates = {
+    'template.json': JSON.stringify(mockManifest),
+    'eslint.config.js': 'export default [];',
     'eslintrc.json': '{ "extends": ["airbnb-base"] }',
     'prettierrc.json': '{ "singleQuote": true }',
     'husky/pre-commit': '#!/bin/sh\nnpx lint-staged',
@@ -82,6 +116,7 @@ describe('Config Generator Module', () => {
     // Setup default mock returns
     mockCreateDirIfNotExists.mockResolvedValue(true);
     mockFileExists.mockResolvedValue(false);
+    mockExistsSync.mockReturnValue(false);
     mockGetProjectTypeConfig.mockReturnValue({
       id: 'node',
       name: 'Node.js',
@@ -168,11 +203,12 @@ describe('Config Generator Module', () => {
       // Note: We're checking that processTemplate was called with each template at some point,
       // not checking the exact order or parameters of each call
       for (const [templateName, templateContent] of Object.entries(mockTemplates)) {
-        // If this is a standard config file (not a husky hook)
-        if (!templateName.includes('husky/')) {
+        // If this is a standard config file (not a husky hook or the legacy ESLint config)
+        if (!templateName.includes('husky/') && !['eslintrc.json', 'template.json'].includes(templateName)) {
           expect(mockProcessTemplate).toHaveBeenCalledWith(
             templateContent,
-            expect.any(Object)
+            expect.any(Object),
+            expect.objectContaining({ partials: {} })
           );
         }
       }
@@ -196,6 +232,93 @@ describe('Config Generator Module', () => {
     });
   });
 
+  /**
+   * ESLint Configuration Format Tests
+   */
+  describe('ESLint Configuration Format', () => {
+    test('writes eslint.config.js by default', async () => {
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates });
+      
+      // Assert
+      const writtenFiles = mockWriteFile.mock.calls.map(([file]) => file);
+      expect(writtenFiles).toContain('eslint.config.js');
+      expect(writtenFiles).not.toContain('.eslintrc.json');
+    });
+    
+    test('writes .eslintrc.json for the legacy format', async () => {
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, eslintConfig: 'legacy' });
+      
+      // Assert
+      const writtenFiles = mockWriteFile.mock.calls.map(([file]) => file);
+      expect(writtenFiles).toContain('.eslintrc.json');
+      expect(writtenFiles).not.toContain('eslint.config.js');
+    });
+    
+    test('throws error for an unknown format', async () => {
+      // Act & Assert
+      await expect(createConfigFiles({ projectType: 'node', templates: mockTemplates, eslintConfig: 'yaml' }))
+        .rejects.toThrow('Invalid ESLint config format: yaml');
+    });
+  });
+
+  /**
+   * TypeScript Variant Tests
+   */
+  describe('TypeScript Variant', () => {
+    test('writes tsconfig.json only when typescript is set', async () => {
+      // Arrange
+      const templates = { ...mockTemplates, 'tsconfig.json': '{ "compilerOptions": {} }' };
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates });
+      await createConfigFiles({ projectType: 'node', templates, typescript: true });
+      
+      // Assert
+      const writtenFiles = mockWriteFile.mock.calls.map(([file]) => file);
+      expect(writtenFiles.filter(file => file === 'tsconfig.json')).toHaveLength(1);
+    });
+  });
+
+  /**
+   * Dry Run Tests
+   */
+  describe('Dry Run', () => {
+    test('records files and directories without writing anything', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockFileExists.mockImplementation(async (filePath) => filePath === '.prettierrc.json');
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(mockCreateDirIfNotExists).not.toHaveBeenCalled();
+      expect(mockChmod).not.toHaveBeenCalled();
+      expect(plan.changes).toContainEqual({ type: 'file', action: 'create', path: 'eslint.config.js' });
+      expect(plan.changes).toContainEqual(
+        { type: 'file', action: 'skip', path: '.prettierrc.json', reason: 'already exists' }
+      );
+      expect(plan.changes).toContainEqual({ type: 'file', action: 'create', path: '.husky/pre-commit' });
+      expect(plan.changes).toContainEqual({ type: 'directory', action: 'create', path: 'src' });
+    });
+    
+    test('records overwrites when force is set', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockFileExists.mockResolvedValue(true);
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, force: true, plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(plan.changes).toContainEqual({ type: 'file', action: 'overwrite', path: 'jest.config.js' });
+    });
+  });
+
   /**
    * File Overwrite Behavior Tests
    */
@@ -233,6 +356,543 @@ describe('Config Generator Module', () => {
     });
   });
 
+  /**
+   * Conflict Resolution Tests
+   */
+  describe('Conflict Resolution', () => {
+    test('writes .new copies for changed files with onConflict=new', async () => {
+      // Arrange
+      mockFileExists.mockResolvedValue(true);
+      mockReadFile.mockImplementation(async (filePath) => (
+        filePath === '.prettierrc.json' ? mockTemplates['prettierrc.json'] : 'local changes'
+      ));
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, onConflict: 'new' });
+      
+      // Assert
+      expect(mockWriteFile).toHaveBeenCalledWith('jest.config.js.new', mockTemplates['jest.config.js']);
+      expect(mockWriteFile).not.toHaveBeenCalledWith('.prettierrc.json.new', expect.anything());
+      expect(mockWriteFile).not.toHaveBeenCalledWith('jest.config.js', expect.anything());
+      expect(mockChmod).toHaveBeenCalledWith('.husky/pre-commit.new', 0o755);
+    });
+    
+    test('records the diff of each conflict in a dry run', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockFileExists.mockImplementation(async (filePath) => filePath === 'jest.config.js');
+      mockReadFile.mockResolvedValue('module.exports = { verbose: true }');
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, interactive: true, plan });
+      
+      // Assert
+      expect(mockReadFile).toHaveBeenCalledWith('jest.config.js', 'utf8');
+      expect(plan.changes).toContainEqual(expect.objectContaining({
+        type: 'file',
+        action: 'conflict',
+        path: 'jest.config.js',
+        diff: expect.stringContaining('+module.exports = {}')
+      }));
+    });
+  });
+
+  /**
+   * Structural Merge Tests
+   */
+  describe('Structural Merge', () => {
+    const mergeTemplates = {
+      ...mockTemplates,
+      'lintstagedrc.json': '{ "*.js": ["eslint --fix"], "*.md": ["prettier --write"] }'
+    };
+    
+    test('merges existing JSON configs and skips the other existing files', async () => {
+      // Arrange
+      mockFileExists.mockResolvedValue(true);
+      mockReadFile.mockImplementation(async (filePath) => (
+        filePath === '.lintstagedrc.json' ? '{ "*.js": "eslint" }' : '{ "semi": false }'
+      ));
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mergeTemplates, merge: true });
+      
+      // Assert
+      const lintStaged = mockWriteFile.mock.calls.find(([filePath]) => filePath === '.lintstagedrc.json');
+      expect(JSON.parse(lintStaged[1])).toEqual({ '*.js': 'eslint', '*.md': ['prettier --write'] });
+      expect(mockWriteFile).not.toHaveBeenCalledWith('jest.config.js', expect.anything());
+    });
+    
+    test('keeps files that cannot be parsed', async () => {
+      // Arrange
+      mockFileExists.mockImplementation(async (filePath) => filePath === '.prettierrc.json');
+      mockReadFile.mockResolvedValue('semi: false');
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mergeTemplates, merge: true });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalledWith('.prettierrc.json', expect.anything());
+      expect(mockLogWarning).toHaveBeenCalledWith(expect.stringContaining('not valid JSON'));
+    });
+    
+    test('records the merge diff in a dry run', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockFileExists.mockImplementation(async (filePath) => filePath === '.prettierrc.json');
+      mockReadFile.mockResolvedValue('{ "semi": false }');
+      
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mergeTemplates, merge: true, plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(plan.changes).toContainEqual(expect.objectContaining({
+        type: 'file',
+        action: 'merge',
+        path: '.prettierrc.json',
+        diff: expect.stringContaining('+  "singleQuote": true')
+      }));
+    });
+  });
+
+  /**
+   * Template Manifest Tests
+   */
+  describe('Template Manifest', () => {
+    const manifestTemplates = {
+      'template.json': JSON.stringify({
+        files: {
+          'next.config.js': { path: 'next.config.js', merge: 'keep', when: 'projectType == \'next\'' },
+          'scripts/release.sh': { path: 'scripts/release.sh', mode: '700' }
+        }
+      }),
+      'next.config.js': 'export default {};',
+      'scripts/release.sh': '#!/bin/sh\n'
+    };
+
+    test('generates the declared files with their mode and parent directories', async () => {
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: manifestTemplates, force: true });
+      
+      // Assert
+      expect(mockWriteFile).toHaveBeenCalledTimes(1);
+      expect(mockCreateDirIfNotExists).toHaveBeenCalledWith('scripts');
+      expect(mockWriteFile).toHaveBeenCalledWith('scripts/release.sh', '#!/bin/sh\n');
+      expect(mockChmod).toHaveBeenCalledWith('scripts/release.sh', 0o700);
+    });
+    
+    test('keeps existing files with the keep strategy even with force', async () => {
+      // Arrange
+      mockGetProjectTypeConfig.mockReturnValue({ id: 'next', name: 'Next.js', directories: [] });
+      mockFileExists.mockImplementation(async (filePath) => filePath === 'next.config.js');
+      const plan = createPlan();
+      
+      // Act
+      await createConfigFiles({ projectType: 'next', templates: manifestTemplates, force: true, plan });
+      
+      // Assert
+      expect(plan.changes).toContainEqual({ type: 'file', action: 'skip', path: 'next.config.js', reason: 'already exists' });
+      expect(plan.changes).toContainEqual({ type: 'file', action: 'create', path: 'scripts/release.sh' });
+    });
+    
+    test('throws error for an invalid manifest entry', async () => {
+      // Arrange
+      const templates = { 'template.json': JSON.stringify({ files: { gitignore: { path: '.gitignore', merge: 'append' } } }) };
+      
+      // Act & Assert
+      await expect(createConfigFiles({ projectType: 'node', templates }))
+        .rejects.toThrow('Invalid entry "gitignore" of template.json: unknown merge strategy append (expected overwrite, json, keep)');
+    });
+  });
+
+  /**
+   * Expected Files Tests
+   */
+  describe('getExpectedFiles Function', () => {
+    test('lists config files and hooks with their processed content', () => {
+      // Act
+      const files = getExpectedFiles({ projectType: 'node', templates: mockTemplates });
+      
+      // Assert
+      expect(files).toContainEqual({
+        path: 'eslint.config.js',
+        template: 'eslint.config.js',
+        content: 'export default [];',
+        mode: null,
+        merge: 'overwrite',
+        hook: false
+      });
+      expect(files).toContainEqual(expect.objectContaining({ path: '.husky/pre-commit', mode: 0o755, hook: true }));
+      expect(files).toContainEqual(expect.objectContaining({ path: '.husky/pre-push', content: null }));
+      expect(files.map(({ path }) => path)).not.toContain('.eslintrc.json');
+    });
+    
+    test('leaves out disabled hooks and passes the extra variables', () => {
+      // Act
+      const files = getExpectedFiles({
+        projectType: 'node',
+        templates: mockTemplates,
+        disabledHooks: ['pre-push', 'prepare-commit-msg'],
+        variables: { team: 'platform' }
+      });
+      
+      // Assert
+      expect(files.filter(({ hook }) => hook).map(({ path }) => path))
+        .toEqual(['.husky/pre-commit', '.husky/commit-msg']);
+      expect(mockProcessTemplate).toHaveBeenCalledWith(
+        mockTemplates['prettierrc.json'],
+        expect.objectContaining({ team: 'platform', projectType: 'node' }),
+        { name: 'prettierrc.json', partials: {} }
+      );
+    });
+    
+    test('selects the files of the test runner and passes the Vite config of the project', () => {
+      // Arrange
+      mockExistsSync.mockImplementation((file) => file === 'vite.config.ts');
+      const templates = {
+        'template.json': JSON.stringify({
+          files: {
+            'jest.config.js': { path: 'jest.config.js', when: 'testRunner == \'jest\'' },
+            'vitest.config.js': { path: 'vitest.config.js', when: 'testRunner == \'vitest\'' }
+          }
+        }),
+        'jest.config.js': 'export default {};',
+        'vitest.config.js': 'import viteConfig from \'./{{viteConfig}}\';'
+      };
+      
+      // Act
+      const jestFiles = getExpectedFiles({ projectType: 'react', templates });
+      const vitestFiles = getExpectedFiles({ projectType: 'react', templates, testRunner: 'vitest' });
+      
+      // Assert
+      expect(jestFiles.map(({ path }) => path)).toEqual(['jest.config.js']);
+      expect(vitestFiles.map(({ path }) => path)).toEqual(['vitest.config.js']);
+      expect(mockProcessTemplate).toHaveBeenCalledWith(
+        templates['vitest.config.js'],
+        expect.objectContaining({ testRunner: 'vitest', viteConfig: 'vite.config.ts' }),
+        expect.any(Object)
+      );
+    });
+    
+    test('leaves next.config.js out when the project has a Next.js config of any extension', () => {
+      // Arrange
+      mockExistsSync.mockImplementation((file) => file === 'next.config.mjs');
+      const templates = {
+        'template.json': JSON.stringify({
+          files: { 'next.config.js': { path: 'next.config.js', merge: 'keep', when: 'nextConfig == null' } }
+        }),
+        'next.config.js': 'export default {};'
+      };
+      
+      // Act
+      const withConfig = getExpectedFiles({ projectType: 'next', templates });
+      mockExistsSync.mockReturnValue(false);
+      const withoutConfig = getExpectedFiles({ projectType: 'next', templates });
+      
+      // Assert
+      expect(withConfig).toEqual([]);
+      expect(withoutConfig.map(({ path }) => path)).toEqual(['next.config.js']);
+    });
+    
+    test('leaves out the files of the tools that are not set up', () => {
+      // Arrange
+      const templates = {
+        'template.json': JSON.stringify({
+          files: {
+            'prettierrc.json': { path: '.prettierrc.json', when: 'tools.prettier' },
+            'husky/pre-commit': { path: '.husky/pre-commit', when: 'tools.husky && tools.lint-staged' },
+            'husky/commit-msg': { path: '.husky/commit-msg', when: 'tools.husky && tools.commitlint' }
+          }
+        }),
+        'prettierrc.json': '{}',
+        'husky/pre-commit': '#!/bin/sh\nnpx lint-staged',
+        'husky/commit-msg': '#!/bin/sh\nnpx --no-install commitlint --edit "$1"'
+      };
+      
+      // Act
+      const files = getExpectedFiles({ projectType: 'node', templates, tools: ['eslint', 'husky', 'commitlint'] });
+      
+      // Assert
+      expect(files.map(({ path }) => path)).toEqual(['.husky/commit-msg']);
+      expect(mockProcessTemplate).toHaveBeenCalledWith(
+        templates['husky/commit-msg'],
+        expect.objectContaining({ tools: expect.objectContaining({ eslint: true, prettier: false, commitlint: true }) }),
+        expect.any(Object)
+      );
+    });
+    
+    test('throws error for invalid project type', () => {
+      // Arrange
+      mockGetProjectTypeConfig.mockReturnValue(null);
+      
+      // Act & Assert
+      expect(() => getExpectedFiles({ projectType: 'invalid', templates: mockTemplates }))
+        .toThrow('Invalid project type: invalid');
+    });
+  });
+
+  /**
+   * Tool Change Tests
+   */
+  describe('updateConfigFiles Function', () => {
+    // lint-staged runs the tools set up, the other files belong to a single tool
+    const toolTemplates = {
+      'template.json': JSON.stringify({
+        files: {
+          'eslint.config.js': { path: 'eslint.config.js', when: 'tools.eslint' },
+          'prettierrc.json': { path: '.prettierrc.json', when: 'tools.prettier' },
+          'lintstagedrc.json': { path: '.lintstagedrc.json', when: 'tools.lint-staged' },
+          'commitlint.config.js': { path: 'commitlint.config.js', when: 'tools.commitlint' },
+          'husky/commit-msg': { path: '.husky/commit-msg', mode: '755', when: 'tools.husky && tools.commitlint' }
+        }
+      }),
+      'eslint.config.js': 'export default [];',
+      'prettierrc.json': '{}',
+      'lintstagedrc.json': '{{tools}}',
+      'commitlint.config.js': 'export default {};',
+      'husky/commit-msg': '#!/bin/sh\nnpx --no-install commitlint --edit "$1"'
+    };
+    const previousTools = ['eslint', 'prettier', 'husky', 'lint-staged'];
+    const lintStaged = (tools) => tools.join(',');
+    
+    /**
+     * Serve the files of the project from a map of path to content
+     * @param {Object} files - Existing files
+     */
+    const arrangeFiles = (files) => {
+      mockFileExists.mockImplementation(async (file) => file in files);
+      mockReadFile.mockImplementation(async (file) => {
+        if (!(file in files)) {
+          throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+        }
+        return files[file];
+      });
+    };
+    
+    beforeEach(() => {
+      mockProcessTemplate.mockImplementation((content, variables) => content.replace(
+        '{{tools}}',
+        lintStaged(Object.keys(variables.tools).filter((tool) => variables.tools[tool]))
+      ));
+    });
+    
+    afterEach(() => {
+      mockProcessTemplate.mockImplementation((content) => content);
+    });
+    
+    test('creates the files of an added tool and rewrites the files it changes', async () => {
+      // Arrange
+      arrangeFiles({
+        'eslint.config.js': 'export default [];',
+        '.prettierrc.json': '{}',
+        '.lintstagedrc.json': lintStaged(previousTools)
+      });
+      
+      // Act
+      await updateConfigFiles({ projectType: 'node', templates: toolTemplates, previousTools, tools: [...previousTools, 'commitlint'] });
+      
+      // Assert
+      expect(mockWriteFile.mock.calls.map(([file]) => file).sort())
+        .toEqual(['.husky/commit-msg', '.lintstagedrc.json', 'commitlint.config.js']);
+      expect(mockWriteFile).toHaveBeenCalledWith('.lintstagedrc.json', 'eslint,prettier,husky,lint-staged,commitlint');
+      expect(mockChmod).toHaveBeenCalledWith('.husky/commit-msg', 0o755);
+      expect(mockCreateDirIfNotExists).toHaveBeenCalledWith('.husky');
+      expect(mockRm).not.toHaveBeenCalled();
+      expect(mockLogSuccess).toHaveBeenCalledWith(expect.stringMatching(/^Updated .*\.lintstagedrc\.json/));
+      expect(mockLogSuccess).toHaveBeenCalledWith(expect.stringMatching(/^Created .*commitlint\.config\.js/));
+    });
+    
+    test('deletes the files of a removed tool and keeps the files changed since the setup', async () => {
+      // Arrange
+      arrangeFiles({
+        'eslint.config.js': 'export default [];',
+        '.prettierrc.json': '{}',
+        '.lintstagedrc.json': '{ "*.js": "eslint --fix --max-warnings 0" }'
+      });
+      
+      // Act
+      await updateConfigFiles({ projectType: 'node', templates: toolTemplates, previousTools, tools: ['eslint', 'husky', 'lint-staged'] });
+      
+      // Assert
+      expect(mockRm).toHaveBeenCalledWith('.prettierrc.json');
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(mockLogWarning).toHaveBeenCalledWith(expect.stringContaining('.lintstagedrc.json was changed since the setup'));
+    });
+    
+    test('records the changes in a dry run and resolves changed files in conflict mode', async () => {
+      // Arrange
+      const plan = createPlan();
+      arrangeFiles({
+        'eslint.config.js': 'export default [];',
+        '.prettierrc.json': '{ "semi": false }',
+        '.lintstagedrc.json': '{ "*.js": "eslint --fix --max-warnings 0" }'
+      });
+      
+      // Act
+      await updateConfigFiles({
+        projectType: 'node',
+        templates: toolTemplates,
+        previousTools,
+        tools: ['eslint', 'husky', 'lint-staged'],
+        onConflict: 'overwrite',
+        plan
+      });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(mockRm).not.toHaveBeenCalled();
+      expect(plan.changes).toEqual([
+        expect.objectContaining({ type: 'file', action: 'conflict', path: '.lintstagedrc.json' }),
+        { type: 'file', action: 'skip', path: '.prettierrc.json', reason: 'changed since the setup' }
+      ]);
+    });
+  });
+
+  describe('upgradeConfigFiles Function', () => {
+    const upgradeTemplates = {
+      'template.json': JSON.stringify({
+        files: {
+          'eslint.config.js': { path: 'eslint.config.js' },
+          'prettierrc.json': { path: '.prettierrc.json' },
+          'commitlint.config.js': { path: 'commitlint.config.js' }
+        }
+      }),
+      'eslint.config.js': 'import js from "@eslint/js";\nexport default [\n  js.configs.all\n];\n',
+      'prettierrc.json': '{\n  "semi": true,\n  "singleQuote": true\n}\n',
+      'commitlint.config.js': 'export default {};\n'
+    };
+    const baseFiles = [
+      { path: 'eslint.config.js', content: 'import js from "@eslint/js";\nexport default [\n  js.configs.recommended\n];\n' },
+      { path: '.prettierrc.json', content: '{\n  "semi": true,\n  "singleQuote": false\n}\n' },
+      { path: '.eslintignore', content: 'dist\n' }
+    ];
+    
+    /**
+     * Serve the files of the project from a map of path to content
+     * @param {Object} files - Existing files
+     */
+    const arrangeFiles = (files) => {
+      mockFileExists.mockImplementation(async (file) => file in files);
+      mockReadFile.mockImplementation(async (file) => {
+        if (!(file in files)) {
+          throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+        }
+        return files[file];
+      });
+    };
+    
+    test('updates unchanged files, merges changed ones and removes the files no longer generated', async () => {
+      // Arrange
+      arrangeFiles({
+        'eslint.config.js': baseFiles[0].content,
+        '.prettierrc.json': '{\n  "printWidth": 120,\n  "semi": true,\n  "singleQuote": false\n}\n',
+        '.eslintignore': 'dist\n'
+      });
+      
+      // Act
+      const conflicts = await upgradeConfigFiles({ projectType: 'node', templates: upgradeTemplates, baseFiles });
+      
+      // Assert
+      expect(conflicts).toEqual([]);
+      expect(mockWriteFile).toHaveBeenCalledWith('eslint.config.js', upgradeTemplates['eslint.config.js']);
+      expect(mockWriteFile).toHaveBeenCalledWith('.prettierrc.json', '{\n  "printWidth": 120,\n  "semi": true,\n  "singleQuote": true\n}\n');
+      expect(mockWriteFile).toHaveBeenCalledWith('commitlint.config.js', 'export default {};\n');
+      expect(mockRm).toHaveBeenCalledWith('.eslintignore');
+    });
+    
+    test('writes conflict markers where both sides changed and leaves deleted files deleted', async () => {
+      // Arrange
+      arrangeFiles({
+        'eslint.config.js': 'import js from "@eslint/js";\nexport default [\n  js.configs.strict\n];\n',
+        'commitlint.config.js': 'export default {};\n',
+        '.eslintignore': 'dist\ncoverage\n'
+      });
+      
+      // Act
+      const conflicts = await upgradeConfigFiles({ projectType: 'node', templates: upgradeTemplates, baseFiles });
+      
+      // Assert
+      expect(conflicts).toEqual(['eslint.config.js']);
+      expect(mockWriteFile).toHaveBeenCalledTimes(1);
+      expect(mockWriteFile.mock.calls[0][1]).toContain('<<<<<<< current\n  js.configs.strict\n=======\n  js.configs.all\n>>>>>>> template');
+      expect(mockRm).not.toHaveBeenCalled();
+      expect(mockLogWarning).toHaveBeenCalledWith(expect.stringContaining('.eslintignore was changed since the setup'));
+    });
+    
+    test('records every change with its diff in a dry run', async () => {
+      // Arrange
+      const plan = createPlan();
+      arrangeFiles({
+        'eslint.config.js': baseFiles[0].content,
+        '.prettierrc.json': upgradeTemplates['prettierrc.json']
+      });
+      
+      // Act
+      await upgradeConfigFiles({ projectType: 'node', templates: upgradeTemplates, baseFiles, plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(plan.changes).toEqual([
+        { type: 'file', action: 'update', path: 'eslint.config.js', diff: expect.stringContaining('+  js.configs.all') },
+        { type: 'file', action: 'unchanged', path: '.prettierrc.json' },
+        { type: 'file', action: 'create', path: 'commitlint.config.js' }
+      ]);
+    });
+  });
+
+  /**
+   * Workspace Tests
+   */
+  describe('Workspaces', () => {
+    const workspace = { role: 'package', patterns: ['packages/*', '!packages/legacy'] };
+    
+    test('generates the files of a package in its directory with the workspace variables', () => {
+      // Arrange
+      mockExistsSync.mockImplementation((file) => file === 'packages/web/vite.config.js');
+      
+      // Act
+      const files = getExpectedFiles({ projectType: 'react', templates: mockTemplates, directory: 'packages/web', workspace });
+      
+      // Assert
+      expect(files).toContainEqual(expect.objectContaining({ path: 'packages/web/eslint.config.js', template: 'eslint.config.js' }));
+      expect(mockProcessTemplate).toHaveBeenCalledWith(
+        mockTemplates['eslint.config.js'],
+        expect.objectContaining({
+          projectName: 'web',
+          workspace: 'package',
+          workspaceRoot: '../..',
+          workspacePatterns: ['packages/*'],
+          viteConfig: 'vite.config.js'
+        }),
+        expect.any(Object)
+      );
+    });
+    
+    test('runs the package patterns or only the Jest packages from the root Jest config', () => {
+      // Act
+      getExpectedFiles({ projectType: 'node', templates: mockTemplates, workspace: { ...workspace, role: 'root' } });
+      getExpectedFiles({ projectType: 'node', templates: mockTemplates, workspace: { ...workspace, role: 'root', jestProjects: ['packages/api'] } });
+      
+      // Assert
+      const variables = mockProcessTemplate.mock.calls.map(([, templateVariables]) => templateVariables);
+      expect(variables[0].jestProjects).toEqual(['packages/*']);
+      expect(variables.at(-1).jestProjects).toEqual(['packages/api']);
+    });
+    
+    test('creates the directory structure in packages but not at the root', async () => {
+      // Act
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, directory: 'packages/api', workspace });
+      await createConfigFiles({ projectType: 'node', templates: mockTemplates, workspace: { ...workspace, role: 'root' } });
+      
+      // Assert
+      const directories = mockCreateDirIfNotExists.mock.calls.map(([dir]) => dir);
+      expect(directories).toEqual(expect.arrayContaining(['packages/api/src', 'packages/api/tests']));
+      expect(directories).not.toContain('src');
+      expect(mockWriteFile).toHaveBeenCalledWith('packages/api/.prettierrc.json', expect.any(String));
+      expect(mockWriteFile).toHaveBeenCalledWith('.prettierrc.json', expect.any(String));
+    });
+  });
+
   /**
    * Verbose Mode Tests
    */
@@ -280,6 +940,7 @@ describe('Config Generator Module', () => {
       // Arrange
       const incompleteTemplates = {
         // Only include one template
+        'template.json': JSON.stringify(mockManifest),
         'eslintrc.json': '{ "extends": ["airbnb-base"] }'
       };
       const options = {
@@ -314,7 +975,8 @@ describe('Config Generator Module', () => {
         expect.objectContaining({
           projectType: 'node',
           year: expect.any(Number)
-        })
+        }),
+        expect.any(Object)
       );
     });
   });
@@ -336,6 +998,7 @@ describe('Config Generator Module', () => {
         projectType: 'node',
         templates: mockTemplates,
         force: true,
+        eslintConfig: 'legacy',
         verbose: true
       });
       
@@ -412,14 +1075,17 @@ describe('Config Generator Module', () => {
     });
   });
   
-  test('handles errors when creating sample test files', async () => {
+  test('handles errors when creating files declared in the manifest', async () => {
     // Arrange
     mockFileExists.mockResolvedValue(false); // File doesn't exist
     
-    // Create templates with sample test files
+    // Declare a sample test file in the manifest
     const templatesWithTests = {
       ...mockTemplates,
-      'tests/node/sample.test.js': 'test("example", () => {});'
+      'template.json': JSON.stringify({
+        files: { ...mockManifest.files, 'tests/sample.test.js': { path: 'tests/unit/sample.test.js' } }
+      }),
+      'tests/sample.test.js': 'test("example", () => {});'
     };
     
     // Make writeFile fail specifically for sample test files
@@ -439,8 +1105,9 @@ describe('Config Generator Module', () => {
     });
     
     // Assert
+    expect(mockCreateDirIfNotExists).toHaveBeenCalledWith('tests/unit');
     expect(mockLogError).toHaveBeenCalledWith(
-      expect.stringContaining('Failed to create sample test')
+      'Failed to create tests/unit/sample.test.js: Failed to write test file'
     );
   });
   
@@ -0,0 +1,182 @@
+/**
+ * @module tests/unit/config-merger.test.js
+ * @version 0.1.0
+ * @description Unit tests for the config-merger module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { describe, expect } from '@jest/globals';
+
+import {
+  isMergeableConfig,
+  mergeConfigObjects,
+  mergeJsonConfig,
+  MERGEABLE_CONFIGS,
+} from '../../src/config-merger.js';
+
+describe('Config Merger Module', () => {
+  const eslintSchema = MERGEABLE_CONFIGS['.eslintrc.json'];
+
+  describe('isMergeableConfig Function', () => {
+    test.each([
+      ['.eslintrc.json', true],
+      ['packages/app/.prettierrc.json', true],
+      ['.lintstagedrc.json', true],
+      ['eslint.config.js', false],
+      ['tsconfig.json', false],
+    ])('%s -> %s', (filePath, expected) => {
+      // Act & Assert
+      expect(isMergeableConfig(filePath)).toBe(expected);
+    });
+  });
+
+  describe('mergeConfigObjects Function', () => {
+    test('unions extends and plugins, keeping prettier last', () => {
+      // Arrange
+      const existing = {
+        extends: ['plugin:prettier/recommended', 'eslint:recommended'],
+        plugins: ['import'],
+      };
+      const template = { extends: ['airbnb-base', 'prettier'], plugins: ['jest', 'import'] };
+
+      // Act
+      const merged = mergeConfigObjects(existing, template, eslintSchema);
+
+      // Assert
+      expect(merged.extends).toEqual([
+        'eslint:recommended',
+        'airbnb-base',
+        'plugin:prettier/recommended',
+        'prettier',
+      ]);
+      expect(merged.plugins).toEqual(['import', 'jest']);
+    });
+
+    test('accepts extends given as a string', () => {
+      // Act
+      const merged = mergeConfigObjects(
+        { extends: 'eslint:recommended' },
+        { extends: ['airbnb-base'] },
+        eslintSchema,
+      );
+
+      // Assert
+      expect(merged.extends).toEqual(['eslint:recommended', 'airbnb-base']);
+    });
+
+    test('only fills in rules the project has not set', () => {
+      // Arrange
+      const existing = { rules: { 'no-console': 'off', 'max-len': ['error', 140] } };
+      const template = {
+        rules: { 'no-console': 'warn', 'max-len': ['error', 100], 'no-var': 'error' },
+      };
+
+      // Act
+      const merged = mergeConfigObjects(existing, template, eslintSchema);
+
+      // Assert
+      expect(merged.rules).toEqual({
+        'no-console': 'off',
+        'max-len': ['error', 140],
+        'no-var': 'error',
+      });
+      expect(Object.keys(merged.rules)).toEqual(['no-console', 'max-len', 'no-var']);
+    });
+
+    test('combines overrides by files glob', () => {
+      // Arrange
+      const existing = {
+        overrides: [
+          {
+            files: ['tests/**/*.js', 'src/**/*.test.js'],
+            rules: { 'no-unused-expressions': 'off' },
+          },
+        ],
+      };
+      const template = {
+        overrides: [
+          {
+            files: ['src/**/*.test.js', 'tests/**/*.js'],
+            env: { jest: true },
+            rules: { 'no-unused-expressions': 'error' },
+          },
+          { files: '*.config.js', rules: { 'no-console': 'off' } },
+        ],
+      };
+
+      // Act
+      const merged = mergeConfigObjects(existing, template, eslintSchema);
+
+      // Assert
+      expect(merged.overrides).toEqual([
+        {
+          files: ['tests/**/*.js', 'src/**/*.test.js'],
+          rules: { 'no-unused-expressions': 'off' },
+          env: { jest: true },
+        },
+        { files: '*.config.js', rules: { 'no-console': 'off' } },
+      ]);
+    });
+
+    test('merges other objects deeply with existing values winning', () => {
+      // Arrange
+      const existing = { env: { browser: true }, parserOptions: { ecmaVersion: 2020 } };
+      const template = {
+        env: { node: true, browser: false },
+        parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+      };
+
+      // Act
+      const merged = mergeConfigObjects(existing, template, eslintSchema);
+
+      // Assert
+      expect(merged.env).toEqual({ browser: true, node: true });
+      expect(merged.parserOptions).toEqual({ ecmaVersion: 2020, sourceType: 'module' });
+    });
+
+    test('throws error for an unknown strategy', () => {
+      // Act & Assert
+      expect(() => mergeConfigObjects({ a: 1 }, { a: 2 }, { a: 'append' })).toThrow(
+        'Unknown merge strategy: append',
+      );
+    });
+  });
+
+  describe('mergeJsonConfig Function', () => {
+    test('keeps existing lint-staged globs and adds new ones', () => {
+      // Arrange
+      const existing = JSON.stringify({ '*.js': 'eslint' });
+      const template = JSON.stringify({
+        '*.js': ['eslint --fix', 'prettier --write'],
+        '*.md': ['prettier --write'],
+      });
+
+      // Act
+      const merged = mergeJsonConfig('.lintstagedrc.json', existing, template);
+
+      // Assert
+      expect(JSON.parse(merged)).toEqual({ '*.js': 'eslint', '*.md': ['prettier --write'] });
+      expect(merged.endsWith('}\n')).toBe(true);
+    });
+
+    test('throws error when the existing file is not valid JSON', () => {
+      // Act & Assert
+      expect(() => mergeJsonConfig('.eslintrc.json', '{ // comment\n}', '{}')).toThrow(
+        'Cannot merge .eslintrc.json: the existing file is not valid JSON',
+      );
+    });
+
+    test('throws error for files without a merge schema', () => {
+      // Act & Assert
+      expect(() => mergeJsonConfig('tsconfig.json', '{}', '{}')).toThrow(
+        'No merge strategy for tsconfig.json',
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @module tests/unit/dependency-specs.test.js
+ * @version 0.1.0
+ * @description Unit tests for the dependency-specs module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { describe, expect } from '@jest/globals';
+
+import { parseDependencySpec, satisfiesDependencySpec } from '../../src/dependency-specs.js';
+
+describe('Dependency Specs Module', () => {
+  describe('parseDependencySpec Function', () => {
+    test.each([
+      ['eslint', { name: 'eslint', specifier: null, type: 'range', range: '*' }],
+      ['eslint@^9.17.0', { name: 'eslint', specifier: '^9.17.0', type: 'range', range: '^9.17.0' }],
+      ['@commitlint/cli', { name: '@commitlint/cli', specifier: null, type: 'range', range: '*' }],
+      [
+        '@testing-library/react@14.1.2',
+        { name: '@testing-library/react', specifier: '14.1.2', type: 'range', range: '14.1.2' },
+      ],
+      ['typescript@next', { name: 'typescript', specifier: 'next', type: 'tag', range: null }],
+      [
+        'eslint8@npm:eslint@^8.57.0',
+        {
+          name: 'eslint8',
+          specifier: 'npm:eslint@^8.57.0',
+          type: 'alias',
+          range: '^8.57.0',
+          target: 'eslint',
+        },
+      ],
+      [
+        '@acme/lint@npm:@acme/eslint-config@2',
+        {
+          name: '@acme/lint',
+          specifier: 'npm:@acme/eslint-config@2',
+          type: 'alias',
+          range: '2',
+          target: '@acme/eslint-config',
+        },
+      ],
+      [
+        '@mono/ui@workspace:^',
+        { name: '@mono/ui', specifier: 'workspace:^', type: 'workspace', range: '*' },
+      ],
+      [
+        '@mono/ui@workspace:^1.2.0',
+        { name: '@mono/ui', specifier: 'workspace:^1.2.0', type: 'workspace', range: '^1.2.0' },
+      ],
+      [
+        'config@github:acme/config#v2',
+        { name: 'config', specifier: 'github:acme/config#v2', type: 'git', range: null },
+      ],
+      [
+        'config@git+ssh://git@github.com/acme/config.git',
+        {
+          name: 'config',
+          specifier: 'git+ssh://git@github.com/acme/config.git',
+          type: 'git',
+          range: null,
+        },
+      ],
+      ['acme/config', { name: null, specifier: 'acme/config', type: 'git', range: null }],
+      [
+        'shared@file:../shared',
+        { name: 'shared', specifier: 'file:../shared', type: 'file', range: null },
+      ],
+      [
+        'pkg@https://example.com/pkg.tgz',
+        { name: 'pkg', specifier: 'https://example.com/pkg.tgz', type: 'url', range: null },
+      ],
+    ])('parses %s', (spec, parsed) => {
+      // Act & Assert
+      expect(parseDependencySpec(spec)).toEqual(parsed);
+    });
+  });
+
+  describe('satisfiesDependencySpec Function', () => {
+    test('compares installed versions with the required range', () => {
+      // Act & Assert
+      expect(satisfiesDependencySpec('@commitlint/cli@^19.0.3', '19.6.1')).toBe(true);
+      expect(satisfiesDependencySpec('eslint@^9.17.0', '8.57.0')).toBe(false);
+      expect(satisfiesDependencySpec('eslint8@npm:eslint@^8.57.0', '8.57.1')).toBe(true);
+      expect(satisfiesDependencySpec('typescript@^5.7.0', '5.8.0-beta')).toBe(true);
+    });
+
+    test('accepts any version for specs without a range', () => {
+      // Act & Assert
+      expect(satisfiesDependencySpec('eslint', '1.0.0')).toBe(true);
+      expect(satisfiesDependencySpec('config@github:acme/config#v2', '0.0.0-development')).toBe(
+        true,
+      );
+      expect(satisfiesDependencySpec('typescript@next', '5.8.0')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,480 @@
+/**
+ * @module tests/unit/doctor.test.js
+ * @version 0.1.0
+ * @description Unit tests for the doctor module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+
+// Create mock functions
+const mockReadFile = jest.fn();
+const mockWriteFile = jest.fn();
+const mockStat = jest.fn();
+const mockChmod = jest.fn();
+const mockExecaCommand = jest.fn();
+const mockFileExists = jest.fn();
+const mockGetExpectedFiles = jest.fn();
+const mockModifyPackageJson = jest.fn();
+const mockAddDevDependencies = jest.fn();
+const mockFindCompatibilityIssues = jest.fn();
+const mockUpdatePackages = jest.fn();
+const mockLogError = jest.fn();
+const mockLoadStamp = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('fs', () => ({
+  existsSync: jest.fn(() => false),
+  promises: {
+    readFile: mockReadFile,
+    writeFile: mockWriteFile,
+    stat: mockStat,
+    chmod: mockChmod,
+  },
+}));
+
+jest.unstable_mockModule('execa', () => ({
+  execaCommand: mockExecaCommand,
+}));
+
+jest.unstable_mockModule('../../src/config-generator.js', () => ({
+  getExpectedFiles: mockGetExpectedFiles,
+}));
+
+jest.unstable_mockModule('../../src/package-modifier.js', () => ({
+  getQualityScripts: jest.fn(() => ({ lint: 'eslint .', test: 'jest' })),
+  modifyPackageJson: mockModifyPackageJson,
+  addDevDependencies: mockAddDevDependencies,
+  needsLegacyPeerDeps: jest.fn(() => true),
+}));
+
+jest.unstable_mockModule('../../src/project-types.js', () => ({
+  getProjectDependencies: jest.fn(() => ['eslint@^9.17.0', '@commitlint/cli@^19.6.1']),
+  QUALITY_TOOLS: ['eslint', 'prettier', 'jest', 'husky', 'lint-staged', 'commitlint', 'commitizen'],
+}));
+
+jest.unstable_mockModule('../../src/version-checker.js', () => ({
+  findCompatibilityIssues: mockFindCompatibilityIssues,
+  updatePackages: mockUpdatePackages,
+}));
+
+jest.unstable_mockModule('../../src/scaffold-stamp.js', () => ({
+  loadStamp: mockLoadStamp,
+  isStampOutdated: (stamp) => stamp.version !== '0.1.0',
+  STAMP_FILE: '.avrqa-lock.json',
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logSuccess: jest.fn(),
+  logWarning: jest.fn(),
+  logError: mockLogError,
+  fileExists: mockFileExists,
+  formatPath: (filePath) => filePath,
+  isExecutableMode: (mode) => [0o100, 0o010, 0o001].some((bit) => Math.floor(mode / bit) % 2 === 1),
+  extractPackageName: (dependency) => dependency.replace(/(.)@.*$/, '$1'),
+  VERSION: '0.1.0',
+}));
+
+// Import the module after setting up mocks
+const { diagnoseProject, summarizeDiagnosis, fixProblems, printDiagnosis } = await import(
+  '../../src/doctor.js'
+);
+
+describe('Doctor Module', () => {
+  const packageManager = { id: 'npm', execCommand: (command) => `npx --no -- ${command}` };
+  const options = { projectType: 'node', templates: {}, packageManager };
+
+  /**
+   * Arrange a fake project on the mocked file system
+   * @param {Object} files - Map of path to content
+   * @param {Object} [modes] - Map of path to file mode
+   */
+  const arrangeProject = (files, modes = {}) => {
+    mockReadFile.mockImplementation(async (filePath) => {
+      if (!(filePath in files)) {
+        throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      }
+      return files[filePath];
+    });
+    mockStat.mockImplementation(async (filePath) => ({ mode: modes[filePath] ?? 0o755 }));
+  };
+
+  const healthyPackageJson = JSON.stringify({
+    scripts: { lint: 'eslint .', test: 'jest' },
+    devDependencies: { eslint: '^9.17.0', '@commitlint/cli': '^19.6.1' },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockGetExpectedFiles.mockReturnValue([
+      { path: '.prettierrc.json', content: '{}\n', mode: null, merge: 'json', hook: false },
+      {
+        path: '.husky/pre-commit',
+        content: 'npx lint-staged\n',
+        mode: 0o755,
+        merge: 'overwrite',
+        hook: true,
+      },
+    ]);
+    mockFileExists.mockResolvedValue(true);
+    mockExecaCommand.mockResolvedValue({ stdout: '.husky/_\n' });
+    mockFindCompatibilityIssues.mockResolvedValue([]);
+    mockLoadStamp.mockResolvedValue({ version: '0.1.0', files: {}, scripts: {}, dependencies: [] });
+  });
+
+  describe('diagnoseProject Function', () => {
+    test('passes every check on a healthy project', async () => {
+      // Arrange
+      arrangeProject({
+        'package.json': healthyPackageJson,
+        '.prettierrc.json': '{}\n',
+        '.husky/pre-commit': 'npx lint-staged\n',
+      });
+
+      // Act
+      const checks = await diagnoseProject(options);
+
+      // Assert
+      expect(summarizeDiagnosis(checks)).toEqual({ ok: 7, warning: 0, error: 0 });
+    });
+
+    test('suggests an upgrade when the stamp is missing or older than the scaffold', async () => {
+      // Arrange
+      arrangeProject({
+        'package.json': healthyPackageJson,
+        '.prettierrc.json': '{}\n',
+        '.husky/pre-commit': 'npx lint-staged\n',
+      });
+      mockLoadStamp.mockResolvedValueOnce(null);
+      mockLoadStamp.mockResolvedValueOnce({
+        version: '0.0.9',
+        files: {},
+        scripts: {},
+        dependencies: [],
+      });
+
+      // Act
+      const unstamped = await diagnoseProject(options);
+      const outdated = await diagnoseProject(options);
+
+      // Assert
+      expect(unstamped).toContainEqual(
+        expect.objectContaining({
+          category: 'Version',
+          status: 'warning',
+          message: '.avrqa-lock.json is missing, run "avr-qa-scaffold upgrade" to stamp the setup',
+        }),
+      );
+      expect(outdated).toContainEqual(
+        expect.objectContaining({
+          category: 'Version',
+          status: 'warning',
+          message:
+            'Set up with avr-qa-scaffold 0.0.9, run "avr-qa-scaffold upgrade" to move to 0.1.0',
+        }),
+      );
+    });
+
+    test('reports missing and drifted files', async () => {
+      // Arrange
+      arrangeProject({
+        'package.json': healthyPackageJson,
+        '.husky/pre-commit': 'npx lint-staged --verbose\n',
+      });
+
+      // Act
+      const checks = await diagnoseProject(options);
+
+      // Assert
+      expect(checks).toContainEqual(
+        expect.objectContaining({
+          category: 'Config files',
+          status: 'error',
+          message: '.prettierrc.json is missing',
+        }),
+      );
+      expect(checks).toContainEqual(
+        expect.objectContaining({
+          category: 'Git hooks',
+          status: 'warning',
+          message: '.husky/pre-commit differs from the template (2 line(s))',
+        }),
+      );
+    });
+
+    test('reports hooks sourcing husky.sh or not executable', async () => {
+      // Arrange
+      arrangeProject(
+        {
+          'package.json': healthyPackageJson,
+          '.prettierrc.json': '{}\n',
+          '.husky/pre-commit': '. "$(dirname -- "$0")/_/husky.sh"\nnpx lint-staged\n',
+        },
+        { '.husky/pre-commit': 0o644 },
+      );
+
+      // Act
+      const checks = await diagnoseProject(options);
+
+      // Assert
+      const hookChecks = checks.filter(({ category }) => category === 'Git hooks');
+      expect(hookChecks.map(({ status, message }) => [status, message])).toEqual([
+        ['error', '.husky/pre-commit still sources _/husky.sh, removed in Husky 9'],
+        ['error', '.husky/pre-commit is not executable'],
+      ]);
+    });
+
+    test('only checks that files kept by the manifest are present', async () => {
+      // Arrange
+      mockGetExpectedFiles.mockReturnValue([
+        {
+          path: 'next.config.js',
+          content: 'export default {};\n',
+          mode: null,
+          merge: 'keep',
+          hook: false,
+        },
+      ]);
+      arrangeProject({
+        'package.json': healthyPackageJson,
+        'next.config.js': "export default { output: 'standalone' };\n",
+      });
+
+      // Act
+      const checks = await diagnoseProject(options);
+
+      // Assert
+      expect(checks).toContainEqual(
+        expect.objectContaining({
+          category: 'Config files',
+          status: 'ok',
+          message: 'next.config.js is present',
+        }),
+      );
+    });
+
+    test('reports missing devDependencies, missing and changed scripts', async () => {
+      // Arrange
+      arrangeProject({
+        'package.json': JSON.stringify({
+          scripts: { lint: 'eslint src' },
+          devDependencies: { eslint: '^9.0.0' },
+        }),
+        '.prettierrc.json': '{}\n',
+        '.husky/pre-commit': 'npx lint-staged\n',
+      });
+
+      // Act
+      const checks = await diagnoseProject(options);
+
+      // Assert
+      const messages = checks.map(({ status, message }) => `${status}: ${message}`);
+      expect(messages).toContain('error: Missing devDependencies: @commitlint/cli');
+      expect(messages).toContain('error: Missing scripts: test');
+      expect(messages).toContain('warning: Scripts differ from the scaffold: lint');
+    });
+
+    test('reports core.hooksPath and compatibility problems', async () => {
+      // Arrange
+      arrangeProject({
+        'package.json': healthyPackageJson,
+        '.prettierrc.json': '{}\n',
+        '.husky/pre-commit': 'npx lint-staged\n',
+      });
+      mockExecaCommand.mockResolvedValue({ stdout: '' });
+      mockFindCompatibilityIssues.mockResolvedValue([
+        {
+          message: 'prettier 3.x requires eslint-plugin-prettier >=5.0.0',
+          packages: [
+            { name: 'prettier', version: '3.4.2' },
+            { name: 'eslint-plugin-prettier', version: '4.2.1' },
+          ],
+          updates: ['eslint-plugin-prettier@5.2.1'],
+        },
+      ]);
+
+      // Act
+      const checks = await diagnoseProject(options);
+
+      // Assert
+      expect(checks).toContainEqual(
+        expect.objectContaining({
+          category: 'Git',
+          status: 'error',
+          message: 'core.hooksPath is not set instead of .husky',
+        }),
+      );
+      expect(checks).toContainEqual(
+        expect.objectContaining({
+          category: 'Compatibility',
+          status: 'error',
+          message:
+            'prettier 3.x requires eslint-plugin-prettier >=5.0.0 (prettier@3.4.2 and eslint-plugin-prettier@4.2.1)',
+        }),
+      );
+    });
+
+    test('reports the conflicts the setup accepts as ok', async () => {
+      // Arrange
+      arrangeProject({ 'package.json': healthyPackageJson });
+      mockFindCompatibilityIssues.mockResolvedValue([
+        {
+          message: 'eslint-config-airbnb-base 15.x requires eslint ^7.32.0 || ^8.2.0',
+          packages: [
+            { name: 'eslint-config-airbnb-base', version: '15.0.0' },
+            { name: 'eslint', version: '9.17.0' },
+          ],
+          updates: null,
+          accepted: 'loaded through FlatCompat',
+        },
+      ]);
+
+      // Act
+      const checks = (await diagnoseProject(options)).filter(
+        ({ category }) => category === 'Compatibility',
+      );
+
+      // Assert
+      expect(mockFindCompatibilityIssues).toHaveBeenCalledWith(
+        expect.objectContaining({ eslintConfig: 'flat' }),
+      );
+      expect(checks.map(({ status, message }) => [status, message])).toEqual([
+        [
+          'ok',
+          'eslint-config-airbnb-base 15.x requires eslint ^7.32.0 || ^8.2.0 (eslint-config-airbnb-base@15.0.0 and eslint@9.17.0), loaded through FlatCompat',
+        ],
+        ['ok', 'No known compatibility issues'],
+      ]);
+    });
+  });
+
+  describe('fixProblems Function', () => {
+    test('repairs only the failing checks', async () => {
+      // Arrange
+      arrangeProject(
+        {
+          'package.json': JSON.stringify({
+            scripts: { lint: 'eslint src' },
+            devDependencies: { eslint: '^9.0.0' },
+          }),
+          '.husky/pre-commit': '. "$(dirname -- "$0")/_/husky.sh"\nnpx lint-staged\n',
+        },
+        { '.husky/pre-commit': 0o644 },
+      );
+      mockExecaCommand.mockResolvedValue({ stdout: '' });
+      const checks = await diagnoseProject(options);
+
+      // Act
+      const fixed = await fixProblems(checks);
+
+      // Assert
+      expect(fixed).toBe(6);
+      expect(mockWriteFile).toHaveBeenCalledWith('.prettierrc.json', '{}\n');
+      expect(mockWriteFile).toHaveBeenCalledWith('.husky/pre-commit', 'npx lint-staged\n');
+      expect(mockChmod).toHaveBeenCalledWith('.husky/pre-commit', 0o755);
+      expect(mockAddDevDependencies).toHaveBeenCalledWith(
+        ['@commitlint/cli@^19.6.1'],
+        expect.objectContaining({ legacyPeerDeps: true }),
+      );
+      expect(mockModifyPackageJson).toHaveBeenCalledWith({ scripts: { test: 'jest' } });
+      expect(mockExecaCommand).toHaveBeenCalledWith('npx --no -- husky', expect.anything());
+    });
+
+    test('installs the compatible versions once for every compatibility issue', async () => {
+      // Arrange
+      arrangeProject({ 'package.json': healthyPackageJson });
+      mockExecaCommand.mockResolvedValue({ stdout: '.husky/_\n' });
+      const updates = [
+        'eslint@8.57.1',
+        'eslint-config-next@14.2.15',
+        'eslint-plugin-prettier@5.2.1',
+      ];
+      mockFindCompatibilityIssues.mockResolvedValue([
+        {
+          message: 'eslint-config-next 15.x requires next ^15.0.0',
+          packages: [
+            { name: 'eslint-config-next', version: '15.1.3' },
+            { name: 'next', version: '14.2.3' },
+          ],
+          updates,
+        },
+        {
+          message: 'prettier 3.x requires eslint-plugin-prettier >=5.0.0',
+          packages: [
+            { name: 'prettier', version: '3.4.2' },
+            { name: 'eslint-plugin-prettier', version: '4.2.1' },
+          ],
+          updates,
+        },
+      ]);
+      mockUpdatePackages.mockResolvedValue(true);
+      const checks = (await diagnoseProject(options)).filter(
+        ({ category }) => category === 'Compatibility',
+      );
+
+      // Act
+      const fixed = await fixProblems(checks);
+
+      // Assert
+      expect(fixed).toBe(2);
+      expect(mockUpdatePackages).toHaveBeenCalledTimes(1);
+      expect(mockUpdatePackages).toHaveBeenCalledWith(updates, false, expect.anything(), {
+        legacyPeerDeps: true,
+      });
+    });
+
+    test('keeps going when a fix fails', async () => {
+      // Arrange
+      const checks = [
+        {
+          category: 'Scripts',
+          status: 'error',
+          message: 'broken',
+          fix: jest.fn().mockRejectedValue(new Error('EACCES')),
+        },
+        {
+          category: 'Scripts',
+          status: 'error',
+          message: 'fixable',
+          fix: jest.fn().mockResolvedValue(),
+        },
+      ];
+
+      // Act
+      const fixed = await fixProblems(checks);
+
+      // Assert
+      expect(fixed).toBe(1);
+      expect(mockLogError).toHaveBeenCalledWith('Could not fix "broken": EACCES');
+    });
+  });
+
+  describe('printDiagnosis Function', () => {
+    test('hides passing checks unless verbose', () => {
+      // Arrange
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const checks = [
+        { category: 'Scripts', status: 'ok', message: 'All scripts match' },
+        { category: 'Git', status: 'error', message: 'core.hooksPath is not set', fix: jest.fn() },
+      ];
+
+      // Act
+      printDiagnosis(checks);
+
+      // Assert
+      const output = logSpy.mock.calls.map(([line]) => line).join('\n');
+      expect(output).not.toContain('All scripts match');
+      expect(output).toContain('1 check(s) passed');
+      expect(output).toContain('core.hooksPath is not set');
+      expect(output).toContain('1 ok, 0 warning(s), 1 error(s)');
+      logSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @module tests/unit/dry-run.test.js
+ * @version 0.1.0
+ * @description Unit tests for the dry-run module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+
+import {
+  createPlan,
+  recordChange,
+  recordCommand,
+  summarizePlan,
+  formatPlanAsJson,
+  formatPlanAsText,
+  printPlan,
+} from '../../src/dry-run.js';
+
+describe('Dry Run Module', () => {
+  /**
+   * Build a plan with one change of each kind
+   * @returns {Object} Plan
+   */
+  const arrangePlan = () => {
+    const plan = createPlan({ projectType: 'node', packageManager: 'pnpm' });
+    recordChange(plan, { type: 'file', action: 'create', path: 'eslint.config.js' });
+    recordChange(plan, {
+      type: 'file',
+      action: 'skip',
+      path: '.prettierrc.json',
+      reason: 'already exists',
+    });
+    recordChange(plan, {
+      type: 'dependency',
+      action: 'add',
+      name: 'eslint',
+      value: 'eslint@^9.17.0',
+    });
+    recordChange(plan, {
+      type: 'package-json',
+      action: 'overwrite',
+      name: 'scripts.test',
+      value: 'jest --ci',
+      previous: 'jest',
+    });
+    recordCommand(plan, 'pnpm exec husky init');
+    return plan;
+  };
+
+  describe('summarizePlan Function', () => {
+    test('counts changes by action', () => {
+      // Arrange
+      const plan = arrangePlan();
+
+      // Act
+      const summary = summarizePlan(plan);
+
+      // Assert
+      expect(summary).toEqual({ create: 1, skip: 1, add: 1, overwrite: 1, run: 1 });
+    });
+  });
+
+  describe('formatPlanAsJson Function', () => {
+    test('includes the context, the summary and every change', () => {
+      // Arrange
+      const plan = arrangePlan();
+
+      // Act
+      const document = JSON.parse(formatPlanAsJson(plan));
+
+      // Assert
+      expect(document.dryRun).toBe(true);
+      expect(document.projectType).toBe('node');
+      expect(document.packageManager).toBe('pnpm');
+      expect(document.summary.run).toBe(1);
+      expect(document.changes).toEqual(plan.changes);
+    });
+  });
+
+  describe('formatPlanAsText Function', () => {
+    test('lists each change under its section', () => {
+      // Arrange
+      const plan = arrangePlan();
+
+      // Act
+      const text = formatPlanAsText(plan);
+
+      // Assert
+      expect(text).toContain('Files');
+      expect(text).toContain('eslint.config.js');
+      expect(text).toContain('.prettierrc.json');
+      expect(text).toContain('already exists');
+      expect(text).toContain('eslint@^9.17.0');
+      expect(text).toContain('scripts.test: "jest" -> "jest --ci"');
+      expect(text).toContain('$ pnpm exec husky init');
+      expect(text.indexOf('Dependencies')).toBeLessThan(text.indexOf('Commands'));
+    });
+
+    test('names the package.json of a workspace package', () => {
+      // Arrange
+      const plan = createPlan();
+      recordChange(plan, {
+        type: 'package-json',
+        action: 'add',
+        path: 'packages/api/package.json',
+        name: 'scripts.lint',
+        value: 'eslint .',
+      });
+
+      // Act
+      const text = formatPlanAsText(plan);
+
+      // Assert
+      expect(text).toContain('packages/api/package.json scripts.lint: "eslint ."');
+    });
+
+    test('shows the value a removed key had', () => {
+      // Arrange
+      const plan = createPlan();
+      recordChange(plan, {
+        type: 'package-json',
+        action: 'remove',
+        name: 'scripts.commit',
+        previous: 'cz',
+      });
+      recordChange(plan, { type: 'dependency', action: 'remove', name: 'commitizen' });
+
+      // Act
+      const text = formatPlanAsText(plan);
+
+      // Assert
+      expect(text).toContain('- remove    scripts.commit: "cz"');
+      expect(text).toContain('- remove    commitizen');
+    });
+
+    test('reports an empty plan', () => {
+      // Act
+      const text = formatPlanAsText(createPlan());
+
+      // Assert
+      expect(text).toContain('No changes planned.');
+    });
+  });
+
+  describe('printPlan Function', () => {
+    test('prints JSON when requested', () => {
+      // Arrange
+      const plan = arrangePlan();
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      // Act
+      printPlan(plan, { format: 'json' });
+
+      // Assert
+      expect(JSON.parse(logSpy.mock.calls[0][0]).changes).toHaveLength(5);
+      logSpy.mockRestore();
+    });
+
+    test('throws error for an unknown format', () => {
+      // Act & Assert
+      expect(() => printPlan(createPlan(), { format: 'yaml' })).toThrow(
+        'Invalid dry-run format: yaml',
+      );
+    });
+  });
+});
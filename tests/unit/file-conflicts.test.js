@@ -0,0 +1,165 @@
+/**
+ * @module tests/unit/file-conflicts.test.js
+ * @version 0.1.0
+ * @description Unit tests for the file-conflicts module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+
+// Create mock functions
+const mockPrompt = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('inquirer', () => ({
+  default: {
+    prompt: mockPrompt,
+    Separator: class Separator {},
+  },
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logInfo: jest.fn(),
+  logWarning: jest.fn(),
+  formatPath: jest.fn((filePath) => filePath),
+}));
+
+// Import the module after setting up mocks
+const { createConflictState, resolveFileConflict } = await import('../../src/file-conflicts.js');
+const { configurePrompts } = await import('../../src/prompts.js');
+
+describe('File Conflicts Module', () => {
+  const conflict = {
+    filePath: '.prettierrc.json',
+    existing: '{\n  "semi": false\n}\n',
+    incoming: '{\n  "semi": true\n}\n',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configurePrompts({ terminal: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('createConflictState Function', () => {
+    test('throws error for an unknown action', () => {
+      // Act & Assert
+      expect(() => createConflictState({ applyToAll: 'ignore' })).toThrow(
+        'Invalid conflict action: ignore',
+      );
+    });
+  });
+
+  describe('resolveFileConflict Function', () => {
+    test('skips files that already match the template', async () => {
+      // Arrange
+      const state = createConflictState();
+
+      // Act
+      const result = await resolveFileConflict({ ...conflict, incoming: conflict.existing, state });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockPrompt).not.toHaveBeenCalled();
+    });
+
+    test('shows the diff and keeps the file when asked to', async () => {
+      // Arrange
+      const state = createConflictState();
+      mockPrompt.mockResolvedValue({ choice: 'keep' });
+
+      // Act
+      const result = await resolveFileConflict({ ...conflict, state });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"semi": true'));
+    });
+
+    test('writes the template next to the file for the new action', async () => {
+      // Arrange
+      const state = createConflictState();
+      mockPrompt.mockResolvedValue({ choice: 'new' });
+
+      // Act
+      const result = await resolveFileConflict({ ...conflict, state });
+
+      // Assert
+      expect(result).toEqual({
+        path: '.prettierrc.json.new',
+        content: conflict.incoming,
+        action: 'new',
+      });
+    });
+
+    test('remembers an "all" choice for the following conflicts', async () => {
+      // Arrange
+      const state = createConflictState();
+      mockPrompt.mockResolvedValue({ choice: 'merge:all' });
+
+      // Act
+      const first = await resolveFileConflict({ ...conflict, state });
+      const second = await resolveFileConflict({ ...conflict, filePath: 'jest.config.js', state });
+
+      // Assert
+      expect(mockPrompt).toHaveBeenCalledTimes(1);
+      expect(state.applyToAll).toBe('merge');
+      expect(first.content).toContain('<<<<<<< existing');
+      expect(second.path).toBe('jest.config.js');
+    });
+
+    test('uses the structural merge when one is given', async () => {
+      // Arrange
+      const state = createConflictState({ applyToAll: 'merge' });
+      const merge = jest.fn(() => '{\n  "semi": false\n}\n');
+
+      // Act
+      const result = await resolveFileConflict({ ...conflict, state, merge });
+
+      // Assert
+      expect(merge).toHaveBeenCalledWith(conflict.existing, conflict.incoming);
+      expect(result.content).not.toContain('<<<<<<<');
+    });
+
+    test('falls back to conflict markers when the structural merge fails', async () => {
+      // Arrange
+      const state = createConflictState({ applyToAll: 'merge' });
+      const merge = jest.fn(() => {
+        throw new Error('Cannot merge .prettierrc.json');
+      });
+
+      // Act
+      const result = await resolveFileConflict({ ...conflict, state, merge });
+
+      // Assert
+      expect(result.content).toContain('<<<<<<< existing');
+    });
+
+    test('applies a preset action without prompting', async () => {
+      // Arrange
+      const state = createConflictState({ applyToAll: 'overwrite' });
+
+      // Act
+      const result = await resolveFileConflict({ ...conflict, state });
+
+      // Assert
+      expect(result).toEqual({
+        path: '.prettierrc.json',
+        content: conflict.incoming,
+        action: 'overwrite',
+      });
+      expect(mockPrompt).not.toHaveBeenCalled();
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+});
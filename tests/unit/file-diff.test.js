@@ -0,0 +1,186 @@
+/**
+ * @module tests/unit/file-diff.test.js
+ * @version 0.1.0
+ * @description Unit tests for the file-diff module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { describe, expect } from '@jest/globals';
+
+import {
+  diffLines,
+  isSameContent,
+  createUnifiedDiff,
+  mergeWithConflictMarkers,
+  mergeThreeWay,
+} from '../../src/file-diff.js';
+
+describe('File Diff Module', () => {
+  describe('diffLines Function', () => {
+    test('keeps common lines and marks removed and added ones', () => {
+      // Act
+      const operations = diffLines('a\nb\nc\n', 'a\nx\nc\n');
+
+      // Assert
+      expect(operations).toEqual([
+        { type: 'equal', line: 'a' },
+        { type: 'remove', line: 'b' },
+        { type: 'add', line: 'x' },
+        { type: 'equal', line: 'c' },
+      ]);
+    });
+
+    test('ignores line endings and the final newline', () => {
+      // Act & Assert
+      expect(isSameContent('a\r\nb\r\n', 'a\nb')).toBe(true);
+      expect(isSameContent('a\nb\n', 'a\nc\n')).toBe(false);
+    });
+  });
+
+  describe('createUnifiedDiff Function', () => {
+    test('returns an empty string when nothing changed', () => {
+      // Act & Assert
+      expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+    });
+
+    test('renders headers and hunks like diff -u', () => {
+      // Arrange
+      const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n');
+      const newText = ['1', 'two', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13'].join(
+        '\n',
+      );
+
+      // Act
+      const diff = createUnifiedDiff(oldText, newText, { fromFile: 'a.json', toFile: 'b.json' });
+
+      // Assert
+      expect(diff.split('\n')).toEqual([
+        '--- a.json',
+        '+++ b.json',
+        '@@ -1,5 +1,5 @@',
+        ' 1',
+        '-2',
+        '+two',
+        ' 3',
+        ' 4',
+        ' 5',
+        '@@ -10,3 +10,4 @@',
+        ' 10',
+        ' 11',
+        ' 12',
+        '+13',
+      ]);
+    });
+
+    test('uses line zero for additions to an empty file', () => {
+      // Act
+      const diff = createUnifiedDiff('', 'new\n');
+
+      // Assert
+      expect(diff).toContain('@@ -0,0 +1,1 @@');
+    });
+  });
+
+  describe('mergeWithConflictMarkers Function', () => {
+    test('wraps each difference in conflict markers', () => {
+      // Act
+      const result = mergeWithConflictMarkers('a\nb\nc\n', 'a\nx\nc\nd\n');
+
+      // Assert
+      expect(result.conflicts).toBe(2);
+      expect(result.content).toBe(
+        [
+          'a',
+          '<<<<<<< existing',
+          'b',
+          '=======',
+          'x',
+          '>>>>>>> template',
+          'c',
+          '<<<<<<< existing',
+          '=======',
+          'd',
+          '>>>>>>> template',
+          '',
+        ].join('\n'),
+      );
+    });
+  });
+
+  describe('mergeThreeWay Function', () => {
+    const base = 'a\nb\nc\nd\ne\n';
+
+    test('takes the changes of each side to different lines', () => {
+      // Act
+      const result = mergeThreeWay(base, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\nf\n');
+
+      // Assert
+      expect(result).toEqual({ content: 'a\nB\nc\nd\nE\nf\n', conflicts: 0 });
+    });
+
+    test('keeps the same change made on both sides once', () => {
+      // Act
+      const result = mergeThreeWay(base, 'a\nx\nc\nd\ne\nf\n', 'a\nx\nc\nd\ne\n');
+
+      // Assert
+      expect(result).toEqual({ content: 'a\nx\nc\nd\ne\nf\n', conflicts: 0 });
+    });
+
+    test('wraps lines both sides changed differently in conflict markers', () => {
+      // Act
+      const result = mergeThreeWay(base, 'a\nb\nmine\nd\ne\n', 'a\nb\ntheirs\nd\ne\n');
+
+      // Assert
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toBe(
+        [
+          'a',
+          'b',
+          '<<<<<<< current',
+          'mine',
+          '=======',
+          'theirs',
+          '>>>>>>> template',
+          'd',
+          'e',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    test('wraps changes to adjacent lines in conflict markers, like git merge-file', () => {
+      // Act
+      const result = mergeThreeWay(base, 'a\nB\nc\nd\ne\n', 'a\nb\nC\nd\ne\n');
+
+      // Assert
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toBe(
+        [
+          'a',
+          '<<<<<<< current',
+          'B',
+          'c',
+          '=======',
+          'b',
+          'C',
+          '>>>>>>> template',
+          'd',
+          'e',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    test('returns the side that changed when the other one did not', () => {
+      // Act & Assert
+      expect(mergeThreeWay(base, base, 'z\n')).toEqual({ content: 'z\n', conflicts: 0 });
+      expect(mergeThreeWay(base, 'z', base)).toEqual({ content: 'z', conflicts: 0 });
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * @module tests/unit/installed-versions.test.js
+ * @version 0.1.0
+ * @description Unit tests for the installed-versions module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockExecaCommand = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('execa', () => ({
+  execaCommand: mockExecaCommand,
+}));
+
+// Import the module after setting up mocks
+const {
+  parseNpmLockfile,
+  parsePnpmLockfile,
+  parseYarnLockfile,
+  readDeclaredDependencies,
+  readInstalledVersion,
+  readInstalledVersions,
+  getDependencyStatus,
+  clearInstalledVersions,
+} = await import('../../src/installed-versions.js');
+const { getPackageManager } = await import('../../src/package-manager.js');
+
+describe('Installed Versions Module', () => {
+  let cwd;
+
+  /**
+   * Write files of the project, creating their directories
+   * @param {Object} files - Contents by path relative to the project
+   * @returns {Promise<void>}
+   */
+  const writeFiles = async (files) => {
+    for (const [file, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(cwd, file)), { recursive: true });
+      await fs.writeFile(
+        path.join(cwd, file),
+        typeof content === 'string' ? content : JSON.stringify(content),
+      );
+    }
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    clearInstalledVersions();
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-installed-')));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('parseNpmLockfile Function', () => {
+    test('reads the top-level packages of lockfile versions 1 to 3', () => {
+      // Arrange
+      const lockfile = {
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app' },
+          'node_modules/eslint': { version: '9.17.0' },
+          'node_modules/@commitlint/cli': { version: '19.6.1' },
+          'node_modules/eslint/node_modules/ajv': { version: '6.12.6' },
+        },
+      };
+
+      // Act & Assert
+      expect(parseNpmLockfile(JSON.stringify(lockfile))).toEqual({
+        eslint: '9.17.0',
+        '@commitlint/cli': '19.6.1',
+      });
+      expect(
+        parseNpmLockfile(
+          '{ "lockfileVersion": 1, "dependencies": { "husky": { "version": "8.0.3" } } }',
+        ),
+      ).toEqual({ husky: '8.0.3' });
+    });
+  });
+
+  describe('parsePnpmLockfile Function', () => {
+    test('reads the root importer of a lockfile 9 without peer suffixes', () => {
+      // Arrange
+      const lockfile = [
+        "lockfileVersion: '9.0'",
+        '',
+        'importers:',
+        '',
+        '  .:',
+        '    devDependencies:',
+        "      '@commitlint/cli':",
+        '        specifier: ^19.6.1',
+        '        version: 19.6.1(@types/node@22.10.2)(typescript@5.7.2)',
+        '      eslint:',
+        '        specifier: ^9.17.0',
+        '        version: 9.17.0',
+        '',
+        '  packages/ui:',
+        '    dependencies:',
+        '      react:',
+        '        specifier: ^18.3.1',
+        '        version: 18.3.1',
+        '',
+        'packages:',
+        '',
+        '  eslint@9.17.0:',
+        '    resolution: {integrity: sha512-abc}',
+      ].join('\n');
+
+      // Act & Assert
+      expect(parsePnpmLockfile(lockfile)).toEqual({
+        '@commitlint/cli': '19.6.1',
+        eslint: '9.17.0',
+      });
+    });
+
+    test('reads the top-level dependencies of a lockfile 5', () => {
+      // Arrange
+      const lockfile =
+        'lockfileVersion: 5.4\n\nspecifiers:\n  jest: ^29.7.0\n\ndevDependencies:\n  jest: 29.7.0_@types+node@20.1.0\n  local: link:../local\n';
+
+      // Act & Assert
+      expect(parsePnpmLockfile(lockfile)).toEqual({ jest: '29.7.0' });
+    });
+  });
+
+  describe('parseYarnLockfile Function', () => {
+    test('takes the version of the declared range in a Yarn 1 lockfile', () => {
+      // Arrange
+      const lockfile = [
+        '# yarn lockfile v1',
+        '',
+        '"@commitlint/cli@^19.0.3", "@commitlint/cli@^19.6.1":',
+        '  version "19.6.1"',
+        '',
+        'prettier@^2.0.0:',
+        '  version "2.8.8"',
+        '',
+        'prettier@^3.1.1:',
+        '  version "3.4.2"',
+        '',
+        'prettier@~3.0.0:',
+        '  version "3.0.3"',
+      ].join('\n');
+
+      // Act & Assert
+      expect(parseYarnLockfile(lockfile, { prettier: '^2.0.0' })).toEqual({
+        '@commitlint/cli': '19.6.1',
+        prettier: '2.8.8',
+      });
+      expect(parseYarnLockfile(lockfile).prettier).toBe('3.4.2');
+    });
+
+    test('reads a Berry lockfile', () => {
+      // Arrange
+      const lockfile =
+        '__metadata:\n  version: 8\n\n"eslint@npm:^9.0.0, eslint@npm:^9.17.0":\n  version: 9.17.0\n  resolution: "eslint@npm:9.17.0"\n';
+
+      // Act & Assert
+      expect(parseYarnLockfile(lockfile)).toEqual({ eslint: '9.17.0' });
+    });
+  });
+
+  describe('readInstalledVersions Function', () => {
+    test('reads node_modules first, then the lockfile, without running the package manager', async () => {
+      // Arrange
+      await writeFiles({
+        'package.json': { devDependencies: { eslint: '^9.17.0', husky: '^9.0.11' } },
+        'package-lock.json': {
+          lockfileVersion: 3,
+          packages: {
+            'node_modules/eslint': { version: '9.16.0' },
+            'node_modules/husky': { version: '9.1.7' },
+          },
+        },
+        'node_modules/eslint/package.json': { name: 'eslint', version: '9.17.0' },
+      });
+
+      // Act
+      const versions = await readInstalledVersions(['eslint', 'husky', 'next'], { cwd });
+
+      // Assert
+      expect(versions).toEqual({ eslint: '9.17.0', husky: '9.1.7' });
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+    });
+
+    test('lists packages with the package manager when the project has no lockfile or node_modules', async () => {
+      // Arrange
+      mockExecaCommand.mockResolvedValue({
+        stdout: JSON.stringify({ devDependencies: { eslint: { version: '8.57.0' } } }),
+      });
+
+      // Act
+      const version = await readInstalledVersion('eslint', {
+        cwd,
+        packageManager: getPackageManager('pnpm'),
+      });
+
+      // Assert
+      expect(version).toBe('8.57.0');
+      expect(mockExecaCommand).toHaveBeenCalledWith(
+        'pnpm list eslint --depth=0 --json',
+        expect.anything(),
+      );
+    });
+
+    test('caches the versions until cleared', async () => {
+      // Arrange
+      await writeFiles({ 'node_modules/husky/package.json': { version: '8.0.3' } });
+      await readInstalledVersion('husky', { cwd });
+      await writeFiles({ 'node_modules/husky/package.json': { version: '9.1.7' } });
+
+      // Act & Assert
+      await expect(readInstalledVersion('husky', { cwd })).resolves.toBe('8.0.3');
+      clearInstalledVersions();
+      await expect(readInstalledVersion('husky', { cwd })).resolves.toBe('9.1.7');
+    });
+  });
+
+  describe('getDependencyStatus Function', () => {
+    test('compares the required range with the installed or declared version', async () => {
+      // Arrange
+      await writeFiles({
+        'package.json': {
+          devDependencies: {
+            '@commitlint/cli': '^19.0.3',
+            eslint: '^8.57.0',
+            husky: '^9.0.11',
+            shared: 'file:../shared',
+          },
+        },
+        'node_modules/@commitlint/cli/package.json': { version: '19.6.1' },
+      });
+
+      // Act & Assert
+      await expect(getDependencyStatus('@commitlint/cli@^19.6.1', { cwd })).resolves.toEqual({
+        name: '@commitlint/cli',
+        status: 'installed',
+        version: '19.6.1',
+      });
+      await expect(getDependencyStatus('eslint@^9.17.0', { cwd })).resolves.toEqual({
+        name: 'eslint',
+        status: 'outdated',
+        version: '8.57.0',
+      });
+      await expect(getDependencyStatus('husky@^9.0.11', { cwd })).resolves.toEqual({
+        name: 'husky',
+        status: 'installed',
+        version: '9.0.11',
+      });
+      await expect(getDependencyStatus('shared@^1.0.0', { cwd })).resolves.toEqual({
+        name: 'shared',
+        status: 'installed',
+        version: null,
+      });
+      await expect(
+        getDependencyStatus('@commitlint/config-conventional@^19.0.3', { cwd }),
+      ).resolves.toEqual({
+        name: '@commitlint/config-conventional',
+        status: 'missing',
+        version: null,
+      });
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('readDeclaredDependencies Function', () => {
+    test('merges the dependency fields of package.json and reads it again once created', async () => {
+      // Act & Assert
+      await expect(readDeclaredDependencies({ cwd })).rejects.toThrow();
+
+      await writeFiles({
+        'package.json': {
+          dependencies: { next: '^15.1.0' },
+          devDependencies: { eslint: '^9.17.0' },
+        },
+      });
+      await expect(readDeclaredDependencies({ cwd })).resolves.toEqual({
+        next: '^15.1.0',
+        eslint: '^9.17.0',
+      });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @module tests/unit/journal.test.js
+ * @version 0.1.0
+ * @description Unit tests for the journal module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Set up mocks before imports
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logSuccess: jest.fn(),
+  logInfo: jest.fn(),
+  logWarning: jest.fn(),
+  formatPath: jest.fn((filePath) => filePath),
+}));
+
+// Import the module after setting up mocks
+const {
+  createJournal,
+  trackFile,
+  trackDirectory,
+  rollbackJournal,
+  rollbackFailedRun,
+  saveJournal,
+  loadJournal,
+  clearJournal,
+  JOURNAL_FILE,
+} = await import('../../src/journal.js');
+
+describe('Journal Module', () => {
+  let cwd;
+  const originalCwd = process.cwd();
+
+  /**
+   * Path inside the temporary project
+   * @param {...string} segments - Path segments
+   * @returns {string} Absolute path
+   */
+  const inProject = (...segments) => path.join(cwd, ...segments);
+
+  beforeEach(async () => {
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-journal-')));
+    process.chdir(cwd);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('trackFile Function', () => {
+    test('records existing files with their content and new files as missing', async () => {
+      // Arrange
+      await fs.writeFile(inProject('package.json'), '{}');
+      const journal = createJournal();
+
+      // Act
+      await trackFile(journal, 'package.json');
+      await trackFile(journal, '.prettierrc.json');
+      await trackFile(journal, 'package.json');
+
+      // Assert
+      expect(journal.entries).toEqual([
+        {
+          type: 'file',
+          path: 'package.json',
+          existed: true,
+          content: Buffer.from('{}').toString('base64'),
+          mode: expect.any(Number),
+        },
+        { type: 'file', path: '.prettierrc.json', existed: false },
+      ]);
+    });
+
+    test('does nothing without a journal', async () => {
+      // Act & Assert
+      await expect(trackFile(null, 'package.json')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('trackDirectory Function', () => {
+    test('records only the outermost missing directory', async () => {
+      // Arrange
+      const journal = createJournal();
+
+      // Act
+      await trackDirectory(journal, 'tests/unit');
+      await trackDirectory(journal, 'tests/integration');
+      await trackFile(journal, 'tests/unit/sample.test.js');
+
+      // Assert
+      expect(journal.entries).toEqual([{ type: 'directory', path: 'tests' }]);
+    });
+
+    test('ignores directories that already exist', async () => {
+      // Arrange
+      await fs.mkdir(inProject('src'));
+      const journal = createJournal();
+
+      // Act
+      await trackDirectory(journal, 'src');
+
+      // Assert
+      expect(journal.entries).toEqual([]);
+    });
+  });
+
+  describe('rollbackJournal Function', () => {
+    test('restores modified files and removes created ones', async () => {
+      // Arrange
+      await fs.writeFile(inProject('package.json'), '{"name":"app"}');
+      const journal = createJournal();
+
+      await trackFile(journal, 'package.json');
+      await fs.writeFile(inProject('package.json'), '{"name":"app","scripts":{}}');
+      await trackFile(journal, '.prettierrc.json');
+      await fs.writeFile(inProject('.prettierrc.json'), '{}');
+      await trackDirectory(journal, 'tests/unit');
+      await fs.mkdir(inProject('tests/unit'), { recursive: true });
+      await fs.writeFile(inProject('tests/unit/sample.test.js'), '');
+
+      // Act
+      const result = await rollbackJournal(journal);
+
+      // Assert
+      expect(result).toEqual({ restored: 1, removed: 2 });
+      expect(await fs.readFile(inProject('package.json'), 'utf8')).toBe('{"name":"app"}');
+      expect(await fs.readdir(cwd)).toEqual(['package.json']);
+    });
+  });
+
+  describe('rollbackFailedRun Function', () => {
+    test('reports failure instead of throwing', async () => {
+      // Arrange
+      const journal = createJournal();
+      journal.entries.push({
+        type: 'file',
+        path: 'missing/package.json',
+        existed: true,
+        content: '',
+        mode: 0o644,
+      });
+
+      // Act
+      const result = await rollbackFailedRun(journal);
+
+      // Assert
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('saveJournal and loadJournal Functions', () => {
+    test('round-trips the journal through the project directory', async () => {
+      // Arrange
+      const journal = createJournal();
+      await trackFile(journal, 'package.json');
+
+      // Act
+      await saveJournal(journal);
+      const loaded = await loadJournal();
+
+      // Assert
+      expect(loaded.entries).toEqual(journal.entries);
+      expect(loaded.cwd).toBe(cwd);
+    });
+
+    test('returns null when no run was journaled', async () => {
+      // Act & Assert
+      expect(await loadJournal()).toBeNull();
+    });
+
+    test('throws error for an unknown journal version', async () => {
+      // Arrange
+      await saveJournal({ ...createJournal(), version: 99 });
+
+      // Act & Assert
+      await expect(loadJournal()).rejects.toThrow('Unsupported journal version: 99');
+    });
+
+    test('clearJournal removes the journal and its directory', async () => {
+      // Arrange
+      await saveJournal(createJournal());
+
+      // Act
+      await clearJournal();
+
+      // Assert
+      expect(await fs.readdir(cwd)).toEqual([]);
+      await expect(fs.access(inProject(JOURNAL_FILE))).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @module tests/unit/migrations.test.js
+ * @version 0.1.0
+ * @description Unit tests for the migrations module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+
+import { getPendingMigrations, runMigrations } from '../../src/migrations.js';
+import { configurePrompts } from '../../src/prompts.js';
+
+describe('Migrations Module', () => {
+  const legacy = { eslintConfig: 'legacy', typescript: false, testRunner: 'jest' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    configurePrompts();
+  });
+
+  describe('getPendingMigrations Function', () => {
+    test('selects the migrations introduced after the stamped version that apply', () => {
+      // Act & Assert
+      expect(getPendingMigrations('0.0.0', legacy).map(({ id }) => id)).toEqual([
+        'eslint-flat-config',
+      ]);
+      expect(getPendingMigrations('0.1.0', legacy).map(({ id }) => id)).toEqual([
+        'eslint-flat-config',
+      ]);
+      expect(getPendingMigrations('0.2.0', legacy)).toEqual([]);
+      expect(getPendingMigrations('0.0.0', { ...legacy, eslintConfig: 'flat' })).toEqual([]);
+      expect(getPendingMigrations('0.0.0', legacy, '0.1.0')).toEqual([]);
+    });
+  });
+
+  describe('runMigrations Function', () => {
+    test('migrates the settings once confirmed', async () => {
+      // Arrange
+      configurePrompts({ yes: true });
+
+      // Act
+      const result = await runMigrations(legacy, { fromVersion: '0.0.0' });
+
+      // Assert
+      expect(result).toEqual({
+        settings: { ...legacy, eslintConfig: 'flat' },
+        applied: ['eslint-flat-config'],
+      });
+    });
+
+    test('migrates a legacy project stamped by the previous release', async () => {
+      // Arrange
+      configurePrompts({ yes: true });
+
+      // Act
+      const result = await runMigrations(legacy, { fromVersion: '0.1.0' });
+
+      // Assert
+      expect(result.applied).toEqual(['eslint-flat-config']);
+      expect(result.settings.eslintConfig).toBe('flat');
+    });
+
+    test('keeps the settings when a migration is declined', async () => {
+      // Arrange
+      configurePrompts({ answers: { 'run-migration': 'no' } });
+
+      // Act
+      const result = await runMigrations(legacy, { fromVersion: '0.0.0' });
+
+      // Assert
+      expect(result).toEqual({ settings: legacy, applied: [] });
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * @module tests/unit/package-manager.test.js
+ * @version 0.1.0
+ * @description Unit tests for the package-manager module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import path from 'path';
+
+// Create mock functions
+const mockReadFile = jest.fn();
+const mockFileExists = jest.fn();
+const mockLogInfo = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('fs', () => ({
+  promises: {
+    readFile: mockReadFile,
+  },
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logInfo: mockLogInfo,
+  fileExists: mockFileExists,
+}));
+
+// Import the module after setting up mocks
+const { detectPackageManager, getPackageManager, resolvePackageManager, isValidPackageManager } =
+  await import('../../src/package-manager.js');
+
+describe('Package Manager Module', () => {
+  const cwd = '/project';
+  const originalUserAgent = process.env.npm_config_user_agent;
+
+  /**
+   * Arrange a fake project on the mocked file system
+   * @param {Object} packageJson - package.json contents
+   * @param {string[]} files - Files present in the project directory
+   */
+  const arrangeProject = (packageJson, files = []) => {
+    mockReadFile.mockResolvedValue(JSON.stringify(packageJson));
+    mockFileExists.mockImplementation(async (filePath) =>
+      files.includes(path.relative(cwd, filePath)),
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.npm_config_user_agent;
+  });
+
+  afterAll(() => {
+    process.env.npm_config_user_agent = originalUserAgent;
+  });
+
+  describe('detectPackageManager Function', () => {
+    test.each([
+      ['pnpm-lock.yaml', 'pnpm'],
+      ['yarn.lock', 'yarn'],
+      ['bun.lockb', 'bun'],
+      ['package-lock.json', 'npm'],
+    ])('detects the manager from %s', async (lockfile, expected) => {
+      // Arrange
+      arrangeProject({ name: 'app' }, [lockfile]);
+
+      // Act
+      const result = await detectPackageManager({ cwd });
+
+      // Assert
+      expect(result).toEqual({ id: expected, version: null, source: lockfile });
+    });
+
+    test('prefers the packageManager field over lockfiles', async () => {
+      // Arrange
+      arrangeProject({ packageManager: 'pnpm@9.1.0+sha512.abc' }, ['package-lock.json']);
+
+      // Act
+      const result = await detectPackageManager({ cwd });
+
+      // Assert
+      expect(result).toEqual({ id: 'pnpm', version: '9.1.0', source: 'packageManager field' });
+    });
+
+    test('marks Yarn projects with .yarnrc.yml as Berry', async () => {
+      // Arrange
+      arrangeProject({}, ['yarn.lock', '.yarnrc.yml']);
+
+      // Act
+      const result = await detectPackageManager({ cwd });
+
+      // Assert
+      expect(result.id).toBe('yarn');
+      expect(result.version).toBe('2');
+    });
+
+    test('falls back to the user agent when there is no lockfile', async () => {
+      // Arrange
+      arrangeProject({});
+      process.env.npm_config_user_agent = 'pnpm/9.1.0 npm/? node/v20.11.0 linux x64';
+
+      // Act
+      const result = await detectPackageManager({ cwd });
+
+      // Assert
+      expect(result).toEqual({ id: 'pnpm', version: '9.1.0', source: 'user agent' });
+    });
+
+    test('defaults to npm when nothing can be detected', async () => {
+      // Arrange
+      mockReadFile.mockRejectedValue(new Error('ENOENT'));
+      mockFileExists.mockResolvedValue(false);
+
+      // Act
+      const result = await detectPackageManager({ cwd });
+
+      // Assert
+      expect(result).toEqual({ id: 'npm', version: null, source: 'default' });
+    });
+  });
+
+  describe('getPackageManager Function', () => {
+    test.each([
+      [
+        'npm',
+        'npm install --save-dev eslint',
+        'npm uninstall eslint',
+        'npx --no -- husky init',
+        'npm run lint',
+        'npm init -y',
+      ],
+      [
+        'pnpm',
+        'pnpm add --save-dev eslint',
+        'pnpm remove eslint',
+        'pnpm exec husky init',
+        'pnpm run lint',
+        'pnpm init',
+      ],
+      [
+        'yarn',
+        'yarn add --dev eslint',
+        'yarn remove eslint',
+        'yarn husky init',
+        'yarn run lint',
+        'yarn init -y',
+      ],
+      [
+        'bun',
+        'bun add --dev eslint',
+        'bun remove eslint',
+        'bunx husky init',
+        'bun run lint',
+        'bun init -y',
+      ],
+    ])('builds %s commands', (id, add, remove, exec, run, init) => {
+      // Act
+      const manager = getPackageManager(id);
+
+      // Assert
+      expect(manager.addCommand(['eslint'])).toBe(add);
+      expect(manager.removeCommand(['eslint'])).toBe(remove);
+      expect(manager.execCommand('husky init')).toBe(exec);
+      expect(manager.runCommand('lint')).toBe(run);
+      expect(manager.initCommand()).toBe(init);
+    });
+
+    test('defaults to npm', () => {
+      // Act
+      const manager = getPackageManager();
+
+      // Assert
+      expect(manager.id).toBe('npm');
+      expect(manager.listCommand('eslint')).toBe('npm list eslint --depth=0 --json');
+    });
+
+    test('lists packages with yarn info on Yarn Berry', () => {
+      // Act
+      const classic = getPackageManager('yarn', { version: '1.22.19' });
+      const berry = getPackageManager('yarn', { version: '4.1.0' });
+
+      // Assert
+      expect(classic.listCommand('eslint')).toBe('yarn list --pattern eslint --depth=0 --json');
+      expect(berry.listCommand('eslint')).toBe('yarn info eslint --json');
+    });
+
+    test.each([
+      ['npm', null, 'npm install --save-dev eslint', 'npm run lint --workspaces --if-present'],
+      [
+        'pnpm',
+        null,
+        'pnpm add --save-dev --workspace-root eslint',
+        'pnpm --recursive --if-present run lint',
+      ],
+      [
+        'yarn',
+        '1.22.19',
+        'yarn add --dev --ignore-workspace-root-check eslint',
+        'yarn workspaces run lint',
+      ],
+      ['yarn', '4.1.0', 'yarn add --dev eslint', 'yarn workspaces foreach --all run lint'],
+      ['bun', null, 'bun add --dev eslint', 'bun run --filter=* lint'],
+    ])('builds %s %s workspace commands', (id, version, addRoot, runAll) => {
+      // Act
+      const manager = getPackageManager(id, { version });
+
+      // Assert
+      expect(manager.addRootCommand(['eslint'])).toBe(addRoot);
+      expect(manager.runAllCommand('lint')).toBe(runAll);
+    });
+
+    test('passes --legacy-peer-deps to npm only', () => {
+      // Arrange
+      const npm = getPackageManager('npm');
+      const pnpm = getPackageManager('pnpm');
+
+      // Act & Assert
+      expect(npm.addCommand(['eslint'], { legacyPeerDeps: true })).toBe(
+        'npm install --save-dev eslint --legacy-peer-deps',
+      );
+      expect(npm.addRootCommand(['eslint'], { legacyPeerDeps: true })).toBe(
+        'npm install --save-dev eslint --legacy-peer-deps',
+      );
+      expect(npm.removeCommand(['eslint'], { legacyPeerDeps: true })).toBe(
+        'npm uninstall eslint --legacy-peer-deps',
+      );
+      expect(npm.addCommand(['eslint'])).toBe('npm install --save-dev eslint');
+      expect(pnpm.addCommand(['eslint'], { legacyPeerDeps: true })).toBe(
+        'pnpm add --save-dev eslint',
+      );
+    });
+
+    test('throws for unsupported package managers', () => {
+      // Act & Assert
+      expect(() => getPackageManager('cnpm')).toThrow('Unsupported package manager: cnpm');
+    });
+  });
+
+  describe('resolvePackageManager Function', () => {
+    test('uses the override with the version the project pins for it', async () => {
+      // Arrange
+      arrangeProject({ packageManager: 'yarn@4.5.0' }, ['package-lock.json']);
+
+      // Act
+      const manager = await resolvePackageManager({ override: 'yarn', cwd });
+
+      // Assert
+      expect(manager.id).toBe('yarn');
+      expect(manager.version).toBe('4.5.0');
+      expect(manager.runAllCommand('lint')).toBe('yarn workspaces foreach --all run lint');
+    });
+
+    test('detects Yarn Berry from .yarnrc.yml for an override, and no version for other managers', async () => {
+      // Arrange
+      arrangeProject({ packageManager: 'pnpm@9.1.0' }, ['.yarnrc.yml']);
+
+      // Act
+      const yarn = await resolvePackageManager({ override: 'yarn', cwd });
+      const bun = await resolvePackageManager({ override: 'bun', cwd });
+
+      // Assert
+      expect(yarn.version).toBe('2');
+      expect(bun.id).toBe('bun');
+      expect(bun.version).toBeNull();
+    });
+
+    test('detects the manager when there is no override', async () => {
+      // Arrange
+      arrangeProject({}, ['pnpm-lock.yaml']);
+
+      // Act
+      const manager = await resolvePackageManager({ cwd, verbose: true });
+
+      // Assert
+      expect(manager.id).toBe('pnpm');
+      expect(mockLogInfo).toHaveBeenCalledWith(expect.stringContaining('pnpm-lock.yaml'));
+    });
+  });
+
+  describe('isValidPackageManager Function', () => {
+    test('accepts supported managers only', () => {
+      // Act & Assert
+      expect(isValidPackageManager('pnpm')).toBe(true);
+      expect(isValidPackageManager('cnpm')).toBe(false);
+    });
+  });
+});
@@ -9,7 +9,7 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-13
- * @lastModified 2025-05-13
+ * @lastModified 2026-10-19
  * @modifiedBy Alejandro Valencia <dev@alejandrovr.com>
  */
 
@@ -20,6 +20,7 @@ const mockReadFile = jest.fn();
 const mockWriteFile = jest.fn();
 const mockExecaCommand = jest.fn();
 const mockGetProjectDependencies = jest.fn();
+const mockGetProjectTypeConfig = jest.fn();
 const mockLogSuccess = jest.fn();
 const mockLogInfo = jest.fn();
 const mockLogWarning = jest.fn();
@@ -38,24 +39,37 @@ jest.unstable_mockModule('execa', () => ({
 }));
 
 jest.unstable_mockModule('../../src/project-types.js', () => ({
-  getProjectDependencies: mockGetProjectDependencies
+  getProjectDependencies: mockGetProjectDependencies,
+  getProjectTypeConfig: mockGetProjectTypeConfig,
+  QUALITY_TOOLS: ['eslint', 'prettier', 'jest', 'husky', 'lint-staged', 'commitlint', 'commitizen']
 }));
 
 jest.unstable_mockModule('../../src/utils.js', () => ({
   logSuccess: mockLogSuccess,
   logInfo: mockLogInfo,
   logWarning: mockLogWarning,
-  logError: mockLogError
+  logError: mockLogError,
+  fileExists: jest.fn().mockResolvedValue(false),
+  extractPackageName: jest.fn((dependency) => dependency.replace(/(.)@.*$/, '$1'))
 }));
 
 // Import the module after setting up mocks
 const packageModifierModule = await import('../../src/package-modifier.js');
+const { getPackageManager } = await import('../../src/package-manager.js');
+const { createPlan } = await import('../../src/dry-run.js');
+const { clearInstalledVersions } = await import('../../src/installed-versions.js');
 const {
   isPackageInstalled,
   modifyPackageJson,
   addScriptsToPackageJson,
+  getQualityScripts,
+  getWorkspaceScripts,
   installDependencies,
-  addDevDependencies
+  addDevDependencies,
+  removeDevDependencies,
+  needsLegacyPeerDeps,
+  updateQualityScripts,
+  upgradeQualityScripts
 } = packageModifierModule;
 
 describe('Package Modifier Module', () => {
@@ -78,6 +92,9 @@ describe('Package Modifier Module', () => {
     
     mockReadFile.mockReset();
     mockReadFile.mockResolvedValue(JSON.stringify(samplePackageJson));
+    
+    // package.json is read once per run
+    clearInstalledVersions();
   });
   
   /**
@@ -260,6 +277,22 @@ describe('Package Modifier Module', () => {
       expect(writtenContent.keywords).toEqual(['new', 'keywords']);
     });
     
+    test('removes keys set to undefined', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify({
+        name: 'test-project',
+        scripts: { commit: 'cz', start: 'node index.js' },
+        config: { commitizen: { path: './node_modules/cz-conventional-changelog' } }
+      }));
+      
+      // Act
+      await modifyPackageJson({ scripts: { commit: undefined }, config: undefined });
+      
+      // Assert
+      const writtenContent = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(writtenContent).toEqual({ name: 'test-project', scripts: { start: 'node index.js' } });
+    });
+    
     test('throws error when package.json cannot be read', async () => {
       // Arrange
       mockReadFile.mockRejectedValue(new Error('Failed to read file'));
@@ -362,6 +395,32 @@ describe('Package Modifier Module', () => {
       expect(mockLogInfo).toHaveBeenCalled();
     });
     
+    test('skips declared scoped packages and updates the ones outside the required range', async () => {
+      // Arrange
+      mockGetProjectDependencies.mockReturnValue(['@commitlint/cli@^19.0.3', '@testing-library/react@^14.1.2', 'eslint@^9.17.0']);
+      mockReadFile.mockImplementation(async (path) => {
+        if (path === 'package.json') {
+          return JSON.stringify({
+            devDependencies: { '@commitlint/cli': '^19.6.1', '@testing-library/react': '^14.1.2', 'eslint': '^8.57.0' }
+          });
+        }
+        throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      });
+      const plan = createPlan();
+      
+      // Act
+      await installDependencies({ projectType: 'react', plan });
+      
+      // Assert
+      expect(mockGetProjectDependencies).toHaveBeenCalledWith('react', expect.anything());
+      expect(plan.changes).toEqual([
+        { type: 'dependency', action: 'skip', name: '@commitlint/cli', reason: 'already installed' },
+        { type: 'dependency', action: 'skip', name: '@testing-library/react', reason: 'already installed' },
+        { type: 'dependency', action: 'update', name: 'eslint', value: 'eslint@^9.17.0', previous: '8.57.0' },
+        { type: 'command', action: 'run', command: 'npm install --save-dev eslint@^9.17.0' }
+      ]);
+    });
+    
     test('throws error when installation fails', async () => {
       // Arrange
       // Mock packages as not installed
@@ -416,6 +475,31 @@ describe('Package Modifier Module', () => {
       expect(mockLogSuccess).toHaveBeenCalled();
     });
     
+    test('adds with --legacy-peer-deps when asked', async () => {
+      // Act
+      await addDevDependencies(['eslint-config-airbnb-base@^15.0.0'], { legacyPeerDeps: true });
+      
+      // Assert
+      expect(mockExecaCommand).toHaveBeenCalledWith(
+        'npm install --save-dev eslint-config-airbnb-base@^15.0.0 --legacy-peer-deps',
+        expect.anything()
+      );
+    });
+    
+    test('uses the add command of the given package manager', async () => {
+      // Arrange
+      const packageManager = getPackageManager('pnpm');
+      
+      // Act
+      await addDevDependencies(['eslint'], { packageManager });
+      
+      // Assert
+      expect(mockExecaCommand).toHaveBeenCalledWith(
+        'pnpm add --save-dev eslint',
+        expect.anything()
+      );
+    });
+    
     test('handles empty dependencies array', async () => {
       // Arrange
       const dependencies = [];
@@ -458,6 +542,94 @@ describe('Package Modifier Module', () => {
     });
   });
   
+  /**
+   * removeDevDependencies Tests
+   */
+  describe('needsLegacyPeerDeps Function', () => {
+    test('asks for the flag with the flat ESLint setup on npm only', () => {
+      // Act & Assert
+      expect(needsLegacyPeerDeps({ eslintConfig: 'flat', tools: ['eslint'], packageManager: getPackageManager('npm') })).toBe(true);
+      expect(needsLegacyPeerDeps({ eslintConfig: 'legacy', tools: ['eslint'], packageManager: getPackageManager('npm') })).toBe(false);
+      expect(needsLegacyPeerDeps({ eslintConfig: 'flat', tools: ['prettier'], packageManager: getPackageManager('npm') })).toBe(false);
+      expect(needsLegacyPeerDeps({ eslintConfig: 'flat', tools: ['eslint'], packageManager: getPackageManager('pnpm') })).toBe(false);
+    });
+  });
+  
+  describe('removeDevDependencies Function', () => {
+    test('removes the declared packages with the package manager', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify({
+        devDependencies: { 'commitizen': '^4.3.0', 'cz-conventional-changelog': '^3.3.0' }
+      }));
+      
+      // Act
+      const result = await removeDevDependencies(
+        ['commitizen@^4.3.0', 'cz-conventional-changelog@^3.3.0', '@commitlint/cli@^19.0.3'],
+        { packageManager: getPackageManager('pnpm') }
+      );
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(mockExecaCommand).toHaveBeenCalledWith(
+        'pnpm remove commitizen cz-conventional-changelog',
+        expect.any(Object)
+      );
+      expect(mockLogSuccess).toHaveBeenCalled();
+    });
+    
+    test('removes with --legacy-peer-deps when asked', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify({ devDependencies: { 'prettier': '^3.1.1' } }));
+      
+      // Act
+      await removeDevDependencies(['prettier'], { legacyPeerDeps: true });
+      
+      // Assert
+      expect(mockExecaCommand).toHaveBeenCalledWith('npm uninstall prettier --legacy-peer-deps', expect.any(Object));
+    });
+    
+    test('does nothing when none of the packages is declared', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify({ devDependencies: {} }));
+      
+      // Act
+      const result = await removeDevDependencies(['commitizen@^4.3.0']);
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+    });
+  });
+  
+  /**
+   * getQualityScripts Tests
+   */
+  describe('getQualityScripts Function', () => {
+    test('returns the same scripts addScriptsToPackageJson writes', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify(samplePackageJson));
+      
+      // Act
+      await addScriptsToPackageJson({ typescript: true });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts).toMatchObject(getQualityScripts({ typescript: true }));
+    });
+    
+    test('adds the scripts of a plugin project type over the quality scripts', () => {
+      // Arrange
+      mockGetProjectTypeConfig.mockReturnValueOnce({ scripts: { 'test': 'vitest run', 'build:vue': 'vite build' } });
+      
+      // Act
+      const scripts = getQualityScripts({ projectType: 'vue' });
+      
+      // Assert
+      expect(mockGetProjectTypeConfig).toHaveBeenCalledWith('vue');
+      expect(scripts).toMatchObject({ 'lint': 'eslint .', 'test': 'vitest run', 'build:vue': 'vite build' });
+    });
+  });
+  
   /**
    * addScriptsToPackageJson Tests
    */
@@ -501,6 +673,70 @@ describe('Package Modifier Module', () => {
       expect(mockLogSuccess).toHaveBeenCalled();
     });
     
+    test('uses flat config lint scripts by default', async () => {
+      // Act
+      await addScriptsToPackageJson();
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts.lint).toBe('eslint .');
+      expect(content.scripts['lint:fix']).toBe('eslint . --fix');
+    });
+    
+    test('uses eslintrc lint scripts for the legacy config format', async () => {
+      // Act
+      await addScriptsToPackageJson({ eslintConfig: 'legacy' });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts.lint).toBe('eslint --ignore-path .gitignore --ext .js .');
+    });
+    
+    test('adds the typecheck script for the TypeScript variant', async () => {
+      // Act
+      await addScriptsToPackageJson({ typescript: true });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts.typecheck).toBe('tsc --noEmit');
+      expect(content.scripts.format).toContain('ts,tsx');
+    });
+    
+    test('points the test scripts at Vitest for the vitest test runner', async () => {
+      // Act
+      await addScriptsToPackageJson({ testRunner: 'vitest' });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts.test).toBe('vitest run');
+      expect(content.scripts['test:ci']).toBe('vitest run --coverage src tests/integration');
+      expect(Object.values(content.scripts).some((script) => script.includes('jest'))).toBe(false);
+    });
+    
+    test('runs node --test with glob patterns and c8 coverage for the node test runner', () => {
+      // Act
+      const scripts = getQualityScripts({ testRunner: 'node' });
+      const typescriptScripts = getQualityScripts({ testRunner: 'node', typescript: true });
+      
+      // Assert
+      expect(scripts['test:unit']).toBe('node --test "src/**/*.test.js"');
+      expect(scripts['test:unit:watch']).toBe('node --test --watch "src/**/*.test.js"');
+      expect(scripts['test:unit:coverage']).toBe('node --test --experimental-test-coverage "src/**/*.test.js"');
+      expect(scripts['test:ci']).toBe('c8 node --test "src/**/*.test.js" "tests/integration/**/*.test.js"');
+      expect(typescriptScripts.test).toBe('node --import tsx --test "{src,tests}/**/*.test.{js,ts}"');
+    });
+    
+    test('leaves out the scripts and commitizen config of the tools that are not set up', async () => {
+      // Act
+      await addScriptsToPackageJson({ typescript: true, tools: ['eslint', 'husky'] });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts).toMatchObject({ 'lint': 'eslint .', 'typecheck': 'tsc --noEmit', 'prepare': 'husky' });
+      expect(Object.keys(content.scripts).some((script) => /^(test|format|commit)/.test(script))).toBe(false);
+      expect(content.config).toBeUndefined();
+    });
+    
     test('logs verbose output when verbose=true', async () => {
       // Act
       await addScriptsToPackageJson({ verbose: true });
@@ -519,4 +755,280 @@ describe('Package Modifier Module', () => {
       expect(mockLogError).toHaveBeenCalled();
     });
   });
+  
+  /**
+   * updateQualityScripts Tests
+   */
+  describe('updateQualityScripts Function', () => {
+    const allTools = ['eslint', 'prettier', 'jest', 'husky', 'lint-staged', 'commitlint', 'commitizen'];
+    
+    test('adds the scripts and the Commitizen config of an added tool', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify({ scripts: { lint: 'eslint .', start: 'node index.js' } }));
+      
+      // Act
+      const changed = await updateQualityScripts({ previousTools: ['eslint'], tools: ['eslint', 'commitizen'] });
+      
+      // Assert
+      expect(changed).toBe(true);
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts).toEqual({ lint: 'eslint .', start: 'node index.js', commit: 'cz' });
+      expect(content.config).toEqual({ commitizen: { path: './node_modules/cz-conventional-changelog' } });
+    });
+    
+    test('removes the scripts of a removed tool unless they were changed', async () => {
+      // Arrange
+      const scripts = getQualityScripts({ tools: allTools });
+      mockReadFile.mockResolvedValue(JSON.stringify({
+        scripts: { ...scripts, 'format': 'prettier --write src' },
+        config: { commitizen: { path: './node_modules/cz-conventional-changelog' } }
+      }));
+      
+      // Act
+      await updateQualityScripts({ previousTools: allTools, tools: allTools.filter((tool) => !['prettier', 'husky'].includes(tool)) });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts).not.toHaveProperty('prepare');
+      expect(content.scripts.format).toBe('prettier --write src');
+      expect(content.scripts.lint).toBe('eslint .');
+      expect(content.config).toEqual({ commitizen: { path: './node_modules/cz-conventional-changelog' } });
+    });
+    
+    test('puts the scripts of a tool added again back in their place', async () => {
+      // Arrange
+      const scripts = getQualityScripts({ tools: allTools });
+      const { format, ...withoutPrettier } = scripts;
+      mockReadFile.mockResolvedValue(JSON.stringify({ scripts: { start: 'node index.js', ...withoutPrettier } }));
+      
+      // Act
+      await updateQualityScripts({ previousTools: allTools.filter((tool) => tool !== 'prettier'), tools: allTools });
+      
+      // Assert
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(Object.keys(content.scripts)).toEqual(['start', ...Object.keys(scripts)]);
+      expect(content.scripts.format).toBe(format);
+    });
+    
+    test('removes the Commitizen config and keeps the rest of the config', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockReadFile.mockResolvedValue(JSON.stringify({
+        scripts: getQualityScripts({ tools: allTools }),
+        config: { commitizen: { path: './node_modules/cz-conventional-changelog' }, port: 3000 }
+      }));
+      
+      // Act
+      await updateQualityScripts({ previousTools: allTools, tools: allTools.filter((tool) => tool !== 'commitizen'), plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(plan.changes).toEqual([
+        { type: 'package-json', action: 'remove', name: 'scripts.commit', previous: 'cz' },
+        { type: 'package-json', action: 'remove', name: 'config.commitizen', previous: { path: './node_modules/cz-conventional-changelog' } }
+      ]);
+    });
+    
+    test('leaves package.json alone when the scripts do not change', async () => {
+      // Arrange
+      mockReadFile.mockResolvedValue(JSON.stringify({ scripts: {} }));
+      
+      // Act
+      const changed = await updateQualityScripts({ previousTools: ['eslint'], tools: ['eslint', 'lint-staged'] });
+      
+      // Assert
+      expect(changed).toBe(false);
+      expect(mockWriteFile).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('upgradeQualityScripts Function', () => {
+    test('takes the new commands of unchanged scripts and reports the changed ones', async () => {
+      // Arrange
+      const baseScripts = getQualityScripts({ eslintConfig: 'legacy', tools: ['eslint'] });
+      mockReadFile.mockResolvedValue(JSON.stringify({
+        scripts: { ...baseScripts, 'lint:fix': 'eslint src --fix', start: 'node index.js' }
+      }));
+      
+      // Act
+      const conflicts = await upgradeQualityScripts({ eslintConfig: 'flat', tools: ['eslint'], baseScripts });
+      
+      // Assert
+      expect(conflicts).toEqual(['lint:fix']);
+      const content = JSON.parse(mockWriteFile.mock.calls[0][1]);
+      expect(content.scripts).toEqual({ lint: 'eslint .', 'lint:fix': 'eslint src --fix', start: 'node index.js' });
+      expect(mockLogWarning).toHaveBeenCalledWith(expect.stringContaining('The scaffold now runs: eslint . --fix'));
+    });
+    
+    test('removes the scripts no longer set and does not add back the removed ones', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockReadFile.mockResolvedValue(JSON.stringify({ scripts: { lint: 'eslint .', 'lint:old': 'eslint --ext .js .' } }));
+      
+      // Act
+      const conflicts = await upgradeQualityScripts({
+        tools: ['eslint'],
+        baseScripts: { lint: 'eslint .', 'lint:fix': 'eslint . --fix', 'lint:old': 'eslint --ext .js .' },
+        plan
+      });
+      
+      // Assert
+      expect(conflicts).toEqual([]);
+      expect(plan.changes).toEqual([
+        { type: 'package-json', action: 'remove', name: 'scripts.lint:old', previous: 'eslint --ext .js .' }
+      ]);
+    });
+  });
+  
+  /**
+   * Dry Run Tests
+   */
+  describe('Dry Run', () => {
+    test('installDependencies records missing packages and the install command without running it', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockGetProjectDependencies.mockReturnValue(['eslint@^9.17.0', 'prettier@^3.1.1']);
+      mockReadFile.mockResolvedValue(JSON.stringify({ devDependencies: { prettier: '^3.1.1' } }));
+      
+      // Act
+      await installDependencies({ projectType: 'node', plan });
+      
+      // Assert
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+      expect(plan.changes).toEqual([
+        { type: 'dependency', action: 'skip', name: 'prettier', reason: 'already installed' },
+        { type: 'dependency', action: 'add', name: 'eslint', value: 'eslint@^9.17.0' },
+        { type: 'command', action: 'run', command: 'npm install --save-dev eslint@^9.17.0' }
+      ]);
+    });
+    
+    test('addScriptsToPackageJson records each added and overwritten key without writing', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockReadFile.mockResolvedValue(JSON.stringify({
+        scripts: { lint: 'eslint .', test: 'jest' }
+      }));
+      
+      // Act
+      await addScriptsToPackageJson({ plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(plan.changes).toContainEqual(
+        { type: 'package-json', action: 'unchanged', name: 'scripts.lint', value: 'eslint .' }
+      );
+      expect(plan.changes).toContainEqual(expect.objectContaining(
+        { action: 'overwrite', name: 'scripts.test', previous: 'jest' }
+      ));
+      expect(plan.changes).toContainEqual(expect.objectContaining(
+        { action: 'add', name: 'config.commitizen.path' }
+      ));
+    });
+    
+    test('installDependencies shows --legacy-peer-deps on the install command without touching .npmrc', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockGetProjectDependencies.mockReturnValue(['eslint-config-airbnb-base@^15.0.0']);
+      mockReadFile.mockResolvedValue(JSON.stringify({ devDependencies: {} }));
+      
+      // Act
+      await installDependencies({ projectType: 'node', legacyPeerDeps: true, plan });
+      
+      // Assert
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(plan.changes).toContainEqual(
+        { type: 'command', action: 'run', command: 'npm install --save-dev eslint-config-airbnb-base@^15.0.0 --legacy-peer-deps' }
+      );
+    });
+    
+    test('removeDevDependencies records the removed packages and the remove command', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockReadFile.mockResolvedValue(JSON.stringify({ devDependencies: { 'commitizen': '^4.3.0' } }));
+      
+      // Act
+      await removeDevDependencies(['commitizen@^4.3.0'], { packageManager: getPackageManager('yarn'), plan });
+      
+      // Assert
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+      expect(plan.changes).toEqual([
+        { type: 'dependency', action: 'remove', name: 'commitizen' },
+        { type: 'command', action: 'run', command: 'yarn remove commitizen' }
+      ]);
+    });
+  });
+  
+  /**
+   * Workspace Tests
+   */
+  describe('Workspaces', () => {
+    test('installDependencies adds the tooling of every package once to the workspace root', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockGetProjectDependencies.mockImplementation((projectType) => (projectType === 'react'
+        ? ['eslint@^9.17.0', 'eslint-plugin-react@^7.37.2']
+        : ['eslint@^9.17.0', 'jest@^29.7.0']));
+      mockReadFile.mockResolvedValue(JSON.stringify({ devDependencies: {} }));
+      const packages = [{ projectType: 'node', testRunner: 'jest' }, { projectType: 'react', testRunner: 'vitest' }];
+      
+      // Act
+      await installDependencies({ packages, packageManager: getPackageManager('pnpm'), plan });
+      
+      // Assert
+      expect(mockGetProjectDependencies).toHaveBeenCalledWith('react', expect.objectContaining({ testRunner: 'vitest' }));
+      expect(plan.changes).toContainEqual({
+        type: 'command',
+        action: 'run',
+        command: 'pnpm add --save-dev --workspace-root eslint@^9.17.0 jest@^29.7.0 eslint-plugin-react@^7.37.2'
+      });
+    });
+    
+    test('getQualityScripts leaves the repository scripts to the root and runs its Jest', () => {
+      // Act
+      const scripts = getQualityScripts({ workspaceRoot: '../..' });
+      
+      // Assert
+      expect(scripts).not.toHaveProperty('format');
+      expect(scripts).not.toHaveProperty('prepare');
+      expect(scripts.test).toBe('node --experimental-vm-modules ../../node_modules/jest/bin/jest.js');
+    });
+    
+    test('getWorkspaceScripts runs Jest projects or the scripts of every package', () => {
+      // Act
+      const jestScripts = getWorkspaceScripts({ testRunners: ['jest', 'jest'] });
+      const mixedScripts = getWorkspaceScripts({
+        typescript: true,
+        testRunners: ['jest', 'vitest'],
+        packageManager: getPackageManager('yarn', { version: '1.22.19' })
+      });
+      
+      // Assert
+      expect(jestScripts).toMatchObject({
+        'lint': 'npm run lint --workspaces --if-present',
+        'prepare': 'husky',
+        'test': 'node --experimental-vm-modules node_modules/jest/bin/jest.js'
+      });
+      expect(mixedScripts).toMatchObject({
+        'typecheck': 'yarn workspaces run typecheck',
+        'test': 'yarn workspaces run test',
+        'test:ci': 'yarn workspaces run test:ci'
+      });
+    });
+    
+    test('addScriptsToPackageJson records the changes of a package under its package.json', async () => {
+      // Arrange
+      const plan = createPlan();
+      mockReadFile.mockResolvedValue(JSON.stringify({ name: '@acme/api' }));
+      
+      // Act
+      await addScriptsToPackageJson({ directory: 'packages/api', workspaceRoot: '../..', plan });
+      
+      // Assert
+      expect(mockReadFile).toHaveBeenCalledWith(expect.stringMatching(/packages[\\/]api[\\/]package\.json$/), 'utf8');
+      expect(plan.changes).toContainEqual(
+        { type: 'package-json', action: 'add', path: 'packages/api/package.json', name: 'scripts.lint', value: 'eslint .' }
+      );
+      expect(plan.changes).not.toContainEqual(expect.objectContaining({ name: 'config.commitizen.path' }));
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * @module tests/unit/plugins.test.js
+ * @version 0.1.0
+ * @description Unit tests for the plugins module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Set up mocks before imports
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logInfo: jest.fn(),
+  extractPackageName: (dependency) => dependency.replace(/(?!^)@.*$/, ''),
+}));
+
+// Import the module after setting up mocks
+const { getPluginPackageName, loadPlugin, loadPlugins, runProjectTypeHook, PLUGIN_PREFIX } =
+  await import('../../src/plugins.js');
+const { getProjectTypeConfig, registerProjectType } = await import('../../src/project-types.js');
+const { createPlan } = await import('../../src/dry-run.js');
+
+describe('Plugins Module', () => {
+  let cwd;
+
+  /**
+   * Write a plugin module exporting a definition
+   * @param {string} file - Module path
+   * @param {string} definition - JavaScript source of the default export
+   * @returns {Promise<void>}
+   */
+  const writePlugin = async (file, definition) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `export default ${definition};\n`);
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-plugins-')));
+    await fs.writeFile(path.join(cwd, 'package.json'), '{ "type": "module" }');
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('getPluginPackageName Function', () => {
+    test.each([
+      ['vue', `${PLUGIN_PREFIX}vue`],
+      [`${PLUGIN_PREFIX}svelte`, `${PLUGIN_PREFIX}svelte`],
+      ['@acme/qa-plugin', '@acme/qa-plugin'],
+    ])('names the package of %s', (plugin, packageName) => {
+      // Act & Assert
+      expect(getPluginPackageName(plugin)).toBe(packageName);
+    });
+  });
+
+  describe('loadPlugin Function', () => {
+    test('registers the project type of a local plugin next to the built-in ones', async () => {
+      // Arrange
+      await writePlugin(
+        path.join(cwd, 'qa', 'index.js'),
+        `{
+        id: 'vue',
+        name: 'Vue',
+        dependencies: ['eslint-plugin-vue@^9.32.0'],
+        directories: ['src/components'],
+        scripts: { 'test': 'vitest run' },
+        templates: './templates'
+      }`,
+      );
+
+      // Act
+      const result = await loadPlugin('./qa/index.js', { cwd });
+
+      // Assert
+      const config = getProjectTypeConfig('vue');
+      expect(result).toEqual({ name: './qa/index.js', projectTypes: [config] });
+      expect(config.plugin).toBe('./qa/index.js');
+      expect(config.dependencies).toEqual(
+        expect.arrayContaining(['eslint@^9.17.0', 'eslint-plugin-vue@^9.32.0']),
+      );
+      expect(config.directories).toEqual(expect.arrayContaining(['tests', 'src/components']));
+      expect(config.templates).toEqual({
+        base: 'common',
+        specific: 'vue',
+        directory: path.join(cwd, 'qa', 'templates'),
+      });
+    });
+
+    test('finds a package of the project by its short name and registers every exported type', async () => {
+      // Arrange
+      const packageDir = path.join(cwd, 'node_modules', `${PLUGIN_PREFIX}web`);
+      await writePlugin(
+        path.join(packageDir, 'index.js'),
+        `[
+        { id: 'svelte', name: 'Svelte' },
+        { id: 'astro', name: 'Astro', description: 'Astro site' }
+      ]`,
+      );
+      await fs.writeFile(
+        path.join(packageDir, 'package.json'),
+        '{ "type": "module", "main": "index.js" }',
+      );
+
+      // Act
+      const [result] = await loadPlugins(['web'], { cwd });
+
+      // Assert
+      expect(result.name).toBe(`${PLUGIN_PREFIX}web`);
+      expect(result.projectTypes.map(({ id }) => id)).toEqual(['svelte', 'astro']);
+      expect(getProjectTypeConfig('svelte').description).toBe('Svelte');
+      expect(getProjectTypeConfig('astro').plugin).toBe(`${PLUGIN_PREFIX}web`);
+    });
+
+    test('loads the same plugin again but never replaces another project type', async () => {
+      // Arrange
+      await writePlugin(path.join(cwd, 'solid.js'), "{ id: 'solid', name: 'Solid' }");
+      await writePlugin(path.join(cwd, 'node.js'), "{ id: 'node', name: 'Deno' }");
+      await loadPlugin('./solid.js', { cwd });
+
+      // Act & Assert
+      await expect(loadPlugin('./solid.js', { cwd })).resolves.toEqual(
+        expect.objectContaining({ name: './solid.js' }),
+      );
+      await expect(loadPlugin('./node.js', { cwd })).rejects.toThrow(
+        'Project type node is already defined by the scaffold',
+      );
+    });
+
+    test.each([
+      ["{ name: 'Vue' }", '"id" must be a lowercase name such as "vue"'],
+      ["{ id: 'qwik' }", '"name" of project type qwik must be a display name'],
+      [
+        "{ id: 'qwik', name: 'Qwik', directories: 'src' }",
+        '"directories" of project type qwik must be a list of strings',
+      ],
+      [
+        "{ id: 'qwik', name: 'Qwik', scripts: { test: true } }",
+        '"scripts" of project type qwik must map script names to commands',
+      ],
+      [
+        "{ id: 'qwik', name: 'Qwik', hooks: { afterInstall() {} } }",
+        'unknown hook afterInstall in project type qwik (expected beforeSetup, afterSetup)',
+      ],
+    ])('throws error for the definition %s', async (definition, message) => {
+      // Arrange
+      await writePlugin(path.join(cwd, 'plugin.js'), definition);
+
+      // Act & Assert
+      await expect(loadPlugin('./plugin.js', { cwd })).rejects.toThrow(
+        `Invalid plugin ./plugin.js: ${message}`,
+      );
+    });
+
+    test('throws error for a plugin that is not installed', async () => {
+      // Act & Assert
+      await expect(loadPlugin('angular', { cwd })).rejects.toThrow(
+        `Plugin ${PLUGIN_PREFIX}angular not found, install it with "npm install --save-dev ${PLUGIN_PREFIX}angular"`,
+      );
+      await expect(loadPlugin('./missing.js', { cwd })).rejects.toThrow(
+        `Plugin not found: ${path.join(cwd, 'missing.js')}`,
+      );
+    });
+  });
+
+  describe('runProjectTypeHook Function', () => {
+    test('calls the hook of the project type with the setup context', async () => {
+      // Arrange
+      const afterSetup = jest.fn();
+      registerProjectType(
+        { id: 'lit', name: 'Lit', hooks: { afterSetup } },
+        { plugin: 'lit-plugin' },
+      );
+      const context = { projectType: 'lit', cwd };
+
+      // Act
+      await runProjectTypeHook('lit', 'afterSetup', context);
+      await runProjectTypeHook('lit', 'beforeSetup', context);
+      await runProjectTypeHook('node', 'afterSetup', context);
+
+      // Assert
+      expect(afterSetup).toHaveBeenCalledTimes(1);
+      expect(afterSetup).toHaveBeenCalledWith(context);
+    });
+
+    test('records the hook in a dry run instead of calling it', async () => {
+      // Arrange
+      const beforeSetup = jest.fn();
+      registerProjectType(
+        { id: 'ember', name: 'Ember', hooks: { beforeSetup } },
+        { plugin: 'ember-plugin' },
+      );
+      const plan = createPlan();
+
+      // Act
+      await runProjectTypeHook('ember', 'beforeSetup', {}, { plan });
+
+      // Assert
+      expect(beforeSetup).not.toHaveBeenCalled();
+      expect(plan.changes).toEqual([
+        { type: 'command', action: 'run', command: 'beforeSetup hook of ember-plugin' },
+      ]);
+    });
+
+    test('throws error naming the plugin of a failing hook', async () => {
+      // Arrange
+      const afterSetup = jest.fn().mockRejectedValue(new Error('vite.config.js is missing'));
+      registerProjectType(
+        { id: 'preact', name: 'Preact', hooks: { afterSetup } },
+        { plugin: 'preact-plugin' },
+      );
+
+      // Act & Assert
+      await expect(runProjectTypeHook('preact', 'afterSetup', {})).rejects.toThrow(
+        'The afterSetup hook of preact-plugin failed: vite.config.js is missing',
+      );
+    });
+  });
+});
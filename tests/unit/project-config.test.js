@@ -0,0 +1,295 @@
+/**
+ * @module tests/unit/project-config.test.js
+ * @version 0.1.0
+ * @description Unit tests for the project-config module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Create mock functions
+const mockModifyPackageJson = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('../../src/config-generator.js', () => ({
+  GIT_HOOKS: ['pre-commit', 'pre-push'],
+}));
+
+jest.unstable_mockModule('../../src/package-modifier.js', () => ({
+  modifyPackageJson: mockModifyPackageJson,
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logSuccess: jest.fn(),
+  logInfo: jest.fn(),
+  logWarning: jest.fn(),
+  formatPath: jest.fn((filePath) => filePath),
+  extractPackageName: jest.fn((dependency) => dependency.replace(/(.)@.*$/, '$1')),
+}));
+
+// Import the module after setting up mocks
+const {
+  loadProjectConfig,
+  validateProjectConfig,
+  mergeProjectConfig,
+  applyTemplateOverrides,
+  writeProjectConfig,
+} = await import('../../src/project-config.js');
+const { QUALITY_TOOLS } = await import('../../src/project-types.js');
+const { createPlan } = await import('../../src/dry-run.js');
+const { createJournal } = await import('../../src/journal.js');
+
+describe('Project Config Module', () => {
+  let cwd;
+  const originalCwd = process.cwd();
+
+  /**
+   * Write a file inside the temporary project
+   * @param {string} filename - File name
+   * @param {*} content - Content, objects are written as JSON
+   * @returns {Promise<void>}
+   */
+  const writeProjectFile = (filename, content) =>
+    fs.writeFile(
+      path.join(cwd, filename),
+      typeof content === 'string' ? content : JSON.stringify(content),
+    );
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-project-config-')));
+    process.chdir(cwd);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('loadProjectConfig Function', () => {
+    test('returns null when the project has no configuration', async () => {
+      // Arrange
+      await writeProjectFile('package.json', { name: 'app' });
+
+      // Act & Assert
+      expect(await loadProjectConfig()).toBeNull();
+    });
+
+    test('prefers the package.json key over the configuration files', async () => {
+      // Arrange
+      await writeProjectFile('package.json', { name: 'app', 'avr-qa': { projectType: 'react' } });
+      await writeProjectFile('.avrqarc.json', { projectType: 'next' });
+
+      // Act
+      const result = await loadProjectConfig();
+
+      // Assert
+      expect(result).toEqual({
+        config: { projectType: 'react' },
+        filepath: path.join(cwd, 'package.json'),
+      });
+    });
+
+    test('reads .avrqarc.json', async () => {
+      // Arrange
+      await writeProjectFile('.avrqarc.json', { typescript: true, disabledHooks: ['pre-push'] });
+
+      // Act
+      const result = await loadProjectConfig();
+
+      // Assert
+      expect(result.config).toEqual({ typescript: true, disabledHooks: ['pre-push'] });
+      expect(result.filepath).toBe(path.join(cwd, '.avrqarc.json'));
+    });
+
+    test('imports the default export of avr-qa.config.js', async () => {
+      // Arrange
+      await writeProjectFile('package.json', { type: 'module' });
+      await writeProjectFile(
+        'avr-qa.config.js',
+        "export default { projectType: 'next', variables: { team: 'web' } };\n",
+      );
+
+      // Act
+      const result = await loadProjectConfig();
+
+      // Assert
+      expect(result.config).toEqual({ projectType: 'next', variables: { team: 'web' } });
+    });
+
+    test('throws error for invalid JSON', async () => {
+      // Arrange
+      await writeProjectFile('.avrqarc', '{ projectType: node }');
+
+      // Act & Assert
+      await expect(loadProjectConfig()).rejects.toThrow('.avrqarc is not valid JSON');
+    });
+  });
+
+  describe('validateProjectConfig Function', () => {
+    test('accepts every supported option', () => {
+      // Arrange
+      const config = {
+        projectType: 'node',
+        packageManager: 'pnpm',
+        eslintConfig: 'legacy',
+        typescript: false,
+        moduleSystem: 'commonjs',
+        strictness: 'strict',
+        workspaces: { 'packages/web': { projectType: 'react', testRunner: 'vitest' } },
+        tools: QUALITY_TOOLS,
+        disabledHooks: ['pre-push'],
+        dependencies: ['eslint-plugin-security@^3.0.1'],
+        templateSource: '@acme/qa-templates',
+        templates: { 'husky/pre-push': 'qa/pre-push' },
+        variables: { team: 'platform' },
+      };
+
+      // Act & Assert
+      expect(validateProjectConfig(config)).toBe(config);
+    });
+
+    test.each([
+      [{ hooks: {} }, 'unknown option "hooks"'],
+      [{ typescript: 'yes' }, '"typescript" must be of type boolean'],
+      [{ dependencies: 'jest' }, '"dependencies" must be of type string[]'],
+      [{ eslintConfig: 'classic' }, 'unknown eslintConfig value classic'],
+      [{ testRunner: 'mocha' }, 'unknown testRunner value mocha (expected jest, vitest, node)'],
+      [{ moduleSystem: 'amd' }, 'unknown moduleSystem value amd (expected esm, commonjs)'],
+      [
+        { strictness: 'pedantic' },
+        'unknown strictness value pedantic (expected relaxed, recommended, strict)',
+      ],
+      [
+        { disabledHooks: ['post-merge'] },
+        'unknown disabledHooks value post-merge (expected pre-commit, pre-push)',
+      ],
+      [
+        { workspaces: { 'packages/api': 'node' } },
+        'workspace packages/api must be an object with projectType and testRunner',
+      ],
+      [
+        { workspaces: { 'packages/api': { testRunner: 'mocha' } } },
+        'unknown testRunner value mocha of workspace packages/api',
+      ],
+    ])('throws error for %j', (config, message) => {
+      // Act & Assert
+      expect(() => validateProjectConfig(config, '.avrqarc.json')).toThrow(
+        `Invalid .avrqarc.json: ${message}`,
+      );
+    });
+  });
+
+  describe('mergeProjectConfig Function', () => {
+    test('keeps the options that were given and fills the others from the configuration', () => {
+      // Act
+      const merged = mergeProjectConfig(
+        { projectType: 'react', typescript: true, disabledHooks: ['pre-push'] },
+        { projectType: 'next', typescript: undefined, eslintConfig: undefined },
+      );
+
+      // Assert
+      expect(merged).toEqual({
+        projectType: 'next',
+        typescript: true,
+        disabledHooks: ['pre-push'],
+      });
+    });
+  });
+
+  describe('applyTemplateOverrides Function', () => {
+    test('replaces templates with project files', async () => {
+      // Arrange
+      await writeProjectFile('pre-push', 'npm run test:ci\n');
+      const templates = { 'husky/pre-push': 'npm test\n', 'prettierrc.json': '{}' };
+
+      // Act
+      const result = await applyTemplateOverrides(templates, { 'husky/pre-push': 'pre-push' });
+
+      // Assert
+      expect(result).toEqual({ 'husky/pre-push': 'npm run test:ci\n', 'prettierrc.json': '{}' });
+      expect(templates['husky/pre-push']).toBe('npm test\n');
+    });
+
+    test('throws error for an unknown template or a missing file', async () => {
+      // Act & Assert
+      await expect(
+        applyTemplateOverrides({}, { 'husky/post-merge': 'post-merge' }),
+      ).rejects.toThrow('Cannot override template husky/post-merge: no such template');
+      await expect(
+        applyTemplateOverrides({ 'husky/pre-push': '' }, { 'husky/pre-push': 'missing' }),
+      ).rejects.toThrow('Cannot read the override for template husky/pre-push (missing)');
+    });
+  });
+
+  describe('writeProjectConfig Function', () => {
+    test('writes .avrqarc.json with every tool and journals it', async () => {
+      // Arrange
+      const journal = createJournal();
+
+      // Act
+      await writeProjectConfig(
+        { typescript: false, projectType: 'node', packageManager: 'npm' },
+        { journal },
+      );
+
+      // Assert
+      const written = JSON.parse(await fs.readFile(path.join(cwd, '.avrqarc.json'), 'utf8'));
+      expect(Object.keys(written)).toEqual([
+        'projectType',
+        'packageManager',
+        'typescript',
+        'tools',
+      ]);
+      expect(written.tools).toEqual(QUALITY_TOOLS);
+      expect(journal.entries).toEqual([{ type: 'file', path: '.avrqarc.json', existed: false }]);
+    });
+
+    test('updates the package.json key the configuration was loaded from', async () => {
+      // Act
+      await writeProjectConfig(
+        { projectType: 'react' },
+        { filepath: path.join(cwd, 'package.json') },
+      );
+
+      // Assert
+      expect(mockModifyPackageJson).toHaveBeenCalledWith(
+        { 'avr-qa': { projectType: 'react', tools: QUALITY_TOOLS } },
+        { plan: null },
+      );
+    });
+
+    test('never rewrites a JavaScript configuration', async () => {
+      // Act
+      const written = await writeProjectConfig(
+        { projectType: 'react' },
+        { filepath: path.join(cwd, 'avr-qa.config.js') },
+      );
+
+      // Assert
+      expect(written).toBe(false);
+      expect(await fs.readdir(cwd)).toEqual([]);
+    });
+
+    test('records the file in a dry run without writing it', async () => {
+      // Arrange
+      const plan = createPlan();
+
+      // Act
+      await writeProjectConfig({ projectType: 'node' }, { plan });
+
+      // Assert
+      expect(plan.changes).toEqual([{ type: 'file', action: 'create', path: '.avrqarc.json' }]);
+      expect(await fs.readdir(cwd)).toEqual([]);
+    });
+  });
+});
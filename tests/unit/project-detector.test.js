@@ -0,0 +1,276 @@
+/**
+ * @module tests/unit/project-detector.test.js
+ * @version 0.1.0
+ * @description Unit tests for the project-detector module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import path from 'path';
+
+// Create mock functions
+const mockReadFile = jest.fn();
+const mockStat = jest.fn();
+const mockPrompt = jest.fn();
+const mockLogInfo = jest.fn();
+const mockLogWarning = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('fs', () => ({
+  promises: {
+    readFile: mockReadFile,
+    stat: mockStat,
+  },
+}));
+
+jest.unstable_mockModule('inquirer', () => ({
+  default: { prompt: mockPrompt },
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logInfo: mockLogInfo,
+  logWarning: mockLogWarning,
+  extractPackageName: jest.fn(),
+}));
+
+// Import the module after setting up mocks
+const { detectProjectType, resolveProjectType, detectTestRunner, DEFAULT_PROJECT_TYPE } =
+  await import('../../src/project-detector.js');
+const { configurePrompts } = await import('../../src/prompts.js');
+
+describe('Project Detector Module', () => {
+  const cwd = '/project';
+
+  /**
+   * Arrange a fake project on the mocked file system
+   * @param {Object} packageJson - package.json contents, null when missing
+   * @param {Object} entries - Map of relative path to 'file' or 'directory'
+   */
+  const arrangeProject = (packageJson, entries = {}) => {
+    mockReadFile.mockImplementation(async () => {
+      if (!packageJson) throw new Error('ENOENT');
+      return JSON.stringify(packageJson);
+    });
+    mockStat.mockImplementation(async (filePath) => {
+      const kind = entries[path.relative(cwd, filePath)];
+      if (!kind) throw new Error('ENOENT');
+      return {
+        isFile: () => kind === 'file',
+        isDirectory: () => kind === 'directory',
+      };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configurePrompts({ terminal: true });
+  });
+
+  describe('detectProjectType Function', () => {
+    test('falls back to node when no signals are found', async () => {
+      // Arrange
+      arrangeProject({ name: 'plain' });
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe(DEFAULT_PROJECT_TYPE);
+      expect(result.conflict).toBe(false);
+      expect(result.reasons).toEqual(['no framework-specific signals found']);
+    });
+
+    test('falls back to node when package.json cannot be read', async () => {
+      // Arrange
+      arrangeProject(null);
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('node');
+    });
+
+    test('detects a Vite React app from dependencies and index.html', async () => {
+      // Arrange
+      arrangeProject(
+        {
+          dependencies: { react: '^18.2.0' },
+          devDependencies: { vite: '^5.0.0' },
+        },
+        { 'index.html': 'file' },
+      );
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('react');
+      expect(result.conflict).toBe(false);
+      expect(result.reasons).toEqual([
+        'dependency "react"',
+        'dependency "vite"',
+        'file index.html',
+      ]);
+    });
+
+    test('prefers next over react when both dependencies are present', async () => {
+      // Arrange
+      arrangeProject(
+        { dependencies: { next: '^14.1.0', react: '^18.2.0' } },
+        { 'next.config.js': 'file', 'src/app': 'directory' },
+      );
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('next');
+      expect(result.conflict).toBe(false);
+      expect(result.reasons).toContain('directory src/app/');
+    });
+
+    test('ignores an app directory without a next dependency or config', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { express: '^4.18.0' } }, { app: 'directory' });
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('node');
+      expect(result.conflict).toBe(false);
+      expect(result.scores.next).toBe(0);
+    });
+
+    test('counts an app directory along a next config', async () => {
+      // Arrange
+      arrangeProject(
+        { dependencies: { react: '^18.2.0' } },
+        { 'next.config.ts': 'file', app: 'directory' },
+      );
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('next');
+      expect(result.reasons).toEqual([
+        'dependency "react"',
+        'file next.config.ts',
+        'directory app/',
+      ]);
+    });
+
+    test('detects an express server as node', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { express: '^4.18.0' } });
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('node');
+      expect(result.reasons).toEqual(['dependency "express"']);
+    });
+
+    test('ignores marker paths with the wrong kind', async () => {
+      // Arrange - "app" is a file, not the Next.js app directory
+      arrangeProject({}, { app: 'file' });
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('node');
+      expect(result.candidates).toEqual([]);
+    });
+
+    test('reports a conflict when signals point to unrelated types', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { express: '^4.18.0', next: '^14.1.0' } });
+
+      // Act
+      const result = await detectProjectType({ cwd });
+
+      // Assert
+      expect(result.type).toBe('next');
+      expect(result.conflict).toBe(true);
+      expect(result.candidates).toEqual(['next', 'node']);
+    });
+  });
+
+  describe('resolveProjectType Function', () => {
+    test('returns the detected type without prompting', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { react: '^18.2.0' } });
+
+      // Act
+      const type = await resolveProjectType({ cwd });
+
+      // Assert
+      expect(type).toBe('react');
+      expect(mockPrompt).not.toHaveBeenCalled();
+      expect(mockLogInfo).toHaveBeenCalledWith(expect.stringContaining('dependency "react"'));
+    });
+
+    test('prompts with the detected type preselected on conflict', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { express: '^4.18.0', react: '^18.2.0', vite: '^5.0.0' } });
+      mockPrompt.mockResolvedValue({ projectType: 'node' });
+
+      // Act
+      const type = await resolveProjectType({ cwd });
+
+      // Assert
+      expect(type).toBe('node');
+      expect(mockLogWarning).toHaveBeenCalledWith(expect.stringContaining('Conflicting'));
+      const [[question]] = mockPrompt.mock.calls[0];
+      expect(question.default).toBe('react');
+      expect(question.choices.map((choice) => choice.value)).toEqual(['node', 'react', 'next']);
+    });
+  });
+
+  describe('detectTestRunner Function', () => {
+    test('picks Vitest for a Vite React app', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { react: '^18.2.0' }, devDependencies: { vite: '^5.0.0' } });
+
+      // Act & Assert
+      await expect(detectTestRunner('react', { cwd })).resolves.toBe('vitest');
+    });
+
+    test('picks Vitest when the project has a vitest.config.js', async () => {
+      // Arrange
+      arrangeProject({ dependencies: { react: '^18.2.0' } }, { 'vitest.config.js': 'file' });
+
+      // Act & Assert
+      await expect(detectTestRunner('react', { cwd })).resolves.toBe('vitest');
+    });
+
+    test('picks node:test for a Node.js project whose test script runs node --test', async () => {
+      // Arrange
+      arrangeProject({ scripts: { test: 'node --experimental-test-coverage --test tests/' } });
+
+      // Act & Assert
+      await expect(detectTestRunner('node', { cwd })).resolves.toBe('node');
+      await expect(detectTestRunner('react', { cwd })).resolves.toBe('jest');
+    });
+
+    test('keeps Jest for project types without Vitest support or without Vite', async () => {
+      // Arrange
+      arrangeProject({ devDependencies: { vite: '^5.0.0' } });
+
+      // Act & Assert
+      await expect(detectTestRunner('next', { cwd })).resolves.toBe('jest');
+      arrangeProject({ dependencies: { react: '^18.2.0' } });
+      await expect(detectTestRunner('react', { cwd })).resolves.toBe('jest');
+    });
+  });
+});
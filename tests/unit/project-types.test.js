@@ -20,7 +20,9 @@ import {
   getAllProjectTypes,
   isValidProjectType,
   getProjectDependencies,
-  getProjectDirectories
+  getProjectDirectories,
+  supportsTestRunner,
+  selectTools
 } from '../../src/project-types.js';
 
 describe('Project Types Module', () => {
@@ -271,6 +273,85 @@ describe('Project Types Module', () => {
       expect(dependencies.some(dep => dep.startsWith('eslint-config-next'))).toBe(true);
     });
     
+    test('returns ESLint 8 compatible dependencies for the legacy config format', () => {
+      // Arrange
+      const projectType = 'node';
+      
+      // Act
+      const dependencies = getProjectDependencies(projectType, { eslintConfig: 'legacy' });
+      
+      // Assert
+      expect(dependencies).toContain('eslint@^8.57.0');
+      expect(dependencies.some(dep => dep.startsWith('@eslint/'))).toBe(false);
+      expect(dependencies.some(dep => dep.startsWith('eslint-plugin-n'))).toBe(false);
+    });
+    
+    test('appends extra dependencies, replacing the version of a known one', () => {
+      // Act
+      const dependencies = getProjectDependencies('node', {
+        extraDependencies: ['eslint-plugin-security@^3.0.1', 'prettier@3.3.3']
+      });
+      
+      // Assert
+      expect(dependencies.slice(-2)).toEqual(['eslint-plugin-security@^3.0.1', 'prettier@3.3.3']);
+      expect(dependencies.filter(dep => dep.startsWith('prettier@'))).toEqual(['prettier@3.3.3']);
+    });
+    
+    test('adds the TypeScript variant dependencies when typescript is set', () => {
+      // Act
+      const dependencies = getProjectDependencies('react', { typescript: true });
+      
+      // Assert
+      expect(dependencies).toContain('typescript-eslint@^8.18.1');
+      expect(dependencies).toContain('ts-jest@^29.2.5');
+      expect(dependencies).toContain('@types/react@^18.3.12');
+      expect(getProjectDependencies('react')).not.toContain('ts-jest@^29.2.5');
+    });
+    
+    test('replaces the Jest packages with Vitest for the vitest test runner', () => {
+      // Act
+      const dependencies = getProjectDependencies('react', { typescript: true, testRunner: 'vitest' });
+      
+      // Assert
+      expect(dependencies).toEqual(expect.arrayContaining([
+        'vitest@^2.1.8',
+        '@vitest/eslint-plugin@^1.1.20',
+        '@vitest/coverage-v8@^2.1.8',
+        'jsdom@^25.0.1'
+      ]));
+      expect(dependencies.some(dep => /^(jest|ts-jest|eslint-plugin-jest)@/.test(dep))).toBe(false);
+      expect(dependencies).toContain('@testing-library/jest-dom@^6.1.5');
+    });
+    
+    test('drops Jest and its ESLint plugin for the node test runner', () => {
+      // Act
+      const dependencies = getProjectDependencies('node', { typescript: true, testRunner: 'node' });
+      
+      // Assert
+      expect(dependencies).toEqual(expect.arrayContaining(['c8@^10.1.3', 'tsx@^4.19.2']));
+      expect(dependencies.some(dep => /jest/.test(dep))).toBe(false);
+      expect(getProjectDependencies('node', { testRunner: 'node' })).not.toContain('tsx@^4.19.2');
+    });
+    
+    test('does not duplicate TypeScript when the project type already depends on it', () => {
+      // Act
+      const dependencies = getProjectDependencies('next', { typescript: true });
+      
+      // Assert
+      expect(dependencies.filter(dep => dep.startsWith('typescript@'))).toHaveLength(1);
+      expect(dependencies).not.toContain('ts-jest@^29.2.5');
+    });
+    
+    test('leaves out the packages of the tools that are not set up', () => {
+      // Act
+      const dependencies = getProjectDependencies('react', { tools: ['eslint', 'husky'] });
+      
+      // Assert
+      expect(dependencies).toEqual(expect.arrayContaining(['eslint@^9.17.0', 'eslint-plugin-react@^7.37.2', 'husky@^9.0.11']));
+      expect(dependencies.some(dep => /prettier|jest|testing-library|commitlint|commitizen|lint-staged/.test(dep))).toBe(false);
+      expect(getProjectDependencies('node', { tools: ['prettier'] })).toEqual(['prettier@^3.1.1']);
+    });
+    
     test('returns common dependencies for invalid project type', () => {
       // Arrange
       const projectType = 'invalid';
@@ -355,4 +436,40 @@ describe('Project Types Module', () => {
       expect(directories).toContain('tests');
     });
   });
-});
\ No newline at end of file
+  
+  /**
+   * supportsTestRunner Tests
+   */
+  describe('supportsTestRunner Function', () => {
+    test('supports Vitest for React and node:test for Node.js only', () => {
+      // Act & Assert
+      expect(supportsTestRunner('react', 'vitest')).toBe(true);
+      expect(supportsTestRunner('react', 'jest')).toBe(true);
+      expect(supportsTestRunner('next', 'vitest')).toBe(false);
+      expect(supportsTestRunner('node', 'node')).toBe(true);
+      expect(supportsTestRunner('react', 'node')).toBe(false);
+      expect(supportsTestRunner('invalid', 'jest')).toBe(false);
+    });
+  });
+  
+  /**
+   * selectTools Tests
+   */
+  describe('selectTools Function', () => {
+    test('keeps the order of the tools and applies only before skip', () => {
+      // Act & Assert
+      expect(selectTools(undefined, { only: ['husky', 'eslint', 'commitlint'], skip: ['commitlint'] }))
+        .toEqual({ tools: ['eslint', 'husky'], dropped: [] });
+      expect(selectTools(['eslint', 'prettier', 'jest'], { skip: ['jest'] }).tools).toEqual(['eslint', 'prettier']);
+    });
+    
+    test('drops lint-staged when neither ESLint nor Prettier is set up', () => {
+      // Act & Assert
+      expect(selectTools(undefined, { skip: ['eslint', 'prettier'] })).toEqual({
+        tools: ['jest', 'husky', 'commitlint', 'commitizen'],
+        dropped: ['lint-staged']
+      });
+      expect(selectTools(undefined, { only: ['prettier', 'lint-staged'] }).dropped).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * @module tests/unit/prompts.test.js
+ * @version 0.1.0
+ * @description Unit tests for the prompts module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockPrompt = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('inquirer', () => ({
+  default: { prompt: mockPrompt },
+}));
+
+// Import the module after setting up mocks
+const { ask, canAnswer, canPrompt, configurePrompts, parseAnswers, loadAnswersFile, PROMPTS } =
+  await import('../../src/prompts.js');
+
+describe('Prompts Module', () => {
+  const confirm = {
+    name: 'shouldUpdate',
+    message: 'Do you want to update eslint to the latest version?',
+    default: true,
+  };
+  const conflict = {
+    name: 'choice',
+    message: 'How do you want to resolve .prettierrc.json?',
+    choices: [
+      { name: 'Keep', value: 'keep' },
+      { type: 'separator' },
+      { name: 'Keep all', value: 'keep:all' },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configurePrompts();
+  });
+
+  describe('ask Function', () => {
+    test('asks the question in the terminal with the type of the prompt', async () => {
+      // Arrange
+      configurePrompts({ terminal: true });
+      mockPrompt.mockResolvedValue({ shouldUpdate: false });
+
+      // Act
+      const answer = await ask('update-package', confirm);
+
+      // Assert
+      expect(answer).toBe(false);
+      expect(mockPrompt).toHaveBeenCalledWith([{ type: 'confirm', ...confirm }]);
+    });
+
+    test('returns the preset answers without prompting', async () => {
+      // Arrange
+      configurePrompts({ answers: { 'update-package': 'no', 'file-conflict': 'keep:all' } });
+
+      // Act & Assert
+      await expect(ask('update-package', confirm)).resolves.toBe(false);
+      await expect(ask('file-conflict', conflict)).resolves.toBe('keep:all');
+      expect(mockPrompt).not.toHaveBeenCalled();
+    });
+
+    test('splits the preset answers of a checkbox prompt', async () => {
+      // Arrange
+      const question = {
+        name: 'tools',
+        message: 'Which tools?',
+        choices: ['eslint', 'prettier', 'husky'],
+      };
+      configurePrompts({ answers: { 'wizard-tools': 'eslint, husky' } });
+
+      // Act & Assert
+      await expect(ask('wizard-tools', question)).resolves.toEqual(['eslint', 'husky']);
+      configurePrompts({ answers: { 'wizard-tools': ['jest'] } });
+      await expect(ask('wizard-tools', question)).rejects.toThrow(
+        'Invalid answer "jest" for prompt wizard-tools',
+      );
+    });
+
+    test('takes the default of the question, then of the prompt, with yes', async () => {
+      // Arrange
+      configurePrompts({ yes: true, terminal: true });
+
+      // Act & Assert
+      await expect(
+        ask('project-type', {
+          name: 'projectType',
+          message: 'Which project type?',
+          default: 'react',
+        }),
+      ).resolves.toBe('react');
+      await expect(ask('file-conflict', conflict)).resolves.toBe('keep');
+      expect(mockPrompt).not.toHaveBeenCalled();
+    });
+
+    test('fails with the prompt ID instead of waiting for an answer without a terminal', async () => {
+      // Arrange
+      configurePrompts({ terminal: false });
+
+      // Act & Assert
+      await expect(ask('update-package', confirm)).rejects.toThrow(
+        'Cannot ask "Do you want to update eslint to the latest version?" because no terminal is attached. ' +
+          'Answer prompt update-package with --answer update-package=<value>, an --answers file or --yes',
+      );
+      expect(mockPrompt).not.toHaveBeenCalled();
+    });
+
+    test('fails when prompts are disabled', async () => {
+      // Arrange
+      configurePrompts({ interactive: false, terminal: true });
+
+      // Act & Assert
+      expect(canPrompt()).toBe(false);
+      await expect(ask('file-conflict', conflict)).rejects.toThrow('because prompts are disabled');
+    });
+
+    test('rejects answers that are not among the choices', async () => {
+      // Arrange
+      configurePrompts({ answers: { 'file-conflict': 'replace' } });
+
+      // Act & Assert
+      await expect(ask('file-conflict', conflict)).rejects.toThrow(
+        'Invalid answer "replace" for prompt file-conflict. Available: keep, keep:all',
+      );
+    });
+
+    test('rejects prompts that are not registered', async () => {
+      // Act & Assert
+      await expect(ask('delete-everything', confirm)).rejects.toThrow(
+        'Unknown prompt: delete-everything',
+      );
+    });
+  });
+
+  describe('configurePrompts Function', () => {
+    test('checks the preset answers of confirm prompts and the prompt IDs', () => {
+      // Act & Assert
+      expect(() => configurePrompts({ answers: { 'update-package': 'maybe' } })).toThrow(
+        'Invalid answer "maybe" for prompt update-package, expected yes or no',
+      );
+      expect(() => configurePrompts({ answers: { 'update-packages': true } })).toThrow(
+        `Unknown prompt: update-packages. Available: ${Object.keys(PROMPTS).join(', ')}`,
+      );
+    });
+  });
+
+  describe('canAnswer Function', () => {
+    test('tells whether a prompt would get an answer', () => {
+      // Arrange
+      configurePrompts({ terminal: false, answers: { 'file-conflict': 'new:all' } });
+
+      // Act & Assert
+      expect(canAnswer('file-conflict')).toBe(true);
+      expect(canAnswer('update-package')).toBe(false);
+      configurePrompts({ terminal: false, yes: true });
+      expect(canAnswer('update-package')).toBe(true);
+    });
+  });
+
+  describe('parseAnswers Function', () => {
+    test('splits the answers given on the command line at the first equals sign', () => {
+      // Act & Assert
+      expect(parseAnswers(['update-package=yes', 'file-conflict=overwrite:all'])).toEqual({
+        'update-package': 'yes',
+        'file-conflict': 'overwrite:all',
+      });
+      expect(() => parseAnswers(['update-package'])).toThrow(
+        'Invalid answer: update-package. Expected <prompt-id>=<value>',
+      );
+    });
+  });
+
+  describe('loadAnswersFile Function', () => {
+    let cwd;
+
+    beforeEach(async () => {
+      cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-prompts-')));
+    });
+
+    afterEach(async () => {
+      await fs.rm(cwd, { recursive: true, force: true });
+    });
+
+    test('reads an object of answers by prompt ID', async () => {
+      // Arrange
+      const file = path.join(cwd, 'answers.json');
+      await fs.writeFile(
+        file,
+        JSON.stringify({ 'install-compatible-versions': false, 'file-conflict': 'keep:all' }),
+      );
+
+      // Act & Assert
+      await expect(loadAnswersFile(file)).resolves.toEqual({
+        'install-compatible-versions': false,
+        'file-conflict': 'keep:all',
+      });
+    });
+
+    test('fails on a missing file or a file that is not an object', async () => {
+      // Arrange
+      const file = path.join(cwd, 'answers.json');
+      await fs.writeFile(file, '["yes"]');
+
+      // Act & Assert
+      await expect(loadAnswersFile(file)).rejects.toThrow(
+        'must contain an object of answers by prompt ID',
+      );
+      await expect(loadAnswersFile(path.join(cwd, 'missing.json'))).rejects.toThrow(
+        'Could not read the answers file',
+      );
+    });
+  });
+});
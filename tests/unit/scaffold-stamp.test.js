@@ -0,0 +1,161 @@
+/**
+ * @module tests/unit/scaffold-stamp.test.js
+ * @version 0.1.0
+ * @description Unit tests for the scaffold-stamp module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  createStamp,
+  loadStamp,
+  writeStamp,
+  getStampedContent,
+  isStampOutdated,
+  hashContent,
+  STAMP_FILE,
+} from '../../src/scaffold-stamp.js';
+import { createPlan } from '../../src/dry-run.js';
+import { createJournal } from '../../src/journal.js';
+import { VERSION } from '../../src/utils.js';
+
+describe('Scaffold Stamp Module', () => {
+  const generated = {
+    files: [
+      { path: 'eslint.config.js', content: 'export default [];\n', merge: 'overwrite' },
+      { path: '.husky/pre-commit', content: 'npx lint-staged\n', merge: 'overwrite' },
+      { path: 'src/example.test.js', content: 'test();\n', merge: 'keep' },
+    ],
+    scripts: { lint: 'eslint .', test: 'jest' },
+    dependencies: ['eslint@^9.17.0', '@commitlint/cli@^19.6.1'],
+  };
+  let cwd;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-stamp-')));
+    await fs.writeFile(
+      path.join(cwd, 'package.json'),
+      JSON.stringify({ scripts: { lint: 'eslint src', test: 'jest' } }),
+    );
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('createStamp Function', () => {
+    test('stamps the version, the generated files with their hash, the scripts and the packages', async () => {
+      // Act
+      const stamp = await createStamp(generated, { cwd });
+
+      // Assert
+      expect(stamp).toEqual({
+        version: VERSION,
+        files: {
+          'eslint.config.js': {
+            hash: hashContent('export default [];\n'),
+            content: 'export default [];\n',
+          },
+          '.husky/pre-commit': {
+            hash: hashContent('npx lint-staged\n'),
+            content: 'npx lint-staged\n',
+          },
+        },
+        scripts: { lint: 'eslint .', test: 'jest' },
+        dependencies: ['@commitlint/cli', 'eslint'],
+      });
+    });
+
+    test('keeps the previous entries of the files and scripts the project changed', async () => {
+      // Arrange
+      await fs.writeFile(path.join(cwd, 'eslint.config.js'), 'export default [{ rules: {} }];\n');
+      const previous = {
+        version: '0.0.9',
+        files: { 'eslint.config.js': { hash: hashContent('old\n'), content: 'old\n' } },
+        scripts: { lint: 'eslint --ext .js .' },
+        dependencies: [],
+      };
+
+      // Act
+      const stamp = await createStamp(generated, { cwd, previous });
+
+      // Assert
+      expect(stamp.files['eslint.config.js']).toEqual(previous.files['eslint.config.js']);
+      expect(stamp.scripts.lint).toBe('eslint --ext .js .');
+      expect(stamp.scripts.test).toBe('jest');
+    });
+  });
+
+  describe('writeStamp and loadStamp Functions', () => {
+    test('writes the stamp and reads it back, recording the file in the journal', async () => {
+      // Arrange
+      const stamp = await createStamp(generated, { cwd });
+      const journal = createJournal({ cwd });
+
+      // Act
+      await writeStamp(stamp, { cwd, journal });
+      const loaded = await loadStamp({ cwd });
+
+      // Assert
+      expect(loaded).toEqual(stamp);
+      expect(journal.entries).toEqual([
+        expect.objectContaining({ type: 'file', path: STAMP_FILE, existed: false }),
+      ]);
+      expect(getStampedContent(loaded, path.join(cwd, '.husky', 'pre-commit'), { cwd })).toBe(
+        'npx lint-staged\n',
+      );
+    });
+
+    test('records the write in a dry run', async () => {
+      // Arrange
+      const plan = createPlan();
+
+      // Act
+      await writeStamp(await createStamp(generated, { cwd }), { cwd, plan });
+
+      // Assert
+      expect(plan.changes).toEqual([{ type: 'file', action: 'create', path: STAMP_FILE }]);
+      expect(await loadStamp({ cwd })).toBeNull();
+    });
+
+    test('throws error for a stamp without a valid version', async () => {
+      // Arrange
+      await fs.writeFile(path.join(cwd, STAMP_FILE), JSON.stringify({ version: 'latest' }));
+
+      // Act & Assert
+      await expect(loadStamp({ cwd })).rejects.toThrow(`${STAMP_FILE} has no valid "version"`);
+    });
+  });
+
+  describe('getStampedContent Function', () => {
+    test('ignores content that does not match its hash', () => {
+      // Arrange
+      const stamp = { files: { 'eslint.config.js': { hash: hashContent('a\n'), content: 'b\n' } } };
+
+      // Act & Assert
+      expect(getStampedContent(stamp, 'eslint.config.js', { cwd })).toBeNull();
+      expect(getStampedContent(stamp, 'missing.js', { cwd })).toBeNull();
+    });
+  });
+
+  describe('isStampOutdated Function', () => {
+    test('compares the stamped version with the scaffold', () => {
+      // Act & Assert
+      expect(isStampOutdated(null)).toBe(true);
+      expect(isStampOutdated({ version: '0.0.1' })).toBe(true);
+      expect(isStampOutdated({ version: VERSION })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @module tests/unit/template-engine.test.js
+ * @version 0.1.0
+ * @description Unit tests for the template-engine module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { describe, expect } from '@jest/globals';
+
+import { renderTemplate } from '../../src/template-engine.js';
+
+describe('Template Engine Module', () => {
+  describe('Variables', () => {
+    test('replaces variables and dotted paths', () => {
+      // Act
+      const result = renderTemplate('{{name}} uses {{ packageManager.id }}', {
+        name: 'app',
+        packageManager: { id: 'pnpm' },
+      });
+
+      // Assert
+      expect(result).toBe('app uses pnpm');
+    });
+
+    test('escapes values with the json and js helpers', () => {
+      // Arrange
+      const variables = { ignores: ['dist', 'coverage'], title: "it's\nhere" };
+
+      // Act
+      const result = renderTemplate('{{json ignores}} {{js title}}', variables);
+
+      // Assert
+      expect(result).toBe('["dist","coverage"] \'it\\\'s\\nhere\'');
+    });
+
+    test('keeps escaped tags as literal text', () => {
+      // Act & Assert
+      expect(renderTemplate('\\{{name}} is {{name}}', { name: 'app' })).toBe('{{name}} is app');
+    });
+  });
+
+  describe('Blocks', () => {
+    test('renders if, unless and else branches', () => {
+      // Arrange
+      const template = [
+        '{{#if typescript}}',
+        'ts',
+        '{{else}}',
+        'js',
+        '{{/if}}',
+        '{{#unless typescript}}',
+        'no types',
+        '{{/unless}}',
+        '',
+      ].join('\n');
+
+      // Act & Assert
+      expect(renderTemplate(template, { typescript: true })).toBe('ts\n');
+      expect(renderTemplate(template, { typescript: false })).toBe('js\nno types\n');
+    });
+
+    test('compares a variable with a literal', () => {
+      // Arrange
+      const template =
+        '{{#if projectType == \'next\'}}next{{/if}}{{#if projectType != "next"}}other{{/if}}';
+
+      // Act & Assert
+      expect(renderTemplate(template, { projectType: 'next' })).toBe('next');
+      expect(renderTemplate(template, { projectType: 'react' })).toBe('other');
+    });
+
+    test('joins conditions with || and &&, evaluating only the operands needed', () => {
+      // Arrange
+      const template =
+        "{{#if projectType == 'react' || projectType == 'next' && typescript}}jsx{{else}}js{{/if}}";
+
+      // Act & Assert
+      expect(renderTemplate(template, { projectType: 'react' })).toBe('jsx');
+      expect(renderTemplate(template, { projectType: 'next', typescript: true })).toBe('jsx');
+      expect(renderTemplate(template, { projectType: 'next', typescript: false })).toBe('js');
+      expect(() => renderTemplate(template, { projectType: 'next' })).toThrow(
+        'Undefined variable "typescript"',
+      );
+    });
+
+    test('loops over arrays with @index, @first and @last', () => {
+      // Arrange
+      const template =
+        '[{{#each hooks}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}]';
+
+      // Act
+      const result = renderTemplate(template, { hooks: ['pre-commit', 'pre-push'] });
+
+      // Assert
+      expect(result).toBe('[0:pre-commit, 1:pre-push]');
+    });
+
+    test('loops over objects with @key and renders else for empty lists', () => {
+      // Arrange
+      const template = '{{#each scripts}}{{@key}}={{this}};{{else}}none{{/each}}';
+
+      // Act & Assert
+      expect(renderTemplate(template, { scripts: { lint: 'eslint .', test: 'jest' } })).toBe(
+        'lint=eslint .;test=jest;',
+      );
+      expect(renderTemplate(template, { scripts: [] })).toBe('none');
+    });
+
+    test('removes lines holding only a block tag or a comment', () => {
+      // Arrange
+      const template =
+        '{\n  {{! never rendered }}\n  {{#if strict}}\n  "strict": true\n  {{/if}}\n}\n';
+
+      // Act & Assert
+      expect(renderTemplate(template, { strict: true })).toBe('{\n  "strict": true\n}\n');
+      expect(renderTemplate(template, { strict: false })).toBe('{\n}\n');
+    });
+  });
+
+  describe('Partials', () => {
+    test('includes partials indented like the tag', () => {
+      // Arrange
+      const partials = { rules: '"semi": "error",\n"quotes": "{{quotes}}"\n' };
+
+      // Act
+      const result = renderTemplate('{\n  {{> rules}}\n}\n', { quotes: 'single' }, { partials });
+
+      // Assert
+      expect(result).toBe('{\n  "semi": "error",\n  "quotes": "single"\n}\n');
+    });
+
+    test('throws error for unknown partials', () => {
+      // Act & Assert
+      expect(() => renderTemplate('{{> rules}}', {}, { name: 'eslintrc.json' })).toThrow(
+        'Unknown partial "rules" in eslintrc.json at line 1',
+      );
+    });
+  });
+
+  describe('Errors', () => {
+    test.each([
+      ['{{name}}', 'Undefined variable "name" in template at line 1'],
+      [
+        '{{options}}',
+        'Variable "options" in template at line 1 is not a string, use {{json options}}',
+      ],
+      ['a\n{{#if typescript}}', 'Unclosed {{#if}} in template at line 2'],
+      ['{{/if}}', 'Unexpected {{/if}} in template at line 1, no block is open'],
+      ['{{#each hooks}}{{/if}}', 'Unexpected {{/if}} in template at line 1, expected {{/each}}'],
+      ['{{#with options}}{{/with}}', 'Unknown block {{#with options}} in template at line 1'],
+      ['{{upper name}}', 'Unknown helper "upper" in template at line 1'],
+      ['{{#if}}{{/if}}', 'Missing condition in {{#if}} in template at line 1'],
+    ])('throws error for %j', (template, message) => {
+      // Act & Assert
+      expect(() => renderTemplate(template, { typescript: true, hooks: [], options: {} })).toThrow(
+        message,
+      );
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @module tests/unit/template-manifest.test.js
+ * @version 0.1.0
+ * @description Unit tests for the template-manifest module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { describe, expect } from '@jest/globals';
+
+import {
+  parseManifest,
+  mergeManifests,
+  getTemplateManifest,
+  selectManifestFiles,
+  getHookName,
+} from '../../src/template-manifest.js';
+
+describe('Template Manifest Module', () => {
+  const manifest = {
+    files: {
+      'eslint.config.js': { path: 'eslint.config.js', when: "eslintConfig == 'flat'" },
+      'eslintrc.json': { path: '.eslintrc.json', merge: 'json', when: "eslintConfig == 'legacy'" },
+      'husky/pre-commit': { path: '.husky/pre-commit', mode: '755' },
+      'husky/pre-push': { path: '.husky/pre-push', mode: '755' },
+    },
+  };
+
+  describe('parseManifest Function', () => {
+    test('throws error for invalid JSON or a missing files map', () => {
+      // Act & Assert
+      expect(() => parseManifest('{ files: {} }', 'templates/node/template.json')).toThrow(
+        'templates/node/template.json is not valid JSON',
+      );
+      expect(() => parseManifest('{ "files": [] }', 'templates/node/template.json')).toThrow(
+        'Invalid templates/node/template.json: "files" must map template names to the files they generate',
+      );
+    });
+  });
+
+  describe('mergeManifests Function', () => {
+    test('extends the entries of earlier directories and removes the null ones', () => {
+      // Arrange
+      const layer = {
+        files: {
+          'husky/pre-commit': { mode: '700' },
+          'husky/pre-push': null,
+          'next.config.js': { path: 'next.config.js', merge: 'keep' },
+        },
+      };
+
+      // Act
+      const merged = mergeManifests(manifest, layer);
+
+      // Assert
+      expect(merged.files['husky/pre-commit']).toEqual({ path: '.husky/pre-commit', mode: '700' });
+      expect(merged.files).not.toHaveProperty('husky/pre-push');
+      expect(merged.files['next.config.js']).toEqual({ path: 'next.config.js', merge: 'keep' });
+      expect(manifest.files).toHaveProperty('husky/pre-push');
+    });
+  });
+
+  describe('getTemplateManifest Function', () => {
+    test('returns an empty manifest when the templates have none', () => {
+      // Act & Assert
+      expect(getTemplateManifest({ gitignore: 'node_modules' })).toEqual({ files: {} });
+    });
+
+    test.each([
+      [{ path: '../outside' }, '"path" must be a path inside the project'],
+      [{ path: '.husky/pre-commit', mode: 'rwx' }, '"mode" must be an octal string such as "755"'],
+      [{ path: 'gitignore', merge: 'append' }, 'unknown merge strategy append'],
+      [{ path: 'tsconfig.json', when: ' ' }, '"when" must be a condition such as "typescript"'],
+    ])('throws error for %j', (entry, message) => {
+      // Arrange
+      const templates = { 'template.json': JSON.stringify({ files: { template: entry } }) };
+
+      // Act & Assert
+      expect(() => getTemplateManifest(templates)).toThrow(
+        `Invalid entry "template" of template.json: ${message}`,
+      );
+    });
+  });
+
+  describe('selectManifestFiles Function', () => {
+    test('keeps the files whose condition holds, without the disabled hooks', () => {
+      // Act
+      const files = selectManifestFiles(
+        manifest,
+        { eslintConfig: 'legacy' },
+        { disabledHooks: ['pre-push'] },
+      );
+
+      // Assert
+      expect(files).toEqual([
+        {
+          path: '.eslintrc.json',
+          template: 'eslintrc.json',
+          mode: null,
+          merge: 'json',
+          hook: false,
+        },
+        {
+          path: '.husky/pre-commit',
+          template: 'husky/pre-commit',
+          mode: 0o755,
+          merge: 'overwrite',
+          hook: true,
+        },
+      ]);
+    });
+
+    test('throws error for a condition using an undefined variable', () => {
+      // Act & Assert
+      expect(() => selectManifestFiles(manifest, {})).toThrow(
+        'Undefined variable "eslintConfig" in the "when" of eslint.config.js in template.json',
+      );
+    });
+  });
+
+  describe('getHookName Function', () => {
+    test('names the hooks directly in .husky', () => {
+      // Act & Assert
+      expect(getHookName('.husky/pre-commit')).toBe('pre-commit');
+      expect(getHookName('.husky/_/husky.sh')).toBeNull();
+      expect(getHookName('.prettierrc.json')).toBeNull();
+    });
+  });
+});
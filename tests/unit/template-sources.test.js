@@ -0,0 +1,220 @@
+/**
+ * @module tests/unit/template-sources.test.js
+ * @version 0.1.0
+ * @description Unit tests for the template-sources module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Create mock functions
+const mockExeca = jest.fn();
+const mockLogWarning = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('execa', () => ({
+  execa: mockExeca,
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logInfo: jest.fn(),
+  logWarning: mockLogWarning,
+}));
+
+// Import the module after setting up mocks
+const {
+  getTemplateSourceType,
+  resolveTemplateSource,
+  assertSourceSupports,
+  TEMPLATE_SOURCE_MANIFEST,
+} = await import('../../src/template-sources.js');
+
+describe('Template Sources Module', () => {
+  let cwd;
+  let cacheDir;
+
+  /**
+   * Write a template source with its manifest
+   * @param {string} directory - Source directory
+   * @param {Object} [manifest] - Manifest content
+   * @returns {Promise<void>}
+   */
+  const writeSource = async (
+    directory,
+    manifest = { name: 'acme', projectTypes: ['node', 'react'] },
+  ) => {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, TEMPLATE_SOURCE_MANIFEST), JSON.stringify(manifest));
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-template-sources-')));
+    cacheDir = path.join(cwd, '.cache');
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('getTemplateSourceType Function', () => {
+    test.each([
+      ['./qa-templates', 'local'],
+      ['../shared/templates', 'local'],
+      ['/opt/templates', 'local'],
+      ['git@github.com:acme/qa-templates.git', 'git'],
+      ['https://github.com/acme/qa-templates.git#v2', 'git'],
+      ['git+ssh://git@example.com/acme/templates', 'git'],
+      ['@acme/qa-templates', 'npm'],
+      ['acme-qa-templates@^1.2.0', 'npm'],
+    ])('detects %s as a %s source', (source, type) => {
+      // Act & Assert
+      expect(getTemplateSourceType(source)).toBe(type);
+    });
+  });
+
+  describe('resolveTemplateSource Function', () => {
+    test('resolves a local directory relative to the project', async () => {
+      // Arrange
+      await writeSource(path.join(cwd, 'qa-templates'));
+
+      // Act
+      const result = await resolveTemplateSource('./qa-templates', { cwd, cacheDir });
+
+      // Assert
+      expect(result).toEqual({
+        source: './qa-templates',
+        type: 'local',
+        directory: path.join(cwd, 'qa-templates'),
+        manifest: { name: 'acme', projectTypes: ['node', 'react'] },
+      });
+      expect(mockExeca).not.toHaveBeenCalled();
+    });
+
+    test('clones a git source into the cache at the given ref', async () => {
+      // Arrange
+      mockExeca.mockImplementation(async (command, args) => writeSource(args[args.length - 1]));
+
+      // Act
+      const result = await resolveTemplateSource('https://github.com/acme/qa-templates.git#v2', {
+        cwd,
+        cacheDir,
+      });
+
+      // Assert
+      expect(result.type).toBe('git');
+      expect(path.dirname(result.directory)).toBe(cacheDir);
+      expect(mockExeca).toHaveBeenCalledWith(
+        'git',
+        [
+          'clone',
+          '--depth',
+          '1',
+          '--branch',
+          'v2',
+          'https://github.com/acme/qa-templates.git',
+          result.directory,
+        ],
+        { stdio: 'pipe' },
+      );
+    });
+
+    test('keeps the cached clone when it cannot be updated', async () => {
+      // Arrange
+      mockExeca.mockImplementationOnce(async (command, args) => {
+        await writeSource(args[args.length - 1]);
+        await fs.mkdir(path.join(args[args.length - 1], '.git'));
+      });
+      const { directory } = await resolveTemplateSource('git@github.com:acme/qa-templates.git', {
+        cwd,
+        cacheDir,
+      });
+      mockExeca.mockRejectedValue(new Error('Could not resolve host: github.com'));
+
+      // Act
+      const result = await resolveTemplateSource('git@github.com:acme/qa-templates.git', {
+        cwd,
+        cacheDir,
+      });
+
+      // Assert
+      expect(result.directory).toBe(directory);
+      expect(mockLogWarning).toHaveBeenCalledWith(expect.stringContaining('using the cached copy'));
+    });
+
+    test('uses an npm source installed in the project', async () => {
+      // Arrange
+      const packageDir = path.join(cwd, 'node_modules', '@acme', 'qa-templates');
+      await writeSource(packageDir);
+      await fs.writeFile(path.join(packageDir, 'package.json'), '{}');
+
+      // Act
+      const result = await resolveTemplateSource('@acme/qa-templates', { cwd, cacheDir });
+
+      // Assert
+      expect(result.directory).toBe(packageDir);
+      expect(mockExeca).not.toHaveBeenCalled();
+    });
+
+    test('installs an npm source into the cache', async () => {
+      // Arrange
+      mockExeca.mockImplementation(async (command, args) => {
+        const prefix = args[args.indexOf('--prefix') + 1];
+        await writeSource(path.join(prefix, 'node_modules', '@acme', 'qa-templates'));
+      });
+
+      // Act
+      const result = await resolveTemplateSource('@acme/qa-templates@^2.0.0', { cwd, cacheDir });
+
+      // Assert
+      expect(result.directory).toMatch(/node_modules[\\/]@acme[\\/]qa-templates$/);
+      expect(mockExeca).toHaveBeenCalledWith(
+        'npm',
+        expect.arrayContaining(['install', '@acme/qa-templates@^2.0.0', '--ignore-scripts']),
+        expect.anything(),
+      );
+    });
+
+    test('throws error for a missing directory or manifest', async () => {
+      // Arrange
+      await fs.mkdir(path.join(cwd, 'no-manifest'));
+      await writeSource(path.join(cwd, 'no-types'), { name: 'acme' });
+
+      // Act & Assert
+      await expect(resolveTemplateSource('./missing', { cwd, cacheDir })).rejects.toThrow(
+        `Template source not found: ${path.join(cwd, 'missing')}`,
+      );
+      await expect(resolveTemplateSource('./no-manifest', { cwd, cacheDir })).rejects.toThrow(
+        `Invalid template source ./no-manifest: cannot read ${TEMPLATE_SOURCE_MANIFEST} (not found)`,
+      );
+      await expect(resolveTemplateSource('./no-types', { cwd, cacheDir })).rejects.toThrow(
+        '"projectTypes" in avr-qa-templates.json must list the supported project types',
+      );
+    });
+  });
+
+  describe('assertSourceSupports Function', () => {
+    test('throws error for a project type missing from the manifest', () => {
+      // Arrange
+      const templateSource = {
+        source: '@acme/qa-templates',
+        manifest: { name: 'acme', projectTypes: ['node'] },
+      };
+
+      // Act & Assert
+      expect(() => assertSourceSupports(templateSource, 'node')).not.toThrow();
+      expect(() => assertSourceSupports(templateSource, 'next')).toThrow(
+        'Template source acme (@acme/qa-templates) does not support next projects, only node',
+      );
+    });
+  });
+});
@@ -24,7 +24,8 @@ const {
   processTemplate, 
   getTemplate, 
   listTemplates, 
-  hasTemplate 
+  hasTemplate,
+  getPartials
 } = templatesLoaderModule;
 
 describe('Templates Loader Module - Hybrid Approach', () => {
@@ -69,29 +70,40 @@ describe('Templates Loader Module - Hybrid Approach', () => {
       expect(result).toBe('Hello John, welcome to Awesome Project!');
     });
     
-    test('leaves unmatched variables unchanged', () => {
+    test('throws error for unmatched variables', () => {
       // Arrange
-      const template = 'Hello {{name}}, welcome to {{project}}!';
+      const template = 'Hello {{name}},\nwelcome to {{project}}!';
       const variables = {
         name: 'John'
       };
       
+      // Act & Assert
+      expect(() => processTemplate(template, variables, { name: 'greeting' }))
+        .toThrow('Undefined variable "project" in greeting at line 2');
+    });
+    
+    test('handles empty variables object', () => {
+      // Arrange
+      const template = 'Hello world!';
+      
       // Act
-      const result = processTemplate(template, variables);
+      const result = processTemplate(template);
       
       // Assert
-      expect(result).toBe('Hello John, welcome to {{project}}!');
+      expect(result).toBe('Hello world!');
     });
     
-    test('handles empty variables object', () => {
+    test('renders partials and conditionals', () => {
       // Arrange
-      const template = 'Hello {{name}}, welcome to {{project}}!';
+      const template = '{{#if typescript}}\n{{> parser}}\n{{/if}}\nend';
       
       // Act
-      const result = processTemplate(template);
+      const result = processTemplate(template, { typescript: true }, {
+        partials: { parser: 'parser: ts\n' }
+      });
       
       // Assert
-      expect(result).toBe('Hello {{name}}, welcome to {{project}}!');
+      expect(result).toBe('parser: ts\nend');
     });
   });
 
@@ -138,6 +150,14 @@ describe('Templates Loader Module - Hybrid Approach', () => {
       // Assert
       expect(result).toBe(false);
     });
+    
+    test('getPartials returns partials without the directory prefix', () => {
+      // Act
+      const result = getPartials({ ...mockTemplates, 'partials/header': '# header' });
+      
+      // Assert
+      expect(result).toEqual({ header: '# header' });
+    });
   });
   
   /**
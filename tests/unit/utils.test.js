@@ -32,6 +32,7 @@ const {
   fileExists,
   getAbsolutePath,
   formatPath,
+  isExecutableMode,
   VERSION
 } = utilsModule;
 
@@ -159,6 +160,14 @@ describe('Utils Module', () => {
       // Assert
       expect(version).toBeNull();
     });
+    
+    test('extractPackageName and extractPackageVersion handle aliases and workspace specs', () => {
+      // Act & Assert
+      expect(extractPackageName('eslint8@npm:eslint@^8.57.0')).toBe('eslint8');
+      expect(extractPackageVersion('eslint8@npm:eslint@^8.57.0')).toBe('npm:eslint@^8.57.0');
+      expect(extractPackageName('@mono/ui@workspace:*')).toBe('@mono/ui');
+      expect(extractPackageVersion('@mono/ui@workspace:*')).toBe('workspace:*');
+    });
   });
   
   /**
@@ -272,5 +281,13 @@ describe('Utils Module', () => {
       expect(VERSION).toBeDefined();
       expect(typeof VERSION).toBe('string');
     });
+    
+    test('isExecutableMode checks the execute bits of a file mode', () => {
+      expect(isExecutableMode(0o755)).toBe(true);
+      expect(isExecutableMode(0o100744)).toBe(true);
+      expect(isExecutableMode(0o601)).toBe(true);
+      expect(isExecutableMode(0o644)).toBe(false);
+      expect(isExecutableMode(0o100666)).toBe(false);
+    });
   });
 });
\ No newline at end of file
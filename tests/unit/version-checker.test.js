@@ -7,11 +7,58 @@
  * 
  * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
  * @createdAt 2025-05-13
- * @lastModified 2025-05-13
+ * @lastModified 2026-10-19
  * @author Alejandro Valencia <dev@alejandrovr.com>
  */
 
 import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockExecaCommand = jest.fn();
+const mockPrompt = jest.fn();
+const mockReadInstalledVersion = jest.fn();
+const mockReadInstalledVersions = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('execa', () => ({
+  execaCommand: mockExecaCommand
+}));
+
+jest.unstable_mockModule('inquirer', () => ({
+  default: { prompt: mockPrompt }
+}));
+
+jest.unstable_mockModule('../../src/installed-versions.js', () => ({
+  readInstalledVersion: mockReadInstalledVersion,
+  readInstalledVersions: mockReadInstalledVersions,
+  clearInstalledVersions: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/utils.js', () => ({
+  logSuccess: jest.fn(),
+  logInfo: jest.fn(),
+  logWarning: jest.fn(),
+  logError: jest.fn(),
+  extractPackageName: jest.fn(),
+  fileExists: jest.fn()
+}));
+
+// Import the module after setting up mocks
+const {
+  loadCompatibilityMatrix,
+  getMatrixPackageNames,
+  findVersionConflicts,
+  resolveCompatibleVersions,
+  getAcceptedConflicts,
+  updatePackage,
+  checkPackageVersion,
+  checkVersionCompatibility,
+  findCompatibilityIssues
+} = await import('../../src/version-checker.js');
+const { configurePrompts } = await import('../../src/prompts.js');
+const utils = await import('../../src/utils.js');
 
 // Create mock implementation of version-checker functions
 async function setupTest() {
@@ -24,35 +71,6 @@ async function setupTest() {
     return null;
   });
   
-  const mockVersionMatchesPattern = jest.fn().mockImplementation((version, pattern) => {
-    if (!version) return false;
-    
-    // Pattern like '8.x+'
-    if (pattern.includes('x+')) {
-      const major = parseInt(pattern, 10);
-      return parseInt(version, 10) >= major;
-    }
-    
-    // Pattern like '8.x'
-    if (pattern.includes('x')) {
-      const major = parseInt(pattern, 10);
-      return parseInt(version, 10) === major;
-    }
-    
-    // Pattern like '<8.0.0'
-    if (pattern.startsWith('<')) {
-      return version < pattern.substring(1);
-    }
-    
-    // Pattern like '>8.0.0'
-    if (pattern.startsWith('>')) {
-      return version > pattern.substring(1);
-    }
-    
-    // Exact version match
-    return version === pattern;
-  });
-  
   const mockCompareVersions = jest.fn().mockImplementation((version1, version2, operator = '>=') => {
     switch (operator) {
       case '>': return version1 > version2;
@@ -73,7 +91,6 @@ async function setupTest() {
   // Create module mock
   return {
     getInstalledVersion: mockGetInstalledVersion,
-    versionMatchesPattern: mockVersionMatchesPattern,
     compareVersions: mockCompareVersions,
     updatePackage: mockUpdatePackage,
     checkVersionCompatibility: mockCheckVersionCompatibility
@@ -91,6 +108,7 @@ describe('Version Checker Module', () => {
   beforeEach(() => {
     // Clear all mocks between tests
     jest.clearAllMocks();
+    configurePrompts({ terminal: true });
   });
   
   /**
@@ -114,32 +132,6 @@ describe('Version Checker Module', () => {
     });
   });
   
-  /**
-   * versionMatchesPattern Tests
-   */
-  describe('versionMatchesPattern Function', () => {
-    test('matches exact version', () => {
-      // Arrange
-      versionChecker.versionMatchesPattern.mockImplementationOnce((version, pattern) => {
-        return version === pattern;
-      });
-      
-      // Act
-      const matches = versionChecker.versionMatchesPattern('8.57.0', '8.57.0');
-      
-      // Assert
-      expect(matches).toBe(true);
-    });
-    
-    test('handles null version', () => {
-      // Act
-      const matches = versionChecker.versionMatchesPattern(null, '8.x');
-      
-      // Assert
-      expect(matches).toBe(false);
-    });
-  });
-  
   /**
    * compareVersions Tests
    */
@@ -189,4 +181,272 @@ describe('Version Checker Module', () => {
       expect(result).toBe(true);
     });
   });
-});
\ No newline at end of file
+});
+describe('Compatibility Matrix', () => {
+  /**
+   * Report the given versions as installed
+   * @param {Object} versions - Installed versions by package name
+   */
+  const arrangeInstalled = (versions) => {
+    mockReadInstalledVersions.mockResolvedValue(versions);
+    mockExecaCommand.mockResolvedValue({ stdout: '' });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configurePrompts({ terminal: true });
+  });
+
+  describe('loadCompatibilityMatrix Function', () => {
+    test('loads the matrix shipped with the scaffold', async () => {
+      // Act
+      const matrix = await loadCompatibilityMatrix();
+
+      // Assert
+      expect(matrix.version).toBe(1);
+      expect(matrix.packages['eslint-config-airbnb'].releases.length).toBeGreaterThan(0);
+      expect(getMatrixPackageNames(matrix)).toEqual(expect.arrayContaining(['eslint-config-next', 'next', 'jest']));
+    });
+
+    test.each([
+      [{ version: 2, packages: {} }, 'Unsupported compatibility matrix version 2 (expected 1)'],
+      [
+        { version: 1, packages: { husky: { releases: [{ version: '9.x' }] } } },
+        'Invalid version "9.x" of husky in the compatibility matrix'
+      ],
+      [
+        { version: 1, packages: { husky: { releases: [{ version: '9.1.7', requires: { 'lint-staged': '10+' } }] } } },
+        'Invalid range "10+" of lint-staged required by husky@9.1.7 in the compatibility matrix'
+      ]
+    ])('throws error for the matrix %j', async (matrix, message) => {
+      // Arrange
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'avr-matrix-'));
+      const file = path.join(directory, 'matrix.json');
+      await fs.writeFile(file, JSON.stringify(matrix));
+
+      // Act & Assert
+      await expect(loadCompatibilityMatrix(file)).rejects.toThrow(message);
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+  });
+
+  describe('findVersionConflicts Function', () => {
+    const flatReactVersions = {
+      'eslint-config-next': '15.1.3',
+      'next': '14.2.3',
+      'eslint-config-airbnb': '19.0.4',
+      'eslint': '9.17.0',
+      'eslint-plugin-react-hooks': '5.1.0'
+    };
+
+    test('checks the installed versions against the semver ranges of their major', async () => {
+      // Arrange
+      const matrix = await loadCompatibilityMatrix();
+
+      // Act
+      const conflicts = findVersionConflicts(flatReactVersions, matrix);
+
+      // Assert
+      expect(conflicts).toEqual([
+        {
+          package: { name: 'eslint-config-next', version: '15.1.3' },
+          dependency: { name: 'next', version: '14.2.3' },
+          range: '^15.0.0'
+        },
+        {
+          package: { name: 'eslint-config-airbnb', version: '19.0.4' },
+          dependency: { name: 'eslint', version: '9.17.0' },
+          range: '^7.32.0 || ^8.2.0'
+        },
+        {
+          package: { name: 'eslint-config-airbnb', version: '19.0.4' },
+          dependency: { name: 'eslint-plugin-react-hooks', version: '5.1.0' },
+          range: '^4.3.0'
+        }
+      ]);
+    });
+
+    test('leaves out the conflicts the flat config resolves through FlatCompat', async () => {
+      // Arrange
+      const matrix = await loadCompatibilityMatrix();
+
+      // Act
+      const conflicts = findVersionConflicts(flatReactVersions, matrix, getAcceptedConflicts('flat'));
+
+      // Assert
+      expect(conflicts.map(({ package: pkg, dependency }) => `${pkg.name}:${dependency.name}`)).toEqual(['eslint-config-next:next']);
+      expect(getAcceptedConflicts('legacy')).toEqual([]);
+    });
+  });
+
+  describe('resolveCompatibleVersions Function', () => {
+    test('moves the conflicting package to a compatible release and keeps the others', async () => {
+      // Arrange
+      const matrix = await loadCompatibilityMatrix();
+
+      // Act
+      const resolved = resolveCompatibleVersions({
+        'eslint': '9.17.0',
+        'prettier': '3.4.2',
+        'eslint-plugin-prettier': '4.2.1'
+      }, matrix);
+
+      // Assert
+      expect(resolved).toEqual({ 'eslint': '9.17.0', 'prettier': '3.4.2', 'eslint-plugin-prettier': '5.2.1' });
+    });
+
+    test('follows the version of a package outside the matrix, changing other packages when needed', async () => {
+      // Arrange
+      const matrix = await loadCompatibilityMatrix();
+
+      // Act
+      const resolved = resolveCompatibleVersions({ 'next': '14.2.3', 'eslint-config-next': '15.1.3', 'eslint': '9.17.0' }, matrix);
+
+      // Assert
+      expect(resolved).toEqual({ 'next': '14.2.3', 'eslint-config-next': '14.2.15', 'eslint': '8.57.1' });
+    });
+
+    test('returns null when no release satisfies every constraint', async () => {
+      // Arrange
+      const matrix = await loadCompatibilityMatrix();
+
+      // Act & Assert
+      expect(resolveCompatibleVersions({ 'next': '12.3.4', 'eslint-config-next': '15.1.3' }, matrix)).toBeNull();
+    });
+  });
+
+  describe('findCompatibilityIssues Function', () => {
+    test('reports the conflicts with the exact versions resolving them', async () => {
+      // Arrange
+      arrangeInstalled({ 'eslint': '9.17.0', 'eslint-config-prettier': '7.2.0', 'husky': '9.1.7', 'lint-staged': '15.2.11' });
+
+      // Act
+      const issues = await findCompatibilityIssues();
+
+      // Assert
+      expect(issues).toEqual([{
+        message: 'eslint 9.x requires eslint-config-prettier >=8.0.0',
+        packages: [{ name: 'eslint', version: '9.17.0' }, { name: 'eslint-config-prettier', version: '7.2.0' }],
+        updates: ['eslint-config-prettier@9.1.0']
+      }]);
+    });
+  });
+
+  describe('checkVersionCompatibility Function', () => {
+    test('keeps ESLint 9 for the Airbnb configs of a flat config setup, reporting the conflict', async () => {
+      // Arrange
+      arrangeInstalled({ 'eslint': '9.17.0', 'eslint-config-airbnb-base': '15.0.0', 'eslint-plugin-import': '2.31.0' });
+
+      // Act
+      const compatible = await checkVersionCompatibility({ eslintConfig: 'flat' });
+
+      // Assert
+      expect(compatible).toBe(true);
+      expect(mockPrompt).not.toHaveBeenCalled();
+      expect(utils.logInfo).toHaveBeenCalledWith(
+        'Known conflict: eslint-config-airbnb-base 15.x requires eslint ^7.32.0 || ^8.2.0, eslint@9.17.0 is kept (loaded through FlatCompat)'
+      );
+    });
+
+    test('moves the Airbnb configs of a legacy setup back to ESLint 8', async () => {
+      // Arrange
+      arrangeInstalled({ 'eslint': '9.17.0', 'eslint-config-airbnb-base': '15.0.0', 'eslint-plugin-import': '2.31.0' });
+      mockPrompt.mockResolvedValue({ shouldUpdate: false });
+
+      // Act
+      const compatible = await checkVersionCompatibility({ eslintConfig: 'legacy' });
+
+      // Assert
+      expect(compatible).toBe(false);
+      expect(mockPrompt).toHaveBeenCalledWith([expect.objectContaining({ message: 'Do you want to install eslint@8.57.1?' })]);
+    });
+
+    test('installs the pinned compatible versions once confirmed', async () => {
+      // Arrange
+      arrangeInstalled({ 'prettier': '3.4.2', 'eslint-plugin-prettier': '4.2.1' });
+      mockPrompt.mockResolvedValue({ shouldUpdate: true });
+
+      // Act
+      const compatible = await checkVersionCompatibility();
+
+      // Assert
+      expect(compatible).toBe(false);
+      expect(mockPrompt).toHaveBeenCalledWith([expect.objectContaining({ message: 'Do you want to install eslint-plugin-prettier@5.2.1?' })]);
+      expect(mockExecaCommand).toHaveBeenCalledWith('npm install --save-dev eslint-plugin-prettier@5.2.1', expect.anything());
+    });
+
+    test('returns true without prompting when every version is compatible', async () => {
+      // Arrange
+      arrangeInstalled({ 'husky': '9.1.7', 'lint-staged': '15.2.11' });
+
+      // Act & Assert
+      await expect(checkVersionCompatibility()).resolves.toBe(true);
+      expect(mockPrompt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePackage Function', () => {
+    test('pins the newest release of the matrix instead of the latest tag', async () => {
+      // Arrange
+      arrangeInstalled({});
+
+      // Act
+      await updatePackage('eslint-config-next');
+
+      // Assert
+      expect(mockExecaCommand).toHaveBeenCalledWith('npm install --save-dev eslint-config-next@15.1.3', expect.anything());
+    });
+
+    test('refuses packages outside the matrix without a version', async () => {
+      // Act
+      const updated = await updatePackage('left-pad');
+
+      // Assert
+      expect(updated).toBe(false);
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+      expect(utils.logWarning).toHaveBeenCalledWith(expect.stringContaining('left-pad is not in the compatibility matrix'));
+    });
+
+    test('installs the given version of a package outside the matrix', async () => {
+      // Arrange
+      arrangeInstalled({});
+
+      // Act
+      await updatePackage('left-pad', false, undefined, '1.3.0');
+
+      // Assert
+      expect(mockExecaCommand).toHaveBeenCalledWith('npm install --save-dev left-pad@1.3.0', expect.anything());
+    });
+  });
+
+  describe('checkPackageVersion Function', () => {
+    test('offers the newest release of the matrix', async () => {
+      // Arrange
+      arrangeInstalled({});
+      mockReadInstalledVersion.mockResolvedValue('13.0.0');
+      mockPrompt.mockResolvedValue({ shouldUpdate: true });
+
+      // Act
+      await checkPackageVersion('eslint-config-next', '14.0.0');
+
+      // Assert
+      expect(mockPrompt).toHaveBeenCalledWith([expect.objectContaining({
+        message: 'Do you want to update eslint-config-next to 15.1.3, the newest version of the compatibility matrix?'
+      })]);
+      expect(mockExecaCommand).toHaveBeenCalledWith('npm install --save-dev eslint-config-next@15.1.3', expect.anything());
+    });
+
+    test('does not offer an update for packages outside the matrix', async () => {
+      // Arrange
+      mockReadInstalledVersion.mockResolvedValue('1.0.0');
+
+      // Act
+      const compatible = await checkPackageVersion('left-pad', '1.3.0');
+
+      // Assert
+      expect(compatible).toBe(false);
+      expect(mockPrompt).not.toHaveBeenCalled();
+      expect(mockExecaCommand).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @module tests/unit/wizard.test.js
+ * @version 0.1.0
+ * @description Unit tests for the wizard module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { jest, describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockPrompt = jest.fn();
+const mockDetectProjectType = jest.fn();
+const mockDetectTestRunner = jest.fn();
+const mockLoadTemplates = jest.fn();
+
+// Set up mocks before imports
+jest.unstable_mockModule('inquirer', () => ({
+  default: { prompt: mockPrompt },
+}));
+
+jest.unstable_mockModule('../../src/project-detector.js', () => ({
+  detectProjectType: mockDetectProjectType,
+  detectTestRunner: mockDetectTestRunner,
+}));
+
+jest.unstable_mockModule('../../src/templates-loader.js', () => ({
+  loadTemplates: mockLoadTemplates,
+}));
+
+// Import the module after setting up mocks
+const { runWizard } = await import('../../src/wizard.js');
+const { configurePrompts } = await import('../../src/prompts.js');
+
+describe('Wizard Module', () => {
+  const tools = ['eslint', 'prettier', 'jest', 'husky', 'lint-staged', 'commitlint', 'commitizen'];
+  const manifest = {
+    files: {
+      'eslint.config.js': { path: 'eslint.config.js' },
+      'husky/pre-commit': { path: '.husky/pre-commit' },
+      'husky/commit-msg': { path: '.husky/commit-msg' },
+      'husky/pre-push': { path: '.husky/pre-push' },
+    },
+  };
+  let cwd;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    configurePrompts();
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-wizard-')));
+    await fs.writeFile(
+      path.join(cwd, 'package.json'),
+      JSON.stringify({ name: 'app', type: 'module' }),
+    );
+    mockDetectProjectType.mockResolvedValue({ type: 'node' });
+    mockDetectTestRunner.mockResolvedValue('node');
+    mockLoadTemplates.mockResolvedValue({ 'template.json': JSON.stringify(manifest) });
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('runWizard Function', () => {
+    test('preselects the detected and configured values', async () => {
+      // Arrange
+      configurePrompts({ yes: true });
+
+      // Act
+      const answers = await runWizard({
+        cwd,
+        defaults: { strictness: 'strict', disabledHooks: ['pre-push'] },
+      });
+
+      // Assert
+      expect(answers).toEqual({
+        projectType: 'node',
+        tools,
+        testRunner: 'node',
+        moduleSystem: 'esm',
+        strictness: 'strict',
+        disabledHooks: ['pre-push'],
+      });
+      expect(mockPrompt).not.toHaveBeenCalled();
+    });
+
+    test('skips the questions of the tools that were not chosen', async () => {
+      // Arrange
+      configurePrompts({
+        answers: {
+          'wizard-project-type': 'react',
+          'wizard-tools': 'eslint,prettier',
+          'wizard-strictness': 'relaxed',
+          'wizard-apply': 'yes',
+        },
+      });
+
+      // Act
+      const answers = await runWizard({ cwd, defaults: { disabledHooks: ['post-merge'] } });
+
+      // Assert
+      expect(answers).toEqual({
+        projectType: 'react',
+        tools: ['eslint', 'prettier'],
+        testRunner: undefined,
+        moduleSystem: 'esm',
+        strictness: 'relaxed',
+        disabledHooks: ['post-merge'],
+      });
+    });
+
+    test('turns the hooks left unchecked into disabled hooks', async () => {
+      // Arrange
+      await fs.writeFile(path.join(cwd, 'package.json'), JSON.stringify({ name: 'app' }));
+      configurePrompts({ yes: true, answers: { 'wizard-hooks': ['pre-commit'] } });
+
+      // Act
+      const answers = await runWizard({
+        cwd,
+        defaults: { disabledHooks: ['post-merge', 'pre-push'] },
+      });
+
+      // Assert
+      expect(answers.moduleSystem).toBe('commonjs');
+      expect(answers.disabledHooks).toEqual(['post-merge', 'commit-msg', 'pre-push']);
+    });
+
+    test('asks every question in the terminal and cancels when the summary is not confirmed', async () => {
+      // Arrange
+      configurePrompts({ terminal: true });
+      mockPrompt.mockImplementation(async ([question]) => ({
+        [question.name]: question.name === 'apply' ? false : question.default,
+      }));
+
+      // Act
+      const answers = await runWizard({ cwd });
+
+      // Assert
+      expect(answers).toBeNull();
+      expect(mockPrompt.mock.calls.map(([[question]]) => question.name)).toEqual([
+        'projectType',
+        'tools',
+        'testRunner',
+        'moduleSystem',
+        'strictness',
+        'hooks',
+        'apply',
+      ]);
+      const [[hooks]] = mockPrompt.mock.calls[5];
+      expect(hooks).toEqual(
+        expect.objectContaining({
+          type: 'checkbox',
+          default: ['pre-commit', 'commit-msg', 'pre-push'],
+        }),
+      );
+    });
+  });
+});
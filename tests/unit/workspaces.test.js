@@ -0,0 +1,183 @@
+/**
+ * @module tests/unit/workspaces.test.js
+ * @version 0.1.0
+ * @description Unit tests for the workspaces module following the AAA pattern
+ * (Arrange-Act-Assert) and Blackbox approach. Tests verify the public API while
+ * ensuring coverage of internal behavior.
+ *
+ * @status READY (READY|REVIEW_NEEDED|IN_PROGRESS)
+ * @createdAt 2026-10-19
+ * @lastModified 2026-10-19
+ * @author Alejandro Valencia <dev@alejandrovr.com>
+ */
+
+import { describe, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  parsePnpmWorkspace,
+  detectWorkspaces,
+  findWorkspacePackage,
+  getWorkspaceTestRunner,
+  getWorkspaceJestProjects,
+} from '../../src/workspaces.js';
+
+describe('Workspaces Module', () => {
+  let cwd;
+
+  /**
+   * Write a package.json, creating its directory
+   * @param {string} directory - Directory relative to the workspace root
+   * @param {Object} packageJson - package.json contents
+   * @returns {Promise<void>}
+   */
+  const writePackage = async (directory, packageJson) => {
+    await fs.mkdir(path.join(cwd, directory), { recursive: true });
+    await fs.writeFile(path.join(cwd, directory, 'package.json'), JSON.stringify(packageJson));
+  };
+
+  beforeEach(async () => {
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'avr-workspaces-')));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('parsePnpmWorkspace Function', () => {
+    test('reads block and flow sequences without comments or quotes', () => {
+      // Arrange
+      const block =
+        "packages:\n  # Applications\n  - 'apps/*'\n  - \"packages/**\" # shared\n  - '!**/test/**'\ncatalog:\n  react: ^18.3.1\n";
+
+      // Act & Assert
+      expect(parsePnpmWorkspace(block)).toEqual(['apps/*', 'packages/**', '!**/test/**']);
+      expect(parsePnpmWorkspace('packages: [apps/*, "libs/*"]\n')).toEqual(['apps/*', 'libs/*']);
+      expect(parsePnpmWorkspace('catalog:\n  react: ^18.3.1\n')).toEqual([]);
+    });
+  });
+
+  describe('detectWorkspaces Function', () => {
+    test('returns null for a project that is not a workspace root', async () => {
+      // Arrange
+      await writePackage('.', { name: 'app' });
+
+      // Act & Assert
+      await expect(detectWorkspaces({ cwd })).resolves.toBeNull();
+    });
+
+    test('finds the packages of the "workspaces" field, without the excluded ones', async () => {
+      // Arrange
+      await writePackage('.', {
+        name: 'mono',
+        workspaces: ['apps/*', 'packages/*', '!packages/legacy'],
+      });
+      await writePackage('apps/web', { name: '@mono/web' });
+      await writePackage('packages/ui', {});
+      await writePackage('packages/legacy', { name: '@mono/legacy' });
+      await fs.mkdir(path.join(cwd, 'packages', 'assets'));
+
+      // Act
+      const workspaces = await detectWorkspaces({ cwd });
+
+      // Assert
+      expect(workspaces).toEqual({
+        source: 'package.json',
+        patterns: ['apps/*', 'packages/*', '!packages/legacy'],
+        packages: [
+          { name: '@mono/web', directory: 'apps/web' },
+          { name: 'ui', directory: 'packages/ui' },
+        ],
+      });
+    });
+
+    test('reads the { packages } form of Yarn 1 and nested ** patterns', async () => {
+      // Arrange
+      await writePackage('.', {
+        name: 'mono',
+        workspaces: { packages: ['services/**'], nohoist: ['**/react-native'] },
+      });
+      await writePackage('services/billing/api', { name: 'billing-api' });
+      await writePackage('services/billing/api/node_modules/dep', { name: 'dep' });
+
+      // Act
+      const workspaces = await detectWorkspaces({ cwd });
+
+      // Assert
+      expect(workspaces.packages).toEqual([
+        { name: 'billing-api', directory: 'services/billing/api' },
+      ]);
+    });
+
+    test('prefers pnpm-workspace.yaml over package.json', async () => {
+      // Arrange
+      await writePackage('.', { name: 'mono', workspaces: ['ignored/*'] });
+      await fs.writeFile(path.join(cwd, 'pnpm-workspace.yaml'), 'packages:\n  - tools/cli\n');
+      await writePackage('tools/cli', { name: '@mono/cli' });
+
+      // Act
+      const workspaces = await detectWorkspaces({ cwd });
+
+      // Assert
+      expect(workspaces.source).toBe('pnpm-workspace.yaml');
+      expect(workspaces.packages).toEqual([{ name: '@mono/cli', directory: 'tools/cli' }]);
+    });
+  });
+
+  describe('findWorkspacePackage Function', () => {
+    const workspaces = {
+      packages: [
+        { name: '@mono/web', directory: 'apps/web' },
+        { name: 'ui', directory: 'packages/ui' },
+      ],
+    };
+
+    test('finds a package by its name or its directory', () => {
+      // Act & Assert
+      expect(findWorkspacePackage(workspaces, '@mono/web')).toBe(workspaces.packages[0]);
+      expect(findWorkspacePackage(workspaces, './packages/ui/')).toBe(workspaces.packages[1]);
+    });
+
+    test('throws error listing the available packages', () => {
+      // Act & Assert
+      expect(() => findWorkspacePackage(workspaces, 'api')).toThrow(
+        'Workspace package api not found (available: @mono/web, ui)',
+      );
+    });
+  });
+
+  describe('getWorkspaceTestRunner Function', () => {
+    test('runs Jest at the root when a package uses it', () => {
+      // Act & Assert
+      expect(getWorkspaceTestRunner([{ testRunner: 'vitest' }, { testRunner: 'jest' }])).toBe(
+        'jest',
+      );
+      expect(getWorkspaceTestRunner([{ testRunner: 'node' }, { testRunner: 'vitest' }])).toBe(
+        'node',
+      );
+    });
+  });
+
+  describe('getWorkspaceJestProjects Function', () => {
+    test('lists only the Jest packages when the runners are mixed', () => {
+      // Arrange
+      const packages = [
+        { directory: 'packages/api', testRunner: 'jest' },
+        { directory: 'packages/web', testRunner: 'vitest' },
+        { directory: 'packages/utils', testRunner: 'jest' },
+      ];
+
+      // Act & Assert
+      expect(getWorkspaceJestProjects(packages)).toEqual(['packages/api', 'packages/utils']);
+    });
+
+    test('leaves the projects to the package patterns when every package uses Jest', () => {
+      // Act & Assert
+      expect(
+        getWorkspaceJestProjects([{ directory: 'packages/api', testRunner: 'jest' }]),
+      ).toBeNull();
+    });
+  });
+});